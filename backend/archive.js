@@ -0,0 +1,217 @@
+/**
+ * Order Archive Module for Siam Smile POS
+ * Moves closed orders with nothing left to pay that are older than
+ * ARCHIVE_AFTER_DAYS (and their receipts) out of the live state into one JSON
+ * file per month, and reads them back for reports, CSV export and order lookups.
+ *
+ * Layout on disk:
+ *   data/archive/orders-2024-02.json  - { month, orders: [...], receipts: [...] }
+ *
+ * Orders are filed by the month they were created in. Files are written before
+ * the orders leave the live state, and merged by id, so an interrupted run never
+ * loses an order; readers prefer the live copy if an order exists in both.
+ *
+ * Schema migrations don't touch these files: orders keep the shape they had
+ * when they were archived, and orders from before the lifecycle are upgraded
+ * as they are read.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ARCHIVE_DIR, ARCHIVE_AFTER_DAYS } = require("./constants");
+const { atomicWrite } = require("./journal");
+const { isClosed, upgradeLegacyOrder } = require("./orderStatus");
+const { balanceDue } = require("./payments");
+
+const ARCHIVE_NAME_RE = /^orders-(\d{4}-\d{2})\.json$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Parsed month files by month key: { mtimeMs, size, file }
+const monthCache = new Map();
+
+// ============================================
+// Helper Functions
+// ============================================
+
+function ensureDir() {
+  if (!fs.existsSync(ARCHIVE_DIR)) fs.mkdirSync(ARCHIVE_DIR, { recursive: true });
+}
+
+function monthKey(order) {
+  return new Date(order.createdAt).toISOString().slice(0, 7);
+}
+
+function fileFor(month) {
+  return path.join(ARCHIVE_DIR, `orders-${month}.json`);
+}
+
+// Months archived before the order lifecycle still hold "done" orders.
+// Only a missing file is an empty month: any other error is thrown, so an
+// archive run never writes an empty month over a file it couldn't read.
+// Parsed files are cached until the file changes on disk.
+function readMonth(month) {
+  const filePath = fileFor(month);
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch (e) {
+    if (e.code === "ENOENT") return { month, orders: [], receipts: [] };
+    throw e;
+  }
+  const cached = monthCache.get(month);
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) return cached.file;
+
+  let file;
+  try {
+    file = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (e) {
+    if (e instanceof SyntaxError) throw new Error(`Archive file for ${month} is unreadable: ${e.message}`);
+    throw e;
+  }
+  file.orders.forEach(upgradeLegacyOrder);
+  monthCache.set(month, { mtimeMs: stat.mtimeMs, size: stat.size, file });
+  return file;
+}
+
+function mergeById(existing, added) {
+  const ids = new Set(added.map(x => x.id));
+  return [...added, ...existing.filter(x => !ids.has(x.id))];
+}
+
+/**
+ * Whether an order is finished and old enough to leave the live state. A
+ * served tab with money still owing stays live, since payments are only taken
+ * on live orders; a cancelled order owes nothing.
+ */
+function isArchivable(order, cutoff) {
+  if (!isClosed(order.status)) return false;
+  if (order.status !== "cancelled") {
+    if (balanceDue(order) > 0) return false;
+    if ((order.splits || []).some(split => !split.receiptId)) return false;
+  }
+  const finishedAt = new Date(order.closedAt || order.createdAt).getTime();
+  return finishedAt < cutoff;
+}
+
+// ============================================
+// Archive Operations
+// ============================================
+
+/**
+ * List archived months, newest first
+ * @returns {Array<string>} Month keys (YYYY-MM)
+ */
+function listMonths() {
+  if (!fs.existsSync(ARCHIVE_DIR)) return [];
+  return fs.readdirSync(ARCHIVE_DIR)
+    .map(name => ARCHIVE_NAME_RE.exec(name)?.[1])
+    .filter(Boolean)
+    .sort()
+    .reverse();
+}
+
+/**
+ * Move old closed orders and their receipts into the monthly archive files
+ * @param {Object} store - Collection store (see storage.js); orders and receipts are removed
+ * @param {Date} [now] - Reference time
+ * @returns {number} Number of orders archived
+ */
+function archiveOrders(store, now = new Date()) {
+  if (!(ARCHIVE_AFTER_DAYS > 0)) return 0;
+  const cutoff = now.getTime() - ARCHIVE_AFTER_DAYS * DAY_MS;
+  const moving = store.orders.all().filter(o => isArchivable(o, cutoff));
+  if (moving.length === 0) return 0;
+
+  const movingIds = new Set(moving.map(o => o.id));
+  const receipts = store.receipts.all().filter(r => movingIds.has(r.orderId));
+
+  ensureDir();
+  const byMonth = new Map();
+  for (const order of moving) {
+    const month = monthKey(order);
+    if (!byMonth.has(month)) byMonth.set(month, { orders: [], receipts: [] });
+    byMonth.get(month).orders.push(order);
+  }
+  for (const receipt of receipts) {
+    const order = moving.find(o => o.id === receipt.orderId);
+    byMonth.get(monthKey(order)).receipts.push(receipt);
+  }
+  // Read every month first, so an unreadable file stops the run before anything is written
+  const files = new Map([...byMonth.keys()].map(month => [month, readMonth(month)]));
+  for (const [month, added] of byMonth) {
+    const file = files.get(month);
+    atomicWrite(fileFor(month), JSON.stringify({
+      month,
+      orders: mergeById(file.orders, added.orders),
+      receipts: mergeById(file.receipts, added.receipts),
+    }));
+  }
+
+  store.orders.removeWhere(o => movingIds.has(o.id));
+  store.receipts.removeWhere(r => movingIds.has(r.orderId));
+  return moving.length;
+}
+
+/**
+ * Read archived orders and receipts, optionally limited to a date range
+ * @param {Object} [range] - { startDate, endDate } matched against order creation
+ * @returns {{ orders: Array, receipts: Array }}
+ */
+function loadArchived({ startDate, endDate } = {}) {
+  const startMonth = startDate ? new Date(startDate).toISOString().slice(0, 7) : null;
+  const endMonth = endDate ? new Date(endDate).toISOString().slice(0, 7) : null;
+  const orders = [];
+  const receipts = [];
+  for (const month of listMonths()) {
+    if (startMonth && month < startMonth) continue;
+    if (endMonth && month > endMonth) continue;
+    const file = readMonth(month);
+    orders.push(...file.orders);
+    receipts.push(...file.receipts);
+  }
+  return { orders, receipts };
+}
+
+/**
+ * State with archived orders and receipts merged back in, for read-only use by reports
+ * @param {Object} state - Live application state
+ * @param {Object} [range] - { startDate, endDate } to limit which archive months are read
+ * @returns {Object}
+ */
+function withArchive(state, range) {
+  const archived = loadArchived(range);
+  const liveOrderIds = new Set(state.orders.map(o => o.id));
+  const liveReceiptIds = new Set(state.receipts.map(r => r.id));
+  const orders = [...state.orders, ...archived.orders.filter(o => !liveOrderIds.has(o.id))]
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  return {
+    ...state,
+    orders,
+    receipts: [...state.receipts, ...archived.receipts.filter(r => !liveReceiptIds.has(r.id))],
+  };
+}
+
+/**
+ * Find an archived order and its receipts (oldest first; receipt is the latest)
+ * @param {string} id - Order ID
+ * @returns {{ order: Object, receipt: Object|undefined, receipts: Array }|null}
+ */
+function findArchivedOrder(id) {
+  for (const month of listMonths()) {
+    const file = readMonth(month);
+    const order = file.orders.find(o => o.id === id);
+    if (order) {
+      const receipts = file.receipts.filter(r => r.orderId === id).reverse();
+      return { order, receipt: receipts[receipts.length - 1], receipts };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  listMonths,
+  archiveOrders,
+  loadArchived,
+  withArchive,
+  findArchivedOrder,
+};
@@ -0,0 +1,217 @@
+/**
+ * Backup Management Module for Siam Smile POS
+ * Creates full JSON backups of the state, prunes them according to the
+ * retention policy, and lists/reads them for download and restore.
+ *
+ * Retention (newest backup per bucket is kept):
+ *   - younger than BACKUP_KEEP_HOURLY_HOURS: one per hour
+ *   - younger than BACKUP_KEEP_DAILY_DAYS:   one per day
+ *   - older:                                 one per month, forever
+ * Labelled safety backups (pre-restore, pre-migrate, ...) are never merged
+ * with the scheduled ones while they are inside the hourly window.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { BACKUP_DIR, BACKUP_KEEP_HOURLY_HOURS, BACKUP_KEEP_DAILY_DAYS } = require("./constants");
+const { assert } = require("./validators");
+
+// data-[label-]2024-02-10T12-30-00-000Z.json
+const BACKUP_NAME_RE = /^data-(?:([a-z0-9-]+?)-)?(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)\.json$/;
+// Cached per-file metadata so listing does not parse every backup each time
+const INDEX_FILE = path.join(BACKUP_DIR, "index.json");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// ============================================
+// Helper Functions
+// ============================================
+
+function ensureDir() {
+  if (!fs.existsSync(BACKUP_DIR)) fs.mkdirSync(BACKUP_DIR, { recursive: true });
+}
+
+/**
+ * Parse a backup file name into its label and creation time
+ * @returns {{ label: string, createdAt: Date }|null}
+ */
+function parseName(name) {
+  const m = BACKUP_NAME_RE.exec(name);
+  if (!m) return null;
+  const iso = m[2].replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, "T$1:$2:$3.$4Z");
+  const createdAt = new Date(iso);
+  if (isNaN(createdAt.getTime())) return null;
+  return { label: m[1] || "auto", createdAt };
+}
+
+function readIndex() {
+  try {
+    return JSON.parse(fs.readFileSync(INDEX_FILE, "utf-8"));
+  } catch {
+    return {};
+  }
+}
+
+function writeIndex(index) {
+  try {
+    fs.writeFileSync(INDEX_FILE, JSON.stringify(index));
+  } catch {
+    // the index is only a cache
+  }
+}
+
+function summarize(state) {
+  return {
+    version: state?.version || 1,
+    orderCount: (state?.orders || []).length,
+  };
+}
+
+// ============================================
+// Backup Operations
+// ============================================
+
+/**
+ * Write a full JSON copy of the state into the backup directory
+ * @param {Object} state - State to back up
+ * @param {string} [label] - Short tag included in the file name ("auto" when omitted)
+ * @returns {string} Backup file name
+ */
+function createBackup(state, label) {
+  ensureDir();
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const name = label && label !== "auto" ? `data-${label}-${stamp}.json` : `data-${stamp}.json`;
+  const content = JSON.stringify(state, null, 2);
+  fs.writeFileSync(path.join(BACKUP_DIR, name), content);
+
+  const index = readIndex();
+  index[name] = { size: Buffer.byteLength(content), ...summarize(state) };
+  writeIndex(index);
+  return name;
+}
+
+/**
+ * List all backups, newest first
+ * @returns {Array<{name, label, createdAt, size, version, orderCount}>}
+ */
+function listBackups() {
+  ensureDir();
+  const index = readIndex();
+  let indexChanged = false;
+  const backups = [];
+
+  for (const name of fs.readdirSync(BACKUP_DIR)) {
+    const parsed = parseName(name);
+    if (!parsed) continue;
+    const size = fs.statSync(path.join(BACKUP_DIR, name)).size;
+
+    let meta = index[name];
+    if (!meta || meta.size !== size) {
+      try {
+        meta = { size, ...summarize(JSON.parse(fs.readFileSync(path.join(BACKUP_DIR, name), "utf-8"))) };
+      } catch {
+        meta = { size, version: null, orderCount: null, corrupt: true };
+      }
+      index[name] = meta;
+      indexChanged = true;
+    }
+
+    backups.push({
+      name,
+      label: parsed.label,
+      createdAt: parsed.createdAt.toISOString(),
+      ...meta,
+    });
+  }
+
+  // Forget entries for files that no longer exist
+  for (const name of Object.keys(index)) {
+    if (!backups.some(b => b.name === name)) {
+      delete index[name];
+      indexChanged = true;
+    }
+  }
+  if (indexChanged) writeIndex(index);
+
+  return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Delete backups that fall outside the retention policy
+ * @param {Date} [now] - Reference time
+ * @returns {Array<string>} Names of deleted backups
+ */
+function pruneBackups(now = new Date()) {
+  const keep = new Set();
+  const seen = new Set();
+  const deleted = [];
+
+  // listBackups is newest first, so the first backup seen in a bucket is kept
+  for (const backup of listBackups()) {
+    const created = new Date(backup.createdAt);
+    const age = now - created;
+    const iso = backup.createdAt;
+    let bucket;
+    if (age < BACKUP_KEEP_HOURLY_HOURS * HOUR_MS) {
+      bucket = backup.label === "auto" ? `h:${iso.slice(0, 13)}` : `n:${backup.name}`;
+    } else if (age < BACKUP_KEEP_DAILY_DAYS * DAY_MS) {
+      bucket = `d:${iso.slice(0, 10)}`;
+    } else {
+      bucket = `m:${iso.slice(0, 7)}`;
+    }
+    if (!seen.has(bucket)) {
+      seen.add(bucket);
+      keep.add(backup.name);
+    }
+  }
+
+  for (const backup of listBackups()) {
+    if (keep.has(backup.name)) continue;
+    try {
+      fs.unlinkSync(path.join(BACKUP_DIR, backup.name));
+      deleted.push(backup.name);
+    } catch {
+      // ignore files that disappeared in the meantime
+    }
+  }
+  if (deleted.length > 0) listBackups(); // refresh the index
+  return deleted;
+}
+
+/**
+ * Time of the newest backup, or null if there are none
+ * @returns {Date|null}
+ */
+function latestBackupTime() {
+  const [latest] = listBackups();
+  return latest ? new Date(latest.createdAt) : null;
+}
+
+/**
+ * Read and parse a backup by name
+ * @param {string} name - Backup file name as returned by listBackups
+ * @returns {{ content: string, state: Object }}
+ */
+function readBackup(name) {
+  assert(typeof name === "string" && parseName(name), "Invalid backup name");
+  const filePath = path.join(BACKUP_DIR, name);
+  assert(fs.existsSync(filePath), "Backup not found");
+  const content = fs.readFileSync(filePath, "utf-8");
+  let state;
+  try {
+    state = JSON.parse(content);
+  } catch {
+    assert(false, "Backup file is corrupt");
+  }
+  assert(state && typeof state === "object" && Array.isArray(state.orders), "Backup file is not a POS data file");
+  return { content, state };
+}
+
+module.exports = {
+  createBackup,
+  listBackups,
+  pruneBackups,
+  latestBackupTime,
+  readBackup,
+};
@@ -2,6 +2,8 @@ const path = require("path");
 
 const NODE_ENV = process.env.NODE_ENV || "development";
 const IS_PRODUCTION = NODE_ENV === "production";
+// Oldest entry a cashier's offline queue sends without asking (frontend/src/lib/offlineQueue.js)
+const OFFLINE_QUEUE_MAX_HOURS = 24;
 
 module.exports = {
   NODE_ENV,
@@ -14,4 +16,24 @@ module.exports = {
   DATA_DIR: path.join(__dirname, "data"),
   DATA_FILE: path.join(__dirname, "data", "data.json"),
   BACKUP_DIR: path.join(__dirname, "data", "backups"),
+  // Storage driver: "json" (data.json + journal) or "sqlite"
+  STORAGE_DRIVER: process.env.STORAGE_DRIVER || "json",
+  SQLITE_FILE: path.join(__dirname, "data", "pos.sqlite"),
+  // Scheduled backups and retention (see backups.js)
+  BACKUP_INTERVAL_MINUTES: process.env.BACKUP_INTERVAL_MINUTES ? Number(process.env.BACKUP_INTERVAL_MINUTES) : 60,
+  BACKUP_KEEP_HOURLY_HOURS: process.env.BACKUP_KEEP_HOURLY_HOURS ? Number(process.env.BACKUP_KEEP_HOURLY_HOURS) : 48,
+  BACKUP_KEEP_DAILY_DAYS: process.env.BACKUP_KEEP_DAILY_DAYS ? Number(process.env.BACKUP_KEEP_DAILY_DAYS) : 30,
+  // Completed orders older than this move to monthly archive files (0 disables archiving)
+  ARCHIVE_DIR: path.join(__dirname, "data", "archive"),
+  ARCHIVE_AFTER_DAYS: process.env.ARCHIVE_AFTER_DAYS ? Number(process.env.ARCHIVE_AFTER_DAYS) : 90,
+  JOURNAL_FILE: path.join(__dirname, "data", "journal.log"),
+  // Compact the journal into a fresh data.json snapshot after this many events
+  JOURNAL_COMPACT_EVERY: process.env.JOURNAL_COMPACT_EVERY ? Number(process.env.JOURNAL_COMPACT_EVERY) : 500,
+  // How long the result of an event sent with an idempotencyKey is replayed for retries.
+  // Never shorter than a cashier's offline queue keeps entries (MAX_QUEUED_HOURS
+  // in frontend/src/lib/offlineQueue.js), so a queued replay is always recognised.
+  IDEMPOTENCY_WINDOW_MINUTES: Math.max(
+    process.env.IDEMPOTENCY_WINDOW_MINUTES ? Number(process.env.IDEMPOTENCY_WINDOW_MINUTES) : 48 * 60,
+    OFFLINE_QUEUE_MAX_HOURS * 60
+  ),
 };
@@ -0,0 +1,110 @@
+/**
+ * Course Firing for Siam Smile POS
+ * A dine-in order with lines for more than one course goes to the kitchen one
+ * course at a time: the first course is fired with the order and later ones
+ * are held until the cashier fires them ("fire mains" for table 5).
+ *
+ * order.firedCourses records each fired course and when:
+ *
+ *   { starter: { at, by }, main: { at, by } }
+ *
+ * A course on the order that isn't listed is held. Lines added later join
+ * their course: straight to the kitchen if it has been fired, held if not.
+ * When nothing on the order is held, the first new course goes out at once,
+ * like a new order. Takeaway and delivery orders aren't coursed.
+ *
+ * The kitchen can't mark an order ready while a course is still held.
+ */
+
+const { assert } = require("./validators");
+const { COURSES, DEFAULT_COURSE } = require("./modifiers");
+const { DEFAULT_ORDER_TYPE } = require("./orderTypes");
+
+// ============================================
+// Helper Functions
+// ============================================
+
+function lineCourse(line) {
+  return line.course || DEFAULT_COURSE;
+}
+
+/**
+ * Courses with something left to make, in serving order
+ * @param {Array<Object>} lines - Order lines
+ * @returns {Array<string>}
+ */
+function coursesOf(lines) {
+  const present = new Set((lines || [])
+    .filter(line => line.qty - (line.voidedQty || 0) > 0)
+    .map(lineCourse));
+  return COURSES.filter(c => present.has(c));
+}
+
+/**
+ * Courses on the order that haven't been fired
+ * @param {Object} order
+ * @returns {Array<string>}
+ */
+function heldCourses(order) {
+  return coursesOf(order.items).filter(c => !order.firedCourses?.[c]);
+}
+
+// ============================================
+// Firing
+// ============================================
+
+/**
+ * Fire what goes out with newly added lines: their courses for takeaway and
+ * delivery, otherwise the first of them if nothing on the order is held
+ * @param {Object} order - Order (firedCourses is updated)
+ * @param {Array<Object>} existingLines - Lines the order had before
+ * @param {Array<Object>} newLines - Lines being added
+ * @param {Object} meta - { at: ISO time, by: username }
+ * @returns {Array<string>} Courses fired
+ */
+function fireOnArrival(order, existingLines, newLines, { at, by }) {
+  const fired = order.firedCourses || (order.firedCourses = {});
+  const incoming = coursesOf(newLines).filter(c => !fired[c]);
+  if (incoming.length === 0) return [];
+
+  let toFire = incoming;
+  if ((order.type || DEFAULT_ORDER_TYPE) === "dine-in") {
+    const waiting = coursesOf(existingLines).some(c => !fired[c]);
+    toFire = waiting ? [] : incoming.slice(0, 1);
+  }
+  for (const course of toFire) fired[course] = { at, by: by || null };
+  return toFire;
+}
+
+/**
+ * Send a held course to the kitchen
+ * @param {Object} order - Order (firedCourses is updated)
+ * @param {string} course
+ * @param {Object} meta - { at: ISO time, by: username }
+ */
+function fireCourse(order, course, { at, by }) {
+  assert(COURSES.includes(course), `course must be one of: ${COURSES.join(", ")}`);
+  assert(coursesOf(order.items).includes(course), `The order has no ${course} course`);
+  assert(!order.firedCourses?.[course], `The ${course} course has already been fired`);
+  if (!order.firedCourses) order.firedCourses = {};
+  order.firedCourses[course] = { at, by: by || null };
+}
+
+/**
+ * Check that the kitchen can finish an order
+ * @param {Object} order
+ * @param {string} status - Target state
+ */
+function assertNothingHeld(order, status) {
+  if (status === "preparing" || status === "cancelled") return;
+  const held = heldCourses(order);
+  assert(held.length === 0, `The ${held.join(" and ")} course${held.length === 1 ? " is" : "s are"} still held; fire ${held.length === 1 ? "it" : "them"} first`);
+}
+
+module.exports = {
+  coursesOf,
+  heldCourses,
+  fireOnArrival,
+  fireCourse,
+  assertNothingHeld,
+};
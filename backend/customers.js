@@ -1,6 +1,9 @@
 /**
  * Customer Management Module for Siam Smile POS
  * Manages customer records linked to orders with analytics and export capabilities
+ *
+ * Functions that change customers or orders take the collection store (see
+ * storage.js); lookups, metrics and exports take a plain state object.
  */
 
 const { newId } = require("./utils");
@@ -34,11 +37,11 @@ function ensureCustomersArray(state) {
 /**
  * Create or update a customer from order data
  * @param {Object} orderData - Order data containing customer information
- * @param {Object} state - Application state
+ * @param {Object} store - Collection store
  * @returns {string} Customer ID
  */
-function createOrUpdateCustomer(orderData, state) {
-  const customers = ensureCustomersArray(state);
+function createOrUpdateCustomer(orderData, store) {
+  const customers = store.customers.all();
   const {
     customerName,
     customerPhone,
@@ -83,6 +86,7 @@ function createOrUpdateCustomer(orderData, state) {
     customer.lastOrderDate = orderDate || now;
     customer.totalOrders += 1;
     customer.totalSpent += orderTotalNum;
+    store.customers.update(customer);
     
     return customer.id;
   } else {
@@ -101,7 +105,7 @@ function createOrUpdateCustomer(orderData, state) {
       createdAt: now,
     };
     
-    customers.push(newCustomer);
+    store.customers.insert(newCustomer);
     return newCustomer.id;
   }
 }
@@ -403,18 +407,17 @@ function getMostFrequent(arr) {
  * Associate an existing order with a customer (for migration/updates)
  * @param {string} orderId - Order ID
  * @param {string} customerId - Customer ID
- * @param {Object} state - Application state
+ * @param {Object} store - Collection store
  * @returns {boolean} True if successful
  */
-function associateOrderWithCustomer(orderId, customerId, state) {
+function associateOrderWithCustomer(orderId, customerId, store) {
   assert(typeof orderId === "string" && orderId.length > 0, "Order ID is required");
   assert(typeof customerId === "string" && customerId.length > 0, "Customer ID is required");
 
-  const customer = getCustomerById(customerId, state);
+  const customer = store.customers.get(customerId);
   assert(customer, "Customer not found");
 
-  const orders = state.orders || [];
-  const order = orders.find(o => o.id === orderId);
+  const order = store.orders.get(orderId);
   assert(order, "Order not found");
 
   // Update order with customer reference
@@ -422,6 +425,7 @@ function associateOrderWithCustomer(orderId, customerId, state) {
   order.customerName = customer.name;
   order.customerPhone = customer.phone;
   order.customerEmail = customer.email;
+  store.orders.update(order);
 
   return true;
 }
@@ -429,36 +433,31 @@ function associateOrderWithCustomer(orderId, customerId, state) {
 /**
  * Delete a customer (soft delete - removes from array)
  * @param {string} id - Customer ID
- * @param {Object} state - Application state
+ * @param {Object} store - Collection store
  * @returns {boolean} True if deleted
  */
-function deleteCustomer(id, state) {
+function deleteCustomer(id, store) {
   assert(typeof id === "string" && id.length > 0, "Customer ID is required");
   
-  const customers = ensureCustomersArray(state);
-  const initialLength = customers.length;
-  
-  state.customers = customers.filter(c => c.id !== id);
-  
-  return state.customers.length < initialLength;
+  return store.customers.remove(id) !== null;
 }
 
 /**
  * Update customer marketing opt-in status
  * @param {string} id - Customer ID
  * @param {boolean} optIn - Opt-in status
- * @param {Object} state - Application state
+ * @param {Object} store - Collection store
  * @returns {Object} Updated customer
  */
-function updateCustomerMarketingOptIn(id, optIn, state) {
+function updateCustomerMarketingOptIn(id, optIn, store) {
   assert(typeof id === "string" && id.length > 0, "Customer ID is required");
   
-  const customer = getCustomerById(id, state);
+  const customer = store.customers.get(id);
   assert(customer, "Customer not found");
   
   customer.marketingOptIn = !!optIn;
   
-  return customer;
+  return store.customers.update(customer);
 }
 
 /**
@@ -0,0 +1,217 @@
+/**
+ * State Diff Module for Siam Smile POS
+ * Computes entity-level change operations between successive versions of the
+ * in-memory state, and applies those operations to rebuild a state.
+ */
+
+/**
+ * Operation shapes:
+ *   { op: "set",    path: ["settings", "taxPercent"], value }
+ *   { op: "unset",  path: ["metrics", "prepTimes", "abc"] }
+ *   { op: "upsert", coll: "orders", index: 0, value: { id, ... } }
+ *   { op: "remove", coll: "orders", id }
+ *
+ * Top-level arrays whose elements all carry a unique string `id` are treated
+ * as collections and diffed per entity. Everything else is diffed by path.
+ */
+
+// ============================================
+// Helper Functions
+// ============================================
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function clone(v) {
+  return v === undefined ? undefined : JSON.parse(JSON.stringify(v));
+}
+
+/**
+ * Check whether an array can be diffed per entity
+ */
+function isCollection(arr) {
+  if (!Array.isArray(arr)) return false;
+  const ids = new Set();
+  for (const item of arr) {
+    if (!isPlainObject(item) || typeof item.id !== "string") return false;
+    if (ids.has(item.id)) return false;
+    ids.add(item.id);
+  }
+  return true;
+}
+
+function sameOrder(a, b) {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Recursively diff two values, emitting set/unset ops for changed leaves.
+ * Arrays and primitives are compared by value and replaced wholesale.
+ */
+function diffValue(prev, next, path, ops) {
+  if (isPlainObject(prev) && isPlainObject(next)) {
+    for (const key of Object.keys(next)) {
+      if (next[key] === undefined) continue;
+      if (!(key in prev) || prev[key] === undefined) {
+        ops.push({ op: "set", path: [...path, key], value: clone(next[key]) });
+      } else {
+        diffValue(prev[key], next[key], [...path, key], ops);
+      }
+    }
+    for (const key of Object.keys(prev)) {
+      if (prev[key] !== undefined && (!(key in next) || next[key] === undefined)) {
+        ops.push({ op: "unset", path: [...path, key] });
+      }
+    }
+    return;
+  }
+  if (JSON.stringify(prev) !== JSON.stringify(next)) {
+    ops.push({ op: "set", path, value: clone(next) });
+  }
+}
+
+// ============================================
+// Change Tracker
+// ============================================
+
+/**
+ * Create a tracker that remembers the last observed state and reports the
+ * operations needed to move from it to the current state.
+ * @param {Object} state - Initial state
+ * @param {Object} [options] - { exclude: top-level keys to leave out, e.g. ones whose changes are recorded elsewhere }
+ * @returns {{ collect: function(Object): Array, reset: function(Object): void }}
+ */
+function createTracker(state, { exclude = [] } = {}) {
+  const skipped = new Set(exclude);
+  let shadow = null;
+
+  function snapshotCollection(arr) {
+    const json = new Map();
+    for (const item of arr) json.set(item.id, JSON.stringify(item));
+    return { kind: "collection", order: arr.map(item => item.id), json };
+  }
+
+  function reset(s) {
+    shadow = {};
+    for (const [key, value] of Object.entries(s || {})) {
+      if (value === undefined || skipped.has(key)) continue;
+      shadow[key] = isCollection(value)
+        ? snapshotCollection(value)
+        : { kind: "value", value: clone(value) };
+    }
+  }
+
+  function diffCollection(key, prev, arr, ops) {
+    const nextIds = arr.map(item => item.id);
+    const nextSet = new Set(nextIds);
+
+    const retainedPrev = prev.order.filter(id => nextSet.has(id));
+    const retainedNext = nextIds.filter(id => prev.json.has(id));
+    if (!sameOrder(retainedPrev, retainedNext)) {
+      // Entities were reordered; cheaper to replace the whole collection
+      ops.push({ op: "set", path: [key], value: clone(arr) });
+      return;
+    }
+
+    for (const id of prev.order) {
+      if (!nextSet.has(id)) ops.push({ op: "remove", coll: key, id });
+    }
+    arr.forEach((item, index) => {
+      const json = JSON.stringify(item);
+      if (prev.json.get(item.id) !== json) {
+        ops.push({ op: "upsert", coll: key, index, value: JSON.parse(json) });
+      }
+    });
+  }
+
+  /**
+   * Compute ops since the last collect/reset and remember the new state
+   * @param {Object} s - Current state
+   * @returns {Array} Change operations (empty when nothing changed)
+   */
+  function collect(s) {
+    const ops = [];
+    const keys = new Set([...Object.keys(shadow), ...Object.keys(s)]);
+
+    for (const key of keys) {
+      if (skipped.has(key)) continue;
+      const prev = shadow[key];
+      const next = s[key];
+
+      if (next === undefined) {
+        if (prev) ops.push({ op: "unset", path: [key] });
+        continue;
+      }
+      if (!prev) {
+        ops.push({ op: "set", path: [key], value: clone(next) });
+        continue;
+      }
+      if (prev.kind === "collection" && isCollection(next)) {
+        diffCollection(key, prev, next, ops);
+      } else if (prev.kind === "value" && !isCollection(next)) {
+        diffValue(prev.value, next, [key], ops);
+      } else {
+        ops.push({ op: "set", path: [key], value: clone(next) });
+      }
+    }
+
+    if (ops.length > 0) reset(s);
+    return ops;
+  }
+
+  reset(state);
+  return { collect, reset };
+}
+
+// ============================================
+// Applying Operations
+// ============================================
+
+/**
+ * Apply change operations to a state object in place.
+ * Applying the same ops twice yields the same result.
+ * @param {Object} state - State to mutate
+ * @param {Array} ops - Operations produced by a tracker
+ * @returns {Object} The mutated state
+ */
+function applyOps(state, ops) {
+  for (const op of ops || []) {
+    if (op.op === "set" || op.op === "unset") {
+      let target = state;
+      for (let i = 0; i < op.path.length - 1; i++) {
+        const key = op.path[i];
+        if (!isPlainObject(target[key])) target[key] = {};
+        target = target[key];
+      }
+      const last = op.path[op.path.length - 1];
+      if (op.op === "set") target[last] = clone(op.value);
+      else delete target[last];
+    } else if (op.op === "remove") {
+      if (Array.isArray(state[op.coll])) {
+        state[op.coll] = state[op.coll].filter(item => item.id !== op.id);
+      }
+    } else if (op.op === "upsert") {
+      if (!Array.isArray(state[op.coll])) state[op.coll] = [];
+      const arr = state[op.coll];
+      const value = clone(op.value);
+      const existing = arr.findIndex(item => item.id === value.id);
+      if (existing >= 0) {
+        arr[existing] = value;
+      } else {
+        arr.splice(Math.min(op.index ?? arr.length, arr.length), 0, value);
+      }
+    }
+  }
+  return state;
+}
+
+module.exports = {
+  createTracker,
+  applyOps,
+  isCollection,
+};
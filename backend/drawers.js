@@ -0,0 +1,252 @@
+/**
+ * Cash Drawer Sessions for Siam Smile POS
+ * A cashier opens a drawer session at the start of a shift with a counted
+ * float, and closes it at the end with a blind count: the cashier counts the
+ * drawer by denomination without being shown what the till expects.
+ * Sessions live in state.drawerSessions:
+ *
+ *   { id, openedAt, openedBy, openingCount, openingFloat, movements,
+ *     closedAt, closedBy, closingCount, countedCash, countedCard, note, report }
+ *
+ * Each cashier has at most one open session. Payments and refunds they take
+ * while it is open carry its id (receipt.drawerSessionId), which is how the
+ * reports attribute cash and card to the drawer. Paid-ins, paid-outs and safe
+ * drops are cash put into or taken out of the drawer for anything other than
+ * a sale.
+ *
+ * The X-report is a mid-shift reading of an open session; the Z-report is
+ * taken at close and kept on the session. Expected cash is the float plus
+ * cash taken, less cash refunded, plus the cash rounding on both, plus
+ * paid-ins, less paid-outs and safe drops.
+ */
+
+const { assert, requireString, requireNumber } = require("./validators");
+const { roundMoney } = require("./pricing");
+const { receiptTenders } = require("./payments");
+
+const MOVEMENT_TYPES = ["paid-in", "paid-out", "safe-drop"];
+const MAX_PIECES = 100000;
+
+// Notes and coins counted into the drawer, by currency
+const DENOMINATIONS = {
+  AED: [1000, 500, 200, 100, 50, 20, 10, 5, 1, 0.5, 0.25],
+  USD: [100, 50, 20, 10, 5, 1, 0.25, 0.1, 0.05, 0.01],
+  EUR: [500, 200, 100, 50, 20, 10, 5, 2, 1, 0.5, 0.2, 0.1, 0.05, 0.02, 0.01],
+  GBP: [50, 20, 10, 5, 2, 1, 0.5, 0.2, 0.1, 0.05, 0.02, 0.01],
+  THB: [1000, 500, 100, 50, 20, 10, 5, 2, 1, 0.5, 0.25],
+  SGD: [1000, 100, 50, 10, 5, 2, 1, 0.5, 0.2, 0.1, 0.05],
+};
+
+// ============================================
+// Helper Functions
+// ============================================
+
+/**
+ * Denominations counted for the configured currency
+ * @param {Object} settings - Application settings
+ * @returns {Array<number>}
+ */
+function denominationsFor(settings) {
+  return DENOMINATIONS[settings?.currency] || DENOMINATIONS.AED;
+}
+
+/**
+ * The open session of a cashier
+ * @param {Object} state - Application state
+ * @param {string} username
+ * @returns {Object|null}
+ */
+function openSessionOf(state, username) {
+  return (state.drawerSessions || []).find(s => !s.closedAt && s.openedBy === username) || null;
+}
+
+/**
+ * Validate a count by denomination ({ "50": 2, "0.25": 8 })
+ * @param {Object} settings - Application settings
+ * @param {*} input
+ * @returns {{ count: Object, total: number }} Count without empty denominations
+ */
+function normalizeCount(settings, input) {
+  assert(input && typeof input === "object" && !Array.isArray(input), "count is required");
+  const allowed = denominationsFor(settings);
+  const count = {};
+  let total = 0;
+  for (const [key, value] of Object.entries(input)) {
+    const denomination = Number(key);
+    assert(allowed.includes(denomination), `${key} is not a denomination of ${settings?.currency || "AED"}`);
+    const pieces = requireNumber(value, `count of ${key}`);
+    assert(Number.isInteger(pieces) && pieces >= 0 && pieces <= MAX_PIECES, `The count of ${key} must be a whole number from 0 to ${MAX_PIECES}`);
+    if (pieces === 0) continue;
+    count[String(denomination)] = pieces;
+    total += denomination * pieces;
+  }
+  return { count, total: roundMoney(total) };
+}
+
+/**
+ * Validate a paid-in, paid-out or safe drop
+ * @param {Object} input - { type, amount, reason }
+ * @returns {{ type: string, amount: number, reason: string }}
+ */
+function normalizeMovement(input) {
+  const { type, amount, reason } = input || {};
+  assert(MOVEMENT_TYPES.includes(type), `type must be one of: ${MOVEMENT_TYPES.join(", ")}`);
+  const value = roundMoney(requireNumber(amount, "amount"));
+  assert(value > 0, "amount must be more than 0");
+  const why = typeof reason === "string" ? reason.trim() : "";
+  assert(type === "safe-drop" || why, "A reason is required for paid-ins and paid-outs");
+  return { type, amount: value, reason: why };
+}
+
+// ============================================
+// Sessions
+// ============================================
+
+/**
+ * Start a drawer session with its counted float; the caller stores it
+ * @param {Object} state - Application state
+ * @param {Object} input - { id, count }
+ * @param {Object} meta - { at: ISO time, by: username }
+ * @returns {Object} Session
+ */
+function openSession(state, { id, count }, { at, by }) {
+  assert(!openSessionOf(state, by), "You already have an open drawer; close it first");
+  const float = normalizeCount(state.settings, count);
+  const session = {
+    id,
+    openedAt: at,
+    openedBy: by,
+    openingCount: float.count,
+    openingFloat: float.total,
+    movements: [],
+    closedAt: null,
+    closedBy: null,
+    closingCount: null,
+    countedCash: null,
+    countedCard: null,
+    note: "",
+    report: null,
+  };
+  return session;
+}
+
+/**
+ * Record cash put into or taken out of an open drawer
+ * @param {Object} session - Open session (movements is updated)
+ * @param {Object} input - { id, type, amount, reason }
+ * @param {Object} meta - { at: ISO time, by: username }
+ * @returns {Object} Movement
+ */
+function addMovement(session, input, { at, by }) {
+  assert(!session.closedAt, "The drawer is closed");
+  const movement = { id: input?.id, ...normalizeMovement(input), at, by };
+  session.movements.push(movement);
+  return movement;
+}
+
+/**
+ * Reading of a session: expected cash and card, and against the closing count
+ * once there is one
+ * @param {Object} state - Application state
+ * @param {Object} session
+ * @param {string} at - ISO time of the reading
+ * @returns {Object} X-report for an open session, Z-report for a closed one
+ */
+function drawerReport(state, session, at) {
+  const totals = { cash: { sales: 0, refunds: 0 }, card: { sales: 0, refunds: 0 }, other: { sales: 0, refunds: 0 } };
+  let payments = 0;
+  let refunds = 0;
+  let rounding = 0;
+  for (const receipt of state.receipts || []) {
+    if (receipt.drawerSessionId !== session.id) continue;
+    const refund = receipt.kind === "refund";
+    if (refund) refunds += 1;
+    else payments += 1;
+    for (const t of receiptTenders(receipt)) {
+      const bucket = totals[t.method] || totals.other;
+      if (refund) bucket.refunds += -t.amount;
+      else bucket.sales += t.amount;
+      rounding += Number(t.rounding) || 0;
+    }
+  }
+  const moved = Object.fromEntries(MOVEMENT_TYPES.map(type => [
+    type,
+    roundMoney(session.movements.filter(m => m.type === type).reduce((s, m) => s + m.amount, 0)),
+  ]));
+
+  const closed = !!session.closedAt;
+  const expectedCash = roundMoney(
+    session.openingFloat + totals.cash.sales - totals.cash.refunds + rounding
+    + moved["paid-in"] - moved["paid-out"] - moved["safe-drop"]
+  );
+  const expectedCard = roundMoney(totals.card.sales - totals.card.refunds);
+  return {
+    type: closed ? "Z" : "X",
+    sessionId: session.id,
+    at,
+    openedAt: session.openedAt,
+    openedBy: session.openedBy,
+    closedAt: session.closedAt,
+    closedBy: session.closedBy,
+    payments,
+    refunds,
+    cash: {
+      float: session.openingFloat,
+      sales: roundMoney(totals.cash.sales),
+      refunds: roundMoney(totals.cash.refunds),
+      rounding: roundMoney(rounding),
+      paidIn: moved["paid-in"],
+      paidOut: moved["paid-out"],
+      safeDrops: moved["safe-drop"],
+      expected: expectedCash,
+      counted: closed ? session.countedCash : null,
+      variance: closed ? roundMoney(session.countedCash - expectedCash) : null,
+    },
+    card: {
+      sales: roundMoney(totals.card.sales),
+      refunds: roundMoney(totals.card.refunds),
+      expected: expectedCard,
+      counted: closed ? session.countedCard : null,
+      variance: closed ? roundMoney(session.countedCard - expectedCard) : null,
+    },
+    other: {
+      sales: roundMoney(totals.other.sales),
+      refunds: roundMoney(totals.other.refunds),
+    },
+  };
+}
+
+/**
+ * Close a session with the blind count and keep its Z-report
+ * @param {Object} state - Application state
+ * @param {Object} session - Open session (mutated in place)
+ * @param {Object} input - { count, cardTotal, note }
+ * @param {Object} meta - { at: ISO time, by: username }
+ * @returns {Object} Z-report
+ */
+function closeSession(state, session, { count, cardTotal, note }, { at, by }) {
+  assert(!session.closedAt, "The drawer is already closed");
+  const cash = normalizeCount(state.settings, count);
+  const card = roundMoney(requireNumber(cardTotal, "cardTotal"));
+  assert(card >= 0, "cardTotal can't be negative");
+  if (note !== undefined && note !== null && note !== "") requireString(note, "note");
+
+  session.closedAt = at;
+  session.closedBy = by;
+  session.closingCount = cash.count;
+  session.countedCash = cash.total;
+  session.countedCard = card;
+  session.note = note ? note.trim() : "";
+  session.report = drawerReport(state, session, at);
+  return session.report;
+}
+
+module.exports = {
+  MOVEMENT_TYPES,
+  denominationsFor,
+  openSessionOf,
+  openSession,
+  addMovement,
+  drawerReport,
+  closeSession,
+};
@@ -0,0 +1,143 @@
+/**
+ * Held Carts for Siam Smile POS
+ * A cashier can park the cart they are building, serve someone else, and pick
+ * it up again later on any terminal. Held carts live in state.heldCarts:
+ *
+ *   { id, label, summary, itemCount, createdAt, createdBy, expiresAt, cart }
+ *
+ * cart is the cashier's form as it was (items, note, promo code, order type and
+ * customer details); nothing is priced or checked against the menu until the
+ * order is placed. Resuming takes the cart out of the list, so two terminals
+ * can't both pick it up. Held carts expire after settings.heldCartMinutes.
+ */
+
+const { assert, requireString, requireNumber } = require("./validators");
+
+const DEFAULT_HOLD_MINUTES = 120;
+const MAX_HOLD_MINUTES = 7 * 24 * 60;
+
+const CART_TEXT_FIELDS = [
+  "note", "promoCode", "type", "customerName", "tableNumber", "tableId", "pickupTime",
+  "deliveryAddress", "driver", "customerPhone", "customerEmail",
+];
+
+// ============================================
+// Helper Functions
+// ============================================
+
+function holdMinutes(settings) {
+  return Number(settings?.heldCartMinutes) || DEFAULT_HOLD_MINUTES;
+}
+
+function isExpired(held, now) {
+  return new Date(held.expiresAt).getTime() <= new Date(now).getTime();
+}
+
+/**
+ * Validate a cart sent by the cashier, keeping only the fields it uses
+ * @param {Object} input
+ * @returns {Object}
+ */
+function normalizeCart(input) {
+  assert(input && typeof input === "object", "cart is required");
+  assert(Array.isArray(input.items) && input.items.length > 0, "Only a cart with items can be held");
+  const items = input.items.map(it => {
+    requireString(it?.itemId, "itemId");
+    const qty = requireNumber(it.qty, "qty");
+    assert(Number.isInteger(qty) && qty > 0, "qty must be a positive whole number");
+    assert(it.options === undefined || Array.isArray(it.options), "options must be a list");
+    return {
+      itemId: it.itemId,
+      qty,
+      options: (it.options || []).map(String),
+      note: it.note ? String(it.note) : "",
+      seat: it.seat ? Number(it.seat) : null,
+      course: it.course ? String(it.course) : null,
+    };
+  });
+
+  const cart = { items, marketingOptIn: !!input.marketingOptIn };
+  for (const field of CART_TEXT_FIELDS) cart[field] = input[field] ? String(input[field]) : "";
+  return cart;
+}
+
+/**
+ * "2× Pad Thai, 1× Cola", for the held carts list
+ */
+function cartSummary(state, items) {
+  return items.map(it => {
+    const name = state.menu.find(m => m.id === it.itemId)?.name || "Unknown item";
+    return `${it.qty}× ${name}`;
+  }).join(", ");
+}
+
+// ============================================
+// Held Carts
+// ============================================
+
+/**
+ * Build a held cart from the cashier's form; the caller stores it
+ * @param {Object} state - Application state (for the menu and settings)
+ * @param {Object} input - { id, label, cart }
+ * @param {Object} meta - { at: ISO time, by: username }
+ * @returns {Object} The held cart
+ */
+function holdCart(state, { id, label, cart }, { at, by }) {
+  requireString(typeof label === "string" ? label.trim() : label, "label");
+  const normalized = normalizeCart(cart);
+  const held = {
+    id,
+    label: label.trim(),
+    summary: cartSummary(state, normalized.items),
+    itemCount: normalized.items.reduce((s, it) => s + it.qty, 0),
+    createdAt: at,
+    createdBy: by || null,
+    expiresAt: new Date(new Date(at).getTime() + holdMinutes(state.settings) * 60000).toISOString(),
+    cart: normalized,
+  };
+  return held;
+}
+
+/**
+ * Take a held cart off the list to carry on with it
+ * @param {Object} carts - The heldCarts collection (see storage.js)
+ * @param {string} id - Held cart id
+ * @param {string} now - ISO time
+ * @returns {Object} The held cart
+ */
+function takeHeldCart(carts, id, now) {
+  requireString(id, "id");
+  const held = carts.get(id);
+  assert(held, "Held cart not found. It may have been resumed on another terminal.");
+  assert(!isExpired(held, now), "Held cart has expired");
+  return carts.remove(id);
+}
+
+/**
+ * Drop held carts that are past their expiry
+ * @param {Object} carts - The heldCarts collection (see storage.js)
+ * @param {string} now - ISO time
+ * @returns {Array<Object>} The expired carts
+ */
+function expireHeldCarts(carts, now) {
+  return carts.removeWhere(h => isExpired(h, now));
+}
+
+/**
+ * Validate how long carts stay held, from the settings panel
+ * @param {*} value - Minutes
+ * @returns {number}
+ */
+function normalizeHoldMinutes(value) {
+  const minutes = requireNumber(value, "heldCartMinutes");
+  assert(Number.isInteger(minutes) && minutes >= 1 && minutes <= MAX_HOLD_MINUTES, `Held carts must expire after 1 to ${MAX_HOLD_MINUTES} minutes`);
+  return minutes;
+}
+
+module.exports = {
+  DEFAULT_HOLD_MINUTES,
+  holdCart,
+  takeHeldCart,
+  expireHeldCarts,
+  normalizeHoldMinutes,
+};
@@ -0,0 +1,86 @@
+/**
+ * Idempotent Socket Events for Siam Smile POS
+ * A client that never got an answer (a timeout on flaky Wi-Fi) can send the
+ * same event again with the same payload.idempotencyKey and get the first
+ * result back instead of, say, a second order for the kitchen.
+ *
+ * Works for every event that takes an acknowledgement callback. Keys belong
+ * to the user and the event, so two tills can't collide. Successful results
+ * are kept in state.idempotency for IDEMPOTENCY_WINDOW_MINUTES and returned
+ * with replayed: true; failures are forgotten so the retry runs again. A retry
+ * that arrives while the first attempt is still running waits for its result.
+ *
+ *   state.idempotency: [{ id: scoped key, at: ISO time, response }]
+ *
+ * Results are persisted with the rest of the state, so a retry from a till's
+ * offline queue is recognised after a server restart too.
+ */
+
+const { IDEMPOTENCY_WINDOW_MINUTES } = require("./constants");
+
+const MAX_KEY_LENGTH = 100;
+const WINDOW_MS = IDEMPOTENCY_WINDOW_MINUTES * 60 * 1000;
+
+// Attempts still running: scoped key -> [ack] waiting for the result
+const inFlight = new Map();
+
+// ============================================
+// Helper Functions
+// ============================================
+
+function scopedKey(user, event, key) {
+  return `${user?.role}:${user?.sub || ""}:${event}:${key}`;
+}
+
+function isStale(entry, now) {
+  return now - new Date(entry.at).getTime() > WINDOW_MS;
+}
+
+// ============================================
+// Middleware
+// ============================================
+
+/**
+ * Socket middleware (socket.use) that replays results for repeated keys
+ * @param {Object} socket - Connected socket with socket.user
+ * @param {Object} results - The idempotency collection (see storage.js)
+ * @param {function(): void} persist - Saves the state once a result is recorded
+ * @returns {function(Array, function): void}
+ */
+function middleware(socket, results, persist) {
+  return (packet, next) => {
+    const [event, payload] = packet;
+    const ack = packet[packet.length - 1];
+    const key = payload?.idempotencyKey;
+    if (typeof ack !== "function" || key === undefined || key === null) return next();
+    if (typeof key !== "string" || !key || key.length > MAX_KEY_LENGTH) {
+      return ack({ ok: false, error: `idempotencyKey must be a string of up to ${MAX_KEY_LENGTH} characters` });
+    }
+
+    const now = Date.now();
+    results.removeWhere(entry => isStale(entry, now));
+    const id = scopedKey(socket.user, event, key);
+    const done = results.get(id);
+    if (done) return ack({ ...done.response, replayed: true });
+    if (inFlight.has(id)) return inFlight.get(id).push(ack);
+
+    const waiting = [];
+    inFlight.set(id, waiting);
+    packet[packet.length - 1] = (response) => {
+      inFlight.delete(id);
+      if (response?.ok && !response.replayed) {
+        // A copy, so later changes to the same order don't leak into replays
+        results.insert({ id, at: new Date().toISOString(), response: JSON.parse(JSON.stringify(response)) });
+        persist();
+      }
+      ack(response);
+      for (const other of waiting) other(response);
+    };
+    next();
+  };
+}
+
+module.exports = {
+  MAX_KEY_LENGTH,
+  middleware,
+};
@@ -1,6 +1,9 @@
 /**
  * Inventory Management Module for Siam Smile POS
  * Handles inventory items, stock tracking, supplier management, and analytics
+ *
+ * Functions that change inventory take the collection store (see storage.js);
+ * queries and metrics take a plain state object.
  */
 
 const { newId } = require("./utils");
@@ -26,18 +29,18 @@ function toNumber(v, defaultValue = 0) {
 /**
  * Create a new inventory item
  * @param {Object} data - Item data
- * @param {Object} state - Application state
+ * @param {Object} store - Collection store
  * @param {Object} user - User making the change
  * @returns {Object} Created item
  */
-function createInventoryItem(data, state, user) {
+function createInventoryItem(data, store, user) {
   // Validate required fields
   requireString(data.name, "name");
   requireString(data.sku, "sku");
   // Category is optional - removed requireString validation
   
   // Validate SKU uniqueness
-  const existingItem = (state.inventory || []).find(item => 
+  const existingItem = store.inventory.all().find(item => 
     item.sku.toLowerCase() === data.sku.toLowerCase()
   );
   assert(!existingItem, `SKU "${data.sku}" already exists`);
@@ -75,15 +78,10 @@ function createInventoryItem(data, state, user) {
     updatedAt: now,
   };
   
-  // Initialize inventory array if not exists
-  if (!state.inventory) {
-    state.inventory = [];
-  }
-  
-  state.inventory.push(item);
+  store.inventory.insert(item);
   
   // Log creation
-  logInventoryChange(item.id, "created", null, { name: item.name, sku: item.sku }, user, state);
+  logInventoryChange(item.id, "created", null, { name: item.name, sku: item.sku }, user, store);
   
   return item;
 }
@@ -92,21 +90,15 @@ function createInventoryItem(data, state, user) {
  * Update an existing inventory item
  * @param {string} id - Item ID
  * @param {Object} updates - Fields to update
- * @param {Object} state - Application state
+ * @param {Object} store - Collection store
  * @param {Object} user - User making the change
  * @returns {Object} Updated item
  */
-function updateInventoryItem(id, updates, state, user) {
+function updateInventoryItem(id, updates, store, user) {
   requireString(id, "id");
   
-  if (!state.inventory) {
-    state.inventory = [];
-  }
-  
-  const itemIndex = state.inventory.findIndex(item => item.id === id);
-  assert(itemIndex !== -1, "Inventory item not found");
-  
-  const item = state.inventory[itemIndex];
+  const item = store.inventory.get(id);
+  assert(item, "Inventory item not found");
   const oldValues = {};
   
   // Fields that can be updated
@@ -128,7 +120,7 @@ function updateInventoryItem(id, updates, state, user) {
         requireString(updates[field], "sku");
         const newSku = updates[field].trim().toUpperCase();
         // Check SKU uniqueness (excluding current item)
-        const duplicate = state.inventory.find(i => 
+        const duplicate = store.inventory.all().find(i => 
           i.id !== id && i.sku.toLowerCase() === newSku.toLowerCase()
         );
         assert(!duplicate, `SKU "${newSku}" already exists`);
@@ -153,61 +145,49 @@ function updateInventoryItem(id, updates, state, user) {
       
       // Log the change
       if (oldValues[field] !== item[field]) {
-        logInventoryChange(id, field, oldValues[field], item[field], user, state);
+        logInventoryChange(id, field, oldValues[field], item[field], user, store);
       }
     }
   }
   
   item.updatedAt = new Date().toISOString();
-  return item;
+  return store.inventory.update(item);
 }
 
 /**
  * Delete an inventory item
  * @param {string} id - Item ID
- * @param {Object} state - Application state
+ * @param {Object} store - Collection store
  */
-function deleteInventoryItem(id, state) {
+function deleteInventoryItem(id, store) {
   requireString(id, "id");
   
-  if (!state.inventory) {
-    state.inventory = [];
-  }
-  
-  const itemIndex = state.inventory.findIndex(item => item.id === id);
-  assert(itemIndex !== -1, "Inventory item not found");
-  
-  state.inventory.splice(itemIndex, 1);
+  assert(store.inventory.remove(id), "Inventory item not found");
   
   // Also remove logs for this item
-  if (state.inventoryLogs) {
-    state.inventoryLogs = state.inventoryLogs.filter(log => log.itemId !== id);
-  }
+  store.inventoryLogs.removeWhere(log => log.itemId === id);
 }
 
 /**
  * Archive/unarchive an inventory item
  * @param {string} id - Item ID
- * @param {Object} state - Application state
+ * @param {Object} store - Collection store
  * @param {Object} user - User making the change
  * @returns {Object} Updated item
  */
-function archiveInventoryItem(id, state, user) {
+function archiveInventoryItem(id, store, user) {
   requireString(id, "id");
   
-  if (!state.inventory) {
-    state.inventory = [];
-  }
-  
-  const item = state.inventory.find(item => item.id === id);
+  const item = store.inventory.get(id);
   assert(item, "Inventory item not found");
   
   const oldValue = item.isArchived;
   item.isArchived = !item.isArchived;
   item.updatedAt = new Date().toISOString();
+  store.inventory.update(item);
   
   // Log the change
-  logInventoryChange(id, "isArchived", oldValue, item.isArchived, user, state);
+  logInventoryChange(id, "isArchived", oldValue, item.isArchived, user, store);
   
   return item;
 }
@@ -295,13 +275,9 @@ function getOutOfStockItems(state) {
  * @param {*} oldValue - Old value
  * @param {*} newValue - New value
  * @param {Object} user - User who made the change
- * @param {Object} state - Application state
+ * @param {Object} store - Collection store
  */
-function logInventoryChange(itemId, field, oldValue, newValue, user, state) {
-  if (!state.inventoryLogs) {
-    state.inventoryLogs = [];
-  }
-  
+function logInventoryChange(itemId, field, oldValue, newValue, user, store) {
   const log = {
     id: newId(),
     itemId,
@@ -312,11 +288,11 @@ function logInventoryChange(itemId, field, oldValue, newValue, user, state) {
     changedAt: new Date().toISOString(),
   };
   
-  state.inventoryLogs.unshift(log);
+  store.inventoryLogs.insert(log, 0);
   
   // Keep only last 1000 logs
-  if (state.inventoryLogs.length > 1000) {
-    state.inventoryLogs = state.inventoryLogs.slice(0, 1000);
+  if (store.inventoryLogs.all().length > 1000) {
+    store.inventoryLogs.removeWhere((_, index) => index >= 1000);
   }
 }
 
@@ -0,0 +1,125 @@
+/**
+ * Journal Module for Siam Smile POS
+ * JSON file storage adapter: an append-only event log on top of a periodically
+ * compacted snapshot.
+ *
+ * Layout on disk:
+ *   data/data.json    - last compacted snapshot of the full state
+ *   data/journal.log  - one JSON event per line, appended after each mutation
+ *
+ * Every event holds idempotent change operations (see diff.js), so replaying a
+ * journal over a snapshot that already contains some of its events is safe.
+ */
+
+const fs = require("fs");
+const { DATA_FILE, JOURNAL_FILE, JOURNAL_COMPACT_EVERY } = require("./constants");
+const { applyOps } = require("./diff");
+
+let eventsSinceCompact = 0;
+
+function atomicWrite(filePath, content) {
+  const tmp = filePath + ".tmp";
+  fs.writeFileSync(tmp, content);
+  fs.renameSync(tmp, filePath);
+}
+
+/**
+ * Whether the journal ends part-way through a line, e.g. after a torn write
+ * @returns {boolean}
+ */
+function endsMidLine() {
+  if (!fs.existsSync(JOURNAL_FILE)) return false;
+  const fd = fs.openSync(JOURNAL_FILE, "r");
+  try {
+    const { size } = fs.fstatSync(fd);
+    if (size === 0) return false;
+    const last = Buffer.alloc(1);
+    fs.readSync(fd, last, 0, 1, size - 1);
+    return last[0] !== 0x0a;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Replay journal events on top of a state
+ * @param {Object} state - State loaded from the snapshot (mutated in place)
+ * @returns {{ count: number, torn: boolean }} Events replayed, and whether any
+ *   entry was unreadable
+ */
+function replay(state) {
+  if (!fs.existsSync(JOURNAL_FILE)) return { count: 0, torn: false };
+  const lines = fs.readFileSync(JOURNAL_FILE, "utf-8").split("\n");
+  let count = 0;
+  let torn = false;
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch {
+      // A torn write only spoils its own line; commit() starts the next event on a fresh one
+      console.warn(`[Journal] Ignoring unreadable entry at line ${i + 1}`);
+      torn = true;
+      continue;
+    }
+    applyOps(state, event.ops);
+    count++;
+  }
+  return { count, torn };
+}
+
+/**
+ * Load the snapshot and replay the journal on top of it
+ * @returns {Object|null} State or null when no snapshot exists
+ */
+function load() {
+  if (!fs.existsSync(DATA_FILE)) return null;
+  const state = JSON.parse(fs.readFileSync(DATA_FILE, "utf-8"));
+  const { count, torn } = replay(state);
+  if (count > 0) console.log(`[Journal] Replayed ${count} journal event(s)`);
+  // Start every run from a compact snapshot; this also drops an unreadable
+  // entry, which new events would otherwise be appended to and lost with
+  if (count > 0 || torn) replace(state);
+  return state;
+}
+
+/**
+ * Append a mutation event to the journal, compacting every JOURNAL_COMPACT_EVERY events
+ * @param {Array} ops - Change operations
+ * @param {Object} state - Full state, used when compacting
+ */
+function commit(ops, state) {
+  const event = { ts: new Date().toISOString(), ops };
+  // Never continue a torn line: the event would be unreadable along with it
+  const lead = endsMidLine() ? "\n" : "";
+  fs.appendFileSync(JOURNAL_FILE, lead + JSON.stringify(event) + "\n");
+  eventsSinceCompact++;
+  if (eventsSinceCompact >= JOURNAL_COMPACT_EVERY) replace(state);
+}
+
+/**
+ * Write a fresh snapshot and start an empty journal
+ * @param {Object} state - Full state
+ */
+function replace(state) {
+  atomicWrite(DATA_FILE, JSON.stringify(state, null, 2));
+  // Only truncate once the snapshot is safely on disk
+  fs.writeFileSync(JOURNAL_FILE, "");
+  eventsSinceCompact = 0;
+}
+
+/** Compact on shutdown so the next start has nothing to replay */
+function flush(state) {
+  replace(state);
+}
+
+module.exports = {
+  name: "json",
+  atomicWrite,
+  load,
+  commit,
+  replace,
+  flush,
+};
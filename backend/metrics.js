@@ -3,6 +3,9 @@
  * Provides comprehensive analytics functions for dashboards and reports
  */
 
+const { receiptTenders } = require("./payments");
+const { ORDER_STATUSES, isFulfilled } = require("./orderStatus");
+
 // ============================================
 // Helper Functions
 // ============================================
@@ -53,11 +56,11 @@ function getHour(date) {
 /**
  * Calculate prep time in seconds between two dates
  */
-function calcPrepTimeSeconds(createdAt, doneAt) {
-  if (!createdAt || !doneAt) return null;
+function calcPrepTimeSeconds(createdAt, readyAt) {
+  if (!createdAt || !readyAt) return null;
   const created = parseDate(createdAt).getTime();
-  const done = parseDate(doneAt).getTime();
-  return Math.round((done - created) / 1000);
+  const ready = parseDate(readyAt).getTime();
+  return Math.round((ready - created) / 1000);
 }
 
 /**
@@ -116,7 +119,7 @@ function formatCurrency(value, currency = 'AED') {
  */
 function getRevenueByDateRange(startDate, endDate, state) {
   const orders = (state.orders || []).filter(o => 
-    o.status === 'done' && isDateInRange(o.createdAt, startDate, endDate)
+    isFulfilled(o) && isDateInRange(o.createdAt, startDate, endDate)
   );
   
   const daily = {};
@@ -145,7 +148,7 @@ function getRevenueByDateRange(startDate, endDate, state) {
  * @returns {array} Revenue per staff member
  */
 function getRevenueByStaff(state) {
-  const orders = (state.orders || []).filter(o => o.status === 'done');
+  const orders = (state.orders || []).filter(o => isFulfilled(o));
   const byStaff = {};
   
   orders.forEach(order => {
@@ -180,7 +183,7 @@ function getRevenueByStaff(state) {
  * @returns {array} Revenue per menu item
  */
 function getRevenueByItem(state) {
-  const orders = (state.orders || []).filter(o => o.status === 'done');
+  const orders = (state.orders || []).filter(o => isFulfilled(o));
   const byItem = {};
   
   orders.forEach(order => {
@@ -215,7 +218,7 @@ function getRevenueByItem(state) {
  * @returns {array} Revenue per category
  */
 function getRevenueByCategory(state) {
-  const orders = (state.orders || []).filter(o => o.status === 'done');
+  const orders = (state.orders || []).filter(o => isFulfilled(o));
   const byCategory = {};
   
   orders.forEach(order => {
@@ -258,14 +261,15 @@ function getRevenueByPaymentMethod(state) {
   const receipts = state.receipts || [];
   const byMethod = { cash: 0, card: 0, other: 0 };
   
+  // A receipt can be paid with several tenders, e.g. part cash and part card
   receipts.forEach(receipt => {
-    const method = receipt.paymentMethod || 'other';
-    const amount = receipt.amount || 0;
-    if (byMethod[method] !== undefined) {
-      byMethod[method] += amount;
-    } else {
-      byMethod.other += amount;
-    }
+    receiptTenders(receipt).forEach(({ method, amount }) => {
+      if (byMethod[method] !== undefined) {
+        byMethod[method] += amount || 0;
+      } else {
+        byMethod.other += amount || 0;
+      }
+    });
   });
   
   const total = Object.values(byMethod).reduce((a, b) => a + b, 0);
@@ -281,13 +285,107 @@ function getRevenueByPaymentMethod(state) {
   };
 }
 
+/**
+ * Get tax collected per tax class, from the breakdown stored on each order
+ * @param {object} state - Application state
+ * @param {string|Date} [startDate] - Start date
+ * @param {string|Date} [endDate] - End date
+ * @returns {array} Taxable amount and tax per class and rate
+ */
+function getTaxByClass(state, startDate, endDate) {
+  const orders = (state.orders || []).filter(o => isDateInRange(o.createdAt, startDate, endDate));
+  const byClass = {};
+  
+  orders.forEach(order => {
+    (order.taxes || []).forEach(t => {
+      const key = `${t.classId}@${t.percent}`;
+      if (!byClass[key]) {
+        byClass[key] = { classId: t.classId, name: t.name, percent: t.percent, taxable: 0, amount: 0, orderCount: 0 };
+      }
+      byClass[key].taxable += t.taxable || 0;
+      byClass[key].amount += t.amount || 0;
+      byClass[key].orderCount++;
+    });
+  });
+  
+  return Object.values(byClass).map(t => ({
+    ...t,
+    taxable: Math.round(t.taxable * 100) / 100,
+    amount: Math.round(t.amount * 100) / 100
+  })).sort((a, b) => b.percent - a.percent);
+}
+
+/**
+ * Get orders and revenue per order type (dine-in, takeaway, delivery)
+ * @param {object} state - Application state
+ * @param {string|Date} [startDate] - Start date
+ * @param {string|Date} [endDate] - End date
+ * @returns {array} Order count, revenue, service charge and average order value per type
+ */
+function getRevenueByOrderType(state, startDate, endDate) {
+  const orders = (state.orders || []).filter(o => isDateInRange(o.createdAt, startDate, endDate));
+  const byType = {};
+  
+  orders.forEach(order => {
+    // Orders from before order types were all dine-in
+    const type = order.type || 'dine-in';
+    if (!byType[type]) {
+      byType[type] = { type, orderCount: 0, revenue: 0, serviceCharge: 0 };
+    }
+    byType[type].orderCount++;
+    byType[type].revenue += order.total || 0;
+    byType[type].serviceCharge += order.serviceCharge || 0;
+  });
+  
+  const total = Object.values(byType).reduce((sum, t) => sum + t.revenue, 0);
+  
+  return Object.values(byType).map(t => ({
+    ...t,
+    revenue: Math.round(t.revenue * 100) / 100,
+    serviceCharge: Math.round(t.serviceCharge * 100) / 100,
+    avgOrderValue: Math.round((t.revenue / t.orderCount) * 100) / 100,
+    percentage: total > 0 ? Math.round((t.revenue / total) * 10000) / 100 : 0
+  })).sort((a, b) => b.revenue - a.revenue);
+}
+
+/**
+ * Get refunds given, one entry per refund receipt, newest first
+ * @param {object} state - Application state
+ * @param {string|Date} [startDate] - Start date
+ * @param {string|Date} [endDate] - End date
+ * @returns {object} Refunds with their total and count
+ */
+function getRefunds(state, startDate, endDate) {
+  const refunds = (state.receipts || [])
+    .filter(r => r.kind === 'refund' && isDateInRange(r.createdAt, startDate, endDate))
+    .map(r => ({
+      id: r.id,
+      orderId: r.orderId,
+      ticketNumber: (state.orders || []).find(o => o.id === r.orderId)?.ticketNumber || null,
+      createdAt: r.createdAt,
+      createdBy: r.createdBy,
+      amount: Math.round(-r.amount * 100) / 100,
+      reason: r.reason,
+      approvedBy: r.approvedBy,
+      voidedItems: (r.lines || []).map(l => `${l.qty} x ${l.name}`),
+      tenders: receiptTenders(r)
+    }))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  
+  return {
+    refunds,
+    total: Math.round(refunds.reduce((sum, r) => sum + r.amount, 0) * 100) / 100,
+    count: refunds.length
+  };
+}
+
 /**
  * Get revenue distribution by hour of day
  * @param {object} state - Application state
  * @returns {array} Revenue and order count per hour
  */
 function getHourlyRevenueDistribution(state) {
-  const orders = (state.orders || []).filter(o => o.status === 'done');
+  const orders = (state.orders || []).filter(o => isFulfilled(o));
   const hourly = Array(24).fill(null).map((_, hour) => ({
     hour,
     hourLabel: `${hour.toString().padStart(2, '0')}:00`,
@@ -319,14 +417,14 @@ function getHourlyRevenueDistribution(state) {
  * @returns {object} Average prep time in seconds and formatted
  */
 function getAveragePrepTime(state) {
-  const orders = (state.orders || []).filter(o => o.status === 'done' && o.doneAt);
+  const orders = (state.orders || []).filter(o => isFulfilled(o));
   
   if (orders.length === 0) {
     return { seconds: 0, formatted: '0m 0s', orderCount: 0 };
   }
   
   const totalSeconds = orders.reduce((sum, order) => {
-    const prepTime = calcPrepTimeSeconds(order.createdAt, order.doneAt);
+    const prepTime = calcPrepTimeSeconds(order.firedAt || order.createdAt, order.readyAt);
     return sum + (prepTime || 0);
   }, 0);
   
@@ -347,10 +445,10 @@ function getAveragePrepTime(state) {
  * @returns {object} Min, max, average prep times
  */
 function getPrepTimeStats(state) {
-  const orders = (state.orders || []).filter(o => o.status === 'done' && o.doneAt);
+  const orders = (state.orders || []).filter(o => isFulfilled(o));
   
   const prepTimes = orders
-    .map(o => calcPrepTimeSeconds(o.createdAt, o.doneAt))
+    .map(o => calcPrepTimeSeconds(o.firedAt || o.createdAt, o.readyAt))
     .filter(t => t !== null);
   
   const stats = calcStats(prepTimes);
@@ -390,15 +488,13 @@ function getOrdersPerHour(state) {
   const hourly = Array(24).fill(0).map((_, hour) => ({
     hour,
     hourLabel: `${hour.toString().padStart(2, '0')}:00`,
-    new: 0,
-    preparing: 0,
-    done: 0,
+    ...Object.fromEntries(ORDER_STATUSES.map(status => [status, 0])),
     total: 0
   }));
   
   orders.forEach(order => {
     const hour = getHour(order.createdAt);
-    hourly[hour][order.status]++;
+    if (hourly[hour][order.status] !== undefined) hourly[hour][order.status]++;
     hourly[hour].total++;
   });
   
@@ -478,7 +574,7 @@ function findPeakHour(heatmap) {
  */
 function getOrderStatusBreakdown(state) {
   const orders = state.orders || [];
-  const counts = { new: 0, preparing: 0, done: 0 };
+  const counts = Object.fromEntries(ORDER_STATUSES.map(status => [status, 0]));
   
   orders.forEach(order => {
     if (counts[order.status] !== undefined) {
@@ -490,11 +586,10 @@ function getOrderStatusBreakdown(state) {
   
   return {
     counts,
-    percentages: {
-      new: total > 0 ? Math.round((counts.new / total) * 10000) / 100 : 0,
-      preparing: total > 0 ? Math.round((counts.preparing / total) * 10000) / 100 : 0,
-      done: total > 0 ? Math.round((counts.done / total) * 10000) / 100 : 0
-    },
+    percentages: Object.fromEntries(ORDER_STATUSES.map(status => [
+      status,
+      total > 0 ? Math.round((counts[status] / total) * 10000) / 100 : 0
+    ])),
     total
   };
 }
@@ -510,7 +605,7 @@ function getOrderStatusBreakdown(state) {
  * @returns {object} New vs returning customer stats
  */
 function getNewVsReturningCustomers(state) {
-  const orders = (state.orders || []).filter(o => o.status === 'done');
+  const orders = (state.orders || []).filter(o => isFulfilled(o));
   const customerVisits = new Map();
   
   orders.forEach(order => {
@@ -573,7 +668,7 @@ function extractCustomerId(order) {
  * @returns {object} CLV statistics
  */
 function getCustomerLifetimeValue(state) {
-  const orders = (state.orders || []).filter(o => o.status === 'done');
+  const orders = (state.orders || []).filter(o => isFulfilled(o));
   const customerSpending = new Map();
   
   orders.forEach(order => {
@@ -680,7 +775,7 @@ function getOptInRate(state) {
  * @returns {array} AOV per customer
  */
 function getAverageOrderValueByCustomer(state) {
-  const orders = (state.orders || []).filter(o => o.status === 'done');
+  const orders = (state.orders || []).filter(o => isFulfilled(o));
   const customerData = new Map();
   
   orders.forEach(order => {
@@ -742,7 +837,7 @@ function getMostUsedPromos(state, limit = 10) {
  * @returns {object} Discount statistics
  */
 function getDiscountImpact(state) {
-  const orders = (state.orders || []).filter(o => o.status === 'done');
+  const orders = (state.orders || []).filter(o => isFulfilled(o));
   
   let totalDiscount = 0;
   let discountedOrders = 0;
@@ -789,7 +884,7 @@ function getDiscountImpact(state) {
  * @returns {object} Revenue impact analysis
  */
 function getRevenueLostToDiscounts(state) {
-  const orders = (state.orders || []).filter(o => o.status === 'done');
+  const orders = (state.orders || []).filter(o => isFulfilled(o));
   
   let potentialRevenue = 0;
   let actualRevenue = 0;
@@ -958,7 +1053,7 @@ function getStockMovement(state, days = 30) {
   cutoff.setDate(cutoff.getDate() - days);
   
   const orders = (state.orders || []).filter(o => 
-    o.status === 'done' && parseDate(o.createdAt) >= cutoff
+    isFulfilled(o) && parseDate(o.createdAt) >= cutoff
   );
   
   const movement = {};
@@ -1003,7 +1098,7 @@ function getStockMovement(state, days = 30) {
  * @returns {object} Profit margin analysis
  */
 function getProfitMargins(state) {
-  const orders = (state.orders || []).filter(o => o.status === 'done');
+  const orders = (state.orders || []).filter(o => isFulfilled(o));
   
   let totalRevenue = 0;
   let totalCost = 0;
@@ -1077,7 +1172,7 @@ function getRevenueChartData(days = 30, state) {
   startDate.setDate(startDate.getDate() - days + 1);
   
   const orders = (state.orders || []).filter(o => 
-    o.status === 'done' && isDateInRange(o.createdAt, startDate, endDate)
+    isFulfilled(o) && isDateInRange(o.createdAt, startDate, endDate)
   );
   
   // Initialize all days with zero
@@ -1229,6 +1324,9 @@ module.exports = {
   getRevenueByItem,
   getRevenueByCategory,
   getRevenueByPaymentMethod,
+  getTaxByClass,
+  getRevenueByOrderType,
+  getRefunds,
   getHourlyRevenueDistribution,
   
   // Order Metrics
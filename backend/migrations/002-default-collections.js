@@ -0,0 +1,44 @@
+/**
+ * Migration 2: make sure every top-level collection and metrics bucket exists.
+ * Replaces the defaults that server.js used to merge in on every start.
+ */
+
+const METRICS_DEFAULTS = {
+  bestsellers: {},
+  staffPerformance: {},
+  dailyRevenue: {},
+  weeklyRevenue: {},
+  monthlyRevenue: {},
+  prepTimes: {},
+  hourlyDistribution: {},
+  paymentMethods: { cash: 0, card: 0, other: 0 },
+};
+
+module.exports = {
+  version: 2,
+  description: "Add missing collections and metrics buckets",
+  up(state) {
+    const defaults = {
+      settings: { taxPercent: 0, serviceChargePercent: 0, currency: "AED" },
+      categories: [],
+      menu: [],
+      staff: [],
+      orders: [],
+      revenue: { total: 0, adjustments: [] },
+      logs: [],
+      promos: [],
+      discounts: [],
+      receipts: [],
+      inventory: [],
+      customers: [],
+      inventoryLogs: [],
+      metrics: {},
+    };
+    for (const [key, value] of Object.entries(defaults)) {
+      if (state[key] === undefined) state[key] = value;
+    }
+    for (const [key, value] of Object.entries(METRICS_DEFAULTS)) {
+      if (!state.metrics[key]) state.metrics[key] = JSON.parse(JSON.stringify(value));
+    }
+  },
+};
@@ -0,0 +1,23 @@
+/**
+ * Migration 3: give every staff member a valid role.
+ * Older data files defaulted missing roles to "both", which no page accepts,
+ * so those accounts could not use the cashier or kitchen screens at all.
+ * They become "cashier", the least-privileged role with a working screen,
+ * rather than "manager", which would also let them approve refunds and work
+ * other cashiers' drawers. Every changed account is listed in the audit log so
+ * an admin can give kitchen staff their role.
+ */
+
+module.exports = {
+  version: 3,
+  description: "Default staff roles",
+  up(state) {
+    const changes = [];
+    for (const staff of state.staff || []) {
+      if (staff.role && staff.role !== "both") continue;
+      changes.push(`Staff "${staff.username}": role ${staff.role || "(none)"} -> cashier`);
+      staff.role = "cashier";
+    }
+    return changes;
+  },
+};
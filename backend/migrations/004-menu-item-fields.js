@@ -0,0 +1,14 @@
+/**
+ * Migration 4: add the availability flag and description to menu items.
+ */
+
+module.exports = {
+  version: 4,
+  description: "Add unavailable and description to menu items",
+  up(state) {
+    for (const item of state.menu || []) {
+      if (item.unavailable === undefined) item.unavailable = false;
+      if (item.description === undefined) item.description = "";
+    }
+  },
+};
@@ -0,0 +1,29 @@
+/**
+ * Migration 5: store the pricing breakdown on existing orders.
+ * Orders priced before the pricing engine never charged tax or service, so they
+ * get zero rates and amounts; their totals are left untouched.
+ */
+
+// Frozen copy of pricing.roundMoney as of this migration
+function roundMoney(n) {
+  const x = Number(n) || 0;
+  return Math.sign(x) * Math.round(Math.abs(x) * 100 + 1e-9) / 100;
+}
+
+module.exports = {
+  version: 5,
+  description: "Add line totals, service charge and tax to orders",
+  up(state) {
+    for (const order of state.orders || []) {
+      for (const item of order.items || []) {
+        if (item.lineTotal === undefined) item.lineTotal = roundMoney(item.price * item.qty);
+      }
+      if (order.tax === undefined) {
+        order.serviceChargePercent = 0;
+        order.serviceCharge = 0;
+        order.taxPercent = 0;
+        order.tax = 0;
+      }
+    }
+  },
+};
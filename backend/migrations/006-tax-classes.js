@@ -0,0 +1,47 @@
+/**
+ * Migration 6: replace the single exclusive taxPercent with named tax classes.
+ * The old rate becomes the default "Standard" class and a "Zero-rated" class is
+ * added. Prices stay tax exclusive until switched in settings. Existing orders
+ * get their tax as a one-class breakdown.
+ */
+
+const STANDARD = "standard";
+
+module.exports = {
+  version: 6,
+  description: "Add tax classes and tax-inclusive pricing",
+  up(state) {
+    const settings = state.settings || (state.settings = {});
+    const percent = Number(settings.taxPercent) || 0;
+    if (!Array.isArray(settings.taxClasses)) {
+      settings.taxClasses = [
+        { id: STANDARD, name: "Standard", percent },
+        { id: "zero", name: "Zero-rated", percent: 0 },
+      ];
+    }
+    if (!settings.defaultTaxClassId) settings.defaultTaxClassId = settings.taxClasses[0].id;
+    if (settings.pricesIncludeTax === undefined) settings.pricesIncludeTax = false;
+    delete settings.taxPercent;
+
+    for (const category of state.categories || []) {
+      if (category.taxClassId === undefined) category.taxClassId = null;
+    }
+    for (const item of state.menu || []) {
+      if (item.taxClassId === undefined) item.taxClassId = null;
+    }
+
+    for (const order of state.orders || []) {
+      if (order.taxes) continue;
+      const taxClass = { id: STANDARD, name: "Standard", percent: Number(order.taxPercent) || 0 };
+      for (const item of order.items || []) {
+        if (!item.taxClass) item.taxClass = taxClass;
+      }
+      order.pricesIncludeTax = false;
+      order.serviceTax = taxClass;
+      order.taxes = order.tax > 0
+        ? [{ classId: STANDARD, name: "Standard", percent: taxClass.percent, taxable: (order.subtotal || 0) - (order.discount || 0) + (order.serviceCharge || 0), amount: order.tax }]
+        : [];
+      delete order.taxPercent;
+    }
+  },
+};
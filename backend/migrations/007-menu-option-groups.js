@@ -0,0 +1,21 @@
+/**
+ * Migration 7: option groups on menu items and options on order lines.
+ * Existing items get no groups; existing order lines were sold without options,
+ * so their base price is their price.
+ */
+
+module.exports = {
+  version: 7,
+  description: "Add menu option groups and order line options",
+  up(state) {
+    for (const item of state.menu || []) {
+      if (!Array.isArray(item.optionGroups)) item.optionGroups = [];
+    }
+    for (const order of state.orders || []) {
+      for (const line of order.items || []) {
+        if (!Array.isArray(line.options)) line.options = [];
+        if (line.basePrice === undefined) line.basePrice = line.price;
+      }
+    }
+  },
+};
@@ -0,0 +1,18 @@
+/**
+ * Migration 8: per-line note, seat and course on order lines.
+ * Existing lines get no note or seat and are served as mains.
+ */
+
+module.exports = {
+  version: 8,
+  description: "Add note, seat and course to order lines",
+  up(state) {
+    for (const order of state.orders || []) {
+      for (const line of order.items || []) {
+        if (line.note === undefined) line.note = "";
+        if (line.seat === undefined) line.seat = null;
+        if (line.course === undefined) line.course = "main";
+      }
+    }
+  },
+};
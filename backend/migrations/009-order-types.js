@@ -0,0 +1,25 @@
+/**
+ * Migration 9: order types. Existing orders were all dine-in. Takeaway and
+ * delivery start without a service charge; dine-in keeps the default one.
+ */
+
+module.exports = {
+  version: 9,
+  description: "Add order types and per-type service charge",
+  up(state) {
+    const settings = state.settings || (state.settings = {});
+    if (!settings.orderTypes) {
+      settings.orderTypes = {
+        "dine-in": { serviceChargePercent: null },
+        takeaway: { serviceChargePercent: 0 },
+        delivery: { serviceChargePercent: 0 },
+      };
+    }
+    for (const order of state.orders || []) {
+      if (order.type === undefined) order.type = "dine-in";
+      if (order.pickupTime === undefined) order.pickupTime = null;
+      if (order.deliveryAddress === undefined) order.deliveryAddress = "";
+      if (order.driver === undefined) order.driver = "";
+    }
+  },
+};
@@ -0,0 +1,24 @@
+/**
+ * Migration 10: split bills and tenders. Existing receipts were paid in full
+ * with one method, so each becomes a single tender and its order is paid.
+ */
+
+module.exports = {
+  version: 10,
+  description: "Add split bills and payment tenders",
+  up(state) {
+    const paid = new Map();
+    for (const receipt of state.receipts || []) {
+      if (!Array.isArray(receipt.tenders)) {
+        receipt.tenders = [{ method: receipt.paymentMethod || "other", amount: receipt.amount || 0 }];
+      }
+      if (receipt.splitId === undefined) receipt.splitId = null;
+      if (receipt.label === undefined) receipt.label = "";
+      paid.set(receipt.orderId, (paid.get(receipt.orderId) || 0) + (receipt.amount || 0));
+    }
+    for (const order of state.orders || []) {
+      if (order.splits === undefined) order.splits = [];
+      if (order.paidTotal === undefined) order.paidTotal = Math.round((paid.get(order.id) || 0) * 100) / 100;
+    }
+  },
+};
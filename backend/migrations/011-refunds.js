@@ -0,0 +1,22 @@
+/**
+ * Migration 11: refunds and line voids. Every existing receipt was a payment
+ * and nothing has been refunded; refunds need no approval until a limit is set.
+ */
+
+module.exports = {
+  version: 11,
+  description: "Add refunds, line voids and the refund approval limit",
+  up(state) {
+    const settings = state.settings || (state.settings = {});
+    if (settings.refundApprovalAbove === undefined) settings.refundApprovalAbove = null;
+    for (const receipt of state.receipts || []) {
+      if (receipt.kind === undefined) receipt.kind = "payment";
+    }
+    for (const order of state.orders || []) {
+      if (order.refundedTotal === undefined) order.refundedTotal = 0;
+      for (const line of order.items || []) {
+        if (line.voidedQty === undefined) line.voidedQty = 0;
+      }
+    }
+  },
+};
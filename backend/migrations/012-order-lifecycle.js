@@ -0,0 +1,49 @@
+/**
+ * Migration 12: the order lifecycle. Done orders become ready and handed over
+ * at doneAt, and every order gets the history its timestamps already record.
+ * Archive files aren't migrated; archive.js upgrades their orders as it reads them.
+ */
+
+// Frozen copies of the orderStatus defaults and legacy upgrade as of this migration
+const DEFAULT_TRANSITIONS = {
+  new: ["preparing", "cancelled"],
+  preparing: ["ready", "cancelled"],
+  ready: ["served", "picked-up", "preparing", "cancelled"],
+};
+
+const STATUS_TIMESTAMPS = {
+  preparing: "preparingAt",
+  ready: "readyAt",
+  served: "servedAt",
+  "picked-up": "pickedUpAt",
+  cancelled: "cancelledAt",
+};
+
+function upgradeLegacyOrder(order) {
+  if (Array.isArray(order.statusHistory)) return;
+  if (order.status === "done") {
+    const at = order.doneAt || order.createdAt;
+    order.status = order.type === "takeaway" || order.type === "delivery" ? "picked-up" : "served";
+    order.readyAt = at;
+    order[STATUS_TIMESTAMPS[order.status]] = at;
+    order.closedAt = at;
+  }
+  delete order.doneAt;
+  for (const field of ["acknowledgedAt", "closedAt", ...Object.values(STATUS_TIMESTAMPS)]) {
+    if (order[field] === undefined) order[field] = null;
+  }
+  order.statusHistory = [{ status: "new", at: order.createdAt, by: order.createdByUsername || null }];
+  for (const [status, field] of Object.entries(STATUS_TIMESTAMPS)) {
+    if (order[field]) order.statusHistory.push({ status, at: order[field], by: null });
+  }
+}
+
+module.exports = {
+  version: 12,
+  description: "Add the order lifecycle with ready, served, picked-up and cancelled states",
+  up(state) {
+    const settings = state.settings || (state.settings = {});
+    if (!settings.statusTransitions) settings.statusTransitions = JSON.parse(JSON.stringify(DEFAULT_TRANSITIONS));
+    for (const order of state.orders || []) upgradeLegacyOrder(order);
+  },
+};
@@ -0,0 +1,55 @@
+/**
+ * Migration 13: ticket and receipt numbers. Existing orders are numbered per
+ * business day in the order they were placed, and existing payment receipts
+ * get the first receipt numbers in the order they were taken.
+ */
+
+// Frozen copies of the tickets defaults and numbering as of this migration
+const DEFAULT_DAY_START = "00:00";
+const DAY_START_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function businessDay(date, settings) {
+  const match = DAY_START_RE.exec(settings?.businessDayStartsAt || DEFAULT_DAY_START);
+  const startMinutes = match ? Number(match[1]) * 60 + Number(match[2]) : 0;
+  const d = new Date(new Date(date).getTime() - startMinutes * 60000);
+  const pad = n => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function nextTicketNumber(state, at) {
+  const c = state.counters;
+  const day = businessDay(at, state.settings);
+  if (c.businessDay !== day) {
+    c.businessDay = day;
+    c.lastTicketNumber = 0;
+  }
+  c.lastTicketNumber++;
+  return { businessDay: day, ticketNumber: c.lastTicketNumber };
+}
+
+function nextReceiptNumber(state) {
+  state.counters.lastReceiptNumber++;
+  return state.counters.lastReceiptNumber;
+}
+
+const byCreatedAt = (a, b) => String(a.createdAt).localeCompare(String(b.createdAt));
+
+module.exports = {
+  version: 13,
+  description: "Add daily ticket numbers and gapless receipt numbers",
+  up(state) {
+    const settings = state.settings || (state.settings = {});
+    if (!settings.businessDayStartsAt) settings.businessDayStartsAt = DEFAULT_DAY_START;
+    if (!state.counters) state.counters = { businessDay: null, lastTicketNumber: 0, lastReceiptNumber: 0 };
+
+    for (const order of (state.orders || []).slice().sort(byCreatedAt)) {
+      if (order.ticketNumber) continue;
+      Object.assign(order, nextTicketNumber(state, order.createdAt));
+    }
+    for (const receipt of (state.receipts || []).slice().sort(byCreatedAt)) {
+      if (receipt.receiptNumber === undefined) {
+        receipt.receiptNumber = receipt.kind === "refund" ? null : nextReceiptNumber(state);
+      }
+    }
+  },
+};
@@ -0,0 +1,16 @@
+/**
+ * Migration 14: held carts, parked on one terminal and resumed on any.
+ */
+
+// heldCarts.DEFAULT_HOLD_MINUTES as of this migration
+const DEFAULT_HOLD_MINUTES = 120;
+
+module.exports = {
+  version: 14,
+  description: "Add held carts",
+  up(state) {
+    const settings = state.settings || (state.settings = {});
+    if (!settings.heldCartMinutes) settings.heldCartMinutes = DEFAULT_HOLD_MINUTES;
+    if (!Array.isArray(state.heldCarts)) state.heldCarts = [];
+  },
+};
@@ -0,0 +1,17 @@
+/**
+ * Migration 15: open tabs. Every existing order has had a single round.
+ */
+
+module.exports = {
+  version: 15,
+  description: "Add rounds to orders for open tabs",
+  up(state) {
+    for (const order of state.orders || []) {
+      if (Array.isArray(order.rounds)) continue;
+      order.round = 1;
+      order.rounds = [{ number: 1, at: order.createdAt, by: order.createdByUsername || null }];
+      order.kitchenRound = 1;
+      for (const line of order.items || []) line.round = 1;
+    }
+  },
+};
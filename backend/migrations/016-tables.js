@@ -0,0 +1,16 @@
+/**
+ * Migration 16: areas and tables for the floor plan. Existing orders keep
+ * their free-text table number and aren't linked to a table.
+ */
+
+module.exports = {
+  version: 16,
+  description: "Add areas and tables",
+  up(state) {
+    if (!Array.isArray(state.areas)) state.areas = [];
+    if (!Array.isArray(state.tables)) state.tables = [];
+    for (const order of state.orders || []) {
+      if (order.tableId === undefined) order.tableId = null;
+    }
+  },
+};
@@ -0,0 +1,20 @@
+/**
+ * Migration 17: scheduled orders. Every existing order went to the kitchen
+ * when it was placed.
+ */
+
+// schedule.DEFAULT_LEAD_MINUTES as of this migration
+const DEFAULT_LEAD_MINUTES = 30;
+
+module.exports = {
+  version: 17,
+  description: "Add scheduled orders",
+  up(state) {
+    const settings = state.settings || (state.settings = {});
+    if (settings.scheduleLeadMinutes === undefined) settings.scheduleLeadMinutes = DEFAULT_LEAD_MINUTES;
+    for (const order of state.orders || []) {
+      if (order.scheduledFor === undefined) order.scheduledFor = null;
+      if (order.firedAt === undefined) order.firedAt = order.createdAt;
+    }
+  },
+};
@@ -0,0 +1,28 @@
+/**
+ * Migration 18: course firing. Every course on an existing order went to the
+ * kitchen with it.
+ */
+
+// Frozen copy of courses.coursesOf as of this migration
+const COURSES = ["starter", "main", "dessert"];
+const DEFAULT_COURSE = "main";
+
+function coursesOf(lines) {
+  const present = new Set((lines || [])
+    .filter(line => line.qty - (line.voidedQty || 0) > 0)
+    .map(line => line.course || DEFAULT_COURSE));
+  return COURSES.filter(c => present.has(c));
+}
+
+module.exports = {
+  version: 18,
+  description: "Add fired courses to orders",
+  up(state) {
+    for (const order of state.orders || []) {
+      if (order.firedCourses) continue;
+      order.firedCourses = {};
+      if (!order.firedAt) continue;
+      for (const course of coursesOf(order.items)) order.firedCourses[course] = { at: order.firedAt, by: null };
+    }
+  },
+};
@@ -0,0 +1,15 @@
+/**
+ * Migration 19: cash drawer sessions. Receipts from before them don't belong
+ * to any drawer.
+ */
+
+module.exports = {
+  version: 19,
+  description: "Add cash drawer sessions",
+  up(state) {
+    if (!Array.isArray(state.drawerSessions)) state.drawerSessions = [];
+    for (const receipt of state.receipts || []) {
+      if (receipt.drawerSessionId === undefined) receipt.drawerSessionId = null;
+    }
+  },
+};
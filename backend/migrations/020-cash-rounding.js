@@ -0,0 +1,17 @@
+/**
+ * Migration 20: cash rounding. Dirham cash is rounded to the nearest 0.25;
+ * other currencies start without rounding. Existing cash tenders weren't
+ * rounded and have no tendered amount or change.
+ */
+
+module.exports = {
+  version: 20,
+  description: "Add the cash rounding rule",
+  up(state) {
+    if (!state.settings) return;
+    if (!state.settings.cashRounding) {
+      const currency = state.settings.currency || "AED";
+      state.settings.cashRounding = { step: currency === "AED" ? 0.25 : 0, mode: "nearest" };
+    }
+  },
+};
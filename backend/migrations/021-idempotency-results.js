@@ -0,0 +1,13 @@
+/**
+ * Migration 21: results of events sent with an idempotencyKey are kept in the
+ * state, so retries are recognised after a restart. Results from before were
+ * only held in memory and are gone.
+ */
+
+module.exports = {
+  version: 21,
+  description: "Persist idempotency results",
+  up(state) {
+    if (!Array.isArray(state.idempotency)) state.idempotency = [];
+  },
+};
@@ -0,0 +1,76 @@
+/**
+ * Schema Migration Runner for Siam Smile POS
+ *
+ * Each file named `NNN-description.js` in this directory exports
+ * `{ version, description, up(state) }`. Migrations newer than `state.version`
+ * run in ascending order, each bumping `state.version` when it completes.
+ * Migrations never require application modules: a later change to those would
+ * change what an already-released migration does. Each keeps a frozen copy of
+ * the helpers and defaults it needs.
+ *
+ * Only the state is migrated. Archive files (see archive.js) keep orders in
+ * the shape they had when they were archived, and readers of archived orders
+ * must cope with older shapes.
+ *
+ * up() may return a list of notes on records it changed in ways an admin
+ * should know about; they are printed and kept in the audit log entry.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { newId } = require("../utils");
+
+const MIGRATIONS = fs.readdirSync(__dirname)
+  .filter(file => /^\d+-.+\.js$/.test(file))
+  .sort()
+  .map(file => require(path.join(__dirname, file)))
+  .sort((a, b) => a.version - b.version);
+
+const LATEST_VERSION = MIGRATIONS.length > 0 ? MIGRATIONS[MIGRATIONS.length - 1].version : 1;
+
+/**
+ * Bring a state up to LATEST_VERSION
+ * @param {Object} state - State to migrate in place
+ * @param {Object} [options]
+ * @param {function(Object, string): void} [options.backup] - Called once before the first migration runs
+ * @returns {Array} Migrations that were applied
+ */
+function runMigrations(state, { backup } = {}) {
+  const current = Number(state.version) || 1;
+  if (current > LATEST_VERSION) {
+    throw new Error(
+      `Data is at schema version ${current} but this server only supports up to version ${LATEST_VERSION}. ` +
+      `Refusing to start; upgrade the server or restore an older backup.`
+    );
+  }
+
+  const pending = MIGRATIONS.filter(m => m.version > current);
+  if (pending.length === 0) return [];
+
+  if (backup) backup(state, `pre-migrate-v${current}`);
+
+  for (const migration of pending) {
+    const changes = migration.up(state) || [];
+    state.version = migration.version;
+    console.log(`[Migrate] v${migration.version}: ${migration.description}`);
+    for (const change of changes) console.log(`[Migrate]   ${change}`);
+    if (Array.isArray(state.logs)) {
+      state.logs.unshift({
+        id: newId(),
+        ts: new Date().toISOString(),
+        type: "system:migrate",
+        payload: {
+          version: migration.version,
+          description: migration.description,
+          ...(changes.length > 0 ? { changes } : {}),
+        },
+      });
+    }
+  }
+  return pending;
+}
+
+module.exports = {
+  LATEST_VERSION,
+  runMigrations,
+};
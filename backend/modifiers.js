@@ -0,0 +1,126 @@
+/**
+ * Menu Modifiers for Siam Smile POS
+ * Option groups on menu items ("Spice: mild/medium/Thai hot", "Add-ons: egg +3")
+ * and the choices a cashier makes for an order line: options, a note for the
+ * kitchen, a seat number and a course.
+ *
+ * A group allows between `min` and `max` choices; a group with min 1 and max 1
+ * is a required single choice. Each option adds its priceDelta (which may be
+ * negative) to the item's price.
+ */
+
+const { newId } = require("./utils");
+const { assert, requireString, requireNumber } = require("./validators");
+
+// Courses in the order the kitchen serves them
+const COURSES = ["starter", "main", "dessert"];
+const DEFAULT_COURSE = "main";
+const MAX_LINE_NOTE = 200;
+
+// ============================================
+// Menu Item Option Groups
+// ============================================
+
+function requireCount(v, field) {
+  const n = requireNumber(v, field);
+  assert(Number.isInteger(n) && n >= 0, `${field} must be a whole number`);
+  return n;
+}
+
+/**
+ * Validate option groups from the admin menu editor, assigning ids to new groups and options
+ * @param {Array} groups - [{ id?, name, min, max, options: [{ id?, name, priceDelta }] }]
+ * @returns {Array<{id, name, min, max, options}>}
+ */
+function normalizeOptionGroups(groups) {
+  if (groups === undefined || groups === null) return [];
+  assert(Array.isArray(groups), "optionGroups must be a list");
+  return groups.map(g => {
+    requireString(g?.name, "Option group name");
+    assert(Array.isArray(g.options) && g.options.length > 0, `"${g.name}" needs at least one option`);
+    const options = g.options.map(o => {
+      requireString(o?.name, "Option name");
+      return {
+        id: o.id || newId(),
+        name: o.name,
+        priceDelta: o.priceDelta === undefined || o.priceDelta === "" ? 0 : requireNumber(o.priceDelta, "priceDelta"),
+      };
+    });
+    const min = requireCount(g.min ?? 0, "min");
+    const max = requireCount(g.max ?? 1, "max");
+    assert(max >= 1 && max >= min, `"${g.name}": max must be at least 1 and not below min`);
+    assert(min <= options.length, `"${g.name}": min is more than the number of options`);
+    return { id: g.id || newId(), name: g.name, min, max: Math.min(max, options.length), options };
+  });
+}
+
+// ============================================
+// Order Line Choices
+// ============================================
+
+/**
+ * Check a line's chosen options against the item's groups and snapshot them
+ * @param {Object} menuItem - Menu item with optionGroups
+ * @param {Array<string>} [optionIds] - Chosen option ids
+ * @returns {{ options: Array<{groupId, groupName, optionId, name, priceDelta}>, priceDelta: number }}
+ */
+function resolveOptions(menuItem, optionIds = []) {
+  assert(Array.isArray(optionIds), "options must be a list");
+  const chosen = new Set(optionIds);
+  assert(chosen.size === optionIds.length, "An option was chosen twice");
+
+  const options = [];
+  for (const group of menuItem.optionGroups || []) {
+    const picked = group.options.filter(o => chosen.has(o.id));
+    assert(picked.length >= group.min, `${menuItem.name}: choose at least ${group.min} for "${group.name}"`);
+    assert(picked.length <= group.max, `${menuItem.name}: choose at most ${group.max} for "${group.name}"`);
+    for (const o of picked) {
+      chosen.delete(o.id);
+      options.push({ groupId: group.id, groupName: group.name, optionId: o.id, name: o.name, priceDelta: o.priceDelta });
+    }
+  }
+  assert(chosen.size === 0, `${menuItem.name}: unknown option`);
+
+  return { options, priceDelta: options.reduce((s, o) => s + o.priceDelta, 0) };
+}
+
+/**
+ * Whether a line was sold with exactly these options
+ * @param {Object} line - Order line with snapshotted options
+ * @param {Array<string>} [optionIds] - Option ids to compare with
+ * @returns {boolean}
+ */
+function sameOptions(line, optionIds = []) {
+  const ids = (line.options || []).map(o => o.optionId);
+  return ids.length === optionIds.length && optionIds.every(id => ids.includes(id));
+}
+
+/**
+ * Validate a line's note, seat and course
+ * @param {Object} line - Requested line ({ note, seat, course })
+ * @returns {{ note: string, seat: number|null, course: string }}
+ */
+function lineDetails(line) {
+  const note = line?.note === undefined || line.note === null ? "" : String(line.note).trim();
+  assert(note.length <= MAX_LINE_NOTE, `Line note must be at most ${MAX_LINE_NOTE} characters`);
+
+  let seat = null;
+  if (line?.seat !== undefined && line.seat !== null && line.seat !== "") {
+    seat = requireNumber(line.seat, "seat");
+    assert(Number.isInteger(seat) && seat >= 1 && seat <= 99, "seat must be a whole number from 1 to 99");
+  }
+
+  const course = line?.course || DEFAULT_COURSE;
+  assert(COURSES.includes(course), `course must be one of: ${COURSES.join(", ")}`);
+
+  return { note, seat, course };
+}
+
+module.exports = {
+  COURSES,
+  DEFAULT_COURSE,
+  normalizeOptionGroups,
+  resolveOptions,
+  sameOptions,
+  lineDetails,
+};
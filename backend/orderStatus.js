@@ -0,0 +1,199 @@
+/**
+ * Order Lifecycle for Siam Smile POS
+ * The states an order moves through and which moves are allowed.
+ *
+ *   new        sent to the kitchen
+ *   preparing  the kitchen has started on it
+ *   ready      the kitchen has finished it
+ *   served     brought to the table (dine-in)
+ *   picked-up  collected by the customer or driver (takeaway, delivery)
+ *   cancelled  will not be made or handed over
+ *
+ * served, picked-up and cancelled are closed: nothing moves on from them.
+ * settings.statusTransitions maps each open state to the states it may move
+ * to; served is only ever reached by dine-in orders and picked-up by the
+ * others. Every change stamps its own time on the order (readyAt, servedAt...)
+ * and is added to order.statusHistory.
+ */
+
+const { assert } = require("./validators");
+
+const ORDER_STATUSES = ["new", "preparing", "ready", "served", "picked-up", "cancelled"];
+const CLOSED_STATUSES = ["served", "picked-up", "cancelled"];
+
+const DEFAULT_TRANSITIONS = {
+  new: ["preparing", "cancelled"],
+  preparing: ["ready", "cancelled"],
+  ready: ["served", "picked-up", "preparing", "cancelled"],
+};
+
+const STATUS_TIMESTAMPS = {
+  preparing: "preparingAt",
+  ready: "readyAt",
+  served: "servedAt",
+  "picked-up": "pickedUpAt",
+  cancelled: "cancelledAt",
+};
+
+// ============================================
+// Helper Functions
+// ============================================
+
+function isClosed(status) {
+  return CLOSED_STATUSES.includes(status);
+}
+
+/**
+ * The state that hands an order of this type over
+ */
+function handoverStatus(type) {
+  return type === "takeaway" || type === "delivery" ? "picked-up" : "served";
+}
+
+/**
+ * Whether the kitchen has finished the order and it wasn't cancelled
+ * @param {Object} order
+ * @returns {boolean}
+ */
+function isFulfilled(order) {
+  return !!order.readyAt && order.status !== "cancelled";
+}
+
+/**
+ * Seconds from the order reaching the kitchen to the kitchen marking it ready.
+ * Scheduled orders reach the kitchen when they are fired.
+ * @param {Object} order
+ * @returns {number|null}
+ */
+function prepSeconds(order) {
+  const sentAt = order.firedAt || order.createdAt;
+  if (!order.readyAt || !sentAt) return null;
+  return Math.round((new Date(order.readyAt).getTime() - new Date(sentAt).getTime()) / 1000);
+}
+
+// ============================================
+// Transitions
+// ============================================
+
+/**
+ * States an order may move to next
+ * @param {Object} settings - Application settings
+ * @param {Object} order
+ * @returns {Array<string>}
+ */
+function nextStatuses(settings, order) {
+  const transitions = settings?.statusTransitions || DEFAULT_TRANSITIONS;
+  const handover = handoverStatus(order.type);
+  return (transitions[order.status] || [])
+    .filter(s => s === handover || (s !== "served" && s !== "picked-up"));
+}
+
+/**
+ * Check that an order may move to a state
+ * @param {Object} settings - Application settings
+ * @param {Object} order
+ * @param {string} status - Target state
+ */
+function assertTransition(settings, order, status) {
+  assert(ORDER_STATUSES.includes(status), `status must be one of: ${ORDER_STATUSES.join(", ")}`);
+  assert(order.status !== status, `Order is already ${status}`);
+  assert(!isClosed(order.status), `Order is ${order.status} and can't change any more`);
+  if (status === "served" || status === "picked-up") {
+    assert(status === handoverStatus(order.type), `${order.type} orders are ${handoverStatus(order.type)}, not ${status}`);
+  }
+  assert(nextStatuses(settings, order).includes(status), `A ${order.status} order can't move to ${status}`);
+}
+
+/**
+ * Move an order to a state, stamping the time. Handing an order over marks it
+ * ready too if the flow skipped that state.
+ * @param {Object} order - Order (mutated in place)
+ * @param {string} status - Target state, already checked with assertTransition
+ * @param {Object} meta - { at: ISO time, by: username }
+ */
+function applyStatus(order, status, { at, by }) {
+  if (order.status === "new" && !order.acknowledgedAt) order.acknowledgedAt = at;
+  if ((status === "served" || status === "picked-up") && !order.readyAt) order.readyAt = at;
+  const field = STATUS_TIMESTAMPS[status];
+  if (field && !order[field]) order[field] = at;
+  if (isClosed(status)) order.closedAt = at;
+  order.status = status;
+  if (!Array.isArray(order.statusHistory)) order.statusHistory = [];
+  order.statusHistory.push({ status, at, by: by || null });
+}
+
+/**
+ * Bring an order saved before the lifecycle up to date. "done" meant the
+ * kitchen had finished, so the order became ready and was handed over at doneAt.
+ * @param {Object} order - Order (mutated in place)
+ * @returns {Object} The order
+ */
+function upgradeLegacyOrder(order) {
+  if (Array.isArray(order.statusHistory)) return order;
+  if (order.status === "done") {
+    const at = order.doneAt || order.createdAt;
+    order.status = handoverStatus(order.type);
+    order.readyAt = at;
+    order[STATUS_TIMESTAMPS[order.status]] = at;
+    order.closedAt = at;
+  }
+  delete order.doneAt;
+  for (const field of ["acknowledgedAt", "closedAt", ...Object.values(STATUS_TIMESTAMPS)]) {
+    if (order[field] === undefined) order[field] = null;
+  }
+  order.statusHistory = [{ status: "new", at: order.createdAt, by: order.createdByUsername || null }];
+  for (const [status, field] of Object.entries(STATUS_TIMESTAMPS)) {
+    if (order[field]) order.statusHistory.push({ status, at: order[field], by: null });
+  }
+  return order;
+}
+
+/**
+ * Validate the transition table from the admin settings panel
+ * @param {Object} input - { [openState]: [targetStates] }
+ * @returns {Object} Transitions for every open state
+ */
+function normalizeTransitions(input) {
+  assert(input && typeof input === "object" && !Array.isArray(input), "statusTransitions must be an object");
+  const result = {};
+  for (const from of ORDER_STATUSES.filter(s => !isClosed(s))) {
+    const targets = input[from] || [];
+    assert(Array.isArray(targets), `Transitions from ${from} must be a list`);
+    for (const to of targets) {
+      assert(ORDER_STATUSES.includes(to), `Unknown order state "${to}"`);
+      assert(to !== from, `${from} can't move to itself`);
+      assert(to !== "new", "Orders can't move back to new");
+    }
+    result[from] = ORDER_STATUSES.filter(s => targets.includes(s));
+  }
+
+  // Every open order must still be able to be handed over
+  const reachesEnd = (from, type, seen = new Set()) => {
+    if (from === handoverStatus(type)) return true;
+    if (isClosed(from) || seen.has(from)) return false;
+    seen.add(from);
+    return nextStatuses({ statusTransitions: result }, { status: from, type }).some(to => reachesEnd(to, type, seen));
+  };
+  for (const from of Object.keys(result)) {
+    for (const type of ["dine-in", "takeaway"]) {
+      assert(reachesEnd(from, type), `${type} orders that are ${from} could never be handed over`);
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  CLOSED_STATUSES,
+  DEFAULT_TRANSITIONS,
+  STATUS_TIMESTAMPS,
+  isClosed,
+  handoverStatus,
+  isFulfilled,
+  prepSeconds,
+  nextStatuses,
+  assertTransition,
+  applyStatus,
+  upgradeLegacyOrder,
+  normalizeTransitions,
+};
@@ -0,0 +1,96 @@
+/**
+ * Order Types for Siam Smile POS
+ * Dine-in, takeaway and delivery orders, the fields each one requires and
+ * their service charge.
+ *
+ *   dine-in   table number
+ *   takeaway  customer name and pickup time
+ *   delivery  customer name, phone, address and driver
+ *
+ * settings.orderTypes[type].serviceChargePercent overrides the default service
+ * charge for that type; null means the type uses settings.serviceChargePercent.
+ */
+
+const { assert, requireString, requireNumber } = require("./validators");
+
+const ORDER_TYPES = ["dine-in", "takeaway", "delivery"];
+const DEFAULT_ORDER_TYPE = "dine-in";
+
+// ============================================
+// Settings
+// ============================================
+
+/**
+ * Service charge percent for an order type
+ * @param {Object} settings - Application settings
+ * @param {string} [type] - Order type
+ * @returns {number}
+ */
+function serviceChargePercentFor(settings = {}, type = DEFAULT_ORDER_TYPE) {
+  const override = settings.orderTypes?.[type]?.serviceChargePercent;
+  return override === null || override === undefined
+    ? Number(settings.serviceChargePercent) || 0
+    : Number(override) || 0;
+}
+
+/**
+ * Validate per-type settings from the admin settings panel
+ * @param {Object} input - { [type]: { serviceChargePercent: number|null } }
+ * @returns {Object} Settings for every order type
+ */
+function normalizeOrderTypeSettings(input) {
+  assert(input && typeof input === "object" && !Array.isArray(input), "orderTypes must be an object");
+  const result = {};
+  for (const type of ORDER_TYPES) {
+    const value = input[type]?.serviceChargePercent;
+    let serviceChargePercent = null;
+    if (value !== undefined && value !== null && value !== "") {
+      serviceChargePercent = requireNumber(value, `${type} service charge`);
+      assert(serviceChargePercent >= 0 && serviceChargePercent <= 100, "Service charge must be between 0 and 100");
+    }
+    result[type] = { serviceChargePercent };
+  }
+  return result;
+}
+
+// ============================================
+// Orders
+// ============================================
+
+/**
+ * Validate the type of a new order and the fields that type requires
+ * @param {Object} payload - order:create payload
+ * @returns {{ type, customerName, tableNumber, pickupTime, deliveryAddress, driver }}
+ */
+function orderTypeFields(payload) {
+  const type = payload?.type || DEFAULT_ORDER_TYPE;
+  assert(ORDER_TYPES.includes(type), `type must be one of: ${ORDER_TYPES.join(", ")}`);
+  const { customerName, tableNumber, pickupTime, customerPhone, deliveryAddress, driver } = payload;
+
+  const fields = { type, customerName: customerName || "", tableNumber: "", pickupTime: null, deliveryAddress: "", driver: "" };
+  if (type === "dine-in") {
+    requireString(tableNumber, "tableNumber");
+    fields.tableNumber = tableNumber;
+  } else if (type === "takeaway") {
+    requireString(customerName, "customerName");
+    requireString(pickupTime, "pickupTime");
+    assert(Number.isFinite(new Date(pickupTime).getTime()), "pickupTime must be a date and time");
+    fields.pickupTime = new Date(pickupTime).toISOString();
+  } else {
+    requireString(customerName, "customerName");
+    requireString(customerPhone, "customerPhone");
+    requireString(deliveryAddress, "deliveryAddress");
+    requireString(driver, "driver");
+    fields.deliveryAddress = deliveryAddress;
+    fields.driver = driver;
+  }
+  return fields;
+}
+
+module.exports = {
+  ORDER_TYPES,
+  DEFAULT_ORDER_TYPE,
+  serviceChargePercentFor,
+  normalizeOrderTypeSettings,
+  orderTypeFields,
+};
@@ -0,0 +1,262 @@
+/**
+ * Payments for Siam Smile POS
+ * Split bills and the tenders that pay them.
+ *
+ * An order can be split three ways, each split paid by its own receipt:
+ *   equal  N equal shares of the total
+ *   seat   one share per seat; lines without a seat are shared equally
+ *   items  one share per group of lines, chosen by the cashier
+ * Share amounts are the order total spread in proportion to the lines each
+ * share covers, so discount, service charge and tax are shared the same way.
+ * The rounding remainder goes to the largest share.
+ *
+ * A receipt is paid with one or more tenders ({ method, amount }), e.g. part
+ * cash and part card. A split must be paid in full by one receipt; an order
+ * that isn't split can be paid in several partial receipts.
+ *
+ * Cash is rounded to the smallest coin in use (settings.cashRounding, e.g.
+ * { step: 0.25, mode: "nearest" } for dirhams). A cash tender keeps the part
+ * of the bill it pays as its amount and adds the rounding, what was tendered
+ * and the change:
+ *
+ *   { method: "cash", amount: 33.33, rounding: -0.08, tendered: 50, change: 16.75 }
+ */
+
+const { assert, requireNumber } = require("./validators");
+const { newId } = require("./utils");
+const { roundMoney } = require("./pricing");
+
+const PAYMENT_METHODS = ["cash", "card", "other"];
+const SPLIT_MODES = ["equal", "seat", "items"];
+const CASH_ROUNDING_STEPS = [0, 0.05, 0.1, 0.25, 0.5, 1];
+const CASH_ROUNDING_MODES = ["nearest", "down", "up"];
+const MAX_SPLITS = 20;
+
+// ============================================
+// Helper Functions
+// ============================================
+
+/**
+ * Spread an amount over weights; the rounding remainder goes to the largest share
+ */
+function allocate(amount, weights) {
+  const totalWeight = weights.reduce((s, w) => s + w, 0);
+  const shares = totalWeight > 0
+    ? weights.map(w => roundMoney((amount * w) / totalWeight))
+    : weights.map(() => roundMoney(amount / weights.length));
+  const remainder = roundMoney(amount - shares.reduce((s, x) => s + x, 0));
+  if (remainder !== 0) {
+    const largest = shares.indexOf(Math.max(...shares));
+    shares[largest] = roundMoney(shares[largest] + remainder);
+  }
+  return shares;
+}
+
+function lineAmount(line) {
+  return line.lineTotal ?? roundMoney(line.price * line.qty);
+}
+
+// ============================================
+// Splits
+// ============================================
+
+/**
+ * Split an order's total
+ * @param {Object} order - Priced order
+ * @param {Object} plan - { mode: "equal", count } | { mode: "seat" } | { mode: "items", groups: [[lineIndex, ...], ...] }
+ * @returns {Array} Splits ({ id, label, lines, amount, receiptId }); lines is null for equal shares
+ */
+function planSplits(order, plan) {
+  const { mode } = plan || {};
+  assert(SPLIT_MODES.includes(mode), `mode must be one of: ${SPLIT_MODES.join(", ")}`);
+  const items = order.items || [];
+  let shares;
+
+  if (mode === "equal") {
+    const count = requireNumber(plan.count, "count");
+    assert(Number.isInteger(count) && count >= 2 && count <= MAX_SPLITS, `count must be a whole number from 2 to ${MAX_SPLITS}`);
+    shares = Array.from({ length: count }, (_, i) => ({ label: `Share ${i + 1} of ${count}`, lines: null, weight: 1 }));
+  } else if (mode === "seat") {
+    const seats = [...new Set(items.map(it => it.seat).filter(Boolean))].sort((a, b) => a - b);
+    assert(seats.length >= 2, "Give at least two seats to split by seat");
+    const unseated = items.map((it, idx) => (it.seat ? null : idx)).filter(idx => idx !== null);
+    const sharedWeight = unseated.reduce((s, idx) => s + lineAmount(items[idx]), 0) / seats.length;
+    shares = seats.map(seat => {
+      const lines = items.map((it, idx) => (it.seat === seat ? idx : null)).filter(idx => idx !== null);
+      return {
+        label: `Seat ${seat}`,
+        lines: [...lines, ...unseated],
+        weight: lines.reduce((s, idx) => s + lineAmount(items[idx]), 0) + sharedWeight,
+      };
+    });
+  } else {
+    const groups = plan.groups;
+    assert(Array.isArray(groups) && groups.length >= 2 && groups.length <= MAX_SPLITS, `groups must be a list of 2 to ${MAX_SPLITS} bills`);
+    const seen = new Set();
+    shares = groups.map((group, i) => {
+      assert(Array.isArray(group) && group.length > 0, `Bill ${i + 1} has no items`);
+      for (const idx of group) {
+        assert(Number.isInteger(idx) && idx >= 0 && idx < items.length, "Unknown order line in split");
+        assert(!seen.has(idx), "A line is in more than one bill");
+        seen.add(idx);
+      }
+      return {
+        label: `Bill ${i + 1}`,
+        lines: group.slice().sort((a, b) => a - b),
+        weight: group.reduce((s, idx) => s + lineAmount(items[idx]), 0),
+      };
+    });
+    assert(seen.size === items.length, "Every line must be in a bill");
+  }
+
+  const amounts = allocate(Number(order.total) || 0, shares.map(s => s.weight));
+  return shares.map((s, i) => ({ id: newId(), label: s.label, lines: s.lines, amount: amounts[i], receiptId: null }));
+}
+
+// ============================================
+// Tenders
+// ============================================
+
+/**
+ * Amount still to pay on an order
+ * @param {Object} order
+ * @returns {number}
+ */
+function balanceDue(order) {
+  return Math.max(0, roundMoney((Number(order.total) || 0) - (Number(order.paidTotal) || 0)));
+}
+
+/**
+ * What a new receipt for an order must pay
+ * @param {Object} order
+ * @param {string} [splitId] - Split being paid; required once the order is split
+ * @returns {{ split: Object|null, amount: number, exact: boolean }} exact is false when a partial payment is allowed
+ */
+function amountDue(order, splitId) {
+  const splits = order.splits || [];
+  if (splits.length > 0) {
+    assert(splitId, "Choose which split to pay");
+    const split = splits.find(s => s.id === splitId);
+    assert(split, "Split not found");
+    assert(!split.receiptId, `${split.label} is already paid`);
+    return { split, amount: split.amount, exact: true };
+  }
+  assert(!splitId, "Order is not split");
+  const amount = balanceDue(order);
+  assert(amount > 0, "Order is already paid");
+  return { split: null, amount, exact: false };
+}
+
+// ============================================
+// Cash Rounding
+// ============================================
+
+/**
+ * Validate the cash rounding rule from the settings panel
+ * @param {*} input - { step, mode }
+ * @returns {{ step: number, mode: string }}
+ */
+function normalizeCashRounding(input) {
+  assert(input && typeof input === "object", "cashRounding is required");
+  const step = requireNumber(input.step, "cashRounding.step");
+  assert(CASH_ROUNDING_STEPS.includes(step), `The cash rounding step must be one of: ${CASH_ROUNDING_STEPS.join(", ")}`);
+  const mode = input.mode || "nearest";
+  assert(CASH_ROUNDING_MODES.includes(mode), `The cash rounding mode must be one of: ${CASH_ROUNDING_MODES.join(", ")}`);
+  return { step, mode };
+}
+
+/**
+ * Amount of cash that changes hands for a bill amount
+ * @param {number} amount - Positive amount
+ * @param {Object} [rule] - settings.cashRounding; no rounding without one
+ * @returns {number}
+ */
+function roundCash(amount, rule) {
+  const stepCents = Math.round((Number(rule?.step) || 0) * 100);
+  if (stepCents <= 0) return roundMoney(amount);
+  const units = Math.round(amount * 100) / stepCents;
+  const round = rule.mode === "down" ? Math.floor : rule.mode === "up" ? Math.ceil : Math.round;
+  return roundMoney((round(units + (rule.mode === "up" ? -1e-9 : 1e-9)) * stepCents) / 100);
+}
+
+/**
+ * Rounding adjustment for paying an amount in cash
+ * @param {number} amount - Positive amount
+ * @param {Object} [rule] - settings.cashRounding
+ * @returns {number} Positive when the customer pays more than the amount
+ */
+function cashRounding(amount, rule) {
+  return roundMoney(roundCash(amount, rule) - amount);
+}
+
+/**
+ * Money that changed hands for a tender: its amount plus any cash rounding
+ * @param {Object} tender
+ * @returns {number}
+ */
+function tenderNet(tender) {
+  return roundMoney((Number(tender.amount) || 0) + (Number(tender.rounding) || 0));
+}
+
+// ============================================
+// Tenders
+// ============================================
+
+/**
+ * Validate the tenders of a payment, rounding cash ones and working out the
+ * change from what was tendered
+ * @param {Array} tenders - [{ method, amount, tendered }]; tendered is for cash, and defaults to the exact amount
+ * @param {{ amount: number, exact: boolean }} due - From amountDue
+ * @param {Object} [rule] - settings.cashRounding
+ * @returns {{ tenders: Array, amount: number, rounding: number }}
+ */
+function normalizeTenders(tenders, due, rule) {
+  assert(Array.isArray(tenders) && tenders.length > 0, "At least one tender is required");
+  const result = tenders.map(t => {
+    assert(PAYMENT_METHODS.includes(t?.method), "Invalid payment method");
+    const amount = roundMoney(requireNumber(t.amount, "Tender amount"));
+    assert(amount > 0, "Tender amounts must be more than zero");
+    if (t.method !== "cash") return { method: t.method, amount };
+
+    const rounding = cashRounding(amount, rule);
+    const owed = roundMoney(amount + rounding);
+    const tendered = t.tendered === undefined || t.tendered === null || t.tendered === ""
+      ? owed
+      : roundMoney(requireNumber(t.tendered, "Tendered amount"));
+    assert(tendered >= owed, `${owed.toFixed(2)} cash is due; ${tendered.toFixed(2)} was tendered`);
+    return { method: t.method, amount, rounding, tendered, change: roundMoney(tendered - owed) };
+  });
+  const amount = roundMoney(result.reduce((s, t) => s + t.amount, 0));
+  if (due.exact) {
+    assert(amount === due.amount, `Tenders must add up to ${due.amount.toFixed(2)}`);
+  } else {
+    assert(amount <= due.amount, `Tenders are more than the ${due.amount.toFixed(2)} due`);
+  }
+  const rounding = roundMoney(result.reduce((s, t) => s + (t.rounding || 0), 0));
+  return { tenders: result, amount, rounding };
+}
+
+/**
+ * Tenders of a receipt; receipts from before split payments had a single method
+ * @param {Object} receipt
+ * @returns {Array} [{ method, amount }]
+ */
+function receiptTenders(receipt) {
+  if (Array.isArray(receipt?.tenders)) return receipt.tenders;
+  return receipt?.paymentMethod ? [{ method: receipt.paymentMethod, amount: receipt.amount || 0 }] : [];
+}
+
+module.exports = {
+  PAYMENT_METHODS,
+  SPLIT_MODES,
+  CASH_ROUNDING_MODES,
+  planSplits,
+  balanceDue,
+  amountDue,
+  normalizeCashRounding,
+  roundCash,
+  cashRounding,
+  tenderNet,
+  normalizeTenders,
+  receiptTenders,
+};
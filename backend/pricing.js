@@ -0,0 +1,220 @@
+/**
+ * Pricing Engine for Siam Smile POS
+ * The single place where order money is computed. Used by order creation,
+ * order updates, receipts and the cashier's live quote ("order:quote").
+ *
+ * Every line carries the tax class it was sold under (item class, else its
+ * category's class, else the default class). Menu prices are either tax
+ * exclusive or tax inclusive (settings.pricesIncludeTax).
+ *
+ * Calculation order and rounding rules (all amounts in the settings currency):
+ *   1. Line total     = (price + option price deltas) x qty, rounded to 2 decimals per line
+ *   2. Subtotal       = sum of line totals
+ *   3. Discount       = promo applied to the subtotal, rounded, never above the subtotal,
+ *                       then spread over the lines in proportion to their totals
+ *   4. Service charge = the order type's service charge percent of (subtotal - discount),
+ *                       rounded; it is taxed under the default tax class
+ *   5. Tax per class  = exclusive: percent of the class's discounted amount, rounded
+ *                       inclusive: the part of that amount that is tax, rounded
+ *   6. Total          = subtotal - discount + service charge (+ tax when exclusive)
+ * Rounding is half away from zero. Because every component is rounded before
+ * the total is summed, the printed lines always add up to the printed total.
+ */
+
+const { assert, requireString, requireNumber } = require("./validators");
+const modifiers = require("./modifiers");
+const orderTypes = require("./orderTypes");
+
+// ============================================
+// Helper Functions
+// ============================================
+
+/**
+ * Round a money amount to 2 decimals, half away from zero
+ * @param {number} n - Amount
+ * @returns {number}
+ */
+function roundMoney(n) {
+  const x = Number(n) || 0;
+  return Math.sign(x) * Math.round(Math.abs(x) * 100 + 1e-9) / 100;
+}
+
+function percentOf(amount, percent) {
+  return roundMoney((amount * (Number(percent) || 0)) / 100);
+}
+
+/**
+ * Discount a promo gives on a subtotal
+ * @param {Object|null} promo - { type: "percentage"|"fixed", value, maxDiscount }
+ * @param {number} subtotal - Order subtotal
+ * @returns {number}
+ */
+function calcDiscount(promo, subtotal) {
+  if (!promo) return 0;
+  let discount;
+  if (promo.type === "percentage") {
+    discount = (subtotal * promo.value) / 100;
+    if (promo.maxDiscount && promo.maxDiscount > 0) {
+      discount = Math.min(discount, promo.maxDiscount);
+    }
+  } else {
+    discount = Number(promo.value) || 0;
+  }
+  return roundMoney(Math.max(0, Math.min(discount, subtotal)));
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Tax class a menu item is sold under: its own, else its category's, else the default
+ * @param {Object} settings - Settings with taxClasses and defaultTaxClassId
+ * @param {Object} menuItem - Menu item
+ * @param {Array} categories - Categories
+ * @returns {{ id, name, percent }}
+ */
+function resolveTaxClass(settings, menuItem, categories = []) {
+  const classes = settings.taxClasses || [];
+  const category = categories.find(c => c.id === menuItem?.categoryId);
+  const id = menuItem?.taxClassId || category?.taxClassId || settings.defaultTaxClassId;
+  const taxClass = classes.find(t => t.id === id) || classes.find(t => t.id === settings.defaultTaxClassId);
+  return taxClass
+    ? { id: taxClass.id, name: taxClass.name, percent: Number(taxClass.percent) || 0 }
+    : { id: "none", name: "Tax", percent: 0 };
+}
+
+/**
+ * Rates an order is priced with, taken from the current settings
+ * @param {Object} settings - Application settings
+ * @param {string} [type] - Order type; each type can have its own service charge
+ * @returns {{ pricesIncludeTax, serviceChargePercent, serviceTax }}
+ */
+function pricingSettings(settings = {}, type) {
+  return {
+    pricesIncludeTax: !!settings.pricesIncludeTax,
+    serviceChargePercent: orderTypes.serviceChargePercentFor(settings, type),
+    serviceTax: resolveTaxClass(settings, null),
+  };
+}
+
+/**
+ * Snapshot requested lines from the menu, so later menu edits don't change historical orders
+ * @param {Object} state - Application state (menu, categories, settings)
+ * @param {Array} items - Requested lines ({ itemId, qty, options: [optionId], note, seat, course })
+ * @param {Array} [existing] - Lines already on the order; a line with the same item and
+ *   options keeps its snapshotted price, options and tax class
+ * @returns {Array<{itemId, name, basePrice, options, price, qty, voidedQty, note, seat, course, taxClass}>}
+ */
+function snapshotItems(state, items, existing = []) {
+  assert(Array.isArray(items) && items.length > 0, "Order must have items");
+  return items.map(it => {
+    requireString(it?.itemId, "itemId");
+    const qty = requireNumber(it.qty, "qty");
+    assert(Number.isInteger(qty) && qty > 0, "qty must be a positive whole number");
+    const optionIds = it.options || [];
+    const details = modifiers.lineDetails(it);
+    const previous = existing.find(x => x.itemId === it.itemId && modifiers.sameOptions(x, optionIds));
+    if (previous) {
+      return {
+        itemId: previous.itemId,
+        name: previous.name,
+        basePrice: previous.basePrice ?? previous.price,
+        options: previous.options || [],
+        price: previous.price,
+        qty,
+        voidedQty: 0,
+        ...details,
+        taxClass: previous.taxClass,
+        ...(previous.round ? { round: previous.round } : {}),
+      };
+    }
+    const menuItem = state.menu.find(m => m.id === it.itemId);
+    assert(menuItem, "Menu item missing");
+    const { options, priceDelta } = modifiers.resolveOptions(menuItem, optionIds);
+    return {
+      itemId: menuItem.id,
+      name: menuItem.name,
+      basePrice: menuItem.price,
+      options,
+      price: roundMoney(menuItem.price + priceDelta),
+      qty,
+      voidedQty: 0,
+      ...details,
+      taxClass: resolveTaxClass(state.settings, menuItem, state.categories),
+    };
+  });
+}
+
+/**
+ * Spread a discount over line totals proportionally; the rounding remainder goes to the largest line
+ */
+function allocateDiscount(lineTotals, subtotal, discount) {
+  if (discount === 0 || subtotal === 0) return lineTotals.map(() => 0);
+  const shares = lineTotals.map(t => roundMoney((discount * t) / subtotal));
+  const remainder = roundMoney(discount - shares.reduce((s, x) => s + x, 0));
+  if (remainder !== 0) {
+    const largest = lineTotals.indexOf(Math.max(...lineTotals));
+    shares[largest] = roundMoney(shares[largest] + remainder);
+  }
+  return shares;
+}
+
+/**
+ * Price an order
+ * @param {Object} params
+ * @param {Array} params.items - Snapshotted lines ({ itemId, name, price, qty, taxClass })
+ * @param {Object|null} [params.promo] - Promo definition to apply
+ * @param {Object} params.rates - { pricesIncludeTax, serviceChargePercent, serviceTax } (see pricingSettings)
+ * @returns {{ items, subtotal, discount, serviceChargePercent, serviceCharge, serviceTax, pricesIncludeTax, taxes, tax, total }}
+ */
+function priceOrder({ items, promo = null, rates }) {
+  const lines = items.map(it => ({ ...it, lineTotal: roundMoney(it.price * it.qty) }));
+  const subtotal = roundMoney(lines.reduce((s, x) => s + x.lineTotal, 0));
+  const discount = calcDiscount(promo, subtotal);
+  const lineDiscounts = allocateDiscount(lines.map(x => x.lineTotal), subtotal, discount);
+  const serviceCharge = percentOf(subtotal - discount, rates.serviceChargePercent);
+
+  // Taxable amount per class
+  const byClass = new Map();
+  const addTaxable = (taxClass, amount) => {
+    // A class whose rate changed since a line was sold is reported under both rates
+    const key = `${taxClass?.id || "none"}@${Number(taxClass?.percent) || 0}`;
+    if (!byClass.has(key)) {
+      byClass.set(key, { classId: taxClass?.id || "none", name: taxClass?.name || "Tax", percent: Number(taxClass?.percent) || 0, taxable: 0 });
+    }
+    byClass.get(key).taxable = roundMoney(byClass.get(key).taxable + amount);
+  };
+  lines.forEach((line, i) => addTaxable(line.taxClass, line.lineTotal - lineDiscounts[i]));
+  if (serviceCharge > 0) addTaxable(rates.serviceTax, serviceCharge);
+
+  const taxes = [...byClass.values()].map(t => ({
+    ...t,
+    amount: rates.pricesIncludeTax
+      ? roundMoney((t.taxable * t.percent) / (100 + t.percent))
+      : percentOf(t.taxable, t.percent),
+  }));
+  const tax = roundMoney(taxes.reduce((s, t) => s + t.amount, 0));
+
+  return {
+    items: lines,
+    subtotal,
+    discount,
+    serviceChargePercent: rates.serviceChargePercent,
+    serviceCharge,
+    serviceTax: rates.serviceTax,
+    pricesIncludeTax: rates.pricesIncludeTax,
+    taxes,
+    tax,
+    total: roundMoney(subtotal - discount + serviceCharge + (rates.pricesIncludeTax ? 0 : tax)),
+  };
+}
+
+module.exports = {
+  roundMoney,
+  calcDiscount,
+  resolveTaxClass,
+  pricingSettings,
+  snapshotItems,
+  priceOrder,
+};
@@ -0,0 +1,200 @@
+/**
+ * Refunds for Siam Smile POS
+ * Money given back on paid orders, always with a reason and its own refund
+ * receipt (a receipt with kind "refund" and negative amounts).
+ *
+ *   full    everything paid and not yet refunded; every remaining line is voided
+ *   amount  part of what was paid, without voiding lines
+ *   lines   void some quantity of lines; each refunds the line's share of the
+ *           order total, so its part of discount, service charge and tax too
+ *
+ * Refunds go back to the methods the order was paid with, never more per
+ * method than was paid with it. settings.refundApprovalAbove, when set, is the
+ * amount above which a cashier needs a manager to approve the refund.
+ */
+
+const { assert, requireString, requireNumber } = require("./validators");
+const { roundMoney } = require("./pricing");
+const { PAYMENT_METHODS, receiptTenders } = require("./payments");
+
+const REFUND_MODES = ["full", "amount", "lines"];
+
+// ============================================
+// Helper Functions
+// ============================================
+
+function remainingQty(line) {
+  return line.qty - (line.voidedQty || 0);
+}
+
+/**
+ * A line quantity's share of the order total
+ */
+function lineShare(order, line, qty) {
+  const subtotal = Number(order.subtotal) || 0;
+  if (subtotal <= 0) return 0;
+  return roundMoney((Number(order.total) * line.price * qty) / subtotal);
+}
+
+// ============================================
+// Refunds
+// ============================================
+
+/**
+ * Amount paid on an order that hasn't been refunded yet
+ * @param {Object} order
+ * @returns {number}
+ */
+function refundableAmount(order) {
+  return Math.max(0, roundMoney((Number(order.paidTotal) || 0) - (Number(order.refundedTotal) || 0)));
+}
+
+/**
+ * Work out what a refund gives back
+ * @param {Object} order - Paid order
+ * @param {Object} request - { mode: "full" } | { mode: "amount", amount } | { mode: "lines", lines: [{ index, qty }] }
+ * @returns {{ amount: number, lines: Array, full: boolean }} lines are { index, itemId, name, qty, price, amount }
+ */
+function planRefund(order, request) {
+  const { mode } = request || {};
+  assert(REFUND_MODES.includes(mode), `mode must be one of: ${REFUND_MODES.join(", ")}`);
+  const refundable = refundableAmount(order);
+  const items = order.items || [];
+  const voidLine = (index, qty, amount) => ({
+    index, itemId: items[index].itemId, name: items[index].name, qty, price: items[index].price, amount,
+  });
+
+  if (mode === "full") {
+    assert(refundable > 0, "Nothing left to refund");
+    const open = items.map((line, index) => ({ line, index })).filter(x => remainingQty(x.line) > 0);
+    const weights = open.map(x => lineShare(order, x.line, remainingQty(x.line)));
+    const totalWeight = weights.reduce((s, w) => s + w, 0);
+    const lines = open.map((x, i) => voidLine(
+      x.index,
+      remainingQty(x.line),
+      totalWeight > 0 ? roundMoney((refundable * weights[i]) / totalWeight) : 0
+    ));
+    return { amount: refundable, lines, full: true };
+  }
+
+  if (mode === "amount") {
+    const amount = roundMoney(requireNumber(request.amount, "amount"));
+    assert(amount > 0, "Refund amount must be more than zero");
+    assert(amount <= refundable, `Only ${refundable.toFixed(2)} is left to refund`);
+    return { amount, lines: [], full: false };
+  }
+
+  assert(Array.isArray(request.lines) && request.lines.length > 0, "Choose the lines to void");
+  const voided = new Map();
+  for (const { index, qty } of request.lines) {
+    assert(Number.isInteger(index) && items[index], "Unknown order line");
+    assert(Number.isInteger(qty) && qty > 0, "Void quantity must be a whole number above zero");
+    voided.set(index, (voided.get(index) || 0) + qty);
+  }
+  const lines = [...voided].map(([index, qty]) => {
+    assert(qty <= remainingQty(items[index]), `Only ${remainingQty(items[index])} x ${items[index].name} left to void`);
+    return voidLine(index, qty, lineShare(order, items[index], qty));
+  });
+  const amount = roundMoney(lines.reduce((s, l) => s + l.amount, 0));
+  assert(amount <= refundable, `Only ${refundable.toFixed(2)} is left to refund`);
+  const full = items.every((line, index) => remainingQty(line) === (voided.get(index) || 0));
+  return { amount, lines, full };
+}
+
+/**
+ * Amount paid with each method, net of earlier refunds
+ * @param {Array} receipts - The order's receipts
+ * @returns {Object} { [method]: amount }
+ */
+function paidByMethod(receipts) {
+  const byMethod = {};
+  for (const receipt of receipts) {
+    for (const t of receiptTenders(receipt)) {
+      byMethod[t.method] = roundMoney((byMethod[t.method] || 0) + t.amount);
+    }
+  }
+  return byMethod;
+}
+
+/**
+ * Methods a refund goes back to
+ * @param {Array} receipts - The order's receipts
+ * @param {Array} [tenders] - [{ method, amount }]; by default the largest payments are refunded first
+ * @param {number} amount - Refund amount
+ * @returns {Array} [{ method, amount }] with positive amounts
+ */
+function refundTenders(receipts, tenders, amount) {
+  const available = paidByMethod(receipts);
+  if (amount === 0) return [];
+
+  if (tenders === undefined || tenders === null) {
+    let left = amount;
+    const result = [];
+    for (const [method, paid] of Object.entries(available).sort((a, b) => b[1] - a[1])) {
+      if (left <= 0 || paid <= 0) continue;
+      const take = roundMoney(Math.min(paid, left));
+      result.push({ method, amount: take });
+      left = roundMoney(left - take);
+    }
+    assert(left <= 0, "Refund is more than was paid");
+    return result;
+  }
+
+  assert(Array.isArray(tenders) && tenders.length > 0, "At least one refund tender is required");
+  const used = {};
+  const result = tenders.map(t => {
+    assert(PAYMENT_METHODS.includes(t?.method), "Invalid payment method");
+    const value = roundMoney(requireNumber(t.amount, "Tender amount"));
+    assert(value > 0, "Tender amounts must be more than zero");
+    used[t.method] = roundMoney((used[t.method] || 0) + value);
+    assert(used[t.method] <= (available[t.method] || 0), `Only ${(available[t.method] || 0).toFixed(2)} was paid by ${t.method}`);
+    return { method: t.method, amount: value };
+  });
+  const sum = roundMoney(result.reduce((s, t) => s + t.amount, 0));
+  assert(sum === amount, `Refund tenders must add up to ${amount.toFixed(2)}`);
+  return result;
+}
+
+/**
+ * Whether a refund of this amount needs a manager's approval
+ * @param {Object} settings - Application settings
+ * @param {number} amount - Refund amount
+ * @returns {boolean}
+ */
+function needsApproval(settings, amount) {
+  const limit = settings?.refundApprovalAbove;
+  return limit !== null && limit !== undefined && amount > Number(limit);
+}
+
+/**
+ * Validate the refund approval limit from the settings panel
+ * @param {*} value - Amount, or null/"" for no approval
+ * @returns {number|null}
+ */
+function normalizeApprovalLimit(value) {
+  if (value === null || value === "") return null;
+  const limit = requireNumber(value, "refundApprovalAbove");
+  assert(limit >= 0, "Refund approval limit can't be negative");
+  return limit;
+}
+
+/**
+ * Validate a refund reason
+ * @param {string} reason
+ * @returns {string}
+ */
+function requireReason(reason) {
+  requireString(typeof reason === "string" ? reason.trim() : reason, "reason");
+  return reason.trim().slice(0, 200);
+}
+
+module.exports = {
+  REFUND_MODES,
+  refundableAmount,
+  planRefund,
+  paidByMethod,
+  refundTenders,
+  needsApproval,
+  normalizeApprovalLimit,
+  requireReason,
+};
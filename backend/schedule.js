@@ -0,0 +1,113 @@
+/**
+ * Scheduled Orders for Siam Smile POS
+ * An order can be placed ahead of time with the time it should be ready
+ * (order.scheduledFor), e.g. a pickup at 13:30 or a catering order tomorrow.
+ *
+ * The server holds it back from the kitchen until settings.scheduleLeadMinutes
+ * before it is due, then fires it: order.firedAt is stamped and the kitchen is
+ * sent kitchen:newOrder as for any new order. Orders placed for now, or due
+ * within the lead time, are fired straight away. A held order stays "new"; it
+ * can be fired early or cancelled, but the kitchen can't work on it yet.
+ */
+
+const { assert, requireString, requireNumber } = require("./validators");
+const courses = require("./courses");
+
+const DEFAULT_LEAD_MINUTES = 30;
+const MAX_LEAD_MINUTES = 24 * 60;
+const MAX_DAYS_AHEAD = 30;
+
+// ============================================
+// Helper Functions
+// ============================================
+
+function leadMinutes(settings) {
+  const minutes = Number(settings?.scheduleLeadMinutes);
+  return Number.isFinite(minutes) ? minutes : DEFAULT_LEAD_MINUTES;
+}
+
+/**
+ * When a scheduled order goes to the kitchen
+ * @param {Object} order
+ * @param {Object} settings - Application settings
+ * @returns {string|null} ISO time, or null for orders that aren't scheduled
+ */
+function fireTime(order, settings) {
+  if (!order.scheduledFor) return null;
+  return new Date(new Date(order.scheduledFor).getTime() - leadMinutes(settings) * 60000).toISOString();
+}
+
+/**
+ * Whether the order is scheduled and hasn't gone to the kitchen yet
+ * @param {Object} order
+ * @returns {boolean}
+ */
+function isHeld(order) {
+  return !!order.scheduledFor && !order.firedAt;
+}
+
+// ============================================
+// Scheduling
+// ============================================
+
+/**
+ * Validate the requested ready time of a new order
+ * @param {*} value - ISO time
+ * @param {string} now - ISO time
+ * @returns {string} ISO time
+ */
+function normalizeScheduledFor(value, now) {
+  requireString(value, "scheduledFor");
+  const at = new Date(value).getTime();
+  assert(Number.isFinite(at), "scheduledFor must be a date and time");
+  const from = new Date(now).getTime();
+  assert(at > from, "The ready time has already passed");
+  assert(at <= from + MAX_DAYS_AHEAD * 24 * 3600 * 1000, `Orders can be scheduled up to ${MAX_DAYS_AHEAD} days ahead`);
+  return new Date(at).toISOString();
+}
+
+/**
+ * Send a held order to the kitchen, with its first course
+ * @param {Object} order - Order (mutated in place)
+ * @param {string} at - ISO time
+ * @param {string} [by] - Username, when fired by hand
+ */
+function fireOrder(order, at, by = null) {
+  assert(isHeld(order), "Order has already gone to the kitchen");
+  assert(order.status !== "cancelled", "Order is cancelled");
+  order.firedAt = at;
+  courses.fireOnArrival(order, [], order.items, { at, by });
+}
+
+/**
+ * Held orders whose fire time has come
+ * @param {Object} state - Application state
+ * @param {string} now - ISO time
+ * @returns {Array<Object>}
+ */
+function dueToFire(state, now) {
+  return state.orders.filter(o =>
+    isHeld(o) && o.status !== "cancelled" && fireTime(o, state.settings) <= now
+  );
+}
+
+/**
+ * Validate the lead time from the settings panel
+ * @param {*} value - Minutes
+ * @returns {number}
+ */
+function normalizeLeadMinutes(value) {
+  const minutes = requireNumber(value, "scheduleLeadMinutes");
+  assert(Number.isInteger(minutes) && minutes >= 0 && minutes <= MAX_LEAD_MINUTES, `The lead time must be 0 to ${MAX_LEAD_MINUTES} minutes`);
+  return minutes;
+}
+
+module.exports = {
+  DEFAULT_LEAD_MINUTES,
+  fireTime,
+  isHeld,
+  normalizeScheduledFor,
+  fireOrder,
+  dueToFire,
+  normalizeLeadMinutes,
+};
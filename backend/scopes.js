@@ -0,0 +1,155 @@
+/**
+ * State Visibility Scopes for Siam Smile POS
+ * Declares which parts of the state each kind of device may receive, for both
+ * full snapshots and "state:patch" deltas. This is the only place these rules live.
+ *
+ * Each scope maps a top-level state key to either:
+ *   true                      - sent as is
+ *   { omit: [...] }           - entities sent without the listed fields
+ *   { omit: [...], keep: fn } - as above, except the omitted fields fn(entity)
+ *                               returns, which that entity is sent with
+ *   false                     - never sent, even where "*" would match
+ * Keys not listed are never sent. "*" matches every key not listed explicitly.
+ */
+
+const ORDER_PII = ["customerPhone", "customerEmail", "marketingOptIn", "deliveryAddress"];
+
+// The till that takes a delivery and dispatches the driver needs to reach the customer
+const keepDeliveryContact = order => (order.type === "delivery" ? ["customerPhone", "deliveryAddress"] : []);
+
+const SCOPES = {
+  admin: {
+    "*": true,
+    staff: { omit: ["passwordHash"] },
+    // Server-side replay results for retried events
+    idempotency: false,
+  },
+  manager: {
+    version: true,
+    settings: true,
+    categories: true,
+    menu: true,
+    orders: { omit: ORDER_PII, keep: keepDeliveryContact },
+    heldCarts: { omit: ["cart"] },
+    areas: true,
+    tables: true,
+    drawerSessions: true,
+  },
+  cashier: {
+    version: true,
+    settings: true,
+    categories: true,
+    menu: true,
+    orders: { omit: ORDER_PII, keep: keepDeliveryContact },
+    heldCarts: { omit: ["cart"] },
+    areas: true,
+    tables: true,
+    drawerSessions: true,
+  },
+  kitchen: {
+    version: true,
+    settings: true,
+    areas: true,
+    tables: true,
+    orders: { omit: ORDER_PII },
+  },
+  // Authenticated but no longer a known staff member
+  none: {},
+};
+
+const SCOPE_NAMES = Object.keys(SCOPES);
+
+// ============================================
+// Helper Functions
+// ============================================
+
+function ruleFor(scope, key) {
+  const rules = SCOPES[scope] || SCOPES.none;
+  if (rules[key] !== undefined) return rules[key];
+  return rules["*"] || null;
+}
+
+function project(rule, entity) {
+  if (rule === true || !entity || typeof entity !== "object") return entity;
+  const kept = rule.keep ? rule.keep(entity) : [];
+  const copy = { ...entity };
+  for (const field of rule.omit || []) {
+    if (!kept.includes(field)) delete copy[field];
+  }
+  return copy;
+}
+
+function projectValue(rule, value) {
+  if (rule === true) return value;
+  return Array.isArray(value) ? value.map(e => project(rule, e)) : project(rule, value);
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Resolve the scope of a connected user
+ * @param {Object} user - Token claims ({ role, sub })
+ * @param {Object} state - Application state, used to look up the current staff role
+ * @returns {string} Scope name
+ */
+function scopeFor(user, state) {
+  if (user?.role === "admin") return "admin";
+  if (user?.role !== "staff") return "none";
+  const staff = (state.staff || []).find(s => s.id === user.sub);
+  if (!staff) return "none";
+  return SCOPES[staff.role] ? staff.role : "cashier";
+}
+
+/**
+ * Build the snapshot a scope is allowed to see
+ * @param {string} scope - Scope name
+ * @param {Object} state - Full state
+ * @returns {Object}
+ */
+function filterState(scope, state) {
+  const out = {};
+  for (const [key, value] of Object.entries(state)) {
+    const rule = ruleFor(scope, key);
+    if (rule) out[key] = projectValue(rule, value);
+  }
+  return out;
+}
+
+/**
+ * Filter change operations down to what a scope is allowed to see
+ * @param {string} scope - Scope name
+ * @param {Array} ops - Change operations (see diff.js)
+ * @returns {Array}
+ */
+function filterOps(scope, ops) {
+  const out = [];
+  for (const op of ops) {
+    const key = op.coll || op.path[0];
+    const rule = ruleFor(scope, key);
+    if (!rule) continue;
+    if (rule === true || op.op === "remove" || op.op === "unset") {
+      out.push(op);
+    } else if (op.op === "upsert") {
+      out.push({ ...op, value: project(rule, op.value) });
+    } else if (op.path.length === 1) {
+      out.push({ ...op, value: projectValue(rule, op.value) });
+    } else if (op.path.length === 2) {
+      out.push({ ...op, value: project(rule, op.value) });
+    } else if (!(rule.omit || []).includes(op.path[2])) {
+      // A change to one field doesn't say which entity it is on, so fields a
+      // rule only keeps for some entities are left out here
+      out.push(op);
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  SCOPES,
+  SCOPE_NAMES,
+  scopeFor,
+  filterState,
+  filterOps,
+};
@@ -4,14 +4,31 @@ const path = require("path");
 const fs = require("fs");
 const cors = require("cors");
 const { Server } = require("socket.io");
-const { PORT, NODE_ENV, IS_PRODUCTION } = require("./constants");
-const { loadState, saveState } = require("./storage");
+const { PORT, NODE_ENV, IS_PRODUCTION, BACKUP_INTERVAL_MINUTES } = require("./constants");
+const { collections: store, loadState, saveState, replaceState, flushState } = require("./storage");
 const { verifyToken, adminLogin, staffPasswordHash, staffPasswordVerify, signToken } = require("./auth");
 const { newId } = require("./utils");
-const { assert, requireString, requireNumber } = require("./validators");
+const { assert, assertConflict, requireString, requireNumber } = require("./validators");
 const inventory = require("./inventory");
 const customers = require("./customers");
 const metrics = require("./metrics");
+const backups = require("./backups");
+const archive = require("./archive");
+const pricing = require("./pricing");
+const modifiers = require("./modifiers");
+const orderTypes = require("./orderTypes");
+const payments = require("./payments");
+const refunds = require("./refunds");
+const orderStatus = require("./orderStatus");
+const tickets = require("./tickets");
+const idempotency = require("./idempotency");
+const heldCarts = require("./heldCarts");
+const tabs = require("./tabs");
+const tables = require("./tables");
+const schedule = require("./schedule");
+const courses = require("./courses");
+const drawers = require("./drawers");
+const { SCOPE_NAMES, scopeFor, filterState, filterOps } = require("./scopes");
 
 const app = express();
 
@@ -31,86 +48,20 @@ if (!IS_PRODUCTION) {
   });
 }
 
-let state = loadState();
-
-// Ensure state has all required fields
-function ensureStateStructure() {
-  const defaults = {
-    version: 1,
-    settings: { taxPercent: 0, serviceChargePercent: 0, currency: "AED" },
-    categories: [],
-    menu: [],
-    staff: [],
-    orders: [],
-    revenue: { total: 0, adjustments: [] },
-    logs: [],
-    promos: [],
-    discounts: [],
-    receipts: [],
-    inventory: [],
-    customers: [],
-    inventoryLogs: [],
-    metrics: {
-      bestsellers: {},
-      staffPerformance: {},
-      dailyRevenue: {},
-      weeklyRevenue: {},
-      monthlyRevenue: {},
-      prepTimes: {},
-      hourlyDistribution: {},
-      paymentMethods: { cash: 0, card: 0, other: 0 }
-    }
-  };
-
-  // Merge defaults with existing state
-  for (const [key, value] of Object.entries(defaults)) {
-    if (state[key] === undefined) {
-      state[key] = JSON.parse(JSON.stringify(value));
-    }
-  }
-
-  // Ensure nested metrics structure
-  if (!state.metrics) state.metrics = defaults.metrics;
-  if (!state.metrics.bestsellers) state.metrics.bestsellers = {};
-  if (!state.metrics.staffPerformance) state.metrics.staffPerformance = {};
-  if (!state.metrics.dailyRevenue) state.metrics.dailyRevenue = {};
-  if (!state.metrics.weeklyRevenue) state.metrics.weeklyRevenue = {};
-  if (!state.metrics.monthlyRevenue) state.metrics.monthlyRevenue = {};
-  if (!state.metrics.prepTimes) state.metrics.prepTimes = {};
-  if (!state.metrics.hourlyDistribution) state.metrics.hourlyDistribution = {};
-  if (!state.metrics.paymentMethods) state.metrics.paymentMethods = { cash: 0, card: 0, other: 0 };
-
-  // Migration: ensure menu items have unavailable field (default false) and description
-  if (state.menu && Array.isArray(state.menu)) {
-    let needsSave = false;
-    state.menu = state.menu.map(item => {
-      const updates = {};
-      if (item.unavailable === undefined) {
-        updates.unavailable = false;
-        needsSave = true;
-      }
-      if (item.description === undefined) {
-        updates.description = "";
-        needsSave = true;
-      }
-      return Object.keys(updates).length > 0 ? { ...item, ...updates } : item;
-    });
-    if (needsSave) {
-      saveState(state);
-    }
-  }
-
-  saveState(state);
+let state;
+try {
+  state = loadState();
+} catch (e) {
+  console.error(`[Startup] ${e.message}`);
+  process.exit(1);
 }
 
-ensureStateStructure();
+// Revision of the broadcast state. Bumped on every patch so clients can detect gaps.
+let revision = 0;
 
-// Never send secrets to clients (even hashed). Clients don't need passwordHash.
-function publicState(s) {
-  return {
-    ...s,
-    staff: (s.staff || []).map(({ passwordHash, ...rest }) => rest),
-  };
+/** Snapshot as seen by one visibility scope (see scopes.js) */
+function snapshotPayload(scope) {
+  return { ...filterState(scope, state), rev: revision };
 }
 
 function logEvent(type, payload) {
@@ -118,20 +69,154 @@ function logEvent(type, payload) {
     id: newId(),
     ts: new Date().toISOString(),
     type,
-    payload,
+    // A copy, so the entry keeps what was logged when the entity changes later
+    payload: JSON.parse(JSON.stringify(payload)),
   };
-  state.logs.unshift(entry);
+  store.logs.insert(entry, 0);
   // Keep logs bounded
-  state.logs = state.logs.slice(0, 5000);
+  store.logs.removeWhere((_, index) => index >= 5000);
   return entry;
 }
 
-/** Persist state to disk and broadcast full snapshot to all clients. Single source of truth. */
+/**
+ * Persist state changes and broadcast them to all clients as a revisioned patch.
+ * Clients that miss a revision ask for a full snapshot with "state:sync".
+ */
 function persistAndBroadcast(io) {
+  const ops = saveState(state);
+  if (ops.length === 0) return;
+  revision++;
+  // Every scope gets every revision, even when nothing in it is visible, so gaps stay detectable
+  for (const scope of SCOPE_NAMES) {
+    io.to(`scope:${scope}`).emit("state:patch", { rev: revision, ops: filterOps(scope, ops) });
+  }
+}
+
+/** Persist and send every client a full snapshot, for changes too wide for a patch (e.g. a restore) */
+function persistAndBroadcastSnapshot(io) {
   saveState(state);
-  io.emit("state:snapshot", publicState(state));
+  revision++;
+  for (const scope of SCOPE_NAMES) {
+    io.to(`scope:${scope}`).emit("state:snapshot", snapshotPayload(scope));
+  }
+}
+
+/**
+ * Move the sockets of a staff member into the scope matching their current role
+ * and send them a fresh snapshot. Called after role changes and deletions.
+ */
+function rescopeStaffSockets(io, staffId) {
+  for (const socket of io.sockets.sockets.values()) {
+    if (socket.user?.role !== "staff" || socket.user.sub !== staffId) continue;
+    const scope = scopeFor(socket.user, state);
+    if (scope === socket.scope) continue;
+    socket.leave(`scope:${socket.scope}`);
+    socket.scope = scope;
+    socket.join(`scope:${scope}`);
+    socket.emit("state:snapshot", snapshotPayload(scope));
+  }
+}
+
+/**
+ * Look up an order and its receipts in live state, falling back to the archive.
+ * receipt is the latest receipt; receipts lists all of them, oldest first.
+ * @returns {{ order: Object, receipt: Object|undefined, receipts: Array }}
+ */
+function findOrder(id) {
+  const order = store.orders.get(id);
+  if (order) {
+    const receipts = store.receipts.all().filter(r => r.orderId === id).reverse();
+    return { order, receipt: receipts[receipts.length - 1], receipts };
+  }
+  const archived = archive.findArchivedOrder(id);
+  assert(archived, "Order not found");
+  return archived;
+}
+
+/**
+ * Live and archived orders and receipts created between two dates, for reports
+ * @param {string} [start] - First day (YYYY-MM-DD), or open-ended
+ * @param {string} [end] - Last day (YYYY-MM-DD, inclusive), or open-ended
+ * @returns {Object} State view
+ */
+function reportView(start, end) {
+  const startDate = start || undefined;
+  // A bare date covers the whole of that day
+  const endDate = end ? (/^\d{4}-\d{2}-\d{2}$/.test(end) ? `${end}T23:59:59.999Z` : end) : undefined;
+  const view = archive.withArchive(state, { startDate, endDate });
+  if (!startDate && !endDate) return view;
+  const inRange = x => metrics.utils.isDateInRange(x.createdAt, startDate, endDate);
+  return { ...view, orders: view.orders.filter(inRange), receipts: view.receipts.filter(inRange) };
+}
+
+/** Active, unexpired promo with uses left, matched case-insensitively by code */
+function findUsablePromo(code) {
+  return store.promos.all().find(p => 
+    p.code.toLowerCase() === String(code).toLowerCase() && 
+    p.isActive &&
+    (!p.expiryDate || new Date(p.expiryDate) >= new Date()) &&
+    (!p.maxUses || p.uses < p.maxUses)
+  ) || null;
 }
 
+/** Validate a tax class assignment; empty means "inherit" (category, then default class) */
+function checkTaxClassId(taxClassId) {
+  if (!taxClassId) return null;
+  assert((state.settings.taxClasses || []).some(t => t.id === taxClassId), "Tax class not found");
+  return taxClassId;
+}
+
+/** Promo definition to re-price an existing order with; a deleted promo keeps its original amount */
+function orderPromo(order) {
+  return store.promos.get(order.promo.id) || { type: "fixed", value: order.discount || 0 };
+}
+
+/** Re-price an order's lines with the rates and promo it was created with */
+function repriceOrder(order, items) {
+  const priced = pricing.priceOrder({
+    items,
+    promo: order.promo ? orderPromo(order) : null,
+    rates: {
+      pricesIncludeTax: !!order.pricesIncludeTax,
+      serviceChargePercent: order.serviceChargePercent || 0,
+      serviceTax: order.serviceTax,
+    },
+  });
+  Object.assign(order, priced);
+  if (order.promo) order.promo.discount = priced.discount;
+}
+
+/** Orders can arrive (from the offline queue) or grow (tabs) after an item was taken off sale */
+function assertItemsAvailable(items) {
+  for (const it of Array.isArray(items) ? items : []) {
+    const menuItem = store.menu.get(it?.itemId);
+    assertConflict(
+      !menuItem || (menuItem.isActive && !menuItem.unavailable),
+      `${menuItem?.name} is no longer available`,
+      { type: "unavailable", itemId: menuItem?.id, name: menuItem?.name }
+    );
+  }
+}
+
+/** Take a scheduled backup when the newest one is older than the interval, then apply retention */
+function runScheduledBackup() {
+  try {
+    const latest = backups.latestBackupTime();
+    if (!latest || Date.now() - latest.getTime() >= BACKUP_INTERVAL_MINUTES * 60 * 1000) {
+      backups.createBackup(state);
+    }
+    const deleted = backups.pruneBackups();
+    if (deleted.length > 0) {
+      console.log(`[Backup] Pruned ${deleted.length} backup(s) outside the retention policy`);
+    }
+  } catch (e) {
+    console.error(`[Backup] Scheduled backup failed: ${e.message}`);
+  }
+}
+
+runScheduledBackup();
+setInterval(runScheduledBackup, 5 * 60 * 1000).unref();
+
 /** Update bestseller tracking */
 function trackBestsellers(items) {
   for (const item of items || []) {
@@ -144,8 +229,8 @@ function trackBestsellers(items) {
   }
 }
 
-/** Update revenue metrics */
-function trackRevenue(amount, date = new Date()) {
+/** Update revenue metrics; refunds pass countOrder = false so the hourly order count is unchanged */
+function trackRevenue(amount, date = new Date(), countOrder = true) {
   const d = new Date(date);
   
   // Daily
@@ -161,8 +246,10 @@ function trackRevenue(amount, date = new Date()) {
   state.metrics.monthlyRevenue[monthKey] = (state.metrics.monthlyRevenue[monthKey] || 0) + amount;
   
   // Hourly distribution
-  const hour = d.getHours();
-  state.metrics.hourlyDistribution[hour] = (state.metrics.hourlyDistribution[hour] || 0) + 1;
+  if (countOrder) {
+    const hour = d.getHours();
+    state.metrics.hourlyDistribution[hour] = (state.metrics.hourlyDistribution[hour] || 0) + 1;
+  }
 }
 
 function getWeekKey(date) {
@@ -197,6 +284,100 @@ function trackStaffPerformance(staffId, orderValue, prepTimeSeconds = null) {
   }
 }
 
+/** The customer record an order was placed under, matched by phone or email */
+function customerOf(order) {
+  return store.customers.all().find(c =>
+    (order.customerPhone && c.phone === order.customerPhone) ||
+    (order.customerEmail && c.email === order.customerEmail)
+  ) || null;
+}
+
+/**
+ * Take part of a sale back out of everything the order added to: revenue (on
+ * the given day), bestsellers for the lines, payment methods for the tenders,
+ * staff and customer totals, and promo usage when asked
+ */
+function untrackSale(order, { amount, date, lines = [], tenders = [], releasePromo = false }) {
+  state.revenue.total = Number(state.revenue.total) - amount;
+  trackRevenue(-amount, date, false);
+  
+  for (const line of lines) {
+    const seller = state.metrics.bestsellers[line.itemId];
+    if (seller) {
+      seller.count -= line.qty;
+      seller.revenue -= line.price * line.qty;
+    }
+  }
+  
+  if (!state.metrics.paymentMethods) {
+    state.metrics.paymentMethods = { cash: 0, card: 0, other: 0 };
+  }
+  for (const t of tenders) {
+    state.metrics.paymentMethods[t.method] = pricing.roundMoney((state.metrics.paymentMethods[t.method] || 0) + payments.tenderNet(t));
+  }
+  
+  const perf = state.metrics.staffPerformance[order.createdByStaffId];
+  if (perf) perf.totalRevenue -= amount;
+  
+  const customer = customerOf(order);
+  if (customer) {
+    customer.totalSpent = pricing.roundMoney((customer.totalSpent || 0) - amount);
+    store.customers.update(customer);
+  }
+  
+  if (releasePromo && order.promo) {
+    const promo = store.promos.get(order.promo.id);
+    if (promo && promo.uses > 0) {
+      promo.uses--;
+      store.promos.update(promo);
+    }
+  }
+}
+
+/** A round added to a tab is more of the same sale, counted on the day it was added */
+function trackAddedRound(order, lines, amount, date) {
+  untrackSale(order, { amount: -amount, date });
+  trackBestsellers(lines);
+}
+
+/** A refund comes off on the day it was given; a full refund frees the promo use */
+function trackRefund(order, receipt, full) {
+  untrackSale(order, {
+    amount: -receipt.amount,
+    date: receipt.createdAt,
+    lines: receipt.lines,
+    tenders: receipt.tenders,
+    releasePromo: full,
+  });
+}
+
+/** A cancelled order never sold, so what's left of it comes off the day it was placed */
+function trackCancellation(order) {
+  const lines = (order.items || [])
+    .map(line => ({ itemId: line.itemId, price: line.price, qty: line.qty - (line.voidedQty || 0) }))
+    .filter(line => line.qty > 0);
+  untrackSale(order, {
+    amount: pricing.roundMoney((order.total || 0) - (order.refundedTotal || 0)),
+    date: order.createdAt,
+    lines,
+    releasePromo: lines.length > 0,
+  });
+}
+
+/** A deleted order was never placed: its sale comes off as for a cancellation, and it stops counting as an order */
+function trackDeletion(order) {
+  trackCancellation(order);
+  const hour = new Date(order.createdAt).getHours();
+  if (state.metrics.hourlyDistribution[hour] > 0) state.metrics.hourlyDistribution[hour]--;
+  const perf = state.metrics.staffPerformance[order.createdByStaffId];
+  if (perf && perf.ordersCreated > 0) perf.ordersCreated--;
+  const customer = customerOf(order);
+  if (customer && customer.orderCount > 0) {
+    customer.orderCount--;
+    store.customers.update(customer);
+  }
+}
+
 // ===== API Routes =====
 
 app.get("/health", (req, res) => {
@@ -225,7 +406,7 @@ app.post("/auth/staff", async (req, res) => {
   try {
     requireString(username, "username");
     requireString(password, "password");
-    const staff = state.staff.find(s => s.username === username);
+    const staff = store.staff.all().find(s => s.username === username);
     if (!staff) {
       logEvent("auth:failed", { username, type: "staff" });
       return res.status(401).json({ ok: false, error: "Invalid login" });
@@ -293,6 +474,50 @@ const ioConfig = {
 
 const io = new Server(server, ioConfig);
 
+/** Move old completed orders into the monthly archive files and drop them from live state */
+function runScheduledArchive() {
+  try {
+    const count = archive.archiveOrders(store);
+    if (count > 0) {
+      logEvent("orders:archive", { count });
+      persistAndBroadcast(io);
+      console.log(`[Archive] Archived ${count} order(s)`);
+    }
+  } catch (e) {
+    console.error(`[Archive] Scheduled archive failed: ${e.message}`);
+  }
+}
+
+runScheduledArchive();
+setInterval(runScheduledArchive, 60 * 60 * 1000).unref();
+
+/** Drop held carts nobody picked up in time */
+function runHeldCartExpiry() {
+  const expired = heldCarts.expireHeldCarts(store.heldCarts, new Date().toISOString());
+  if (expired.length > 0) {
+    logEvent("cart:expire", { ids: expired.map(h => h.id), labels: expired.map(h => h.label) });
+    persistAndBroadcast(io);
+  }
+}
+
+setInterval(runHeldCartExpiry, 60 * 1000).unref();
+
+/** Send scheduled orders to the kitchen once they are within the lead time */
+function fireScheduledOrders() {
+  const now = new Date().toISOString();
+  const due = schedule.dueToFire(state, now);
+  if (due.length === 0) return;
+  for (const order of due) {
+    schedule.fireOrder(order, now);
+    store.orders.update(order);
+  }
+  logEvent("order:fire", { orderIds: due.map(o => o.id), scheduled: true });
+  persistAndBroadcast(io);
+  for (const order of due) io.emit("kitchen:newOrder", { orderId: order.id });
+}
+
+setInterval(fireScheduledOrders, 30 * 1000).unref();
+
 // Socket auth middleware
 io.use((socket, next) => {
   const token = socket.handshake.auth?.token;
@@ -307,8 +532,13 @@ io.use((socket, next) => {
 });
 
 io.on("connection", (socket) => {
-  // Send full state snapshot on connect
-  socket.emit("state:snapshot", publicState(state));
+  // Patches are broadcast per visibility scope; send the scoped snapshot on connect
+  socket.scope = scopeFor(socket.user, state);
+  socket.join(`scope:${socket.scope}`);
+  socket.emit("state:snapshot", snapshotPayload(socket.scope));
+  
+  // Retries that carry the same idempotencyKey get the first result back
+  socket.use(idempotency.middleware(socket, store.idempotency, () => persistAndBroadcast(io)));
   
   if (!IS_PRODUCTION) {
     console.log(`[Socket] Connected: ${socket.user?.role} (${socket.user?.sub})`);
@@ -321,23 +551,64 @@ io.on("connection", (socket) => {
   function requireStaffOrAdmin() {
     assert(socket.user?.role === "staff" || socket.user?.role === "admin", "Auth required");
   }
+  function isManagerOrAdmin() {
+    return socket.user?.role === "admin" || store.staff.get(socket.user?.sub)?.role === "manager";
+  }
+
+  // Full resync, requested by clients that detect a revision gap
+  socket.on("state:sync", (payload, cb) => {
+    const snapshot = snapshotPayload(socket.scope);
+    if (cb) cb({ ok: true, snapshot });
+    else socket.emit("state:snapshot", snapshot);
+  });
 
   // ===== Settings =====
   socket.on("settings:update", (payload, cb) => {
     try {
       requireAdmin();
-      const { taxPercent, serviceChargePercent, currency } = payload || {};
-      if (taxPercent !== undefined) requireNumber(taxPercent, "taxPercent");
+      const { pricesIncludeTax, serviceChargePercent, orderTypes: typeSettings, refundApprovalAbove, statusTransitions, businessDayStartsAt, heldCartMinutes, scheduleLeadMinutes, cashRounding, currency, taxClasses, defaultTaxClassId } = payload || {};
       if (serviceChargePercent !== undefined) requireNumber(serviceChargePercent, "serviceChargePercent");
+      const approvalLimit = refundApprovalAbove !== undefined ? refunds.normalizeApprovalLimit(refundApprovalAbove) : undefined;
+      const normalizedTypes = typeSettings !== undefined ? orderTypes.normalizeOrderTypeSettings(typeSettings) : undefined;
+      const transitions = statusTransitions !== undefined ? orderStatus.normalizeTransitions(statusTransitions) : undefined;
+      const dayStart = businessDayStartsAt !== undefined ? tickets.normalizeDayStart(businessDayStartsAt) : undefined;
+      const holdMinutes = heldCartMinutes !== undefined ? heldCarts.normalizeHoldMinutes(heldCartMinutes) : undefined;
+      const leadMinutes = scheduleLeadMinutes !== undefined ? schedule.normalizeLeadMinutes(scheduleLeadMinutes) : undefined;
+      const roundingRule = cashRounding !== undefined ? payments.normalizeCashRounding(cashRounding) : undefined;
+      
+      let classes = state.settings.taxClasses || [];
+      if (taxClasses !== undefined) {
+        assert(Array.isArray(taxClasses) && taxClasses.length > 0, "At least one tax class is required");
+        classes = taxClasses.map(t => {
+          requireString(t?.name, "taxClass.name");
+          const percent = requireNumber(t.percent, "taxClass.percent");
+          assert(percent >= 0 && percent <= 100, "Tax percent must be between 0 and 100");
+          return { id: t.id || newId(), name: t.name, percent };
+        });
+        assert(new Set(classes.map(t => t.id)).size === classes.length, "Duplicate tax class id");
+        const inUse = [...store.categories.all(), ...store.menu.all()].find(x => x.taxClassId && !classes.some(t => t.id === x.taxClassId));
+        assert(!inUse, `Tax class is still assigned to "${inUse?.name}"`);
+      }
+      const defaultId = defaultTaxClassId !== undefined ? defaultTaxClassId : state.settings.defaultTaxClassId;
+      assert(classes.some(t => t.id === defaultId), "Default tax class not found");
       
       state.settings = {
         ...state.settings,
-        ...(taxPercent !== undefined ? { taxPercent } : {}),
+        ...(pricesIncludeTax !== undefined ? { pricesIncludeTax: !!pricesIncludeTax } : {}),
         ...(serviceChargePercent !== undefined ? { serviceChargePercent } : {}),
+        ...(normalizedTypes !== undefined ? { orderTypes: normalizedTypes } : {}),
+        ...(approvalLimit !== undefined ? { refundApprovalAbove: approvalLimit } : {}),
+        ...(transitions !== undefined ? { statusTransitions: transitions } : {}),
+        ...(dayStart !== undefined ? { businessDayStartsAt: dayStart } : {}),
+        ...(holdMinutes !== undefined ? { heldCartMinutes: holdMinutes } : {}),
+        ...(leadMinutes !== undefined ? { scheduleLeadMinutes: leadMinutes } : {}),
+        ...(roundingRule !== undefined ? { cashRounding: roundingRule } : {}),
         ...(currency !== undefined ? { currency } : {}),
+        taxClasses: classes,
+        defaultTaxClassId: defaultId,
       };
       
-      logEvent("settings:update", { by: socket.user?.role, username: socket.user?.username, taxPercent, serviceChargePercent, currency });
+      logEvent("settings:update", { by: socket.user?.role, username: socket.user?.username, pricesIncludeTax, serviceChargePercent, orderTypes: typeSettings, refundApprovalAbove, statusTransitions, businessDayStartsAt, heldCartMinutes, scheduleLeadMinutes, cashRounding, currency, taxClasses, defaultTaxClassId });
       persistAndBroadcast(io);
       cb?.({ ok: true });
     } catch (e) {
@@ -349,10 +620,10 @@ io.on("connection", (socket) => {
   socket.on("category:create", (payload, cb) => {
     try {
       requireAdmin();
-      const { name } = payload || {};
+      const { name, taxClassId } = payload || {};
       requireString(name, "name");
-      const cat = { id: newId(), name, sortOrder: state.categories.length + 1 };
-      state.categories.push(cat);
+      const cat = { id: newId(), name, sortOrder: store.categories.all().length + 1, taxClassId: checkTaxClassId(taxClassId) };
+      store.categories.insert(cat);
       logEvent("category:create", { by: socket.user?.role, username: socket.user?.username, cat });
       persistAndBroadcast(io);
       cb?.({ ok: true, category: cat });
@@ -364,15 +635,17 @@ io.on("connection", (socket) => {
   socket.on("category:update", (payload, cb) => {
     try {
       requireAdmin();
-      const { id, name, sortOrder } = payload || {};
+      const { id, name, sortOrder, taxClassId } = payload || {};
       requireString(id, "id");
-      const cat = state.categories.find(c => c.id === id);
+      const cat = store.categories.get(id);
       assert(cat, "Category not found");
       if (name !== undefined) requireString(name, "name");
       if (sortOrder !== undefined) requireNumber(sortOrder, "sortOrder");
       if (name !== undefined) cat.name = name;
       if (sortOrder !== undefined) cat.sortOrder = sortOrder;
-      logEvent("category:update", { by: socket.user?.role, username: socket.user?.username, id, name, sortOrder });
+      if (taxClassId !== undefined) cat.taxClassId = checkTaxClassId(taxClassId);
+      store.categories.update(cat);
+      logEvent("category:update", { by: socket.user?.role, username: socket.user?.username, id, name, sortOrder, taxClassId });
       persistAndBroadcast(io);
       cb?.({ ok: true });
     } catch (e) {
@@ -385,9 +658,13 @@ io.on("connection", (socket) => {
       requireAdmin();
       const { id } = payload || {};
       requireString(id, "id");
-      state.categories = state.categories.filter(c => c.id !== id);
+      store.categories.remove(id);
       // Also unassign from menu items
-      state.menu.forEach(m => { if (m.categoryId === id) m.categoryId = ""; });
+      for (const m of store.menu.all()) {
+        if (m.categoryId !== id) continue;
+        m.categoryId = "";
+        store.menu.update(m);
+      }
       logEvent("category:delete", { by: socket.user?.role, username: socket.user?.username, id });
       persistAndBroadcast(io);
       cb?.({ ok: true });
@@ -400,7 +677,7 @@ io.on("connection", (socket) => {
   socket.on("menu:create", (payload, cb) => {
     try {
       requireAdmin();
-      const { name, price, categoryId, imageUrl, description } = payload || {};
+      const { name, price, categoryId, imageUrl, description, taxClassId, optionGroups } = payload || {};
       requireString(name, "name");
       const priceNum = requireNumber(price, "price");
       const item = {
@@ -408,12 +685,14 @@ io.on("connection", (socket) => {
         name,
         price: priceNum,
         categoryId: categoryId || "",
+        taxClassId: checkTaxClassId(taxClassId),
+        optionGroups: modifiers.normalizeOptionGroups(optionGroups),
         imageUrl: imageUrl || "",
         description: description || "",
         isActive: true,
         createdAt: new Date().toISOString(),
       };
-      state.menu.push(item);
+      store.menu.insert(item);
       logEvent("menu:create", { by: socket.user?.role, username: socket.user?.username, item });
       persistAndBroadcast(io);
       cb?.({ ok: true, item });
@@ -425,9 +704,9 @@ io.on("connection", (socket) => {
   socket.on("menu:update", (payload, cb) => {
     try {
       requireAdmin();
-      const { id, name, price, categoryId, imageUrl, isActive, description } = payload || {};
+      const { id, name, price, categoryId, imageUrl, isActive, description, taxClassId, optionGroups } = payload || {};
       requireString(id, "id");
-      const item = state.menu.find(m => m.id === id);
+      const item = store.menu.get(id);
       assert(item, "Menu item not found");
       if (name !== undefined) requireString(name, "name");
       if (price !== undefined) requireNumber(price, "price");
@@ -437,7 +716,10 @@ io.on("connection", (socket) => {
       if (imageUrl !== undefined) item.imageUrl = imageUrl;
       if (description !== undefined) item.description = description;
       if (isActive !== undefined) item.isActive = !!isActive;
-      logEvent("menu:update", { by: socket.user?.role, username: socket.user?.username, id, name, price, categoryId, imageUrl, isActive, description });
+      if (taxClassId !== undefined) item.taxClassId = checkTaxClassId(taxClassId);
+      if (optionGroups !== undefined) item.optionGroups = modifiers.normalizeOptionGroups(optionGroups);
+      store.menu.update(item);
+      logEvent("menu:update", { by: socket.user?.role, username: socket.user?.username, id, name, price, categoryId, imageUrl, isActive, description, taxClassId, optionGroups });
       persistAndBroadcast(io);
       cb?.({ ok: true });
     } catch (e) {
@@ -450,7 +732,7 @@ io.on("connection", (socket) => {
       requireAdmin();
       const { id } = payload || {};
       requireString(id, "id");
-      state.menu = state.menu.filter(m => m.id !== id);
+      store.menu.remove(id);
       logEvent("menu:delete", { by: socket.user?.role, username: socket.user?.username, id });
       persistAndBroadcast(io);
       cb?.({ ok: true });
@@ -464,9 +746,10 @@ io.on("connection", (socket) => {
       requireAdmin();
       const { id, unavailable } = payload || {};
       requireString(id, "id");
-      const item = state.menu.find(m => m.id === id);
+      const item = store.menu.get(id);
       assert(item, "Menu item not found");
       item.unavailable = !!unavailable;
+      store.menu.update(item);
       logEvent("menu:setAvailability", { by: socket.user?.role, username: socket.user?.username, id, unavailable: item.unavailable });
       persistAndBroadcast(io);
       cb?.({ ok: true, item });
@@ -483,8 +766,8 @@ io.on("connection", (socket) => {
         version: 2,
         exportedAt: new Date().toISOString(),
         exportedBy: socket.user?.username || socket.user?.role,
-        categories: state.categories || [],
-        menu: state.menu || []
+        categories: store.categories.all(),
+        menu: store.menu.all()
       };
       cb?.({ ok: true, data: exportData });
     } catch (e) {
@@ -499,23 +782,28 @@ io.on("connection", (socket) => {
       assert(data && typeof data === "object", "Invalid data format");
       assert(Array.isArray(data.menu), "Invalid menu data");
       
+      // Tax classes are not part of menu backups; unknown ones fall back to inheriting
+      const knownTaxClass = id => (state.settings.taxClasses || []).some(t => t.id === id) ? id : null;
+      
       if (mode === "replace") {
         // Replace mode: clear existing and use backup
-        state.categories = data.categories || [];
-        state.menu = data.menu.map(item => ({
+        store.categories.replaceAll((data.categories || []).map(cat => ({ ...cat, taxClassId: knownTaxClass(cat.taxClassId) })));
+        store.menu.replaceAll(data.menu.map(item => ({
           ...item,
           unavailable: item.unavailable === undefined ? false : item.unavailable,
-          description: item.description === undefined ? "" : item.description
-        }));
+          description: item.description === undefined ? "" : item.description,
+          taxClassId: knownTaxClass(item.taxClassId),
+          optionGroups: modifiers.normalizeOptionGroups(item.optionGroups)
+        })));
       } else {
         // Merge mode (default): add/update items without deleting existing
-        const existingCatIds = new Set(state.categories.map(c => c.id));
-        const existingItemIds = new Set(state.menu.map(m => m.id));
+        const existingCatIds = new Set(store.categories.all().map(c => c.id));
+        const existingItemIds = new Set(store.menu.all().map(m => m.id));
         
         // Merge categories - add only new ones
         for (const cat of (data.categories || [])) {
           if (!existingCatIds.has(cat.id)) {
-            state.categories.push(cat);
+            store.categories.insert({ ...cat, taxClassId: knownTaxClass(cat.taxClassId) });
           }
         }
         
@@ -524,18 +812,20 @@ io.on("connection", (socket) => {
           const normalizedItem = {
             ...item,
             unavailable: item.unavailable === undefined ? false : item.unavailable,
-            description: item.description === undefined ? "" : item.description
+            description: item.description === undefined ? "" : item.description,
+            taxClassId: knownTaxClass(item.taxClassId),
+            optionGroups: modifiers.normalizeOptionGroups(item.optionGroups)
           };
           
           if (existingItemIds.has(item.id)) {
             // Update existing item
-            const idx = state.menu.findIndex(m => m.id === item.id);
-            if (idx >= 0) {
-              state.menu[idx] = { ...state.menu[idx], ...normalizedItem };
+            const existing = store.menu.get(item.id);
+            if (existing) {
+              store.menu.update(Object.assign(existing, normalizedItem));
             }
           } else {
             // Add new item
-            state.menu.push(normalizedItem);
+            store.menu.insert(normalizedItem);
           }
         }
       }
@@ -561,7 +851,7 @@ io.on("connection", (socket) => {
       const { username, password, role } = payload || {};
       requireString(username, "username");
       requireString(password, "password");
-      assert(!state.staff.some(s => s.username === username), "Username already exists");
+      assert(!store.staff.all().some(s => s.username === username), "Username already exists");
       const roleVal = role || "cashier";
       assert(["cashier", "kitchen", "manager"].includes(roleVal), "Invalid role");
       const staff = {
@@ -572,7 +862,7 @@ io.on("connection", (socket) => {
         role: roleVal,
         createdAt: new Date().toISOString(),
       };
-      state.staff.push(staff);
+      store.staff.insert(staff);
       logEvent("staff:create", { 
         by: socket.user?.role, 
         username: socket.user?.username, 
@@ -592,9 +882,10 @@ io.on("connection", (socket) => {
       requireString(id, "id");
       requireString(status, "status");
       assert(status === "active" || status === "paused", "Invalid status");
-      const staff = state.staff.find(s => s.id === id);
+      const staff = store.staff.get(id);
       assert(staff, "Staff not found");
       staff.status = status;
+      store.staff.update(staff);
       logEvent("staff:setStatus", { by: socket.user?.role, username: socket.user?.username, id, status });
       persistAndBroadcast(io);
       cb?.({ ok: true });
@@ -610,11 +901,13 @@ io.on("connection", (socket) => {
       requireString(id, "id");
       requireString(role, "role");
       assert(["cashier", "kitchen", "manager"].includes(role), "Invalid role");
-      const staff = state.staff.find(s => s.id === id);
+      const staff = store.staff.get(id);
       assert(staff, "Staff not found");
       staff.role = role;
+      store.staff.update(staff);
       logEvent("staff:setRole", { by: socket.user?.role, username: socket.user?.username, id, role });
       persistAndBroadcast(io);
+      rescopeStaffSockets(io, id);
       cb?.({ ok: true });
     } catch (e) {
       cb?.({ ok: false, error: e.message });
@@ -626,9 +919,10 @@ io.on("connection", (socket) => {
       requireAdmin();
       const { id } = payload || {};
       requireString(id, "id");
-      state.staff = state.staff.filter(s => s.id !== id);
+      store.staff.remove(id);
       logEvent("staff:delete", { by: socket.user?.role, username: socket.user?.username, id });
       persistAndBroadcast(io);
+      rescopeStaffSockets(io, id);
       cb?.({ ok: true });
     } catch (e) {
       cb?.({ ok: false, error: e.message });
@@ -657,7 +951,7 @@ io.on("connection", (socket) => {
         isValid = (username === ADMIN_USERNAME && password === ADMIN_PASSWORD);
       } else {
         // For staff, verify against stored hash
-        const staff = state.staff.find(s => s.id === userId);
+        const staff = store.staff.get(userId);
         if (!staff) {
           return cb?.({ ok: false, error: "User not found" });
         }
@@ -678,6 +972,61 @@ io.on("connection", (socket) => {
     }
   });
 
+  // ===== Backups =====
+  socket.on("backup:list", (payload, cb) => {
+    try {
+      requireAdmin();
+      cb?.({ ok: true, backups: backups.listBackups() });
+    } catch (e) {
+      cb?.({ ok: false, error: e.message });
+    }
+  });
+
+  socket.on("backup:create", (payload, cb) => {
+    try {
+      requireAdmin();
+      const name = backups.createBackup(state, "manual");
+      logEvent("backup:create", { by: socket.user?.role, username: socket.user?.username, name });
+      persistAndBroadcast(io);
+      cb?.({ ok: true, name });
+    } catch (e) {
+      cb?.({ ok: false, error: e.message });
+    }
+  });
+
+  socket.on("backup:download", (payload, cb) => {
+    try {
+      requireAdmin();
+      const { name } = payload || {};
+      requireString(name, "name");
+      const { content } = backups.readBackup(name);
+      logEvent("backup:download", { by: socket.user?.role, username: socket.user?.username, name });
+      cb?.({ ok: true, name, content });
+    } catch (e) {
+      cb?.({ ok: false, error: e.message });
+    }
+  });
+
+  socket.on("backup:restore", (payload, cb) => {
+    try {
+      requireAdmin();
+      const { name, confirm } = payload || {};
+      requireString(name, "name");
+      assert(confirm === "RESTORE", "Type RESTORE to confirm");
+      const { state: restored } = backups.readBackup(name);
+
+      // Keep the current data so the restore itself can be undone
+      const safetyBackup = backups.createBackup(state, "pre-restore");
+      state = replaceState(restored);
+
+      logEvent("backup:restore", { by: socket.user?.role, username: socket.user?.username, name, safetyBackup });
+      persistAndBroadcastSnapshot(io);
+      cb?.({ ok: true, safetyBackup });
+    } catch (e) {
+      cb?.({ ok: false, error: e.message });
+    }
+  });
+
   // ===== Promos =====
   socket.on("promo:create", (payload, cb) => {
     try {
@@ -688,7 +1037,7 @@ io.on("connection", (socket) => {
       assert(type === "percentage" || type === "fixed", "Type must be percentage or fixed");
       requireNumber(value, "value");
       
-      assert(!state.promos.some(p => p.code.toLowerCase() === code.toLowerCase()), "Promo code already exists");
+      assert(!store.promos.all().some(p => p.code.toLowerCase() === code.toLowerCase()), "Promo code already exists");
       
       const promo = {
         id: newId(),
@@ -703,7 +1052,7 @@ io.on("connection", (socket) => {
         createdAt: new Date().toISOString(),
       };
       
-      state.promos.push(promo);
+      store.promos.insert(promo);
       logEvent("promo:create", { by: socket.user?.role, username: socket.user?.username, promo });
       persistAndBroadcast(io);
       cb?.({ ok: true, promo });
@@ -718,7 +1067,7 @@ io.on("connection", (socket) => {
       const { id, ...updates } = payload || {};
       requireString(id, "id");
       
-      const promo = state.promos.find(p => p.id === id);
+      const promo = store.promos.get(id);
       assert(promo, "Promo not found");
       
       if (updates.code !== undefined) promo.code = updates.code.toUpperCase();
@@ -728,6 +1077,7 @@ io.on("connection", (socket) => {
       if (updates.maxUses !== undefined) promo.maxUses = updates.maxUses;
       if (updates.maxDiscount !== undefined) promo.maxDiscount = updates.maxDiscount;
       if (updates.isActive !== undefined) promo.isActive = updates.isActive;
+      store.promos.update(promo);
       
       logEvent("promo:update", { by: socket.user?.role, username: socket.user?.username, id, updates });
       persistAndBroadcast(io);
@@ -742,7 +1092,7 @@ io.on("connection", (socket) => {
       requireAdmin();
       const { id } = payload || {};
       requireString(id, "id");
-      state.promos = state.promos.filter(p => p.id !== id);
+      store.promos.remove(id);
       logEvent("promo:delete", { by: socket.user?.role, username: socket.user?.username, id });
       persistAndBroadcast(io);
       cb?.({ ok: true });
@@ -758,7 +1108,7 @@ io.on("connection", (socket) => {
       requireString(code, "code");
       requireNumber(orderTotal, "orderTotal");
       
-      const promo = state.promos.find(p => 
+      const promo = store.promos.all().find(p => 
         p.code.toLowerCase() === code.toLowerCase() && 
         p.isActive
       );
@@ -775,22 +1125,7 @@ io.on("connection", (socket) => {
         return cb?.({ ok: false, error: "Promo code limit reached" });
       }
       
-      // Calculate discount
-      let discount = 0;
-      if (promo.type === "percentage") {
-        discount = (orderTotal * promo.value) / 100;
-        // Apply max discount cap if set
-        if (promo.maxDiscount && promo.maxDiscount > 0) {
-          discount = Math.min(discount, promo.maxDiscount);
-        }
-      } else {
-        discount = promo.value;
-      }
-      
-      // Don't allow discount larger than order
-      discount = Math.min(discount, orderTotal);
-      
-      cb?.({ ok: true, promo, discount: Math.round(discount * 100) / 100 });
+      cb?.({ ok: true, promo, discount: pricing.calcDiscount(promo, orderTotal) });
     } catch (e) {
       cb?.({ ok: false, error: e.message });
     }
@@ -839,92 +1174,100 @@ io.on("connection", (socket) => {
   });
 
   // ===== Orders =====
+  // Live price breakdown for the cashier's cart, using the same engine as order:create
+  socket.on("order:quote", (payload, cb) => {
+    try {
+      requireStaffOrAdmin();
+      const { items, promoCode, type } = payload || {};
+      const snap = pricing.snapshotItems(state, items);
+      const promo = promoCode ? findUsablePromo(promoCode) : null;
+      const quote = pricing.priceOrder({ items: snap, promo, rates: pricing.pricingSettings(state.settings, type) });
+      cb?.({ ok: true, quote: { ...quote, promo: promo ? { code: promo.code, discount: quote.discount } : null } });
+    } catch (e) {
+      cb?.({ ok: false, error: e.message });
+    }
+  });
+
   socket.on("order:create", (payload, cb) => {
     try {
       requireStaffOrAdmin();
-      const { items, note, promoCode, customerName, tableNumber, customerPhone, customerEmail, marketingOptIn } = payload || {};
-      assert(Array.isArray(items) && items.length > 0, "Order must have items");
-      requireString(customerName, "customerName");
-      requireString(tableNumber, "tableNumber");
+      // Sent again after the server forgot the key, or from a till's offline
+      // queue under another cashier: the order already exists
+      const key = payload?.idempotencyKey;
+      const existing = key ? store.orders.all().find(o => o.idempotencyKey === key) : null;
+      if (existing) return cb?.({ ok: true, order: existing, replayed: true });
+      const { items, note, promoCode, customerPhone, customerEmail, marketingOptIn } = payload || {};
+      const table = tables.tableForOrder(state, payload);
+      const typeFields = orderTypes.orderTypeFields(table ? { ...payload, tableNumber: table.name } : payload || {});
+      const { customerName } = typeFields;
+      const scheduledFor = payload?.scheduledFor ? schedule.normalizeScheduledFor(payload.scheduledFor, new Date().toISOString()) : null;
+      
+      assertItemsAvailable(items);
       
       // Snapshot items (name/price) so edits later don't change historical totals
-      const snap = items.map(it => {
-        requireString(it.itemId, "itemId");
-        requireNumber(it.qty, "qty");
-        const menuItem = state.menu.find(m => m.id === it.itemId);
-        assert(menuItem, "Menu item missing");
-        return {
-          itemId: menuItem.id,
-          name: menuItem.name,
-          price: menuItem.price,
-          qty: it.qty,
-        };
-      });
-      
-      const subtotal = snap.reduce((s, x) => s + x.price * x.qty, 0);
+      const snap = pricing.snapshotItems(state, items).map(line => ({ ...line, round: 1 }));
       
       // Apply promo if provided
-      let discount = 0;
+      const promo = promoCode ? findUsablePromo(promoCode) : null;
+      const priced = pricing.priceOrder({ items: snap, promo, rates: pricing.pricingSettings(state.settings, typeFields.type) });
       let appliedPromo = null;
-      if (promoCode) {
-        const promo = state.promos.find(p => 
-          p.code.toLowerCase() === promoCode.toLowerCase() && 
-          p.isActive &&
-          (!p.expiryDate || new Date(p.expiryDate) >= new Date()) &&
-          (!p.maxUses || p.uses < p.maxUses)
-        );
-        
-        if (promo) {
-          if (promo.type === "percentage") {
-            discount = (subtotal * promo.value) / 100;
-            // Apply max discount cap if set
-            if (promo.maxDiscount && promo.maxDiscount > 0) {
-              discount = Math.min(discount, promo.maxDiscount);
-            }
-          } else {
-            discount = promo.value;
-          }
-          discount = Math.min(discount, subtotal);
-          promo.uses++;
-          appliedPromo = { id: promo.id, code: promo.code, discount };
-        }
+      if (promo) {
+        promo.uses++;
+        store.promos.update(promo);
+        appliedPromo = { id: promo.id, code: promo.code, discount: priced.discount };
       }
       
+      const createdAt = new Date().toISOString();
       const order = {
         id: newId(),
-        createdAt: new Date().toISOString(),
+        ...tickets.nextTicketNumber(state, createdAt),
+        idempotencyKey: key || null,
+        createdAt,
         createdByStaffId: socket.user.role === "staff" ? socket.user.sub : "admin",
         createdByUsername: socket.user.username || "Admin",
         status: "new",
         note: note || "",
-        customerName,
-        tableNumber,
+        ...typeFields,
+        tableId: table ? table.id : null,
         customerPhone: customerPhone || "",
         customerEmail: customerEmail || "",
         marketingOptIn: !!marketingOptIn,
-        items: snap,
-        subtotal,
-        discount,
-        total: subtotal - discount,
+        ...priced,
         promo: appliedPromo,
+        round: 1,
+        rounds: [{ number: 1, at: createdAt, by: socket.user.username || "Admin" }],
+        kitchenRound: 1,
+        scheduledFor,
+        firedAt: createdAt,
+        firedCourses: {},
+        splits: [],
+        paidTotal: 0,
+        refundedTotal: 0,
         acknowledgedAt: null,
         preparingAt: null,
-        doneAt: null,
+        readyAt: null,
+        servedAt: null,
+        pickedUpAt: null,
+        cancelledAt: null,
+        closedAt: null,
+        statusHistory: [],
       };
+      order.statusHistory.push({ status: "new", at: order.createdAt, by: order.createdByUsername });
+      // Held back from the kitchen until its fire time
+      if (scheduledFor && schedule.fireTime(order, state.settings) > createdAt) order.firedAt = null;
+      if (order.firedAt) courses.fireOnArrival(order, [], order.items, { at: createdAt, by: order.createdByUsername });
       
       // Track customer if phone or email provided
       if (customerPhone || customerEmail) {
-        const existingCustomer = state.customers.find(c => 
-          (customerPhone && c.phone === customerPhone) || 
-          (customerEmail && c.email === customerEmail)
-        );
+        const existingCustomer = customerOf(order);
         if (existingCustomer) {
           existingCustomer.lastOrderAt = order.createdAt;
           existingCustomer.orderCount = (existingCustomer.orderCount || 0) + 1;
           existingCustomer.totalSpent = (existingCustomer.totalSpent || 0) + order.total;
           if (customerName) existingCustomer.name = customerName;
+          store.customers.update(existingCustomer);
         } else {
-          state.customers.push({
+          store.customers.insert({
             id: newId(),
             name: customerName,
             phone: customerPhone || "",
@@ -938,7 +1281,7 @@ io.on("connection", (socket) => {
         }
       }
       
-      state.orders.unshift(order);
+      store.orders.insert(order, 0);
       
       // Update revenue
       state.revenue.total = Number(state.revenue.total) + Number(order.total);
@@ -954,14 +1297,16 @@ io.on("connection", (socket) => {
         by: socket.user.role, 
         username: socket.user?.username,
         orderId: order.id,
-        total: order.total
+        type: order.type,
+        total: order.total,
+        scheduledFor
       });
       
       persistAndBroadcast(io);
-      io.emit("kitchen:newOrder", { orderId: order.id });
+      if (order.firedAt) io.emit("kitchen:newOrder", { orderId: order.id });
       cb?.({ ok: true, order });
     } catch (e) {
-      cb?.({ ok: false, error: e.message });
+      cb?.({ ok: false, error: e.message, conflict: e.conflict });
     }
   });
 
@@ -970,30 +1315,28 @@ io.on("connection", (socket) => {
       requireStaffOrAdmin();
       const { id, note, items } = payload || {};
       requireString(id, "id");
-      const order = state.orders.find(o => o.id === id);
+      const order = store.orders.get(id);
       assert(order, "Order not found");
-      assert(order.status !== "done", "Cannot edit done order");
+      assert(!orderStatus.isClosed(order.status), `Cannot edit ${order.status} order`);
       
-      let revenueDelta = 0;
       if (note !== undefined) order.note = String(note);
       
       if (items !== undefined) {
-        assert(Array.isArray(items) && items.length > 0, "Order must have items");
+        assert(!(order.paidTotal > 0), "Cannot change items after a payment has been taken");
         const oldTotal = order.total || 0;
-        order.items = items.map(it => ({
-          itemId: it.itemId,
-          name: it.name,
-          price: requireNumber(it.price, "item.price"),
-          qty: requireNumber(it.qty, "item.qty"),
-        }));
-        const newSubtotal = order.items.reduce((s, x) => s + x.price * x.qty, 0);
-        const newTotal = newSubtotal - (order.discount || 0);
-        revenueDelta = newTotal - oldTotal;
-        order.subtotal = newSubtotal;
-        order.total = newTotal;
+        const snap = pricing.snapshotItems(state, items, order.items)
+          .map(line => ({ ...line, round: line.round || order.round || 1 }));
+        const before = order.items;
+        repriceOrder(order, snap);
+        if (order.firedAt) courses.fireOnArrival(order, before, snap, { at: new Date().toISOString(), by: socket.user?.username || "Admin" });
+        // Splits were worked out from the old total
+        order.splits = [];
+        // The corrected lines replace the old ones in the sale, on the day it was placed
+        untrackSale(order, { amount: oldTotal, date: order.createdAt, lines: before });
+        trackAddedRound(order, snap, order.total, order.createdAt);
       }
+      store.orders.update(order);
       
-      state.revenue.total = Number(state.revenue.total) + Number(revenueDelta);
       logEvent("order:update", { by: socket.user.role, username: socket.user?.username, orderId: id });
       persistAndBroadcast(io);
       cb?.({ ok: true });
@@ -1002,18 +1345,100 @@ io.on("connection", (socket) => {
     }
   });
 
+  // Add a round to an open tab: new lines are priced from the menu and only
+  // they go to the kitchen, as a follow-up ticket
+  socket.on("order:addItems", (payload, cb) => {
+    try {
+      requireStaffOrAdmin();
+      const { id, items } = payload || {};
+      requireString(id, "id");
+      const order = store.orders.get(id);
+      assert(order, "Order not found");
+      tabs.assertCanAddRound(order);
+      assertItemsAvailable(items);
+      const added = pricing.snapshotItems(state, items);
+      
+      const at = new Date().toISOString();
+      const oldTotal = order.total || 0;
+      const round = tabs.openRound(order, { at, by: socket.user?.username || "Admin" });
+      if (order.firedAt) courses.fireOnArrival(order, order.items, added, { at, by: socket.user?.username || "Admin" });
+      repriceOrder(order, [...order.items, ...added.map(line => ({ ...line, round }))]);
+      // Splits were worked out from the old total; none of them is paid
+      order.splits = [];
+      trackAddedRound(order, added, pricing.roundMoney(order.total - oldTotal), at);
+      store.orders.update(order);
+      
+      logEvent("order:addItems", {
+        by: socket.user?.role,
+        username: socket.user?.username,
+        orderId: id,
+        round,
+        items: added.map(line => ({ itemId: line.itemId, qty: line.qty })),
+        total: order.total
+      });
+      persistAndBroadcast(io);
+      // Lines of a held course wait for it to be fired
+      const toKitchen = order.firedAt && courses.coursesOf(added).some(c => order.firedCourses?.[c]);
+      if (toKitchen) io.emit("kitchen:newOrder", { orderId: order.id, round });
+      cb?.({ ok: true, order, round });
+    } catch (e) {
+      cb?.({ ok: false, error: e.message, conflict: e.conflict });
+    }
+  });
+
+  // Send a scheduled order to the kitchen before its fire time
+  socket.on("order:fire", (payload, cb) => {
+    try {
+      requireStaffOrAdmin();
+      const { id } = payload || {};
+      requireString(id, "id");
+      const order = store.orders.get(id);
+      assert(order, "Order not found");
+      schedule.fireOrder(order, new Date().toISOString(), socket.user?.username || "Admin");
+      store.orders.update(order);
+      logEvent("order:fire", { by: socket.user?.role, username: socket.user?.username, orderIds: [id], scheduledFor: order.scheduledFor });
+      persistAndBroadcast(io);
+      io.emit("kitchen:newOrder", { orderId: order.id });
+      cb?.({ ok: true, order });
+    } catch (e) {
+      cb?.({ ok: false, error: e.message });
+    }
+  });
+
+  // Send a held course to the kitchen
+  socket.on("order:fireCourse", (payload, cb) => {
+    try {
+      requireStaffOrAdmin();
+      const { id, course } = payload || {};
+      requireString(id, "id");
+      requireString(course, "course");
+      const order = store.orders.get(id);
+      assert(order, "Order not found");
+      assert(!orderStatus.isClosed(order.status), `Order is ${order.status}`);
+      assert(!schedule.isHeld(order), "The order hasn't gone to the kitchen yet");
+      courses.fireCourse(order, course, { at: new Date().toISOString(), by: socket.user?.username || "Admin" });
+      store.orders.update(order);
+      logEvent("order:fireCourse", { by: socket.user?.role, username: socket.user?.username, orderId: id, course });
+      persistAndBroadcast(io);
+      io.emit("kitchen:newOrder", { orderId: order.id, course });
+      cb?.({ ok: true, order });
+    } catch (e) {
+      cb?.({ ok: false, error: e.message });
+    }
+  });
+
   socket.on("order:delete", (payload, cb) => {
     try {
       requireStaffOrAdmin();
       const { id } = payload || {};
       requireString(id, "id");
-      const order = state.orders.find(o => o.id === id);
+      const order = store.orders.get(id);
       assert(order, "Order not found");
-      assert(order.status !== "done", "Cannot delete done order");
+      assert(!orderStatus.isClosed(order.status), `Cannot delete ${order.status} order`);
+      assert(!(order.paidTotal > 0), "Cannot delete a paid order; refund it instead");
       
-      const total = order.total || 0;
-      state.revenue.total = Number(state.revenue.total) - Number(total);
-      state.orders = state.orders.filter(o => o.id !== id);
+      trackDeletion(order);
+      store.orders.remove(id);
       
       logEvent("order:delete", { by: socket.user.role, username: socket.user?.username, orderId: id });
       persistAndBroadcast(io);
@@ -1026,44 +1451,269 @@ io.on("connection", (socket) => {
   socket.on("order:setStatus", (payload, cb) => {
     try {
       requireStaffOrAdmin();
-      const { id, status } = payload || {};
+      const { id, status, reason } = payload || {};
       requireString(id, "id");
       requireString(status, "status");
-      const order = state.orders.find(o => o.id === id);
+      const order = store.orders.get(id);
       assert(order, "Order not found");
-      assert(["new","preparing","done"].includes(status), "Invalid status");
-
-      const now = new Date().toISOString();
-      if (status === "preparing") {
-        if (!order.acknowledgedAt) order.acknowledgedAt = now;
-        if (!order.preparingAt) order.preparingAt = now;
+      orderStatus.assertTransition(state.settings, order, status);
+      assert(!schedule.isHeld(order) || status === "cancelled", "The order hasn't gone to the kitchen yet; fire it first");
+      courses.assertNothingHeld(order, status);
+      if (status === "cancelled") {
+        assert(refunds.refundableAmount(order) === 0, "Refund the payment before cancelling the order");
       }
-      if (status === "done") {
-        if (!order.doneAt) {
-          order.doneAt = now;
-          
-          // Calculate prep time
-          const created = new Date(order.createdAt).getTime();
-          const done = new Date(order.doneAt).getTime();
-          const prepSeconds = Math.round((done - created) / 1000);
-          
-          state.metrics.prepTimes[order.id] = prepSeconds;
-          
-          // Update staff performance with prep time
-          if (order.createdByStaffId && order.createdByStaffId !== 'admin') {
-            trackStaffPerformance(order.createdByStaffId, 0, prepSeconds);
-          }
+
+      const wasReady = !!order.readyAt;
+      orderStatus.applyStatus(order, status, {
+        at: new Date().toISOString(),
+        by: socket.user?.username || "Admin",
+      });
+      
+      if (!wasReady && order.readyAt) {
+        // Prep time runs from the order being placed to the kitchen finishing it
+        const prepSeconds = orderStatus.prepSeconds(order);
+        state.metrics.prepTimes[order.id] = prepSeconds;
+        
+        // Update staff performance with prep time
+        if (order.createdByStaffId && order.createdByStaffId !== 'admin') {
+          trackStaffPerformance(order.createdByStaffId, 0, prepSeconds);
         }
       }
-      order.status = status;
+      if (status === "cancelled") {
+        order.cancelReason = typeof reason === "string" ? reason.trim().slice(0, 200) : "";
+        delete state.metrics.prepTimes[order.id];
+        trackCancellation(order);
+      }
+      store.orders.update(order);
 
       logEvent("order:setStatus", { 
         by: socket.user.role, 
         username: socket.user?.username, 
         orderId: id, 
-        status 
+        status,
+        reason: order.cancelReason
+      });
+      persistAndBroadcast(io);
+      cb?.({ ok: true });
+    } catch (e) {
+      cb?.({ ok: false, error: e.message });
+    }
+  });
+
+  // ===== Tables =====
+  socket.on("area:create", (payload, cb) => {
+    try {
+      requireAdmin();
+      const area = { id: newId(), sortOrder: store.areas.all().length + 1, ...tables.normalizeArea(payload) };
+      store.areas.insert(area);
+      logEvent("area:create", { by: socket.user?.role, username: socket.user?.username, area });
+      persistAndBroadcast(io);
+      cb?.({ ok: true, area });
+    } catch (e) {
+      cb?.({ ok: false, error: e.message });
+    }
+  });
+
+  socket.on("area:update", (payload, cb) => {
+    try {
+      requireAdmin();
+      const { id } = payload || {};
+      requireString(id, "id");
+      const area = store.areas.get(id);
+      assert(area, "Area not found");
+      store.areas.update(Object.assign(area, tables.normalizeArea({ name: area.name, ...payload })));
+      logEvent("area:update", { by: socket.user?.role, username: socket.user?.username, area });
+      persistAndBroadcast(io);
+      cb?.({ ok: true, area });
+    } catch (e) {
+      cb?.({ ok: false, error: e.message });
+    }
+  });
+
+  socket.on("area:delete", (payload, cb) => {
+    try {
+      requireAdmin();
+      const { id } = payload || {};
+      requireString(id, "id");
+      assert(!store.tables.all().some(t => t.areaId === id), "Move or delete the area's tables first");
+      store.areas.remove(id);
+      logEvent("area:delete", { by: socket.user?.role, username: socket.user?.username, id });
+      persistAndBroadcast(io);
+      cb?.({ ok: true });
+    } catch (e) {
+      cb?.({ ok: false, error: e.message });
+    }
+  });
+
+  socket.on("table:create", (payload, cb) => {
+    try {
+      requireAdmin();
+      const table = { id: newId(), sortOrder: store.tables.all().length + 1, ...tables.normalizeTable(state, payload) };
+      store.tables.insert(table);
+      logEvent("table:create", { by: socket.user?.role, username: socket.user?.username, table });
+      persistAndBroadcast(io);
+      cb?.({ ok: true, table });
+    } catch (e) {
+      cb?.({ ok: false, error: e.message });
+    }
+  });
+
+  socket.on("table:update", (payload, cb) => {
+    try {
+      requireAdmin();
+      const { id } = payload || {};
+      requireString(id, "id");
+      const table = tables.findTable(state, id);
+      store.tables.update(Object.assign(table, tables.normalizeTable(state, { ...table, ...payload }, id)));
+      // Open orders show the table's current name
+      for (const order of tables.openOrdersAt(state, id)) {
+        order.tableNumber = table.name;
+        store.orders.update(order);
+      }
+      logEvent("table:update", { by: socket.user?.role, username: socket.user?.username, table });
+      persistAndBroadcast(io);
+      cb?.({ ok: true, table });
+    } catch (e) {
+      cb?.({ ok: false, error: e.message });
+    }
+  });
+
+  socket.on("table:delete", (payload, cb) => {
+    try {
+      requireAdmin();
+      const { id } = payload || {};
+      requireString(id, "id");
+      tables.findTable(state, id);
+      assert(tables.openOrdersAt(state, id).length === 0, "The table has open orders; move them first");
+      store.tables.remove(id);
+      logEvent("table:delete", { by: socket.user?.role, username: socket.user?.username, id });
+      persistAndBroadcast(io);
+      cb?.({ ok: true });
+    } catch (e) {
+      cb?.({ ok: false, error: e.message });
+    }
+  });
+
+  socket.on("table:transfer", (payload, cb) => {
+    try {
+      requireStaffOrAdmin();
+      const { orderId, tableId } = payload || {};
+      requireString(orderId, "orderId");
+      requireString(tableId, "tableId");
+      const order = store.orders.get(orderId);
+      assert(order, "Order not found");
+      const table = tables.findTable(state, tableId);
+      tables.assertCanMove(order, table);
+      const from = order.tableNumber;
+      tables.assignTable(order, table);
+      store.orders.update(order);
+      logEvent("table:transfer", { by: socket.user?.role, username: socket.user?.username, orderId, from, to: table.name });
+      persistAndBroadcast(io);
+      cb?.({ ok: true, order });
+    } catch (e) {
+      cb?.({ ok: false, error: e.message });
+    }
+  });
+
+  // "Fire mains for table 5": the course goes out on every order at the table holding it
+  socket.on("table:fireCourse", (payload, cb) => {
+    try {
+      requireStaffOrAdmin();
+      const { tableId, course } = payload || {};
+      requireString(tableId, "tableId");
+      requireString(course, "course");
+      const table = tables.findTable(state, tableId);
+      const fired = tables.openOrdersAt(state, table.id)
+        .filter(o => !schedule.isHeld(o) && courses.heldCourses(o).includes(course));
+      assert(fired.length > 0, `Nothing at ${table.name} is waiting on the ${course} course`);
+      const at = new Date().toISOString();
+      for (const order of fired) {
+        courses.fireCourse(order, course, { at, by: socket.user?.username || "Admin" });
+        store.orders.update(order);
+      }
+      logEvent("table:fireCourse", {
+        by: socket.user?.role,
+        username: socket.user?.username,
+        table: table.name,
+        course,
+        orderIds: fired.map(o => o.id)
+      });
+      persistAndBroadcast(io);
+      for (const order of fired) io.emit("kitchen:newOrder", { orderId: order.id, course });
+      cb?.({ ok: true, fired: fired.length });
+    } catch (e) {
+      cb?.({ ok: false, error: e.message });
+    }
+  });
+
+  // Seat everyone at one table: the open orders of fromTableId move to toTableId
+  socket.on("table:merge", (payload, cb) => {
+    try {
+      requireStaffOrAdmin();
+      const { fromTableId, toTableId } = payload || {};
+      requireString(fromTableId, "fromTableId");
+      requireString(toTableId, "toTableId");
+      const from = tables.findTable(state, fromTableId);
+      const to = tables.findTable(state, toTableId);
+      assert(from.id !== to.id, "Pick two different tables");
+      const moved = tables.openOrdersAt(state, from.id);
+      assert(moved.length > 0, `${from.name} has no open orders`);
+      for (const order of moved) {
+        tables.assignTable(order, to);
+        store.orders.update(order);
+      }
+      logEvent("table:merge", {
+        by: socket.user?.role,
+        username: socket.user?.username,
+        from: from.name,
+        to: to.name,
+        orderIds: moved.map(o => o.id)
       });
       persistAndBroadcast(io);
+      cb?.({ ok: true, moved: moved.length });
+    } catch (e) {
+      cb?.({ ok: false, error: e.message });
+    }
+  });
+
+  // ===== Held Carts =====
+  socket.on("cart:hold", (payload, cb) => {
+    try {
+      requireStaffOrAdmin();
+      const { label, cart } = payload || {};
+      const held = store.heldCarts.insert(heldCarts.holdCart(state, { id: newId(), label, cart }, {
+        at: new Date().toISOString(),
+        by: socket.user?.username || "Admin",
+      }));
+      logEvent("cart:hold", { by: socket.user?.role, username: socket.user?.username, id: held.id, label: held.label, itemCount: held.itemCount });
+      persistAndBroadcast(io);
+      cb?.({ ok: true, held });
+    } catch (e) {
+      cb?.({ ok: false, error: e.message });
+    }
+  });
+
+  socket.on("cart:resume", (payload, cb) => {
+    try {
+      requireStaffOrAdmin();
+      const held = heldCarts.takeHeldCart(store.heldCarts, payload?.id, new Date().toISOString());
+      logEvent("cart:resume", { by: socket.user?.role, username: socket.user?.username, id: held.id, label: held.label });
+      persistAndBroadcast(io);
+      cb?.({ ok: true, held });
+    } catch (e) {
+      cb?.({ ok: false, error: e.message });
+    }
+  });
+
+  socket.on("cart:discard", (payload, cb) => {
+    try {
+      requireStaffOrAdmin();
+      const { id } = payload || {};
+      requireString(id, "id");
+      const held = store.heldCarts.remove(id);
+      assert(held, "Held cart not found");
+      logEvent("cart:discard", { by: socket.user?.role, username: socket.user?.username, id, label: held.label });
+      persistAndBroadcast(io);
       cb?.({ ok: true });
     } catch (e) {
       cb?.({ ok: false, error: e.message });
@@ -1071,67 +1721,226 @@ io.on("connection", (socket) => {
   });
 
   // ===== Receipts & Payment =====
+  socket.on("order:split", (payload, cb) => {
+    try {
+      requireStaffOrAdmin();
+      const { orderId, mode, count, groups } = payload || {};
+      requireString(orderId, "orderId");
+      const order = store.orders.get(orderId);
+      assert(order, "Order not found");
+      assert(order.status !== "cancelled", "Order is cancelled");
+      assert(!(order.paidTotal > 0), "Splits can't be changed after a payment has been taken");
+      
+      // "none" pays the order as one bill again
+      order.splits = mode === "none" ? [] : payments.planSplits(order, { mode, count, groups });
+      store.orders.update(order);
+      
+      logEvent("order:split", {
+        by: socket.user?.role,
+        username: socket.user?.username,
+        orderId,
+        mode,
+        splits: order.splits.length
+      });
+      
+      persistAndBroadcast(io);
+      cb?.({ ok: true, splits: order.splits });
+    } catch (e) {
+      cb?.({ ok: false, error: e.message });
+    }
+  });
+
   socket.on("receipt:create", (payload, cb) => {
     try {
       requireStaffOrAdmin();
-      const { orderId, paymentMethod, note } = payload || {};
+      const { orderId, splitId, tenders, paymentMethod, note, expectedDue, idempotencyKey } = payload || {};
       requireString(orderId, "orderId");
-      requireString(paymentMethod, "paymentMethod");
-      assert(["cash", "card", "other"].includes(paymentMethod), "Invalid payment method");
       
-      const order = state.orders.find(o => o.id === orderId);
+      const order = store.orders.get(orderId);
       assert(order, "Order not found");
+      // The same payment sent again, e.g. from a till's offline queue under another cashier
+      const existing = idempotencyKey ? store.receipts.all().find(r => r.orderId === orderId && r.idempotencyKey === idempotencyKey) : null;
+      if (existing) return cb?.({ ok: true, receipt: existing, order, replayed: true });
+      assert(order.status !== "cancelled", "Order is cancelled");
+      
+      const due = payments.amountDue(order, splitId);
+      // A payment taken offline was for the amount the till showed at the time
+      if (expectedDue !== undefined) {
+        const expected = requireNumber(expectedDue, "expectedDue");
+        assertConflict(
+          pricing.roundMoney(expected) === due.amount,
+          `${due.amount.toFixed(2)} is due now, not ${expected.toFixed(2)}`,
+          { type: "amount", expected: pricing.roundMoney(expected), due: due.amount }
+        );
+      }
+      // A single paymentMethod pays everything due with that method
+      const paid = payments.normalizeTenders(
+        tenders ?? [{ method: paymentMethod, amount: due.amount }],
+        due,
+        state.settings.cashRounding
+      );
+      const methods = [...new Set(paid.tenders.map(t => t.method))];
       
       const receipt = {
         id: newId(),
+        receiptNumber: tickets.nextReceiptNumber(state),
+        idempotencyKey: idempotencyKey || null,
         orderId,
-        paymentMethod,
-        amount: order.total,
+        kind: "payment",
+        splitId: due.split?.id || null,
+        label: due.split?.label || "",
+        paymentMethod: methods.length === 1 ? methods[0] : "mixed",
+        tenders: paid.tenders,
+        amount: paid.amount,
+        rounding: paid.rounding,
         note: note || "",
+        drawerSessionId: drawers.openSessionOf(state, socket.user?.username || socket.user?.role)?.id || null,
         createdAt: new Date().toISOString(),
         createdBy: socket.user?.username || socket.user?.role,
       };
       
-      state.receipts.unshift(receipt);
+      store.receipts.insert(receipt, 0);
+      if (due.split) due.split.receiptId = receipt.id;
+      order.paidTotal = pricing.roundMoney((order.paidTotal || 0) + paid.amount);
+      store.orders.update(order);
       
-      // Track payment method
+      // Track the amount actually taken with each method, after cash rounding
       if (!state.metrics.paymentMethods) {
         state.metrics.paymentMethods = { cash: 0, card: 0, other: 0 };
       }
-      state.metrics.paymentMethods[paymentMethod] = 
-        (state.metrics.paymentMethods[paymentMethod] || 0) + order.total;
+      for (const t of paid.tenders) {
+        state.metrics.paymentMethods[t.method] = 
+          pricing.roundMoney((state.metrics.paymentMethods[t.method] || 0) + payments.tenderNet(t));
+      }
       
       logEvent("receipt:create", { 
         by: socket.user?.role, 
         username: socket.user?.username,
         receiptId: receipt.id,
         orderId,
-        paymentMethod,
-        amount: order.total
+        splitId: receipt.splitId,
+        paymentMethod: receipt.paymentMethod,
+        tenders: receipt.tenders,
+        amount: receipt.amount,
+        rounding: receipt.rounding
       });
       
       persistAndBroadcast(io);
-      cb?.({ ok: true, receipt });
+      cb?.({ ok: true, receipt, order });
     } catch (e) {
-      cb?.({ ok: false, error: e.message });
+      cb?.({ ok: false, error: e.message, conflict: e.conflict });
     }
   });
 
   socket.on("receipt:preview", (payload, cb) => {
     try {
       requireStaffOrAdmin();
-      const { orderId, paymentMethod } = payload || {};
+      const { orderId, receiptId, paymentMethod } = payload || {};
+      requireString(orderId, "orderId");
+      
+      const { order, receipt, receipts } = findOrder(orderId);
+      
+      // One split's receipt, or every payment taken on the order
+      let shown = receipts || (receipt ? [receipt] : []);
+      if (receiptId) {
+        shown = shown.filter(r => r.id === receiptId);
+        assert(shown.length > 0, "Receipt not found");
+      }
+      
+      const preview = generateReceiptPreview(order, state.settings, paymentMethod || null, paymentMethod ? [] : shown);
+      cb?.({ ok: true, preview, order, receipt: receiptId ? shown[0] : receipt, receipts: shown });
+    } catch (e) {
+      cb?.({ ok: false, error: e.message });
+    }
+  });
+
+  socket.on("order:refund", async (payload, cb) => {
+    try {
+      requireStaffOrAdmin();
+      const { orderId, mode, amount, lines, tenders, reason, approval } = payload || {};
       requireString(orderId, "orderId");
+      const why = refunds.requireReason(reason);
       
-      const order = state.orders.find(o => o.id === orderId);
+      const order = store.orders.get(orderId);
       assert(order, "Order not found");
+      assert(order.paidTotal > 0, "Only paid orders can be refunded");
+      
+      const plan = refunds.planRefund(order, { mode, amount, lines });
+      const orderReceipts = store.receipts.all().filter(r => r.orderId === orderId);
+      const refundTenders = refunds.refundTenders(orderReceipts, tenders, plan.amount);
+      
+      // Managers and admins approve their own refunds; cashiers above the limit need one of them
+      const self = socket.user.role === "admin"
+        ? { username: socket.user.username || "Admin", role: "admin" }
+        : store.staff.get(socket.user.sub);
+      let approvedBy = null;
+      if (self?.role === "admin" || self?.role === "manager") {
+        approvedBy = self.username;
+      } else if (refunds.needsApproval(state.settings, plan.amount)) {
+        assert(approval?.username && approval?.password, "Manager approval is required for this refund");
+        let approver = null;
+        if (adminLogin(approval.username, approval.password)) {
+          approver = approval.username;
+        } else {
+          const manager = store.staff.all().find(s => s.username === approval.username && s.role === "manager" && s.status === "active");
+          if (manager && await staffPasswordVerify(approval.password, manager.passwordHash)) approver = manager.username;
+        }
+        if (!approver) logEvent("auth:failed", { username: approval.username, type: "refundApproval" });
+        assert(approver, "Manager approval failed");
+        approvedBy = approver;
+      }
+      
+      // The order may have changed while the password was checked
+      assert(refunds.refundableAmount(order) >= plan.amount, "Order changed; try the refund again");
       
-      // Find associated receipt for payment method
-      const receipt = state.receipts.find(r => r.orderId === orderId);
-      const pm = paymentMethod || receipt?.paymentMethod || null;
+      const methods = [...new Set(refundTenders.map(t => t.method))];
+      // Cash given back is rounded like cash taken
+      const givenBack = refundTenders.map(t => (t.method === "cash"
+        ? { method: t.method, amount: -t.amount, rounding: -payments.cashRounding(t.amount, state.settings.cashRounding) }
+        : { method: t.method, amount: -t.amount }));
+      const receipt = {
+        id: newId(),
+        receiptNumber: null,
+        orderId,
+        kind: "refund",
+        splitId: null,
+        label: "Refund",
+        paymentMethod: methods.length === 0 ? "none" : methods.length === 1 ? methods[0] : "mixed",
+        tenders: givenBack,
+        amount: -plan.amount,
+        rounding: pricing.roundMoney(givenBack.reduce((s, t) => s + (t.rounding || 0), 0)),
+        lines: plan.lines,
+        reason: why,
+        approvedBy,
+        note: "",
+        drawerSessionId: drawers.openSessionOf(state, socket.user?.username || socket.user?.role)?.id || null,
+        createdAt: new Date().toISOString(),
+        createdBy: socket.user?.username || socket.user?.role,
+      };
+      
+      store.receipts.insert(receipt, 0);
+      for (const line of plan.lines) {
+        const item = order.items[line.index];
+        item.voidedQty = (item.voidedQty || 0) + line.qty;
+      }
+      order.refundedTotal = pricing.roundMoney((order.refundedTotal || 0) + plan.amount);
+      store.orders.update(order);
+      trackRefund(order, receipt, plan.full);
+      
+      logEvent("order:refund", {
+        by: socket.user?.role,
+        username: socket.user?.username,
+        orderId,
+        receiptId: receipt.id,
+        mode,
+        amount: plan.amount,
+        lines: plan.lines.map(l => ({ index: l.index, qty: l.qty })),
+        reason: why,
+        approvedBy
+      });
       
-      const preview = generateReceiptPreview(order, state.settings, pm);
-      cb?.({ ok: true, preview, order, receipt });
+      persistAndBroadcast(io);
+      cb?.({ ok: true, receipt, order });
     } catch (e) {
       cb?.({ ok: false, error: e.message });
     }
@@ -1143,12 +1952,114 @@ io.on("connection", (socket) => {
       const { id } = payload || {};
       requireString(id, "id");
       
-      const order = state.orders.find(o => o.id === id);
-      assert(order, "Order not found");
-      
-      const receipt = state.receipts.find(r => r.orderId === id);
-      
-      cb?.({ ok: true, order, receipt });
+      const { order, receipt, receipts } = findOrder(id);
+      cb?.({ ok: true, order, receipt, receipts });
+    } catch (e) {
+      cb?.({ ok: false, error: e.message });
+    }
+  });
+
+  // ===== Cash Drawers =====
+  // A cashier's own open session, or any session for managers and admins
+  function findDrawerSession(sessionId) {
+    const me = socket.user?.username || socket.user?.role;
+    if (!sessionId) {
+      const own = drawers.openSessionOf(state, me);
+      assert(own, "You don't have an open drawer");
+      return own;
+    }
+    requireString(sessionId, "sessionId");
+    const session = store.drawerSessions.get(sessionId);
+    assert(session, "Drawer session not found");
+    assert(session.openedBy === me || isManagerOrAdmin(), "Only managers can work on another cashier's drawer");
+    return session;
+  }
+
+  socket.on("drawer:open", (payload, cb) => {
+    try {
+      requireStaffOrAdmin();
+      const session = store.drawerSessions.insert(drawers.openSession(state, { id: newId(), count: payload?.count }, {
+        at: new Date().toISOString(),
+        by: socket.user?.username || socket.user?.role,
+      }), 0);
+      logEvent("drawer:open", {
+        by: socket.user?.role,
+        username: socket.user?.username,
+        sessionId: session.id,
+        openingFloat: session.openingFloat
+      });
+      persistAndBroadcast(io);
+      cb?.({ ok: true, session });
+    } catch (e) {
+      cb?.({ ok: false, error: e.message });
+    }
+  });
+
+  socket.on("drawer:movement", (payload, cb) => {
+    try {
+      requireStaffOrAdmin();
+      const { sessionId, type, amount, reason } = payload || {};
+      const session = findDrawerSession(sessionId);
+      const movement = drawers.addMovement(session, { id: newId(), type, amount, reason }, {
+        at: new Date().toISOString(),
+        by: socket.user?.username || socket.user?.role,
+      });
+      store.drawerSessions.update(session);
+      logEvent("drawer:movement", {
+        by: socket.user?.role,
+        username: socket.user?.username,
+        sessionId: session.id,
+        type: movement.type,
+        amount: movement.amount,
+        reason: movement.reason
+      });
+      persistAndBroadcast(io);
+      cb?.({ ok: true, movement, session });
+    } catch (e) {
+      cb?.({ ok: false, error: e.message });
+    }
+  });
+
+  // X-report of an open drawer (managers only, so the closing count stays
+  // blind), or the Z-report a closed one was given
+  socket.on("drawer:report", (payload, cb) => {
+    try {
+      requireStaffOrAdmin();
+      const session = findDrawerSession(payload?.sessionId);
+      if (session.closedAt) {
+        cb?.({ ok: true, report: session.report });
+        return;
+      }
+      assert(isManagerOrAdmin(), "Only managers can take an X-report");
+      const report = drawers.drawerReport(state, session, new Date().toISOString());
+      logEvent("drawer:xReport", { by: socket.user?.role, username: socket.user?.username, sessionId: session.id });
+      cb?.({ ok: true, report });
+    } catch (e) {
+      cb?.({ ok: false, error: e.message });
+    }
+  });
+
+  socket.on("drawer:close", (payload, cb) => {
+    try {
+      requireStaffOrAdmin();
+      const { sessionId, count, cardTotal, note } = payload || {};
+      const session = findDrawerSession(sessionId);
+      const report = drawers.closeSession(state, session, { count, cardTotal, note }, {
+        at: new Date().toISOString(),
+        by: socket.user?.username || socket.user?.role,
+      });
+      store.drawerSessions.update(session);
+      logEvent("drawer:close", {
+        by: socket.user?.role,
+        username: socket.user?.username,
+        sessionId: session.id,
+        countedCash: session.countedCash,
+        countedCard: session.countedCard,
+        cashVariance: report.cash.variance,
+        cardVariance: report.card.variance
+      });
+      persistAndBroadcast(io);
+      cb?.({ ok: true, session, report });
     } catch (e) {
       cb?.({ ok: false, error: e.message });
     }
@@ -1158,9 +2069,13 @@ io.on("connection", (socket) => {
   socket.on("report:exportCSV", (payload, cb) => {
     try {
       requireAdmin();
-      const { startDate, endDate } = payload || {};
+      const { startDate, endDate, type } = payload || {};
+      const view = archive.withArchive(state, { startDate, endDate });
       
-      let orders = state.orders;
+      let orders = view.orders;
+      if (type) {
+        orders = orders.filter(o => (o.type || "dine-in") === type);
+      }
       if (startDate) {
         orders = orders.filter(o => new Date(o.createdAt) >= new Date(startDate));
       }
@@ -1170,27 +2085,65 @@ io.on("connection", (socket) => {
       
       // Return CSV for orders with prep times
       const rows = [
-        ["orderId","createdAt","doneAt","prepSeconds","createdByUsername","status","subtotal","discount","total","paymentMethod"].join(","),
+        ["orderId","businessDay","ticketNumber","createdAt","readyAt","closedAt","prepSeconds","createdByUsername","orderType","status","subtotal","discount","serviceCharge","tax","taxBreakdown","total","paid","paymentMethod","record","reason","receiptNumbers"].join(","),
       ];
       
       for (const o of orders.slice().reverse()) {
-        const created = new Date(o.createdAt).getTime();
-        const done = o.doneAt ? new Date(o.doneAt).getTime() : null;
-        const prepSeconds = done ? Math.round((done - created)/1000) : "";
-        const subtotal = (o.items || []).reduce((s, x) => s + x.price * x.qty, 0);
-        const receipt = state.receipts.find(r => r.orderId === o.id);
+        const prepSeconds = orderStatus.prepSeconds(o) ?? "";
+        const subtotal = o.subtotal ?? (o.items || []).reduce((s, x) => s + x.price * x.qty, 0);
+        const paidReceipts = view.receipts.filter(r => r.orderId === o.id && r.kind !== "refund");
+        const methods = new Set(paidReceipts.flatMap(r => payments.receiptTenders(r).map(t => t.method)));
         
         rows.push([
           o.id,
+          o.businessDay || "",
+          o.ticketNumber || "",
           o.createdAt,
-          o.doneAt || "",
+          o.readyAt || "",
+          o.closedAt || "",
           prepSeconds,
           JSON.stringify(o.createdByUsername || ""),
+          o.type || "dine-in",
           o.status,
           subtotal.toFixed(2),
           (o.discount || 0).toFixed(2),
-          (o.total || subtotal).toFixed(2),
-          receipt?.paymentMethod || ""
+          (o.serviceCharge || 0).toFixed(2),
+          (o.tax || 0).toFixed(2),
+          JSON.stringify((o.taxes || []).map(t => `${t.name} ${t.percent}%: ${t.amount.toFixed(2)}`).join("; ")),
+          (o.total ?? subtotal).toFixed(2),
+          (o.paidTotal || 0).toFixed(2),
+          [...methods].join(";"),
+          "order",
+          JSON.stringify(o.cancelReason || ""),
+          paidReceipts.map(tickets.receiptNumberLabel).filter(Boolean).reverse().join(";")
+        ].join(","));
+      }
+      
+      // Each refund is its own row, dated when it was given
+      const refundReceipts = view.receipts.filter(r => r.kind === "refund" &&
+        (!startDate || new Date(r.createdAt) >= new Date(startDate)) &&
+        (!endDate || new Date(r.createdAt) <= new Date(endDate)));
+      for (const r of refundReceipts.slice().reverse()) {
+        const o = view.orders.find(x => x.id === r.orderId);
+        if (type && (o?.type || "dine-in") !== type) continue;
+        rows.push([
+          r.orderId,
+          o?.businessDay || "",
+          o?.ticketNumber || "",
+          r.createdAt,
+          "",
+          "",
+          "",
+          JSON.stringify(r.createdBy || ""),
+          o?.type || "dine-in",
+          "refund",
+          "", "", "", "", "",
+          r.amount.toFixed(2),
+          "",
+          r.tenders.map(t => t.method).join(";"),
+          "refund",
+          JSON.stringify(r.reason || ""),
+          ""
         ].join(","));
       }
       
@@ -1203,17 +2156,23 @@ io.on("connection", (socket) => {
   socket.on("report:metrics", (payload, cb) => {
     try {
       requireAdmin();
+      const { start, end } = payload || {};
       
       const today = new Date().toISOString().split('T')[0];
       const currentWeek = getWeekKey(new Date());
       const currentMonth = new Date().toISOString().slice(0, 7);
       
-      // Get advanced metrics
-      const revenueByStaff = metrics.getRevenueByStaff(state);
-      const revenueByItem = metrics.getRevenueByItem(state);
-      const prepTimeStats = metrics.getPrepTimeStats(state);
-      const customerMetrics = customers.getCustomerMetrics(state);
-      const promoMetrics = metrics.getPromoMetrics(state);
+      // Get advanced metrics (over live and archived orders in the chosen
+      // range; only the archive months it covers are read)
+      const view = reportView(start, end);
+      const revenueByStaff = metrics.getRevenueByStaff(view);
+      const revenueByItem = metrics.getRevenueByItem(view);
+      const prepTimeStats = metrics.getPrepTimeStats(view);
+      const customerMetrics = customers.getCustomerMetrics(view);
+      const promoMetrics = metrics.getPromoEffectiveness(view);
+      const taxByClass = metrics.getTaxByClass(view);
+      const revenueByType = metrics.getRevenueByOrderType(view);
+      const refundReport = metrics.getRefunds(view);
       const inventoryMetrics = inventory.getInventoryMetrics(state);
       
       // Calculate averages
@@ -1225,7 +2184,7 @@ io.on("connection", (socket) => {
       // Staff performance with averages
       const staffPerf = {};
       for (const [staffId, data] of Object.entries(state.metrics.staffPerformance || {})) {
-        const staff = state.staff.find(s => s.id === staffId);
+        const staff = store.staff.get(staffId);
         staffPerf[staffId] = {
           ...data,
           username: staff?.username || staffId,
@@ -1238,7 +2197,7 @@ io.on("connection", (socket) => {
       // Get bestsellers with names
       const bestsellers = Object.entries(state.metrics.bestsellers || {})
         .map(([itemId, data]) => {
-          const item = state.menu.find(m => m.id === itemId);
+          const item = store.menu.get(itemId);
           return {
             itemId,
             name: item?.name || itemId,
@@ -1253,8 +2212,9 @@ io.on("connection", (socket) => {
         thisWeek: state.metrics.weeklyRevenue[currentWeek] || 0,
         thisMonth: state.metrics.monthlyRevenue[currentMonth] || 0,
         totalRevenue: state.revenue.total,
-        totalOrders: state.orders.length,
-        doneOrders: state.orders.filter(o => o.status === "done").length,
+        totalOrders: view.orders.length,
+        fulfilledOrders: view.orders.filter(orderStatus.isFulfilled).length,
+        cancelledOrders: view.orders.filter(o => o.status === "cancelled").length,
         avgPrepTime,
         bestsellers,
         staffPerformance: staffPerf,
@@ -1268,7 +2228,10 @@ io.on("connection", (socket) => {
         prepTimeStats,
         customerMetrics,
         promoMetrics,
-        inventoryMetrics
+        inventoryMetrics,
+        taxByClass,
+        revenueByType,
+        refunds: refundReport
       }});
     } catch (e) {
       cb?.({ ok: false, error: e.message });
@@ -1279,7 +2242,7 @@ io.on("connection", (socket) => {
   socket.on("inventory:create", (payload, cb) => {
     try {
       requireAdmin();
-      const item = inventory.createInventoryItem(payload, state, socket.user);
+      const item = inventory.createInventoryItem(payload, store, socket.user);
       logEvent("inventory:create", { by: socket.user?.role, username: socket.user?.username, item });
       persistAndBroadcast(io);
       cb?.({ ok: true, item });
@@ -1291,7 +2254,7 @@ io.on("connection", (socket) => {
   socket.on("inventory:update", (payload, cb) => {
     try {
       requireAdmin();
-      const item = inventory.updateInventoryItem(payload.id, payload, state, socket.user);
+      const item = inventory.updateInventoryItem(payload.id, payload, store, socket.user);
       logEvent("inventory:update", { by: socket.user?.role, username: socket.user?.username, id: payload.id });
       persistAndBroadcast(io);
       cb?.({ ok: true, item });
@@ -1303,7 +2266,7 @@ io.on("connection", (socket) => {
   socket.on("inventory:delete", (payload, cb) => {
     try {
       requireAdmin();
-      inventory.deleteInventoryItem(payload.id, state);
+      inventory.deleteInventoryItem(payload.id, store);
       logEvent("inventory:delete", { by: socket.user?.role, username: socket.user?.username, id: payload.id });
       persistAndBroadcast(io);
       cb?.({ ok: true });
@@ -1315,7 +2278,7 @@ io.on("connection", (socket) => {
   socket.on("inventory:archive", (payload, cb) => {
     try {
       requireAdmin();
-      const item = inventory.archiveInventoryItem(payload.id, state, socket.user);
+      const item = inventory.archiveInventoryItem(payload.id, store, socket.user);
       logEvent("inventory:archive", { by: socket.user?.role, username: socket.user?.username, id: payload.id, archived: item.isArchived });
       persistAndBroadcast(io);
       cb?.({ ok: true, item });
@@ -1399,7 +2362,7 @@ io.on("connection", (socket) => {
   socket.on("customer:getHistory", (payload, cb) => {
     try {
       requireAdmin();
-      const history = customers.getCustomerOrderHistory(payload.customerId, state);
+      const history = customers.getCustomerOrderHistory(payload.customerId, archive.withArchive(state));
       cb?.({ ok: true, history });
     } catch (e) {
       cb?.({ ok: false, error: e.message });
@@ -1415,7 +2378,7 @@ io.on("connection", (socket) => {
         ["id","name","phone","email","marketingOptIn","createdAt","lastOrderAt","orderCount","totalSpent"].join(","),
       ];
       
-      for (const c of state.customers || []) {
+      for (const c of store.customers.all()) {
         rows.push([
           c.id,
           JSON.stringify(c.name || ""),
@@ -1443,7 +2406,7 @@ io.on("connection", (socket) => {
         ["id","name","quantity","unit","minStock","costPerUnit","category","supplier","isArchived","createdAt","updatedAt"].join(","),
       ];
       
-      for (const i of state.inventory || []) {
+      for (const i of store.inventory.all()) {
         rows.push([
           i.id,
           JSON.stringify(i.name || ""),
@@ -1474,7 +2437,7 @@ io.on("connection", (socket) => {
       ];
       
       for (const [staffId, data] of Object.entries(state.metrics.staffPerformance || {})) {
-        const staff = state.staff.find(s => s.id === staffId);
+        const staff = store.staff.get(staffId);
         const avgPrepTime = data.completedOrders > 0 
           ? Math.round(data.totalPrepTime / data.completedOrders)
           : 0;
@@ -1503,7 +2466,7 @@ io.on("connection", (socket) => {
         ["id","code","type","value","maxDiscount","expiryDate","maxUses","uses","isActive","createdAt"].join(","),
       ];
       
-      for (const p of state.promos || []) {
+      for (const p of store.promos.all()) {
         rows.push([
           p.id,
           JSON.stringify(p.code || ""),
@@ -1550,7 +2513,9 @@ function getRandomClosingMessage() {
   return CLOSING_MESSAGES[index];
 }
 
-function generateReceiptPreview(order, settings, paymentMethod = null) {
+const ORDER_TYPE_LABELS = { "dine-in": "Dine-in", takeaway: "Takeaway", delivery: "Delivery" };
+
+function generateReceiptPreview(order, settings, paymentMethod = null, receipts = []) {
   const lines = [];
   const currency = settings?.currency || "AED";
   
@@ -1558,21 +2523,38 @@ function generateReceiptPreview(order, settings, paymentMethod = null) {
   lines.push("SIAM SMILE".center(40));
   lines.push("=".repeat(40));
   lines.push("");
+  lines.push(`Ticket ${tickets.ticketLabel(order)}`);
   lines.push(`Order #${order.id.slice(0, 8).toUpperCase()}`);
   lines.push(`Date: ${new Date(order.createdAt).toLocaleString()}`);
   lines.push(`Staff: ${order.createdByUsername || "Staff"}`);
+  lines.push(`Type: ${ORDER_TYPE_LABELS[order.type] || ORDER_TYPE_LABELS["dine-in"]}`);
   if (order.customerName) {
     lines.push(`Customer: ${order.customerName}`);
   }
   if (order.tableNumber) {
     lines.push(`Table: ${order.tableNumber}`);
   }
+  if (order.pickupTime) {
+    lines.push(`Pickup: ${new Date(order.pickupTime).toLocaleString()}`);
+  }
+  if (order.type === "delivery") {
+    lines.push(`Deliver to: ${order.deliveryAddress}`);
+    if (order.customerPhone) lines.push(`Phone: ${order.customerPhone}`);
+    lines.push(`Driver: ${order.driver}`);
+  }
   lines.push("-".repeat(40));
   lines.push("");
   
   for (const item of order.items || []) {
-    const lineTotal = (item.price * item.qty).toFixed(2);
+    const lineTotal = (item.lineTotal ?? item.price * item.qty).toFixed(2);
     lines.push(`${item.name.padEnd(24)} ${lineTotal.padStart(6)} ${currency}`);
+    for (const opt of item.options || []) {
+      lines.push(`  + ${opt.name}${opt.priceDelta ? ` (${opt.priceDelta > 0 ? "+" : ""}${opt.priceDelta.toFixed(2)})` : ""}`);
+    }
+    // Mains are the default course, so only other courses are printed
+    const placement = [item.course && item.course !== "main" ? item.course[0].toUpperCase() + item.course.slice(1) : null, item.seat ? `Seat ${item.seat}` : null].filter(Boolean);
+    if (placement.length > 0) lines.push(`  ${placement.join(", ")}`);
+    if (item.note) lines.push(`  Note: ${item.note}`);
     lines.push(`  ${item.qty} x ${item.price.toFixed(2)}`);
   }
   
@@ -1587,25 +2569,54 @@ function generateReceiptPreview(order, settings, paymentMethod = null) {
     }
   }
   
-  const tax = (order.subtotal * (settings?.taxPercent || 0)) / 100;
-  const service = (order.subtotal * (settings?.serviceChargePercent || 0)) / 100;
-  
-  if (tax > 0) {
-    lines.push(`Tax (${settings.taxPercent}%): ${tax.toFixed(2).padStart(8)} ${currency}`);
-  }
-  if (service > 0) {
-    lines.push(`Service (${settings.serviceChargePercent}%): ${service.toFixed(2).padStart(4)} ${currency}`);
+  // Amounts as stored by the pricing engine when the order was priced
+  if (order.serviceCharge > 0) {
+    lines.push(`Service (${order.serviceChargePercent}%): ${order.serviceCharge.toFixed(2).padStart(4)} ${currency}`);
   }
+  // One line per tax class; shown after the total when prices already include tax
+  const taxLines = order.tax > 0
+    ? (order.taxes || []).map(t => `${order.pricesIncludeTax ? "Incl. " : ""}${t.name} (${t.percent}%): ${t.amount.toFixed(2)} ${currency}`)
+    : [];
+  if (!order.pricesIncludeTax) lines.push(...taxLines);
   
   lines.push("=".repeat(40));
   lines.push(`TOTAL: ${order.total?.toFixed(2).padStart(12)} ${currency}`);
   lines.push("=".repeat(40));
+  if (order.pricesIncludeTax) lines.push(...taxLines);
   
   if (paymentMethod) {
     lines.push("");
     lines.push(`Payment: ${paymentMethod.toUpperCase()}`);
   }
   
+  // Each receipt is one payment; a split's receipt also names its share
+  for (const receipt of receipts) {
+    lines.push("");
+    lines.push(`${receipt.label || "Paid"}: ${receipt.amount.toFixed(2)} ${currency}`);
+    if (receipt.receiptNumber) lines.push(`  Receipt No. ${tickets.receiptNumberLabel(receipt)}`);
+    const split = (order.splits || []).find(s => s.id === receipt.splitId);
+    for (const idx of split?.lines || []) {
+      if (order.items[idx]) lines.push(`  ${order.items[idx].qty} x ${order.items[idx].name}`);
+    }
+    for (const line of receipt.lines || []) {
+      lines.push(`  Void ${line.qty} x ${line.name}`);
+    }
+    if (receipt.reason) lines.push(`  Reason: ${receipt.reason}`);
+    if (receipt.approvedBy) lines.push(`  Approved by: ${receipt.approvedBy}`);
+    for (const t of payments.receiptTenders(receipt)) {
+      lines.push(`  ${t.method.toUpperCase()}: ${t.amount.toFixed(2)} ${currency}`);
+      if (t.rounding) lines.push(`  Cash rounding: ${t.rounding > 0 ? "+" : ""}${t.rounding.toFixed(2)} ${currency}`);
+      if (t.tendered !== undefined && t.change > 0) {
+        lines.push(`  Tendered: ${t.tendered.toFixed(2)} ${currency}`);
+        lines.push(`  Change: ${t.change.toFixed(2)} ${currency}`);
+      }
+    }
+  }
+  const balance = payments.balanceDue(order);
+  if (receipts.length > 0 && balance > 0) {
+    lines.push(`Balance due: ${balance.toFixed(2)} ${currency}`);
+  }
+  
   lines.push("");
   lines.push(getRandomClosingMessage());
   lines.push("");
@@ -1640,6 +2651,7 @@ server.listen(PORT, HOST, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  flushState(state);
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -1648,6 +2660,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
+  flushState(state);
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
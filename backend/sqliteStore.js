@@ -0,0 +1,199 @@
+/**
+ * SQLite Storage Adapter for Siam Smile POS
+ * Stores each entity collection in its own table and every other top-level
+ * state key as a JSON document, applying change operations (see diff.js)
+ * row by row inside a transaction.
+ *
+ * Requires the optional `better-sqlite3` dependency.
+ */
+
+const { SQLITE_FILE } = require("./constants");
+const { applyOps } = require("./diff");
+
+// Collections stored as one row per entity. All other keys live in `documents`.
+const ENTITY_TABLES = ["orders", "menu", "staff", "customers", "inventory", "receipts", "logs"];
+
+let db = null;
+let stmts = null;
+
+// In-memory mirror of row order per table and of the JSON documents, so that
+// positional inserts and path updates can be resolved without reading back.
+let order = {};
+let seqs = {};
+let documents = {};
+
+function open() {
+  if (db) return db;
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch {
+    throw new Error("STORAGE_DRIVER=sqlite requires the better-sqlite3 package (npm install better-sqlite3)");
+  }
+  db = new Database(SQLITE_FILE);
+  db.pragma("journal_mode = WAL");
+  db.pragma("synchronous = NORMAL");
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS documents (key TEXT PRIMARY KEY, data TEXT NOT NULL);
+  `);
+  for (const table of ENTITY_TABLES) {
+    db.exec(`CREATE TABLE IF NOT EXISTS ${table} (id TEXT PRIMARY KEY, seq REAL NOT NULL, data TEXT NOT NULL)`);
+  }
+
+  stmts = {
+    getMeta: db.prepare("SELECT value FROM meta WHERE key = ?"),
+    setMeta: db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value"),
+    allDocuments: db.prepare("SELECT key, data FROM documents"),
+    setDocument: db.prepare("INSERT INTO documents (key, data) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET data = excluded.data"),
+    deleteDocument: db.prepare("DELETE FROM documents WHERE key = ?"),
+    clearDocuments: db.prepare("DELETE FROM documents"),
+  };
+  for (const table of ENTITY_TABLES) {
+    stmts[table] = {
+      all: db.prepare(`SELECT id, seq, data FROM ${table} ORDER BY seq ASC`),
+      insert: db.prepare(`INSERT INTO ${table} (id, seq, data) VALUES (?, ?, ?)`),
+      update: db.prepare(`UPDATE ${table} SET data = ? WHERE id = ?`),
+      remove: db.prepare(`DELETE FROM ${table} WHERE id = ?`),
+      clear: db.prepare(`DELETE FROM ${table}`),
+    };
+  }
+  return db;
+}
+
+/**
+ * Pick a sort key for a row inserted at `index` between its neighbours
+ */
+function seqForIndex(table, index) {
+  const ids = order[table];
+  const prev = index > 0 ? seqs[table].get(ids[index - 1]) : undefined;
+  const next = index < ids.length - 1 ? seqs[table].get(ids[index + 1]) : undefined;
+  if (prev !== undefined && next !== undefined) return (prev + next) / 2;
+  if (prev !== undefined) return prev + 1;
+  if (next !== undefined) return next - 1;
+  return 0;
+}
+
+function writeTable(table, rows) {
+  stmts[table].clear.run();
+  order[table] = [];
+  seqs[table] = new Map();
+  (rows || []).forEach((row, index) => {
+    stmts[table].insert.run(row.id, index, JSON.stringify(row));
+    order[table].push(row.id);
+    seqs[table].set(row.id, index);
+  });
+}
+
+function upsertRow(table, index, value) {
+  if (seqs[table].has(value.id)) {
+    stmts[table].update.run(JSON.stringify(value), value.id);
+    return;
+  }
+  const at = Math.min(index ?? order[table].length, order[table].length);
+  order[table].splice(at, 0, value.id);
+  const seq = seqForIndex(table, at);
+  seqs[table].set(value.id, seq);
+  stmts[table].insert.run(value.id, seq, JSON.stringify(value));
+}
+
+function removeRow(table, id) {
+  if (!seqs[table].has(id)) return;
+  stmts[table].remove.run(id);
+  order[table] = order[table].filter(x => x !== id);
+  seqs[table].delete(id);
+}
+
+/**
+ * Load the full state from the database
+ * @returns {Object|null} State or null when the database has never been written
+ */
+function load() {
+  open();
+  if (!stmts.getMeta.get("initialized")) return null;
+
+  const state = {};
+  documents = {};
+  for (const row of stmts.allDocuments.all()) {
+    documents[row.key] = JSON.parse(row.data);
+    state[row.key] = JSON.parse(row.data);
+  }
+  for (const table of ENTITY_TABLES) {
+    const rows = stmts[table].all.all();
+    order[table] = rows.map(r => r.id);
+    seqs[table] = new Map(rows.map(r => [r.id, r.seq]));
+    state[table] = rows.map(r => JSON.parse(r.data));
+  }
+  return state;
+}
+
+/**
+ * Apply change operations in a single transaction. Entity tables take
+ * upsert/remove ops and whole-collection set/unset; any other op on them
+ * throws and rolls the transaction back.
+ * @param {Array} ops - Change operations
+ */
+function commit(ops) {
+  open();
+  const touched = new Set();
+  db.transaction(() => {
+    for (const op of ops) {
+      const key = op.coll || op.path[0];
+      if (ENTITY_TABLES.includes(key)) {
+        if (op.op === "upsert") upsertRow(key, op.index, op.value);
+        else if (op.op === "remove") removeRow(key, op.id);
+        else if (op.op === "set" && op.path.length === 1) writeTable(key, op.value);
+        else if (op.op === "unset" && op.path.length === 1) writeTable(key, []);
+        // Rows are written whole; a path into one would otherwise be lost
+        else throw new Error(`Cannot apply ${op.op} at ${op.path.join(".")}: ${key} is stored one row per entity`);
+        continue;
+      }
+      applyOps(documents, [op]);
+      touched.add(key);
+    }
+    for (const key of touched) {
+      if (documents[key] === undefined) stmts.deleteDocument.run(key);
+      else stmts.setDocument.run(key, JSON.stringify(documents[key]));
+    }
+  })();
+}
+
+/**
+ * Replace the whole database content with the given state
+ * @param {Object} state - Full state
+ */
+function replace(state) {
+  open();
+  db.transaction(() => {
+    stmts.clearDocuments.run();
+    documents = {};
+    for (const [key, value] of Object.entries(state)) {
+      if (ENTITY_TABLES.includes(key) || value === undefined) continue;
+      documents[key] = JSON.parse(JSON.stringify(value));
+      stmts.setDocument.run(key, JSON.stringify(value));
+    }
+    for (const table of ENTITY_TABLES) {
+      writeTable(table, state[table]);
+    }
+    stmts.setMeta.run("initialized", new Date().toISOString());
+  })();
+}
+
+/** Checkpoint the write-ahead log and close the database */
+function flush() {
+  if (!db) return;
+  db.pragma("wal_checkpoint(TRUNCATE)");
+  db.close();
+  db = null;
+  stmts = null;
+}
+
+module.exports = {
+  name: "sqlite",
+  ENTITY_TABLES,
+  load,
+  commit,
+  replace,
+  flush,
+};
@@ -1,7 +1,60 @@
 const fs = require("fs");
-const path = require("path");
-const { DATA_DIR, DATA_FILE, BACKUP_DIR } = require("./constants");
+const { DATA_DIR, BACKUP_DIR, STORAGE_DRIVER, IS_PRODUCTION } = require("./constants");
+const { createTracker } = require("./diff");
+const { runMigrations } = require("./migrations");
+const { createBackup } = require("./backups");
 
+/**
+ * Storage adapter interface. Handlers read and write entities through the
+ * collection store below, which records which entities changed; saveState
+ * turns those records (and a diff of the other state keys) into change
+ * operations (see diff.js) and hands them to the configured adapter.
+ *
+ * @typedef {Object} StorageAdapter
+ * @property {string} name - Driver name ("json" or "sqlite")
+ * @property {function(): (Object|null)} load - Read the full state, or null if the store is empty
+ * @property {function(Array, Object): void} commit - Persist change operations
+ * @property {function(Object): void} replace - Overwrite the store with a full state
+ * @property {function(Object): void} flush - Make everything durable before shutdown
+ */
+
+const ADAPTERS = {
+  json: () => require("./journal"),
+  sqlite: () => require("./sqliteStore"),
+};
+
+/**
+ * One entity collection (orders, menu, staff, customers, ...). Entities are
+ * plain objects with a unique string id, kept in stored order.
+ *
+ * @typedef {Object} Collection
+ * @property {function(): Array} all - Every entity; read-only, write through the methods below
+ * @property {function(string): (Object|null)} get - Entity by id
+ * @property {function(Object, number=): Object} insert - Add an entity at index (default: the end)
+ * @property {function(Object): Object} update - Record changes made to an entity in place
+ * @property {function(string): (Object|null)} remove - Remove an entity by id
+ * @property {function(function(Object, number): boolean): Array} removeWhere - Remove matching entities
+ * @property {function(Array): void} replaceAll - Swap in a whole new list
+ */
+
+// Top-level state keys that hold entity collections
+const COLLECTIONS = [
+  "categories", "menu", "staff", "orders", "logs", "promos", "discounts", "receipts",
+  "inventory", "inventoryLogs", "customers", "heldCarts", "areas", "tables",
+  "drawerSessions", "idempotency",
+];
+
+/** @type {StorageAdapter|null} */
+let adapter = null;
+// Tracks the keys outside COLLECTIONS so each save only persists their changes
+let tracker = null;
+// Outside production, a full diff of the collections too, to catch changes
+// made without going through the store
+let checker = null;
+// The state the collection store reads and writes (set by loadState/replaceState)
+let current = null;
+// Changes recorded by the store since the last save: key -> { changed, removed, replaced }
+const pending = new Map();
 function ensureDirs() {
   if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
   if (!fs.existsSync(BACKUP_DIR)) fs.mkdirSync(BACKUP_DIR, { recursive: true });
@@ -27,51 +80,206 @@ function initialState() {
   };
 }
 
-function atomicWrite(filePath, content) {
-  const tmp = filePath + ".tmp";
-  fs.writeFileSync(tmp, content);
-  fs.renameSync(tmp, filePath);
+function getAdapter() {
+  if (adapter) return adapter;
+  const factory = ADAPTERS[STORAGE_DRIVER];
+  if (!factory) throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}" (expected ${Object.keys(ADAPTERS).join(" or ")})`);
+  adapter = factory();
+  return adapter;
 }
 
-function backupIfExists() {
-  if (!fs.existsSync(DATA_FILE)) return;
-  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
-  const backupPath = path.join(BACKUP_DIR, `data-${stamp}.json`);
-  try {
-    fs.copyFileSync(DATA_FILE, backupPath);
-  } catch {
-    // ignore backup errors
-  }
+// ============================================
+// Collection Store
+// ============================================
+
+function changesTo(key) {
+  if (!pending.has(key)) pending.set(key, { changed: new Set(), removed: new Set(), replaced: false });
+  return pending.get(key);
 }
 
-function loadState() {
-  ensureDirs();
-  if (!fs.existsSync(DATA_FILE)) {
-    const init = initialState();
-    atomicWrite(DATA_FILE, JSON.stringify(init, null, 2));
-    return init;
+function createCollection(key) {
+  function list() {
+    if (!Array.isArray(current[key])) current[key] = [];
+    return current[key];
+  }
+  function markChanged(entity) {
+    changesTo(key).changed.add(entity.id);
+    return entity;
   }
-  const raw = fs.readFileSync(DATA_FILE, "utf-8");
-  const s = JSON.parse(raw);
-  // Migration: ensure staff have role (default "both")
-  if (s.staff && Array.isArray(s.staff)) {
-    s.staff = s.staff.map(st => ({ ...st, role: st.role || "both" }));
+  function markRemoved(entity) {
+    const changes = changesTo(key);
+    changes.changed.delete(entity.id);
+    changes.removed.add(entity.id);
   }
-  // Migration: ensure menu items have unavailable field (default false)
-  if (s.menu && Array.isArray(s.menu)) {
-    s.menu = s.menu.map(item => ({ 
-      ...item, 
-      unavailable: item.unavailable === undefined ? false : item.unavailable,
-      description: item.description === undefined ? "" : item.description
-    }));
+
+  return {
+    all: list,
+    get: id => list().find(item => item.id === id) || null,
+    insert(entity, index) {
+      const arr = list();
+      arr.splice(Math.min(index ?? arr.length, arr.length), 0, entity);
+      return markChanged(entity);
+    },
+    update: markChanged,
+    remove(id) {
+      const arr = list();
+      const index = arr.findIndex(item => item.id === id);
+      if (index < 0) return null;
+      const [entity] = arr.splice(index, 1);
+      markRemoved(entity);
+      return entity;
+    },
+    removeWhere(match) {
+      const removed = [];
+      current[key] = list().filter((item, index) => {
+        if (!match(item, index)) return true;
+        removed.push(item);
+        return false;
+      });
+      removed.forEach(markRemoved);
+      return removed;
+    },
+    replaceAll(entities) {
+      current[key] = entities;
+      changesTo(key).replaced = true;
+    },
+  };
+}
+
+/**
+ * The entity collections of the current state, by key. This is the interface
+ * handlers and modules write through, so no caller depends on how a storage
+ * adapter lays the collections out.
+ * @type {Object<string, Collection>}
+ */
+const collections = Object.fromEntries(COLLECTIONS.map(key => [key, createCollection(key)]));
+
+// ============================================
+// Loading and Saving
+// ============================================
+
+function clone(v) {
+  return JSON.parse(JSON.stringify(v));
+}
+
+/**
+ * Change operations for what the store recorded since the last save. Only
+ * the recorded entities are copied; the rest of each collection is untouched.
+ */
+function recordedOps(s) {
+  const ops = [];
+  for (const [key, { changed, removed, replaced }] of pending) {
+    const arr = s[key] || [];
+    if (replaced) {
+      ops.push({ op: "set", path: [key], value: clone(arr) });
+      continue;
+    }
+    for (const id of removed) ops.push({ op: "remove", coll: key, id });
+    if (changed.size === 0) continue;
+    arr.forEach((item, index) => {
+      if (changed.has(item.id)) ops.push({ op: "upsert", coll: key, index, value: clone(item) });
+    });
   }
+  pending.clear();
+  return ops;
+}
+
+/**
+ * Collection changes from the full diff that the recorded ops don't cover,
+ * i.e. edits made to the state arrays or entities without telling the store
+ */
+function unrecordedOps(fullOps, ops) {
+  const replaced = new Set(ops.filter(op => op.op === "set" && op.path.length === 1).map(op => op.path[0]));
+  const covered = new Set(ops.filter(op => op.coll).map(op => `${op.coll}:${op.value?.id ?? op.id}`));
+  return fullOps.filter(op => {
+    const key = op.coll || op.path[0];
+    if (!COLLECTIONS.includes(key) || replaced.has(key)) return false;
+    return !op.coll || !covered.has(`${key}:${op.value?.id ?? op.id}`);
+  });
+}
+
+// Start tracking changes from a freshly loaded or replaced state
+function track(s) {
+  current = s;
+  pending.clear();
+  tracker = createTracker(s, { exclude: COLLECTIONS });
+  checker = IS_PRODUCTION ? null : createTracker(s);
+}
+
+/**
+ * One-shot import of an existing data.json (and its journal) into a fresh store
+ * @returns {Object|null} Imported state, or null if there is nothing to import
+ */
+function importFromJson(target) {
+  const json = ADAPTERS.json();
+  if (target === json) return null;
+  const s = json.load();
+  if (!s) return null;
+  target.replace(s);
+  console.log(`[Storage] Imported data.json into the ${target.name} store (${(s.orders || []).length} orders)`);
   return s;
 }
 
+function loadState() {
+  ensureDirs();
+  const store = getAdapter();
+  const stored = store.load() || importFromJson(store);
+  const s = stored || initialState();
+  // A brand-new store has nothing worth backing up
+  const applied = runMigrations(s, { backup: stored ? createBackup : null });
+  // Persist the migrated schema in full so it never has to be replayed
+  if (!stored || applied.length > 0) store.replace(s);
+  track(s);
+  return s;
+}
+
+/**
+ * Persist the changes made to state since the last save: the entities the
+ * collection store recorded, and whatever changed in the other keys.
+ * @returns {Array} The change operations that were written
+ */
 function saveState(state) {
   ensureDirs();
-  backupIfExists();
-  atomicWrite(DATA_FILE, JSON.stringify(state, null, 2));
+  if (!tracker) track(state);
+  const ops = [...recordedOps(state), ...tracker.collect(state)];
+  if (checker) {
+    const missed = unrecordedOps(checker.collect(state), ops);
+    if (missed.length > 0) {
+      const where = [...new Set(missed.map(op => op.coll || op.path[0]))].join(", ");
+      console.warn(`[Storage] Unrecorded change to ${where}: write through the collection store (saved anyway)`);
+      ops.push(...missed);
+    }
+  }
+  if (ops.length === 0) return ops;
+  getAdapter().commit(ops, state);
+  return ops;
+}
+
+/**
+ * Swap in a whole new state, e.g. when restoring a backup.
+ * The state is migrated to the current schema first; throws if it is newer.
+ * @param {Object} state - Replacement state
+ * @returns {Object} The migrated state
+ */
+function replaceState(state) {
+  runMigrations(state);
+  getAdapter().replace(state);
+  track(state);
+  return state;
+}
+
+/** Persist outstanding changes and make the store durable, e.g. on shutdown. */
+function flushState(state) {
+  saveState(state);
+  getAdapter().flush(state);
 }
 
-module.exports = { loadState, saveState, initialState };
+module.exports = {
+  COLLECTIONS,
+  collections,
+  loadState,
+  saveState,
+  replaceState,
+  flushState,
+  initialState,
+};
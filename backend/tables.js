@@ -0,0 +1,142 @@
+/**
+ * Tables for Siam Smile POS
+ * The dining room as the admin sets it up: areas (e.g. "Terrace") holding
+ * tables with a name and a number of seats.
+ *
+ *   state.areas   [{ id, name, sortOrder }]
+ *   state.tables  [{ id, areaId, name, seats, sortOrder }]
+ *
+ * Dine-in orders point at their table with tableId; tableNumber keeps the
+ * table's name for receipts and lists. Until any tables are set up, dine-in
+ * orders take a free-text table number as before.
+ *
+ * A table's open orders are the dine-in orders on it that aren't cancelled and
+ * are either still with the kitchen or not fully paid. Orders can be moved to
+ * another table, and merging a table moves all its open orders onto another.
+ */
+
+const { assert, requireString, requireNumber } = require("./validators");
+const { isClosed } = require("./orderStatus");
+const { balanceDue } = require("./payments");
+const { DEFAULT_ORDER_TYPE } = require("./orderTypes");
+
+const MAX_SEATS = 100;
+
+// ============================================
+// Helper Functions
+// ============================================
+
+function findTable(state, id) {
+  const table = (state.tables || []).find(t => t.id === id);
+  assert(table, "Table not found");
+  return table;
+}
+
+/**
+ * Whether a dine-in order still holds its table
+ * @param {Object} order
+ * @returns {boolean}
+ */
+function isOpenOnTable(order) {
+  if ((order.type || DEFAULT_ORDER_TYPE) !== "dine-in" || order.status === "cancelled") return false;
+  return !isClosed(order.status) || balanceDue(order) > 0;
+}
+
+/**
+ * Open orders on a table
+ * @param {Object} state - Application state
+ * @param {string} tableId
+ * @returns {Array<Object>}
+ */
+function openOrdersAt(state, tableId) {
+  return state.orders.filter(o => o.tableId === tableId && isOpenOnTable(o));
+}
+
+// ============================================
+// Areas and Tables
+// ============================================
+
+/**
+ * Validate an area from the admin panel
+ * @param {Object} input - { name, sortOrder }
+ * @returns {{ name: string, sortOrder?: number }}
+ */
+function normalizeArea(input) {
+  requireString(typeof input?.name === "string" ? input.name.trim() : input?.name, "name");
+  const area = { name: input.name.trim() };
+  if (input.sortOrder !== undefined) area.sortOrder = requireNumber(input.sortOrder, "sortOrder");
+  return area;
+}
+
+/**
+ * Validate a table from the admin panel
+ * @param {Object} state - Application state
+ * @param {Object} input - { name, areaId, seats, sortOrder }
+ * @param {string} [id] - Table being edited
+ * @returns {{ name, areaId, seats, sortOrder? }}
+ */
+function normalizeTable(state, input, id = null) {
+  requireString(typeof input?.name === "string" ? input.name.trim() : input?.name, "name");
+  const name = input.name.trim();
+  assert(
+    !(state.tables || []).some(t => t.id !== id && t.name.toLowerCase() === name.toLowerCase()),
+    `There is already a table called ${name}`
+  );
+  requireString(input.areaId, "areaId");
+  assert((state.areas || []).some(a => a.id === input.areaId), "Area not found");
+  const seats = requireNumber(input.seats, "seats");
+  assert(Number.isInteger(seats) && seats >= 1 && seats <= MAX_SEATS, `Seats must be a whole number from 1 to ${MAX_SEATS}`);
+  const table = { name, areaId: input.areaId, seats };
+  if (input.sortOrder !== undefined) table.sortOrder = requireNumber(input.sortOrder, "sortOrder");
+  return table;
+}
+
+// ============================================
+// Orders
+// ============================================
+
+/**
+ * The table a new dine-in order is for. Once tables are set up the order must
+ * name one of them; before that the free-text table number is kept.
+ * @param {Object} state - Application state
+ * @param {Object} payload - order:create payload
+ * @returns {Object|null} The table, or null for free-text table numbers
+ */
+function tableForOrder(state, payload) {
+  if ((payload?.type || DEFAULT_ORDER_TYPE) !== "dine-in") return null;
+  if (!payload.tableId && (state.tables || []).length === 0) return null;
+  assert(typeof payload.tableId === "string" && payload.tableId, "Choose a table for the dine-in order");
+  return findTable(state, payload.tableId);
+}
+
+/**
+ * Seat an order at a table
+ * @param {Object} order - Order (mutated in place)
+ * @param {Object} table
+ */
+function assignTable(order, table) {
+  order.tableId = table.id;
+  order.tableNumber = table.name;
+}
+
+/**
+ * Check that an order can move to another table
+ * @param {Object} order
+ * @param {Object} table - Target table
+ */
+function assertCanMove(order, table) {
+  assert((order.type || DEFAULT_ORDER_TYPE) === "dine-in", "Only dine-in orders have a table");
+  assert(isOpenOnTable(order), `Order is ${order.status} and settled`);
+  assert(order.tableId !== table.id, `Order is already at ${table.name}`);
+}
+
+module.exports = {
+  findTable,
+  isOpenOnTable,
+  openOrdersAt,
+  normalizeArea,
+  normalizeTable,
+  tableForOrder,
+  assignTable,
+  assertCanMove,
+};
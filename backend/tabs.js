@@ -0,0 +1,65 @@
+/**
+ * Open Tabs for Siam Smile POS
+ * An order stays open as a tab until its bill is settled: more items can be
+ * added to it in rounds, e.g. a table ordering dessert after their mains.
+ *
+ * Each round is priced from the menu like a new order and its lines are
+ * appended to order.items with their round number, so line indexes used by
+ * splits and voids don't move. order.rounds records when each round was added
+ * and by whom, and order.round is the latest.
+ *
+ * The kitchen only needs to see what it hasn't handed over yet. A round added
+ * to a served order re-opens it as "new" and sets order.kitchenRound, the
+ * first round the kitchen ticket shows; a round added while the kitchen still
+ * has the order simply joins the ticket.
+ */
+
+const { assert } = require("./validators");
+const { balanceDue } = require("./payments");
+
+// ============================================
+// Rounds
+// ============================================
+
+/**
+ * Check that more items may be added to an order
+ * @param {Object} order
+ */
+function assertCanAddRound(order) {
+  assert(order.status !== "cancelled", "Order is cancelled");
+  assert(order.status !== "picked-up", "Order has been picked up; start a new order");
+  if (order.status === "served") {
+    assert(balanceDue(order) > 0, "The bill is settled; start a new order");
+  }
+  assert(!(order.splits || []).some(s => s.receiptId), "Part of the split bill is paid; start a new order for more items");
+}
+
+/**
+ * Start the next round on an order, re-opening it for the kitchen if it had
+ * already gone out
+ * @param {Object} order - Order (mutated in place)
+ * @param {Object} meta - { at: ISO time, by: username }
+ * @returns {number} The new round number
+ */
+function openRound(order, { at, by }) {
+  if (!Array.isArray(order.rounds)) {
+    order.rounds = [{ number: 1, at: order.createdAt, by: order.createdByUsername || null }];
+  }
+  const number = (order.round || 1) + 1;
+  order.rounds.push({ number, at, by: by || null });
+  order.round = number;
+
+  if (order.status === "ready" || order.status === "served") {
+    if (order.status === "served") order.kitchenRound = number;
+    order.status = "new";
+    order.closedAt = null;
+    if (!Array.isArray(order.statusHistory)) order.statusHistory = [];
+    order.statusHistory.push({ status: "new", at, by: by || null, round: number });
+  }
+  return number;
+}
+
+module.exports = {
+  assertCanAddRound,
+  openRound,
+};
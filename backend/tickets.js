@@ -0,0 +1,112 @@
+/**
+ * Ticket and Receipt Numbers for Siam Smile POS
+ * Numbers people can read out, kept in state.counters.
+ *
+ *   ticketNumber   on every order; 1, 2, 3... restarting each business day
+ *   receiptNumber  on every payment receipt; one gapless sequence that never
+ *                  restarts, for fiscal records
+ *
+ * A business day starts at settings.businessDayStartsAt ("HH:MM", server
+ * local time), so with "04:00" an order at 01:30 still belongs to the day before.
+ */
+
+const { assert } = require("./validators");
+
+const DEFAULT_DAY_START = "00:00";
+const DAY_START_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// ============================================
+// Helper Functions
+// ============================================
+
+function counters(state) {
+  if (!state.counters) state.counters = { businessDay: null, lastTicketNumber: 0, lastReceiptNumber: 0 };
+  return state.counters;
+}
+
+function dayStartMinutes(settings) {
+  const match = DAY_START_RE.exec(settings?.businessDayStartsAt || DEFAULT_DAY_START);
+  return match ? Number(match[1]) * 60 + Number(match[2]) : 0;
+}
+
+// ============================================
+// Numbers
+// ============================================
+
+/**
+ * The business day a moment belongs to
+ * @param {string|Date} date
+ * @param {Object} settings - Application settings
+ * @returns {string} YYYY-MM-DD
+ */
+function businessDay(date, settings) {
+  const d = new Date(new Date(date).getTime() - dayStartMinutes(settings) * 60000);
+  const pad = n => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Take the next ticket number, starting again at 1 on a new business day
+ * @param {Object} state - Application state (counters are updated)
+ * @param {string|Date} at - When the order was placed
+ * @returns {{ businessDay: string, ticketNumber: number }}
+ */
+function nextTicketNumber(state, at) {
+  const c = counters(state);
+  const day = businessDay(at, state.settings);
+  if (c.businessDay !== day) {
+    c.businessDay = day;
+    c.lastTicketNumber = 0;
+  }
+  c.lastTicketNumber++;
+  return { businessDay: day, ticketNumber: c.lastTicketNumber };
+}
+
+/**
+ * Take the next fiscal receipt number
+ * @param {Object} state - Application state (counters are updated)
+ * @returns {number}
+ */
+function nextReceiptNumber(state) {
+  const c = counters(state);
+  c.lastReceiptNumber++;
+  return c.lastReceiptNumber;
+}
+
+/**
+ * "#12", or the start of the order id for orders from before ticket numbers
+ * @param {Object} order
+ * @returns {string}
+ */
+function ticketLabel(order) {
+  return order.ticketNumber ? `#${order.ticketNumber}` : `#${order.id.slice(0, 8).toUpperCase()}`;
+}
+
+/**
+ * Receipt number as printed, e.g. "000123"
+ * @param {Object} receipt
+ * @returns {string}
+ */
+function receiptNumberLabel(receipt) {
+  return receipt.receiptNumber ? String(receipt.receiptNumber).padStart(6, "0") : "";
+}
+
+/**
+ * Validate the business day start from the settings panel
+ * @param {string} value - "HH:MM"
+ * @returns {string}
+ */
+function normalizeDayStart(value) {
+  assert(typeof value === "string" && DAY_START_RE.test(value), "Business day start must be a time like 04:00");
+  return value;
+}
+
+module.exports = {
+  DEFAULT_DAY_START,
+  businessDay,
+  nextTicketNumber,
+  nextReceiptNumber,
+  ticketLabel,
+  receiptNumberLabel,
+  normalizeDayStart,
+};
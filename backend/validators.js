@@ -6,6 +6,17 @@ function assert(condition, message) {
   }
 }
 
+// Like assert, for requests that were fine when made but no longer fit the
+// state (e.g. replayed from the offline queue); conflict says what changed
+function assertConflict(condition, message, conflict) {
+  if (!condition) {
+    const err = new Error(message);
+    err.status = 409;
+    err.conflict = conflict;
+    throw err;
+  }
+}
+
 function requireString(v, field) {
   assert(typeof v === "string" && v.length > 0, `${field} is required`);
 }
@@ -16,4 +27,4 @@ function requireNumber(v, field) {
   return n;
 }
 
-module.exports = { assert, requireString, requireNumber };
+module.exports = { assert, assertConflict, requireString, requireNumber };
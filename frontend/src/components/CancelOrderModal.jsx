@@ -0,0 +1,49 @@
+import React, { useEffect, useState } from "react";
+import Modal from "./Modal.jsx";
+import Button from "./Button.jsx";
+import Input from "./Input.jsx";
+import { ticketLabel } from "../lib/tickets.js";
+
+/**
+ * Cancel an order that hasn't been handed over. Orders with money still held
+ * on them are refunded first; the server rejects cancelling them.
+ */
+export default function CancelOrderModal({ order, emit, onClose, onDone }) {
+  const [reason, setReason] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    setReason("");
+    setError("");
+  }, [order?.id]);
+
+  async function submit() {
+    setError("");
+    setBusy(true);
+    const resp = await emit("order:setStatus", { id: order.id, status: "cancelled", reason });
+    setBusy(false);
+    if (!resp.ok) return setError(resp.error || "Could not cancel the order");
+    onDone?.();
+  }
+
+  return (
+    <Modal
+      open={!!order}
+      title={`Cancel Ticket ${ticketLabel(order)}`}
+      onClose={onClose}
+      footer={
+        <div className="flex justify-end gap-2">
+          <Button variant="ghost" onClick={onClose}>Keep Order</Button>
+          <Button variant="danger" disabled={busy} onClick={submit}>Cancel Order</Button>
+        </div>
+      }
+    >
+      <div className="space-y-3">
+        <div className="text-sm text-neutral-400">The kitchen stops on it and it comes out of the day's sales.</div>
+        <Input value={reason} maxLength={200} placeholder="Reason (optional)" onChange={e => setReason(e.target.value)} />
+        {error && <div className="text-sm text-red-400">{error}</div>}
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,289 @@
+import React, { useEffect, useState } from "react";
+import Modal from "./Modal.jsx";
+import Button from "./Button.jsx";
+import Input from "./Input.jsx";
+import Select from "./Select.jsx";
+import Badge from "./Badge.jsx";
+import { fmtAED } from "../lib/money.js";
+import { scheduleText } from "../lib/schedule.js";
+import { roundingText } from "../lib/payments.js";
+import {
+  MOVEMENT_TYPES, denominationsFor, movementLabel, openDrawerOf, countTotal, cleanCount, varianceText, varianceVariant,
+} from "../lib/drawers.js";
+
+// Pieces of each note and coin, with the running total
+function CountInputs({ settings, count, onChange }) {
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-3 gap-2">
+        {denominationsFor(settings).map(d => (
+          <label key={d} className="flex items-center gap-2 text-sm">
+            <span className="w-14 text-right text-neutral-400">{d < 1 ? d.toFixed(2) : d}</span>
+            <Input
+              type="number"
+              min="0"
+              step="1"
+              value={count[String(d)] ?? ""}
+              onChange={e => onChange({ ...count, [String(d)]: e.target.value })}
+            />
+          </label>
+        ))}
+      </div>
+      <div className="text-sm text-right text-neutral-300">Total {fmtAED(countTotal(cleanCount(count)))}</div>
+    </div>
+  );
+}
+
+function ReportRow({ label, value, strong }) {
+  return (
+    <div className={`flex justify-between text-sm ${strong ? "font-semibold text-neutral-100" : "text-neutral-300"}`}>
+      <span>{label}</span>
+      <span>{value}</span>
+    </div>
+  );
+}
+
+/**
+ * X-report (open drawer) or Z-report (closed drawer): expected cash and card,
+ * and against the closing count for a Z-report
+ */
+export function DrawerReport({ report }) {
+  if (!report) return null;
+  const closed = report.type === "Z";
+  return (
+    <div className="space-y-3">
+      <div className="text-xs text-neutral-400">
+        {report.type}-report · {report.openedBy} · {scheduleText(report.openedAt)}
+        {closed ? ` to ${scheduleText(report.closedAt)}` : ` · taken ${scheduleText(report.at)}`}
+        {" · "}{report.payments} payment{report.payments === 1 ? "" : "s"}, {report.refunds} refund{report.refunds === 1 ? "" : "s"}
+      </div>
+      <div className="rounded-xl border border-neutral-800 bg-neutral-900/40 p-3 space-y-1">
+        <div className="text-sm font-medium text-neutral-200 mb-1">Cash</div>
+        <ReportRow label="Opening float" value={fmtAED(report.cash.float)} />
+        <ReportRow label="Cash sales" value={fmtAED(report.cash.sales)} />
+        <ReportRow label="Cash refunds" value={`-${fmtAED(report.cash.refunds)}`} />
+        {!!report.cash.rounding && <ReportRow label="Cash rounding" value={roundingText(report.cash.rounding)} />}
+        <ReportRow label="Paid in" value={fmtAED(report.cash.paidIn)} />
+        <ReportRow label="Paid out" value={`-${fmtAED(report.cash.paidOut)}`} />
+        <ReportRow label="Safe drops" value={`-${fmtAED(report.cash.safeDrops)}`} />
+        <ReportRow label="Expected in drawer" value={fmtAED(report.cash.expected)} strong />
+        {closed && (
+          <>
+            <ReportRow label="Counted" value={fmtAED(report.cash.counted)} strong />
+            <div className="flex justify-between items-center text-sm">
+              <span className="text-neutral-300">Variance</span>
+              <Badge variant={varianceVariant(report.cash.variance)}>{varianceText(report.cash.variance)}</Badge>
+            </div>
+          </>
+        )}
+      </div>
+      <div className="rounded-xl border border-neutral-800 bg-neutral-900/40 p-3 space-y-1">
+        <div className="text-sm font-medium text-neutral-200 mb-1">Card</div>
+        <ReportRow label="Card sales" value={fmtAED(report.card.sales)} />
+        <ReportRow label="Card refunds" value={`-${fmtAED(report.card.refunds)}`} />
+        <ReportRow label="Expected" value={fmtAED(report.card.expected)} strong />
+        {closed && (
+          <>
+            <ReportRow label="Terminal total" value={fmtAED(report.card.counted)} strong />
+            <div className="flex justify-between items-center text-sm">
+              <span className="text-neutral-300">Variance</span>
+              <Badge variant={varianceVariant(report.card.variance)}>{varianceText(report.card.variance)}</Badge>
+            </div>
+          </>
+        )}
+      </div>
+      {(report.other.sales > 0 || report.other.refunds > 0) && (
+        <ReportRow label="Other payments" value={fmtAED(report.other.sales - report.other.refunds)} />
+      )}
+    </div>
+  );
+}
+
+/**
+ * The cashier's drawer: open it with a counted float, record paid-ins,
+ * paid-outs and safe drops, and close it with a blind count, after which the
+ * Z-report is shown. Managers can also take an X-report of any open drawer.
+ */
+export default function DrawerModal({ open, sessions, owner, settings, elevated, emit, connected, onClose }) {
+  const session = openDrawerOf(sessions, owner);
+  const others = (sessions || []).filter(s => !s.closedAt && s.id !== session?.id);
+  const [view, setView] = useState("main"); // main | close | report
+  const [count, setCount] = useState({});
+  const [cardTotal, setCardTotal] = useState("");
+  const [note, setNote] = useState("");
+  const [movement, setMovement] = useState({ type: "paid-in", amount: "", reason: "" });
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setView("main");
+    setCount({});
+    setCardTotal("");
+    setNote("");
+    setMovement({ type: "paid-in", amount: "", reason: "" });
+    setReport(null);
+    setError("");
+  }, [open]);
+
+  async function send(event, payload) {
+    setError("");
+    setBusy(true);
+    const resp = await emit(event, payload);
+    setBusy(false);
+    if (!resp.ok) setError(resp.error || "Something went wrong");
+    return resp;
+  }
+
+  async function openDrawer() {
+    const resp = await send("drawer:open", { count: cleanCount(count) });
+    if (resp.ok) setCount({});
+  }
+
+  async function addMovement() {
+    const resp = await send("drawer:movement", { type: movement.type, amount: Number(movement.amount), reason: movement.reason });
+    if (resp.ok) setMovement({ ...movement, amount: "", reason: "" });
+  }
+
+  async function xReport(sessionId) {
+    const resp = await send("drawer:report", { sessionId });
+    if (resp.ok) {
+      setReport(resp.report);
+      setView("report");
+    }
+  }
+
+  async function closeDrawer() {
+    const resp = await send("drawer:close", { count: cleanCount(count), cardTotal: Number(cardTotal), note });
+    if (resp.ok) {
+      setReport(resp.report);
+      setView("report");
+    }
+  }
+
+  const movementValid = Number(movement.amount) > 0 && (movement.type === "safe-drop" || movement.reason.trim());
+
+  let footer = (
+    <div className="flex justify-end gap-2">
+      <Button variant="ghost" onClick={onClose}>Close</Button>
+    </div>
+  );
+  if (view === "main" && !session) {
+    footer = (
+      <div className="flex justify-end gap-2">
+        <Button variant="ghost" onClick={onClose}>Cancel</Button>
+        <Button variant="primary" disabled={busy || !connected} onClick={openDrawer}>
+          Open Drawer with {fmtAED(countTotal(cleanCount(count)))}
+        </Button>
+      </div>
+    );
+  } else if (view === "close") {
+    footer = (
+      <div className="flex justify-end gap-2">
+        <Button variant="ghost" onClick={() => setView("main")}>Back</Button>
+        <Button variant="danger" disabled={busy || !connected || cardTotal === "" || Number(cardTotal) < 0} onClick={closeDrawer}>
+          Close Drawer
+        </Button>
+      </div>
+    );
+  } else if (view === "report") {
+    footer = (
+      <div className="flex justify-end gap-2">
+        {report?.type === "X" && <Button variant="ghost" onClick={() => setView("main")}>Back</Button>}
+        <Button variant="ghost" onClick={onClose}>Done</Button>
+      </div>
+    );
+  }
+
+  return (
+    <Modal
+      open={open}
+      title={view === "report" ? `${report?.type}-report` : view === "close" ? "Close drawer" : "Cash drawer"}
+      onClose={onClose}
+      footer={footer}
+    >
+      <div className="space-y-4 max-h-[70vh] overflow-y-auto">
+        {error && <div className="text-sm text-red-300">{error}</div>}
+
+        {view === "main" && !session && (
+          <>
+            <div className="text-sm text-neutral-400">Count the float in the drawer to start your session.</div>
+            <CountInputs settings={settings} count={count} onChange={setCount} />
+          </>
+        )}
+
+        {view === "main" && session && (
+          <>
+            <div className="flex items-center justify-between">
+              <div className="text-sm text-neutral-300">
+                Opened {scheduleText(session.openedAt)} with {fmtAED(session.openingFloat)}
+              </div>
+              <Badge variant="green">Open</Badge>
+            </div>
+
+            <div className="space-y-2">
+              <div className="text-sm font-medium text-neutral-300">Paid in / out and safe drops</div>
+              {session.movements.length === 0 && <div className="text-xs text-neutral-500">None yet.</div>}
+              {session.movements.map(m => (
+                <div key={m.id} className="flex justify-between text-sm text-neutral-300">
+                  <span>{movementLabel(m.type)}{m.reason ? ` · ${m.reason}` : ""}</span>
+                  <span>{m.type === "paid-in" ? "" : "-"}{fmtAED(m.amount)}</span>
+                </div>
+              ))}
+              <div className="grid grid-cols-[1fr_1fr] gap-2">
+                <Select value={movement.type} onChange={e => setMovement({ ...movement, type: e.target.value })}>
+                  {MOVEMENT_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+                </Select>
+                <Input type="number" min="0" step="0.01" placeholder="Amount" value={movement.amount} onChange={e => setMovement({ ...movement, amount: e.target.value })} />
+              </div>
+              <Input
+                placeholder={movement.type === "safe-drop" ? "Note (optional)" : "Reason"}
+                value={movement.reason}
+                onChange={e => setMovement({ ...movement, reason: e.target.value })}
+              />
+              <div className="flex justify-end">
+                <Button variant="subtle" disabled={busy || !connected || !movementValid} onClick={addMovement}>
+                  Record {movementLabel(movement.type)}
+                </Button>
+              </div>
+            </div>
+
+            <div className="flex justify-end gap-2 border-t border-neutral-800 pt-4">
+              {elevated && <Button variant="subtle" disabled={busy || !connected} onClick={() => xReport(session.id)}>X-Report</Button>}
+              <Button variant="danger" onClick={() => { setError(""); setView("close"); }}>Close Drawer…</Button>
+            </div>
+          </>
+        )}
+
+        {view === "main" && elevated && others.length > 0 && (
+          <div className="space-y-2 border-t border-neutral-800 pt-4">
+            <div className="text-sm font-medium text-neutral-300">Other open drawers</div>
+            {others.map(s => (
+              <div key={s.id} className="flex items-center justify-between gap-2 text-sm">
+                <span className="text-neutral-300">{s.openedBy} · since {scheduleText(s.openedAt)}</span>
+                <Button variant="subtle" disabled={busy || !connected} onClick={() => xReport(s.id)}>X-Report</Button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {view === "close" && (
+          <>
+            <div className="text-sm text-neutral-400">
+              Count everything in the drawer. The expected amount is shown once the count is in.
+            </div>
+            <CountInputs settings={settings} count={count} onChange={setCount} />
+            <div>
+              <div className="text-sm text-neutral-300 mb-1">Card terminal total</div>
+              <Input type="number" min="0" step="0.01" placeholder="From the terminal's end-of-day slip" value={cardTotal} onChange={e => setCardTotal(e.target.value)} />
+            </div>
+            <Input placeholder="Note (optional)" value={note} onChange={e => setNote(e.target.value)} />
+          </>
+        )}
+
+        {view === "report" && <DrawerReport report={report} />}
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,341 @@
+import React, { useEffect, useState } from "react";
+import Button from "./Button.jsx";
+import Input from "./Input.jsx";
+import Select from "./Select.jsx";
+import Badge from "./Badge.jsx";
+import { fmtAED } from "../lib/money.js";
+import { PAYMENT_METHODS, balanceDue, roundMoney, roundCash, roundingText } from "../lib/payments.js";
+
+// Exact cash and the next round amounts a customer is likely to hand over
+function quickCash(amount) {
+  const options = [amount];
+  for (const note of [5, 10, 50, 100, 500]) {
+    const next = Math.ceil(amount / note) * note;
+    if (next > amount && !options.includes(next)) options.push(next);
+  }
+  return options.slice(0, 4);
+}
+
+const SPLIT_MODES = [
+  { value: "none", label: "One bill" },
+  { value: "equal", label: "Equal shares" },
+  { value: "seat", label: "By seat" },
+  { value: "items", label: "By item" },
+];
+
+/**
+ * Takes payment for an order: optionally splits the bill, then pays the
+ * selected split (or the balance) with one method or several tenders. Cash is
+ * rounded by settings.cashRounding, and the change is worked out from what the
+ * customer hands over.
+ * onSplit(plan) and onPay({ splitId, tenders }) resolve to the server's response.
+ */
+export default function PaymentPanel({ order, settings, onSplit, onPay }) {
+  const splits = order?.splits || [];
+  const unpaidSplits = splits.filter(s => !s.receiptId);
+  const canResplit = !(Number(order?.paidTotal) > 0);
+  const seats = new Set((order?.items || []).map(it => it.seat).filter(Boolean));
+
+  const [mode, setMode] = useState(splits.length > 0 ? null : "none");
+  const [count, setCount] = useState(2);
+  const [billCount, setBillCount] = useState(2);
+  const [bills, setBills] = useState([]);
+  const [splitId, setSplitId] = useState(null);
+  const [tenders, setTenders] = useState(null);
+  const [cashGiven, setCashGiven] = useState(null); // amount handed over when paying all in cash
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const split = splits.find(s => s.id === splitId) || null;
+  const due = split ? split.amount : balanceDue(order);
+  const rule = settings?.cashRounding;
+  const tenderSum = roundMoney((tenders || []).reduce((s, t) => s + (Number(t.amount) || 0), 0));
+  // Cash owed for a tender after rounding, and whether enough was handed over
+  const cashOwed = t => roundCash(Number(t.amount) || 0, rule);
+  const givenEnough = t => t.method !== "cash" || !t.tendered || Number(t.tendered) >= cashOwed(t);
+  const tendersValid = tenders && tenders.every(t => Number(t.amount) > 0 && givenEnough(t)) &&
+    (split ? tenderSum === due : tenderSum > 0 && tenderSum <= due);
+  const cashDue = roundCash(due, rule);
+  const change = cashGiven !== null && cashGiven !== "" ? roundMoney(Number(cashGiven) - cashDue) : 0;
+
+  // Keep a split selected while any is unpaid
+  useEffect(() => {
+    if (split && !split.receiptId) return;
+    setSplitId(unpaidSplits[0]?.id || null);
+    setTenders(null);
+    setCashGiven(null);
+  }, [order]);
+
+  async function applySplit(plan) {
+    setError("");
+    setBusy(true);
+    const resp = await onSplit(plan);
+    setBusy(false);
+    if (!resp?.ok) {
+      setError(resp?.error || "Could not split the bill");
+      return;
+    }
+    setSplitId(resp.splits?.[0]?.id || null);
+    setTenders(null);
+  }
+
+  async function pay(payTenders) {
+    setError("");
+    setBusy(true);
+    const resp = await onPay({ splitId: split?.id, tenders: payTenders });
+    setBusy(false);
+    if (!resp?.ok) setError(resp?.error || "Payment failed");
+    else {
+      setTenders(null);
+      setCashGiven(null);
+    }
+  }
+
+  function updateTender(idx, patch) {
+    setTenders(tenders.map((t, i) => (i === idx ? { ...t, ...patch } : t)));
+  }
+
+  function addTender() {
+    setTenders([...tenders, { method: "card", amount: String(Math.max(0, roundMoney(due - tenderSum))) }]);
+  }
+
+  if (!order) return null;
+
+  return (
+    <div className="space-y-4">
+      {canResplit && (
+        <div className="border-t border-neutral-800 pt-4 space-y-3">
+          <div className="text-sm font-medium text-neutral-300">Split Bill</div>
+          <div className="grid grid-cols-4 gap-2">
+            {SPLIT_MODES.map(m => (
+              <button
+                key={m.value}
+                disabled={busy || (m.value === "seat" && seats.size < 2)}
+                onClick={() => {
+                  setMode(m.value);
+                  if (m.value === "none" && splits.length > 0) applySplit({ mode: "none" });
+                  if (m.value === "seat") applySplit({ mode: "seat" });
+                  if (m.value === "items") setBills((order.items || []).map((_, idx) => (idx % 2) + 1));
+                }}
+                className={`px-2 py-2 rounded-xl border text-sm transition disabled:opacity-40 ${
+                  mode === m.value ? "border-white bg-neutral-800" : "border-neutral-800 bg-neutral-900/50 hover:bg-neutral-800"
+                }`}
+              >
+                {m.label}
+              </button>
+            ))}
+          </div>
+
+          {mode === "equal" && (
+            <div className="flex gap-2">
+              <Input type="number" min="2" max="20" value={count} onChange={e => setCount(e.target.value)} />
+              <Button variant="subtle" disabled={busy} onClick={() => applySplit({ mode: "equal", count: Number(count) })}>
+                Split
+              </Button>
+            </div>
+          )}
+
+          {mode === "items" && (
+            <div className="space-y-2">
+              <div className="flex items-center gap-2 text-sm">
+                <span className="text-neutral-400">Bills</span>
+                <Input
+                  type="number"
+                  min="2"
+                  max="20"
+                  className="w-24"
+                  value={billCount}
+                  onChange={e => setBillCount(Math.max(2, Math.min(20, Number(e.target.value) || 2)))}
+                />
+              </div>
+              {(order.items || []).map((item, idx) => (
+                <div key={idx} className="flex items-center justify-between gap-2 text-sm">
+                  <span className="text-neutral-300">{item.qty} × {item.name}</span>
+                  <Select
+                    className="w-32"
+                    value={bills[idx] || 1}
+                    onChange={e => setBills(bills.map((b, i) => (i === idx ? Number(e.target.value) : b)))}
+                  >
+                    {Array.from({ length: billCount }, (_, i) => (
+                      <option key={i} value={i + 1}>Bill {i + 1}</option>
+                    ))}
+                  </Select>
+                </div>
+              ))}
+              <Button
+                variant="subtle"
+                disabled={busy}
+                onClick={() => {
+                  const groups = Array.from({ length: billCount }, (_, i) =>
+                    bills.map((b, idx) => (Math.min(b, billCount) === i + 1 ? idx : null)).filter(idx => idx !== null));
+                  applySplit({ mode: "items", groups: groups.filter(g => g.length > 0) });
+                }}
+              >
+                Split
+              </Button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {splits.length > 0 && (
+        <div className="space-y-2">
+          {splits.map(s => (
+            <button
+              key={s.id}
+              disabled={!!s.receiptId}
+              onClick={() => { setSplitId(s.id); setTenders(null); setCashGiven(null); }}
+              className={`w-full flex items-center justify-between px-3 py-2 rounded-xl border text-sm transition ${
+                s.id === splitId ? "border-white bg-neutral-800" : "border-neutral-800 bg-neutral-900/50"
+              }`}
+            >
+              <span>{s.label}</span>
+              <span className="flex items-center gap-2">
+                {fmtAED(s.amount)}
+                <Badge variant={s.receiptId ? "green" : "yellow"}>{s.receiptId ? "Paid" : "Due"}</Badge>
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {due > 0 && (
+        <div className="border-t border-neutral-800 pt-4 space-y-3">
+          <div className="flex items-center justify-between">
+            <div className="text-sm font-medium text-neutral-300">
+              {split ? `Pay ${split.label}` : "Select Payment Method"}
+            </div>
+            <div className="font-semibold">{fmtAED(due)}</div>
+          </div>
+
+          {cashGiven !== null ? (
+            <div className="space-y-3">
+              {cashDue !== due && (
+                <div className="flex justify-between text-sm text-neutral-400">
+                  <span>Cash rounding</span>
+                  <span>{roundingText(roundMoney(cashDue - due))}</span>
+                </div>
+              )}
+              <div className="flex justify-between text-sm">
+                <span className="text-neutral-300">Cash due</span>
+                <span className="font-semibold">{fmtAED(cashDue)}</span>
+              </div>
+              <Input
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder="Amount tendered"
+                value={cashGiven}
+                onChange={e => setCashGiven(e.target.value)}
+                autoFocus
+              />
+              <div className="flex flex-wrap gap-2">
+                {quickCash(cashDue).map(amount => (
+                  <Button key={amount} variant="subtle" onClick={() => setCashGiven(String(amount))}>
+                    {amount === cashDue ? "Exact" : fmtAED(amount)}
+                  </Button>
+                ))}
+              </div>
+              <div className={`flex justify-between text-sm ${change < 0 ? "text-red-400" : "text-neutral-200"}`}>
+                <span>{change < 0 ? "Still to pay" : "Change"}</span>
+                <span className="font-semibold">{fmtAED(Math.abs(change))}</span>
+              </div>
+              <div className="flex justify-end gap-2">
+                <Button variant="ghost" onClick={() => setCashGiven(null)}>Back</Button>
+                <Button
+                  disabled={busy || change < 0}
+                  onClick={() => pay([{ method: "cash", amount: due, tendered: cashGiven === "" ? undefined : Number(cashGiven) }])}
+                >
+                  Pay {fmtAED(cashDue)} Cash
+                </Button>
+              </div>
+            </div>
+          ) : !tenders ? (
+            <>
+              <div className="grid grid-cols-3 gap-2">
+                {PAYMENT_METHODS.map(method => (
+                  <button
+                    key={method.value}
+                    disabled={busy}
+                    onClick={() => (method.value === "cash" ? setCashGiven("") : pay([{ method: method.value, amount: due }]))}
+                    className="p-4 rounded-xl border border-neutral-800 bg-neutral-900/50 hover:bg-neutral-800 transition text-center"
+                  >
+                    <div className="text-2xl mb-1">{method.icon}</div>
+                    <div className="text-sm">{method.label}</div>
+                  </button>
+                ))}
+              </div>
+              <button
+                className="text-sm text-neutral-400 hover:text-neutral-200"
+                onClick={() => setTenders([{ method: "cash", amount: String(due) }])}
+              >
+                Pay with more than one method…
+              </button>
+            </>
+          ) : (
+            <div className="space-y-2">
+              {tenders.map((t, idx) => (
+                <div key={idx} className="flex gap-2">
+                  <Select className="w-32" value={t.method} onChange={e => updateTender(idx, { method: e.target.value })}>
+                    {PAYMENT_METHODS.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+                  </Select>
+                  <Input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={t.amount}
+                    onChange={e => updateTender(idx, { amount: e.target.value })}
+                  />
+                  {t.method === "cash" && (
+                    <Input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      placeholder="Tendered"
+                      value={t.tendered || ""}
+                      onChange={e => updateTender(idx, { tendered: e.target.value })}
+                    />
+                  )}
+                  {tenders.length > 1 && (
+                    <Button variant="ghost" onClick={() => setTenders(tenders.filter((_, i) => i !== idx))}>✕</Button>
+                  )}
+                </div>
+              ))}
+              {tenders.filter(t => t.method === "cash" && Number(t.amount) > 0).map((t, idx) => (
+                <div key={idx} className="text-xs text-neutral-400">
+                  Cash {fmtAED(t.amount)}
+                  {cashOwed(t) !== roundMoney(t.amount) ? ` → ${fmtAED(cashOwed(t))} after rounding (${roundingText(roundMoney(cashOwed(t) - Number(t.amount)))})` : ""}
+                  {t.tendered && givenEnough(t) ? ` · change ${fmtAED(roundMoney(Number(t.tendered) - cashOwed(t)))}` : ""}
+                </div>
+              ))}
+              <div className="flex items-center justify-between text-sm">
+                <button className="text-neutral-400 hover:text-neutral-200" onClick={addTender}>+ Add tender</button>
+                <span className={tenderSum > due ? "text-red-400" : "text-neutral-400"}>
+                  Remaining {fmtAED(roundMoney(due - tenderSum))}
+                </span>
+              </div>
+              {!split && tenderSum > 0 && tenderSum < due && (
+                <div className="text-xs text-neutral-500">A partial payment leaves {fmtAED(roundMoney(due - tenderSum))} to pay later.</div>
+              )}
+              <div className="flex justify-end gap-2">
+                <Button variant="ghost" onClick={() => setTenders(null)}>Back</Button>
+                <Button
+                  disabled={busy || !tendersValid}
+                  onClick={() => pay(tenders.map(t => ({
+                    method: t.method,
+                    amount: Number(t.amount),
+                    ...(t.method === "cash" && t.tendered ? { tendered: Number(t.tendered) } : {}),
+                  })))}
+                >
+                  Pay {fmtAED(tenderSum)}
+                </Button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {error && <div className="text-sm text-red-400">{error}</div>}
+    </div>
+  );
+}
@@ -1,5 +1,10 @@
 import React from "react";
 import { fmtAED } from "../lib/money.js";
+import { lineTotal, orderTotals, taxLabel } from "../lib/calc.js";
+import { priceDeltaLabel, placementText } from "../lib/options.js";
+import { orderTypeLabel } from "../lib/orderTypes.js";
+import { balanceDue, methodLabel, receiptTenders, roundingText, splitLines } from "../lib/payments.js";
+import { ticketLabel, receiptNumberLabel } from "../lib/tickets.js";
 
 // Random closing messages for receipts
 const CLOSING_MESSAGES = [
@@ -17,9 +22,59 @@ function getRandomClosingMessage() {
   return CLOSING_MESSAGES[index];
 }
 
+// Cash rounding, and what was tendered when there was change to give
+function cashRows(tender) {
+  const rows = [];
+  if (tender.rounding) rows.push({ left: "  Cash rounding:", right: roundingText(tender.rounding) });
+  if (tender.tendered !== undefined && tender.change > 0) {
+    rows.push({ left: "  Tendered:", right: fmtAED(tender.tendered) });
+    rows.push({ left: "  Change:", right: fmtAED(tender.change) });
+  }
+  return rows;
+}
+
+/**
+ * Payment lines for one receipt or several: a split's receipt names its share
+ * and the lines it covers, a refund its voided lines and reason, then every
+ * tender is listed
+ */
+function paymentRows(order, receipt) {
+  const receipts = [].concat(receipt || []);
+  const rows = [];
+  for (const r of receipts) {
+    const tenders = receiptTenders(r);
+    if (r.receiptNumber) rows.push({ left: "Receipt No.:", right: receiptNumberLabel(r) });
+    if (r.label) {
+      rows.push({ left: `${r.label}:`, right: fmtAED(r.amount) });
+      const split = (order.splits || []).find(s => s.id === r.splitId);
+      for (const line of splitLines(order, split)) {
+        rows.push({ left: `  ${line.qty} x ${line.name}`, right: "" });
+      }
+      for (const line of r.lines || []) {
+        rows.push({ left: `  Void ${line.qty} x ${line.name}`, right: "" });
+      }
+      if (r.reason) rows.push({ left: `  Reason: ${r.reason}`, right: "" });
+    }
+    if (tenders.length === 1 && !r.label && receipts.length === 1) {
+      rows.push({ left: "Payment:", right: methodLabel(tenders[0].method).toUpperCase() });
+      rows.push(...cashRows(tenders[0]));
+    } else {
+      for (const t of tenders) {
+        rows.push({ left: `${methodLabel(t.method).toUpperCase()}:`, right: fmtAED(t.amount) });
+        rows.push(...cashRows(t));
+      }
+    }
+  }
+  if (receipts.length > 0 && balanceDue(order) > 0) {
+    rows.push({ left: "Balance due:", right: fmtAED(balanceDue(order)) });
+  }
+  return rows;
+}
+
 /**
  * Reusable Receipt Component
- * Renders a thermal-style receipt for printing
+ * Renders a thermal-style receipt for printing. receipt is one payment (a
+ * split's receipt) or a list of them for the whole order.
  */
 export function Receipt({ order, receipt, settings, message }) {
   const currency = settings?.currency || "AED";
@@ -27,8 +82,8 @@ export function Receipt({ order, receipt, settings, message }) {
   
   if (!order) return null;
 
-  const tax = (order.subtotal * (settings?.taxPercent || 0)) / 100;
-  const service = (order.subtotal * (settings?.serviceChargePercent || 0)) / 100;
+  const { taxes, pricesIncludeTax, serviceCharge, serviceChargePercent } = orderTotals(order);
+  const payments = paymentRows(order, receipt);
 
   return (
     <div className="receipt-container">
@@ -40,6 +95,10 @@ export function Receipt({ order, receipt, settings, message }) {
 
       {/* Receipt Info */}
       <div className="receipt-info">
+        <div className="receipt-row">
+          <span>Ticket:</span>
+          <span>{ticketLabel(order)}</span>
+        </div>
         <div className="receipt-row">
           <span>Order #:</span>
           <span>{order.id?.slice(0, 8).toUpperCase()}</span>
@@ -58,12 +117,40 @@ export function Receipt({ order, receipt, settings, message }) {
             <span>{order.customerName}</span>
           </div>
         )}
+        <div className="receipt-row">
+          <span>Type:</span>
+          <span>{orderTypeLabel(order.type)}</span>
+        </div>
         {order.tableNumber && (
           <div className="receipt-row">
             <span>Table:</span>
             <span>{order.tableNumber}</span>
           </div>
         )}
+        {order.pickupTime && (
+          <div className="receipt-row">
+            <span>Pickup:</span>
+            <span>{new Date(order.pickupTime).toLocaleString()}</span>
+          </div>
+        )}
+        {order.type === "delivery" && (
+          <>
+            <div className="receipt-row">
+              <span>Deliver to:</span>
+              <span>{order.deliveryAddress}</span>
+            </div>
+            {order.customerPhone && (
+              <div className="receipt-row">
+                <span>Phone:</span>
+                <span>{order.customerPhone}</span>
+              </div>
+            )}
+            <div className="receipt-row">
+              <span>Driver:</span>
+              <span>{order.driver}</span>
+            </div>
+          </>
+        )}
       </div>
 
       <div className="receipt-divider">--------------------------------</div>
@@ -76,8 +163,22 @@ export function Receipt({ order, receipt, settings, message }) {
               {item.qty} x {item.name}
             </div>
             <div className="receipt-item-price">
-              {fmtAED(item.price * item.qty)}
+              {fmtAED(lineTotal(item))}
             </div>
+            {item.options?.map(opt => (
+              <div key={opt.optionId} className="receipt-item-option">
+                + {opt.name} {priceDeltaLabel(opt.priceDelta)}
+              </div>
+            ))}
+            {placementText(item) && (
+              <div className="receipt-item-option">{placementText(item)}</div>
+            )}
+            {item.note && (
+              <div className="receipt-item-option">Note: {item.note}</div>
+            )}
+            {item.voidedQty > 0 && (
+              <div className="receipt-item-option">Voided: {item.voidedQty}</div>
+            )}
           </div>
         ))}
       </div>
@@ -98,19 +199,19 @@ export function Receipt({ order, receipt, settings, message }) {
           </div>
         )}
         
-        {tax > 0 && (
+        {serviceCharge > 0 && (
           <div className="receipt-row">
-            <span>Tax ({settings?.taxPercent}%):</span>
-            <span>{fmtAED(tax)}</span>
+            <span>Service ({serviceChargePercent}%):</span>
+            <span>{fmtAED(serviceCharge)}</span>
           </div>
         )}
         
-        {service > 0 && (
-          <div className="receipt-row">
-            <span>Service ({settings?.serviceChargePercent}%):</span>
-            <span>{fmtAED(service)}</span>
+        {!pricesIncludeTax && taxes.map(t => (
+          <div key={`${t.classId}@${t.percent}`} className="receipt-row">
+            <span>{taxLabel(t, false)}:</span>
+            <span>{fmtAED(t.amount)}</span>
           </div>
-        )}
+        ))}
       </div>
 
       <div className="receipt-divider">================================</div>
@@ -121,15 +222,25 @@ export function Receipt({ order, receipt, settings, message }) {
         <span>{fmtAED(order.total)} {currency}</span>
       </div>
 
+      {/* Tax contained in tax-inclusive prices */}
+      {pricesIncludeTax && taxes.map(t => (
+        <div key={`${t.classId}@${t.percent}`} className="receipt-row">
+          <span>{taxLabel(t, true)}:</span>
+          <span>{fmtAED(t.amount)}</span>
+        </div>
+      ))}
+
       <div className="receipt-divider">================================</div>
 
-      {/* Payment Method */}
-      {receipt?.paymentMethod && (
+      {/* Payments */}
+      {payments.length > 0 && (
         <div className="receipt-payment">
-          <div className="receipt-row">
-            <span>Payment:</span>
-            <span>{receipt.paymentMethod.toUpperCase()}</span>
-          </div>
+          {payments.map((row, idx) => (
+            <div key={idx} className="receipt-row">
+              <span>{row.left}</span>
+              <span>{row.right}</span>
+            </div>
+          ))}
         </div>
       )}
 
@@ -158,14 +269,25 @@ export function printReceipt(order, receipt, settings, message) {
 
   const currency = settings?.currency || "AED";
   const closingMsg = message || getRandomClosingMessage();
-  const tax = (order.subtotal * (settings?.taxPercent || 0)) / 100;
-  const service = (order.subtotal * (settings?.serviceChargePercent || 0)) / 100;
+  const { taxes, pricesIncludeTax, serviceCharge, serviceChargePercent } = orderTotals(order);
+  const taxRowsHTML = taxes.map(t => `
+        <div class="receipt-row">
+          <span>${taxLabel(t, pricesIncludeTax)}:</span>
+          <span>${fmtAED(t.amount)}</span>
+        </div>
+        `).join("");
+  const paymentRowsHTML = paymentRows(order, receipt).map(row => `
+        <div class="receipt-row">
+          <span>${row.left}</span>
+          <span>${row.right}</span>
+        </div>
+        `).join("");
 
   const receiptHTML = `
     <!DOCTYPE html>
     <html>
     <head>
-      <title>Receipt - Order #${order.id?.slice(0, 8).toUpperCase()}</title>
+      <title>Receipt - Ticket ${ticketLabel(order)}</title>
       <style>
         * {
           margin: 0;
@@ -233,6 +355,12 @@ export function printReceipt(order, receipt, settings, message) {
           min-width: 80px;
         }
         
+        .receipt-item-option {
+          width: 100%;
+          padding-left: 12px;
+          font-size: 12px;
+        }
+        
         .receipt-totals {
           margin: 10px 0;
         }
@@ -279,6 +407,10 @@ export function printReceipt(order, receipt, settings, message) {
       </div>
 
       <div class="receipt-info">
+        <div class="receipt-row">
+          <span>Ticket:</span>
+          <span>${ticketLabel(order)}</span>
+        </div>
         <div class="receipt-row">
           <span>Order #:</span>
           <span>${order.id?.slice(0, 8).toUpperCase()}</span>
@@ -297,12 +429,38 @@ export function printReceipt(order, receipt, settings, message) {
           <span>${order.customerName}</span>
         </div>
         ` : ""}
+        <div class="receipt-row">
+          <span>Type:</span>
+          <span>${orderTypeLabel(order.type)}</span>
+        </div>
         ${order.tableNumber ? `
         <div class="receipt-row">
           <span>Table:</span>
           <span>${order.tableNumber}</span>
         </div>
         ` : ""}
+        ${order.pickupTime ? `
+        <div class="receipt-row">
+          <span>Pickup:</span>
+          <span>${new Date(order.pickupTime).toLocaleString()}</span>
+        </div>
+        ` : ""}
+        ${order.type === "delivery" ? `
+        <div class="receipt-row">
+          <span>Deliver to:</span>
+          <span>${order.deliveryAddress}</span>
+        </div>
+        ${order.customerPhone ? `
+        <div class="receipt-row">
+          <span>Phone:</span>
+          <span>${order.customerPhone}</span>
+        </div>
+        ` : ""}
+        <div class="receipt-row">
+          <span>Driver:</span>
+          <span>${order.driver}</span>
+        </div>
+        ` : ""}
       </div>
 
       <div class="receipt-divider">--------------------------------</div>
@@ -311,7 +469,13 @@ export function printReceipt(order, receipt, settings, message) {
         ${order.items?.map(item => `
           <div class="receipt-item">
             <div class="receipt-item-name">${item.qty} x ${item.name}</div>
-            <div class="receipt-item-price">${fmtAED(item.price * item.qty)}</div>
+            <div class="receipt-item-price">${fmtAED(lineTotal(item))}</div>
+            ${(item.options || []).map(opt => `
+            <div class="receipt-item-option">+ ${opt.name} ${priceDeltaLabel(opt.priceDelta)}</div>
+            `).join("")}
+            ${placementText(item) ? `<div class="receipt-item-option">${placementText(item)}</div>` : ""}
+            ${item.note ? `<div class="receipt-item-option">Note: ${item.note}</div>` : ""}
+            ${item.voidedQty > 0 ? `<div class="receipt-item-option">Voided: ${item.voidedQty}</div>` : ""}
           </div>
         `).join("")}
       </div>
@@ -329,18 +493,13 @@ export function printReceipt(order, receipt, settings, message) {
           <span>-${fmtAED(order.discount)}</span>
         </div>
         ` : ""}
-        ${tax > 0 ? `
-        <div class="receipt-row">
-          <span>Tax (${settings?.taxPercent || 0}%):</span>
-          <span>${fmtAED(tax)}</span>
-        </div>
-        ` : ""}
-        ${service > 0 ? `
+        ${serviceCharge > 0 ? `
         <div class="receipt-row">
-          <span>Service (${settings?.serviceChargePercent || 0}%):</span>
-          <span>${fmtAED(service)}</span>
+          <span>Service (${serviceChargePercent}%):</span>
+          <span>${fmtAED(serviceCharge)}</span>
         </div>
         ` : ""}
+        ${pricesIncludeTax ? "" : taxRowsHTML}
       </div>
 
       <div class="receipt-divider">================================</div>
@@ -349,15 +508,13 @@ export function printReceipt(order, receipt, settings, message) {
         <span>TOTAL:</span>
         <span>${fmtAED(order.total)} ${currency}</span>
       </div>
+      ${pricesIncludeTax ? taxRowsHTML : ""}
 
       <div class="receipt-divider">================================</div>
 
-      ${receipt?.paymentMethod ? `
+      ${paymentRowsHTML ? `
       <div class="receipt-payment">
-        <div class="receipt-row">
-          <span>Payment:</span>
-          <span>${receipt.paymentMethod.toUpperCase()}</span>
-        </div>
+        ${paymentRowsHTML}
       </div>
       ` : ""}
 
@@ -0,0 +1,167 @@
+import React, { useEffect, useRef, useState } from "react";
+import Modal from "./Modal.jsx";
+import Button from "./Button.jsx";
+import Input from "./Input.jsx";
+import { fmtAED } from "../lib/money.js";
+import { refundableAmount, remainingQty, voidAmount, needsRefundApproval, roundMoney } from "../lib/payments.js";
+import { ticketLabel } from "../lib/tickets.js";
+import { newId } from "../lib/ids.js";
+
+const REFUND_MODES = [
+  { value: "full", label: "Full refund" },
+  { value: "lines", label: "Void items" },
+  { value: "amount", label: "Amount" },
+];
+
+/**
+ * Refund a paid order: in full, by voiding items or by an amount. A reason is
+ * always required; cashiers enter a manager's login above the approval limit.
+ * onDone receives the server's response ({ receipt, order }).
+ */
+export default function RefundModal({ order, settings, elevated, emit, onClose, onDone }) {
+  const [mode, setMode] = useState("full");
+  const [quantities, setQuantities] = useState({});
+  const [amount, setAmount] = useState("");
+  const [reason, setReason] = useState("");
+  const [approver, setApprover] = useState({ username: "", password: "" });
+  const [forceApproval, setForceApproval] = useState(false);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  // One key per refund, so a retry after a timeout can't refund twice
+  const keyRef = useRef(null);
+
+  useEffect(() => {
+    keyRef.current = newId();
+    setMode("full");
+    setQuantities({});
+    setAmount("");
+    setReason("");
+    setApprover({ username: "", password: "" });
+    setForceApproval(false);
+    setError("");
+  }, [order?.id]);
+
+  const refundable = refundableAmount(order);
+  const refund = mode === "full" ? refundable
+    : mode === "lines" ? Math.min(refundable, voidAmount(order, quantities))
+    : roundMoney(Number(amount) || 0);
+  const showApproval = !elevated && (forceApproval || needsRefundApproval(settings, refund));
+  const valid = reason.trim() && (
+    mode === "full" ||
+    (mode === "lines" && Object.values(quantities).some(q => q > 0)) ||
+    (mode === "amount" && refund > 0 && refund <= refundable)
+  ) && (!showApproval || (approver.username && approver.password));
+
+  async function submit() {
+    setError("");
+    setBusy(true);
+    const resp = await emit("order:refund", {
+      idempotencyKey: keyRef.current,
+      orderId: order.id,
+      mode,
+      amount: mode === "amount" ? refund : undefined,
+      lines: mode === "lines"
+        ? Object.entries(quantities).filter(([, qty]) => qty > 0).map(([index, qty]) => ({ index: Number(index), qty }))
+        : undefined,
+      reason,
+      approval: showApproval ? approver : undefined,
+    });
+    setBusy(false);
+    if (!resp.ok) {
+      setError(resp.error || "Refund failed");
+      if (/approval/i.test(resp.error || "")) setForceApproval(true);
+      return;
+    }
+    onDone?.(resp);
+  }
+
+  return (
+    <Modal
+      open={!!order}
+      title={`Refund - Ticket ${ticketLabel(order)}`}
+      onClose={onClose}
+      footer={
+        <div className="flex justify-end gap-2">
+          <Button variant="ghost" onClick={onClose}>Cancel</Button>
+          <Button variant="danger" disabled={busy || !valid} onClick={submit}>
+            Refund {fmtAED(refund)}
+          </Button>
+        </div>
+      }
+    >
+      {order && (
+        <div className="space-y-4">
+          <div className="text-sm text-neutral-400">
+            Paid {fmtAED(order.paidTotal)} · {fmtAED(refundable)} can be refunded
+          </div>
+
+          <div className="grid grid-cols-3 gap-2">
+            {REFUND_MODES.map(m => (
+              <button
+                key={m.value}
+                onClick={() => setMode(m.value)}
+                className={`px-2 py-2 rounded-xl border text-sm transition ${
+                  mode === m.value ? "border-white bg-neutral-800" : "border-neutral-800 bg-neutral-900/50 hover:bg-neutral-800"
+                }`}
+              >
+                {m.label}
+              </button>
+            ))}
+          </div>
+
+          {mode === "lines" && (
+            <div className="space-y-2">
+              {(order.items || []).map((item, idx) => remainingQty(item) > 0 && (
+                <div key={idx} className="flex items-center justify-between gap-2 text-sm">
+                  <span className="text-neutral-300">{remainingQty(item)} × {item.name}</span>
+                  <div className="w-24">
+                    <Input
+                      type="number"
+                      min="0"
+                      max={remainingQty(item)}
+                      value={quantities[idx] || 0}
+                      onChange={e => setQuantities({
+                        ...quantities,
+                        [idx]: Math.max(0, Math.min(remainingQty(item), Math.floor(Number(e.target.value) || 0))),
+                      })}
+                    />
+                  </div>
+                </div>
+              ))}
+              <div className="text-xs text-neutral-500">Each item refunds its share of the total, including discount, service and tax.</div>
+            </div>
+          )}
+
+          {mode === "amount" && (
+            <Input type="number" min="0" step="0.01" placeholder="Amount" value={amount} onChange={e => setAmount(e.target.value)} />
+          )}
+
+          <div>
+            <div className="text-sm text-neutral-300 mb-1">Reason</div>
+            <Input value={reason} maxLength={200} placeholder="Required" onChange={e => setReason(e.target.value)} />
+          </div>
+
+          {showApproval && (
+            <div className="space-y-2">
+              <div className="text-sm text-neutral-300">Manager approval</div>
+              <Input
+                placeholder="Manager username"
+                value={approver.username}
+                onChange={e => setApprover({ ...approver, username: e.target.value })}
+              />
+              <Input
+                type="password"
+                placeholder="Password"
+                value={approver.password}
+                onChange={e => setApprover({ ...approver, password: e.target.value })}
+              />
+            </div>
+          )}
+
+          <div className="text-xs text-neutral-500">The money goes back to the methods the order was paid with.</div>
+          {error && <div className="text-sm text-red-400">{error}</div>}
+        </div>
+      )}
+    </Modal>
+  );
+}
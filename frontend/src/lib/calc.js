@@ -2,22 +2,37 @@ export function calcSubtotal(items) {
   return (items || []).reduce((s, it) => s + Number(it.price) * Number(it.qty), 0);
 }
 
-export function calcTax(subtotal, taxPercent) {
-  return (Number(subtotal) * Number(taxPercent || 0)) / 100;
+// Money on an order as priced and stored by the server (backend/pricing.js).
+// Never recompute tax or service here; older orders without them simply had none.
+export function lineTotal(item) {
+  return Number(item?.lineTotal ?? Number(item?.price) * Number(item?.qty));
 }
 
-export function calcService(subtotal, serviceChargePercent) {
-  return (Number(subtotal) * Number(serviceChargePercent || 0)) / 100;
+export function orderTotals(order) {
+  const subtotal = Number(order?.subtotal ?? calcSubtotal(order?.items));
+  return {
+    subtotal,
+    discount: Number(order?.discount || 0),
+    serviceChargePercent: Number(order?.serviceChargePercent || 0),
+    serviceCharge: Number(order?.serviceCharge || 0),
+    pricesIncludeTax: !!order?.pricesIncludeTax,
+    // Per-class lines are only worth printing when some tax was charged
+    taxes: Number(order?.tax || 0) > 0 ? order.taxes || [] : [],
+    tax: Number(order?.tax || 0),
+    total: Number(order?.total ?? subtotal),
+  };
 }
 
-export function calcTotal(subtotal, tax, service) {
-  return Number(subtotal) + Number(tax) + Number(service);
+// "Standard (5%)", or "Incl. Standard (5%)" when menu prices already contain the tax
+export function taxLabel(tax, pricesIncludeTax) {
+  return `${pricesIncludeTax ? "Incl. " : ""}${tax.name} (${tax.percent}%)`;
 }
 
 export function orderPrepSeconds(order) {
-  if (!order?.doneAt || !order?.createdAt) return null;
-  const a = new Date(order.createdAt).getTime();
-  const b = new Date(order.doneAt).getTime();
+  const sentAt = order?.firedAt || order?.createdAt;
+  if (!order?.readyAt || !sentAt) return null;
+  const a = new Date(sentAt).getTime();
+  const b = new Date(order.readyAt).getTime();
   if (!Number.isFinite(a) || !Number.isFinite(b)) return null;
   return Math.max(0, Math.round((b - a) / 1000));
 }
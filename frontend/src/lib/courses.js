@@ -0,0 +1,36 @@
+// Course firing (backend/courses.js).
+import { COURSES, DEFAULT_COURSE } from "./options.js";
+
+const COURSE_PLURALS = { starter: "Starters", main: "Mains", dessert: "Desserts" };
+
+// Courses with something left to make, in serving order
+export function coursesOf(lines) {
+  const present = new Set((lines || [])
+    .filter(line => line.qty - (line.voidedQty || 0) > 0)
+    .map(line => line.course || DEFAULT_COURSE));
+  return COURSES.map(c => c.value).filter(c => present.has(c));
+}
+
+// Courses on the order waiting to be fired
+export function heldCourses(order) {
+  return coursesOf(order?.items).filter(c => !order.firedCourses?.[c]);
+}
+
+export function courseFiredAt(order, course) {
+  return order?.firedCourses?.[course || DEFAULT_COURSE]?.at || null;
+}
+
+// "Fire Mains"
+export function fireLabel(course) {
+  return `Fire ${COURSE_PLURALS[course] || course}`;
+}
+
+export function coursePlural(course) {
+  return COURSE_PLURALS[course] || course;
+}
+
+// Courses held on any of the orders, e.g. everything waiting at a table
+export function heldCoursesOf(orders) {
+  const held = new Set((orders || []).flatMap(heldCourses));
+  return COURSES.map(c => c.value).filter(c => held.has(c));
+}
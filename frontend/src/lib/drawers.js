@@ -0,0 +1,58 @@
+// Cash drawer sessions and their X- and Z-reports (backend/drawers.js).
+import { roundMoney } from "./payments.js";
+
+export const MOVEMENT_TYPES = [
+  { value: "paid-in", label: "Paid in" },
+  { value: "paid-out", label: "Paid out" },
+  { value: "safe-drop", label: "Safe drop" },
+];
+
+const DENOMINATIONS = {
+  AED: [1000, 500, 200, 100, 50, 20, 10, 5, 1, 0.5, 0.25],
+  USD: [100, 50, 20, 10, 5, 1, 0.25, 0.1, 0.05, 0.01],
+  EUR: [500, 200, 100, 50, 20, 10, 5, 2, 1, 0.5, 0.2, 0.1, 0.05, 0.02, 0.01],
+  GBP: [50, 20, 10, 5, 2, 1, 0.5, 0.2, 0.1, 0.05, 0.02, 0.01],
+  THB: [1000, 500, 100, 50, 20, 10, 5, 2, 1, 0.5, 0.25],
+  SGD: [1000, 100, 50, 10, 5, 2, 1, 0.5, 0.2, 0.1, 0.05],
+};
+
+export function denominationsFor(settings) {
+  return DENOMINATIONS[settings?.currency] || DENOMINATIONS.AED;
+}
+
+export function movementLabel(type) {
+  return MOVEMENT_TYPES.find(m => m.value === type)?.label || type;
+}
+
+// Sessions belong to the username the server knows the device by; the admin
+// login has none
+export function drawerOwner(user) {
+  return user?.role === "staff" ? user.username : "admin";
+}
+
+export function openDrawerOf(sessions, owner) {
+  return (sessions || []).find(s => !s.closedAt && s.openedBy === owner) || null;
+}
+
+// Total of a count by denomination ({ "50": 2, "0.25": 8 })
+export function countTotal(count) {
+  return roundMoney(Object.entries(count || {}).reduce((s, [d, n]) => s + Number(d) * (Number(n) || 0), 0));
+}
+
+// Count as sent to the server: whole pieces, empty denominations left out
+export function cleanCount(count) {
+  return Object.fromEntries(Object.entries(count || {})
+    .map(([d, n]) => [d, Math.floor(Number(n) || 0)])
+    .filter(([, n]) => n > 0));
+}
+
+// "+12.50" over, "-3.00" short
+export function varianceText(variance) {
+  const v = Number(variance) || 0;
+  return `${v > 0 ? "+" : ""}${v.toFixed(2)}`;
+}
+
+export function varianceVariant(variance) {
+  const v = Number(variance) || 0;
+  return v === 0 ? "green" : v > 0 ? "yellow" : "red";
+}
@@ -0,0 +1,6 @@
+// Ids generated in the browser: tax classes, option groups and idempotency keys.
+// crypto.randomUUID only exists on https/localhost, and tills often use plain http on the LAN.
+export function newId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, b => b.toString(16).padStart(2, "0")).join("");
+}
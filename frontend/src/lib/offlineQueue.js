@@ -0,0 +1,65 @@
+// Requests the cashier made while offline, kept in IndexedDB so a reload or a
+// closed tab doesn't lose them. Entries are replayed in seq order.
+//
+//   { seq, id, event, payload, localOrderId, label, amount, createdAt, createdBy,
+//     status: "pending" | "conflict", error, conflict, sendStale }
+//
+// id doubles as the idempotency key, so replaying an entry the server already
+// handled returns the first result instead of doing it twice. The server only
+// remembers keys for a while (IDEMPOTENCY_WINDOW_MINUTES, never less than
+// MAX_QUEUED_HOURS), so older entries aren't sent until the cashier has
+// checked they didn't go through and retries them (sendStale).
+
+const DB_NAME = "siam-pos-offline";
+const STORE = "queue";
+// Keep in step with OFFLINE_QUEUE_MAX_HOURS in backend/constants.js
+export const MAX_QUEUED_HOURS = 24;
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: "seq", autoIncrement: true });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        dbPromise = null;
+        reject(req.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+async function run(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Too old for the server to be sure it hasn't handled it already
+export function isStale(entry, now = Date.now()) {
+  return !entry.sendStale && now - new Date(entry.createdAt).getTime() > MAX_QUEUED_HOURS * 60 * 60 * 1000;
+}
+
+export function listQueued() {
+  return run("readonly", store => store.getAll());
+}
+
+export function addQueued(entry) {
+  return run("readwrite", store => store.add({ status: "pending", error: null, conflict: null, ...entry }));
+}
+
+export function putQueued(entry) {
+  return run("readwrite", store => store.put(entry));
+}
+
+export function removeQueued(seq) {
+  return run("readwrite", store => store.delete(seq));
+}
+
@@ -0,0 +1,81 @@
+// Order line choices (backend/modifiers.js): menu options, note, seat and course.
+// Each option group allows min..max choices.
+
+// Courses in the order the kitchen serves them
+export const COURSES = [
+  { value: "starter", label: "Starter" },
+  { value: "main", label: "Main" },
+  { value: "dessert", label: "Dessert" },
+];
+export const DEFAULT_COURSE = "main";
+
+export function courseLabel(course) {
+  return COURSES.find(c => c.value === course)?.label || "Main";
+}
+
+// Cart lines with the same item but different options are separate lines
+export function lineKey(itemId, optionIds) {
+  return [itemId, ...(optionIds || []).slice().sort()].join("|");
+}
+
+// Preselect the first option of every required single-choice group
+export function defaultOptions(item) {
+  return (item?.optionGroups || [])
+    .filter(g => g.min >= 1 && g.max === 1 && g.options.length > 0)
+    .map(g => g.options[0].id);
+}
+
+export function toggleOption(item, chosen, groupId, optionId) {
+  const group = (item?.optionGroups || []).find(g => g.id === groupId);
+  if (!group) return chosen;
+  const inGroup = new Set(group.options.map(o => o.id));
+  if (chosen.includes(optionId)) {
+    // A required single choice can only be switched, not cleared
+    if (group.max === 1 && group.min >= 1) return chosen;
+    return chosen.filter(id => id !== optionId);
+  }
+  if (group.max === 1) return [...chosen.filter(id => !inGroup.has(id)), optionId];
+  if (chosen.filter(id => inGroup.has(id)).length >= group.max) return chosen;
+  return [...chosen, optionId];
+}
+
+export function optionsComplete(item, chosen) {
+  return (item?.optionGroups || []).every(g => {
+    const n = g.options.filter(o => chosen.includes(o.id)).length;
+    return n >= g.min && n <= g.max;
+  });
+}
+
+// Options as chosen on the menu item, in menu order, shaped like an order line's snapshot
+export function chosenOptions(item, chosen) {
+  return (item?.optionGroups || []).flatMap(g => g.options
+    .filter(o => chosen.includes(o.id))
+    .map(o => ({ groupId: g.id, groupName: g.name, optionId: o.id, name: o.name, priceDelta: Number(o.priceDelta) || 0 })));
+}
+
+export function priceDeltaLabel(delta) {
+  const n = Number(delta) || 0;
+  if (n === 0) return "";
+  return `${n > 0 ? "+" : "-"}${Math.abs(n).toFixed(2)}`;
+}
+
+// "Medium, Add egg" for kitchen cards and receipts
+export function optionsText(line) {
+  return (line?.options || []).map(o => o.name).join(", ");
+}
+
+// "Starter · Seat 2"; mains are the default course and aren't mentioned
+export function placementText(line) {
+  return [
+    line?.course && line.course !== DEFAULT_COURSE ? courseLabel(line.course) : null,
+    line?.seat ? `Seat ${line.seat}` : null,
+  ].filter(Boolean).join(" · ");
+}
+
+// Lines sorted by course, keeping their order within a course
+export function byCourse(lines) {
+  const rank = course => Math.max(0, COURSES.findIndex(c => c.value === (course || DEFAULT_COURSE)));
+  return (lines || []).map((line, idx) => ({ line, idx }))
+    .sort((a, b) => rank(a.line.course) - rank(b.line.course) || a.idx - b.idx)
+    .map(x => x.line);
+}
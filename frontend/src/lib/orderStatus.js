@@ -0,0 +1,52 @@
+// The order lifecycle (backend/orderStatus.js).
+
+export const ORDER_STATUSES = [
+  { value: "new", label: "New", variant: "yellow" },
+  { value: "preparing", label: "Preparing", variant: "blue" },
+  { value: "ready", label: "Ready", variant: "green" },
+  { value: "served", label: "Served", variant: "neutral" },
+  { value: "picked-up", label: "Picked up", variant: "neutral" },
+  { value: "cancelled", label: "Cancelled", variant: "red" },
+];
+export const CLOSED_STATUSES = ["served", "picked-up", "cancelled"];
+
+// What the button that moves an order to each state says
+const ACTION_LABELS = {
+  preparing: "Start Prep",
+  ready: "Mark Ready",
+  served: "Served",
+  "picked-up": "Picked Up",
+  cancelled: "Cancel Order",
+};
+
+export function statusLabel(status) {
+  return ORDER_STATUSES.find(s => s.value === status)?.label || status;
+}
+
+export function statusVariant(status) {
+  return ORDER_STATUSES.find(s => s.value === status)?.variant || "neutral";
+}
+
+export function actionLabel(status) {
+  return ACTION_LABELS[status] || statusLabel(status);
+}
+
+export function isClosed(status) {
+  return CLOSED_STATUSES.includes(status);
+}
+
+export function handoverStatus(type) {
+  return type === "takeaway" || type === "delivery" ? "picked-up" : "served";
+}
+
+// States the order may move to with the configured transitions
+export function nextStatuses(settings, order) {
+  const handover = handoverStatus(order?.type);
+  return (settings?.statusTransitions?.[order?.status] || [])
+    .filter(s => s === handover || (s !== "served" && s !== "picked-up"));
+}
+
+// The kitchen finished it and it wasn't cancelled
+export function isFulfilled(order) {
+  return !!order?.readyAt && order.status !== "cancelled";
+}
@@ -0,0 +1,48 @@
+// Order types (backend/orderTypes.js) and the fields each one requires.
+
+export const ORDER_TYPES = [
+  { value: "dine-in", label: "Dine-in", icon: "🍽️" },
+  { value: "takeaway", label: "Takeaway", icon: "🥡" },
+  { value: "delivery", label: "Delivery", icon: "🛵" },
+];
+export const DEFAULT_ORDER_TYPE = "dine-in";
+
+export function orderTypeLabel(type) {
+  return ORDER_TYPES.find(t => t.value === (type || DEFAULT_ORDER_TYPE))?.label || "Dine-in";
+}
+
+export function orderTypeIcon(type) {
+  return ORDER_TYPES.find(t => t.value === (type || DEFAULT_ORDER_TYPE))?.icon || "🍽️";
+}
+
+// Fields the server requires for a type, with the message shown when one is missing
+export function orderTypeErrors(type, fields) {
+  const errors = {};
+  const need = (key, message) => {
+    if (!String(fields[key] || "").trim()) errors[key] = message;
+  };
+  if (type === "dine-in") {
+    need("tableNumber", "Table number is required");
+  } else {
+    need("customerName", "Customer name is required");
+  }
+  if (type === "takeaway") need("pickupTime", "Pickup time is required");
+  if (type === "delivery") {
+    need("customerPhone", "Phone number is required for delivery");
+    need("deliveryAddress", "Delivery address is required");
+    need("driver", "Driver is required");
+  }
+  return errors;
+}
+
+// "Table 5", "Pickup 18:30" or "Delivery · Somchai" for order lists
+export function orderWhere(order) {
+  const type = order?.type || DEFAULT_ORDER_TYPE;
+  if (type === "takeaway") {
+    return order.pickupTime
+      ? `Pickup ${new Date(order.pickupTime).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}`
+      : "Takeaway";
+  }
+  if (type === "delivery") return order.driver ? `Delivery · ${order.driver}` : "Delivery";
+  return order?.tableNumber ? `Table ${order.tableNumber}` : "Dine-in";
+}
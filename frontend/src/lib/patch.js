@@ -0,0 +1,50 @@
+/**
+ * Apply server change operations ("state:patch") to a snapshot.
+ * Mirrors backend/diff.js applyOps, but never mutates: every object on a
+ * changed path is copied so React sees new references only where data changed.
+ *
+ *   { op: "set",    path: ["settings", "taxPercent"], value }
+ *   { op: "unset",  path: ["metrics", "prepTimes", "abc"] }
+ *   { op: "upsert", coll: "orders", index: 0, value }
+ *   { op: "remove", coll: "orders", id }
+ */
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function setIn(obj, path, value, remove) {
+  const [key, ...rest] = path;
+  const copy = { ...(isPlainObject(obj) ? obj : {}) };
+  if (rest.length > 0) {
+    copy[key] = setIn(copy[key], rest, value, remove);
+  } else if (remove) {
+    delete copy[key];
+  } else {
+    copy[key] = value;
+  }
+  return copy;
+}
+
+export function applyPatch(snapshot, ops) {
+  let next = { ...snapshot };
+  for (const op of ops || []) {
+    if (op.op === "set") {
+      next = setIn(next, op.path, op.value, false);
+    } else if (op.op === "unset") {
+      next = setIn(next, op.path, undefined, true);
+    } else if (op.op === "remove") {
+      next[op.coll] = (next[op.coll] || []).filter(item => item.id !== op.id);
+    } else if (op.op === "upsert") {
+      const arr = (next[op.coll] || []).slice();
+      const existing = arr.findIndex(item => item.id === op.value.id);
+      if (existing >= 0) {
+        arr[existing] = op.value;
+      } else {
+        arr.splice(Math.min(op.index ?? arr.length, arr.length), 0, op.value);
+      }
+      next[op.coll] = arr;
+    }
+  }
+  return next;
+}
@@ -0,0 +1,103 @@
+// Split bills and tenders (backend/payments.js).
+
+export const PAYMENT_METHODS = [
+  { value: "cash", label: "Cash", icon: "💵" },
+  { value: "card", label: "Card", icon: "💳" },
+  { value: "other", label: "Other", icon: "📝" },
+];
+
+export function methodLabel(method) {
+  return PAYMENT_METHODS.find(m => m.value === method)?.label || "Other";
+}
+
+export function roundMoney(n) {
+  const x = Number(n) || 0;
+  return Math.sign(x) * Math.round(Math.abs(x) * 100 + 1e-9) / 100;
+}
+
+export function balanceDue(order) {
+  return Math.max(0, roundMoney(Number(order?.total || 0) - Number(order?.paidTotal || 0)));
+}
+
+export const CASH_ROUNDING_STEPS = [0, 0.05, 0.1, 0.25, 0.5, 1];
+export const CASH_ROUNDING_MODES = [
+  { value: "nearest", label: "Nearest" },
+  { value: "down", label: "Down" },
+  { value: "up", label: "Up" },
+];
+
+// Cash that changes hands for an amount under settings.cashRounding
+export function roundCash(amount, rule) {
+  const stepCents = Math.round((Number(rule?.step) || 0) * 100);
+  if (stepCents <= 0) return roundMoney(amount);
+  const units = Math.round(Number(amount) * 100) / stepCents;
+  const round = rule.mode === "down" ? Math.floor : rule.mode === "up" ? Math.ceil : Math.round;
+  return roundMoney((round(units + (rule.mode === "up" ? -1e-9 : 1e-9)) * stepCents) / 100);
+}
+
+export function cashRounding(amount, rule) {
+  return roundMoney(roundCash(amount, rule) - Number(amount));
+}
+
+// Tenders as the server records them: cash rounded, with the change due from
+// what was tendered
+export function settleTenders(tenders, rule) {
+  return (tenders || []).map(t => {
+    if (t.method !== "cash") return { method: t.method, amount: Number(t.amount) };
+    const amount = roundMoney(t.amount);
+    const rounding = cashRounding(amount, rule);
+    const owed = roundMoney(amount + rounding);
+    const tendered = t.tendered === undefined || t.tendered === null || t.tendered === "" ? owed : roundMoney(t.tendered);
+    return { method: t.method, amount, rounding, tendered, change: roundMoney(tendered - owed) };
+  });
+}
+
+// "+0.02" or "-0.08"
+export function roundingText(rounding) {
+  const r = Number(rounding) || 0;
+  return `${r > 0 ? "+" : ""}${r.toFixed(2)}`;
+}
+
+// Receipts from before split payments had a single method and no tenders
+export function receiptTenders(receipt) {
+  if (Array.isArray(receipt?.tenders)) return receipt.tenders;
+  return receipt?.paymentMethod ? [{ method: receipt.paymentMethod, amount: Number(receipt.amount || 0) }] : [];
+}
+
+// "Cash", or "Cash 50.00 + Card 80.00" when a receipt was paid with several tenders
+export function tendersText(receipt) {
+  const tenders = receiptTenders(receipt);
+  if (tenders.length === 1) return methodLabel(tenders[0].method);
+  return tenders.map(t => `${methodLabel(t.method)} ${Number(t.amount).toFixed(2)}`).join(" + ");
+}
+
+// Order lines a split covers; equal shares cover the whole order
+export function splitLines(order, split) {
+  if (!split?.lines) return [];
+  return split.lines.map(idx => order?.items?.[idx]).filter(Boolean);
+}
+
+// Refunds (backend/refunds.js)
+
+export function refundableAmount(order) {
+  return Math.max(0, roundMoney(Number(order?.paidTotal || 0) - Number(order?.refundedTotal || 0)));
+}
+
+export function remainingQty(line) {
+  return Number(line?.qty || 0) - Number(line?.voidedQty || 0);
+}
+
+// What voiding these quantities refunds: each line's share of the order total
+export function voidAmount(order, quantities) {
+  const subtotal = Number(order?.subtotal || 0);
+  if (subtotal <= 0) return 0;
+  return roundMoney(Object.entries(quantities).reduce((sum, [idx, qty]) => {
+    const line = order.items?.[idx];
+    return line && qty > 0 ? sum + roundMoney((Number(order.total) * line.price * qty) / subtotal) : sum;
+  }, 0));
+}
+
+export function needsRefundApproval(settings, amount) {
+  const limit = settings?.refundApprovalAbove;
+  return limit !== null && limit !== undefined && amount > Number(limit);
+}
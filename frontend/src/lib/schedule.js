@@ -0,0 +1,27 @@
+// Scheduled orders (backend/schedule.js).
+
+// Scheduled and not sent to the kitchen yet
+export function isHeld(order) {
+  return !!order?.scheduledFor && !order.firedAt;
+}
+
+// When a held order goes to the kitchen
+export function fireTime(order, settings) {
+  const lead = Number(settings?.scheduleLeadMinutes ?? 30);
+  return new Date(new Date(order.scheduledFor).getTime() - lead * 60000);
+}
+
+// "13:30", or "Tue 21 Oct 13:30" when it isn't today
+export function scheduleText(at) {
+  const d = new Date(at);
+  const time = d.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+  if (d.toDateString() === new Date().toDateString()) return time;
+  return `${d.toLocaleDateString([], { weekday: "short", day: "numeric", month: "short" })} ${time}`;
+}
+
+// Held orders, soonest first
+export function upcomingOrders(orders) {
+  return (orders || [])
+    .filter(o => isHeld(o) && o.status !== "cancelled")
+    .sort((a, b) => String(a.scheduledFor).localeCompare(String(b.scheduledFor)));
+}
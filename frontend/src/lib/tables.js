@@ -0,0 +1,61 @@
+// Areas, tables and the floor plan (backend/tables.js).
+import { balanceDue } from "./payments.js";
+import { isClosed } from "./orderStatus.js";
+import { DEFAULT_ORDER_TYPE } from "./orderTypes.js";
+import { isHeld } from "./schedule.js";
+
+export const TABLE_STATUSES = {
+  free: { label: "Free", variant: "green" },
+  occupied: { label: "Occupied", variant: "yellow" },
+  "awaiting-payment": { label: "Awaiting payment", variant: "red" },
+};
+
+const bySortOrder = (a, b) => (a.sortOrder || 0) - (b.sortOrder || 0) || a.name.localeCompare(b.name, undefined, { numeric: true });
+
+// A dine-in order still holding its table: with the kitchen or not fully paid
+export function isOpenOnTable(order) {
+  if ((order?.type || DEFAULT_ORDER_TYPE) !== "dine-in" || order.status === "cancelled") return false;
+  return !isClosed(order.status) || balanceDue(order) > 0;
+}
+
+// Areas in order, each with its tables in order
+export function floorPlan(areas, tables) {
+  return (areas || []).slice().sort(bySortOrder).map(area => ({
+    ...area,
+    tables: (tables || []).filter(t => t.areaId === area.id).sort(bySortOrder),
+  }));
+}
+
+// Free, occupied, or awaiting payment once every open order has been served.
+// Orders scheduled for later don't occupy the table until they are fired.
+export function tableStatus(table, orders) {
+  const open = (orders || []).filter(o => o.tableId === table.id && isOpenOnTable(o) && !isHeld(o));
+  let status = "free";
+  if (open.length > 0) status = open.every(o => isClosed(o.status)) ? "awaiting-payment" : "occupied";
+  return {
+    status,
+    orders: open,
+    since: open.map(o => o.firedAt || o.createdAt).reduce((min, at) => (!min || at < min ? at : min), null),
+    due: open.reduce((s, o) => s + balanceDue(o), 0),
+  };
+}
+
+// "8 min" or "1 h 05 min" since the table's first open order
+export function elapsedText(since, now = Date.now()) {
+  const minutes = Math.max(0, Math.floor((now - new Date(since).getTime()) / 60000));
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, "0")} min`;
+}
+
+// Orders by table: tables in floor plan order, then free-text table numbers in
+// natural order ("2" before "10"), then orders without a table
+export function compareByTable(areas, tables) {
+  const rank = new Map(floorPlan(areas, tables).flatMap(a => a.tables).map((t, i) => [t.id, i]));
+  return (a, b) => {
+    const ra = rank.has(a.tableId) ? rank.get(a.tableId) : Infinity;
+    const rb = rank.has(b.tableId) ? rank.get(b.tableId) : Infinity;
+    if (ra !== rb) return ra < rb ? -1 : 1;
+    if (!a.tableNumber || !b.tableNumber) return (a.tableNumber ? 0 : 1) - (b.tableNumber ? 0 : 1);
+    return a.tableNumber.localeCompare(b.tableNumber, undefined, { numeric: true });
+  };
+}
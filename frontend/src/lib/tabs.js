@@ -0,0 +1,21 @@
+// Open tabs (backend/tabs.js).
+import { balanceDue } from "./payments.js";
+
+// Whether another round of items can go on this order
+export function canAddRound(order) {
+  if (!order || order.status === "cancelled" || order.status === "picked-up") return false;
+  if (order.status === "served" && balanceDue(order) <= 0) return false;
+  return !(order.splits || []).some(s => s.receiptId);
+}
+
+export function lineRound(line) {
+  return line?.round || 1;
+}
+
+// Lines the kitchen still has to make, with their index on the order
+export function kitchenLines(order) {
+  const from = order?.kitchenRound || 1;
+  return (order?.items || [])
+    .map((line, index) => ({ ...line, index }))
+    .filter(line => lineRound(line) >= from);
+}
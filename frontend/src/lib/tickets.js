@@ -0,0 +1,11 @@
+// Ticket and receipt numbers (backend/tickets.js).
+
+// "#12", or the start of the order id for orders from before ticket numbers
+export function ticketLabel(order) {
+  if (!order) return "";
+  return order.ticketNumber ? `#${order.ticketNumber}` : `#${order.id?.slice(0, 8).toUpperCase()}`;
+}
+
+export function receiptNumberLabel(receipt) {
+  return receipt?.receiptNumber ? String(receipt.receiptNumber).padStart(6, "0") : "";
+}
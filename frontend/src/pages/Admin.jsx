@@ -1,4 +1,4 @@
-import React, { useMemo, useState, useCallback } from "react";
+import React, { useMemo, useState, useCallback, useEffect } from "react";
 import Topbar from "../components/Topbar.jsx";
 import { Card, CardBody, CardHeader } from "../components/Card.jsx";
 import Button from "../components/Button.jsx";
@@ -9,7 +9,19 @@ import Modal from "../components/Modal.jsx";
 import { printReceipt } from "../components/Receipt.jsx";
 import { useStore } from "../state/StoreContext.jsx";
 import { fmtAED } from "../lib/money.js";
-import { calcSubtotal, orderPrepSeconds } from "../lib/calc.js";
+import { calcSubtotal, lineTotal, orderTotals, taxLabel, orderPrepSeconds } from "../lib/calc.js";
+import { optionsText, placementText } from "../lib/options.js";
+import { ORDER_TYPES, DEFAULT_ORDER_TYPE, orderTypeLabel, orderWhere } from "../lib/orderTypes.js";
+import { balanceDue, tendersText, refundableAmount, CASH_ROUNDING_STEPS, CASH_ROUNDING_MODES } from "../lib/payments.js";
+import RefundModal from "../components/RefundModal.jsx";
+import CancelOrderModal from "../components/CancelOrderModal.jsx";
+import { DrawerReport } from "../components/DrawerModal.jsx";
+import { ORDER_STATUSES, statusLabel, statusVariant, nextStatuses, isClosed, isFulfilled } from "../lib/orderStatus.js";
+import { ticketLabel } from "../lib/tickets.js";
+import { TABLE_STATUSES, floorPlan, tableStatus } from "../lib/tables.js";
+import { isHeld, scheduleText } from "../lib/schedule.js";
+import { movementLabel, varianceText, varianceVariant } from "../lib/drawers.js";
+import { newId } from "../lib/ids.js";
 
 function TabButton({ active, children, ...props }) {
   return (
@@ -30,7 +42,7 @@ export default function Admin() {
   const categories = (snapshot?.categories || []).slice().sort((a,b) => (a.sortOrder||0)-(b.sortOrder||0));
   const menu = snapshot?.menu || [];
   const orders = snapshot?.orders || [];
-  const settings = snapshot?.settings || { taxPercent: 0, serviceChargePercent: 0 };
+  const settings = snapshot?.settings || { taxClasses: [], serviceChargePercent: 0 };
   const promos = snapshot?.promos || [];
 
   return (
@@ -41,19 +53,23 @@ export default function Admin() {
           <TabButton active={tab==="dashboard"} onClick={() => setTab("dashboard")}>Dashboard</TabButton>
           <TabButton active={tab==="menu"} onClick={() => setTab("menu")}>Menu</TabButton>
           <TabButton active={tab==="inventory"} onClick={() => setTab("inventory")}>Inventory</TabButton>
+          <TabButton active={tab==="tables"} onClick={() => setTab("tables")}>Tables</TabButton>
           <TabButton active={tab==="staff"} onClick={() => setTab("staff")}>Staff</TabButton>
           <TabButton active={tab==="customers"} onClick={() => setTab("customers")}>Customers</TabButton>
           <TabButton active={tab==="promos"} onClick={() => setTab("promos")}>Promos</TabButton>
           <TabButton active={tab==="metrics"} onClick={() => setTab("metrics")}>Metrics</TabButton>
           <TabButton active={tab==="orders"} onClick={() => setTab("orders")}>Orders</TabButton>
+          <TabButton active={tab==="drawers"} onClick={() => setTab("drawers")}>Drawers</TabButton>
           <TabButton active={tab==="settings"} onClick={() => setTab("settings")}>Settings</TabButton>
           <TabButton active={tab==="logs"} onClick={() => setTab("logs")}>Audit Log</TabButton>
         </div>
 
         {tab === "dashboard" && <DashboardPanel settings={settings} snapshot={snapshot} emit={emit} />}
         {tab === "orders" && <OrdersPanel orders={orders} emit={emit} settings={settings} />}
-        {tab === "menu" && <MenuPanel menu={menu} categories={categories} emit={emit} />}
+        {tab === "drawers" && <DrawersPanel sessions={snapshot?.drawerSessions || []} emit={emit} />}
+        {tab === "menu" && <MenuPanel menu={menu} categories={categories} taxClasses={settings.taxClasses || []} emit={emit} />}
         {tab === "inventory" && <InventoryPanel snapshot={snapshot} emit={emit} />}
+        {tab === "tables" && <TablesPanel snapshot={snapshot} emit={emit} />}
         {tab === "staff" && <StaffPanel staff={staff} emit={emit} />}
         {tab === "customers" && <CustomersPanel snapshot={snapshot} emit={emit} />}
         {tab === "promos" && <PromosPanel promos={promos} emit={emit} />}
@@ -71,7 +87,7 @@ function DashboardPanel({ snapshot, settings, emit }) {
   const counts = {
     new: orders.filter(o => o.status === "new").length,
     preparing: orders.filter(o => o.status === "preparing").length,
-    done: orders.filter(o => o.status === "done").length,
+    ready: orders.filter(o => o.status === "ready").length,
   };
   
   const promos = snapshot?.promos || [];
@@ -87,7 +103,7 @@ function DashboardPanel({ snapshot, settings, emit }) {
           <Stat label="Active Promos" value={activePromos} />
           <Stat label="New" value={counts.new} />
           <Stat label="Preparing" value={counts.preparing} />
-          <Stat label="Done" value={counts.done} />
+          <Stat label="Ready" value={counts.ready} />
         </CardBody>
       </Card>
 
@@ -126,9 +142,12 @@ function OrdersPanel({ orders, emit, settings }) {
   const [editOrder, setEditOrder] = useState(null);
   const [editNote, setEditNote] = useState("");
   const [filter, setFilter] = useState("all");
+  const [typeFilter, setTypeFilter] = useState("all");
   const [receiptOrder, setReceiptOrder] = useState(null);
   const [receiptData, setReceiptData] = useState(null);
   const [receiptPreview, setReceiptPreview] = useState("");
+  const [refundOrder, setRefundOrder] = useState(null);
+  const [cancelOrder, setCancelOrder] = useState(null);
 
   function openEdit(o) {
     setEditOrder(o);
@@ -146,11 +165,11 @@ function OrdersPanel({ orders, emit, settings }) {
     setEditOrder(null);
   }
 
-  async function viewReceipt(order) {
-    const resp = await emit("receipt:preview", { orderId: order.id });
+  async function viewReceipt(order, receiptId) {
+    const resp = await emit("receipt:preview", { orderId: order.id, receiptId });
     if (resp.ok) {
       setReceiptOrder(resp.order);
-      setReceiptData(resp.receipt);
+      setReceiptData(resp.receipts);
       setReceiptPreview(resp.preview);
     }
   }
@@ -168,6 +187,7 @@ function OrdersPanel({ orders, emit, settings }) {
   }
 
   const filteredOrders = orders.filter(o => {
+    if (typeFilter !== "all" && (o.type || DEFAULT_ORDER_TYPE) !== typeFilter) return false;
     if (filter === "all") return true;
     return o.status === filter;
   });
@@ -178,12 +198,16 @@ function OrdersPanel({ orders, emit, settings }) {
         title="Orders" 
         subtitle="Manage all orders and view receipts"
         right={
-          <Select value={filter} onChange={(e) => setFilter(e.target.value)} className="w-32">
-            <option value="all">All</option>
-            <option value="new">New</option>
-            <option value="preparing">Preparing</option>
-            <option value="done">Done</option>
-          </Select>
+          <div className="flex gap-2">
+            <Select value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)} className="w-32">
+              <option value="all">All types</option>
+              {ORDER_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+            </Select>
+            <Select value={filter} onChange={(e) => setFilter(e.target.value)} className="w-32">
+              <option value="all">All</option>
+              {ORDER_STATUSES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+            </Select>
+          </div>
         }
       />
       <CardBody className="space-y-3">
@@ -194,28 +218,35 @@ function OrdersPanel({ orders, emit, settings }) {
             {filteredOrders.slice(0, 50).map(o => (
               <div key={o.id} className="rounded-2xl border border-neutral-800 bg-neutral-900/30 p-4 flex items-center justify-between gap-3">
                 <div>
-                  <div className="font-medium">#{o.id.slice(0, 8).toUpperCase()}</div>
+                  <div className="font-medium">
+                    Ticket {ticketLabel(o)} <span className="text-xs text-neutral-500">#{o.id.slice(0, 8).toUpperCase()}</span>
+                  </div>
                   <div className="text-xs text-neutral-500">
-                    <Badge variant={o.status === "new" ? "yellow" : o.status === "preparing" ? "blue" : "green"} className="mr-2">
-                      {o.status}
+                    <Badge variant={statusVariant(o.status)} className="mr-2">
+                      {statusLabel(o.status)}
                     </Badge>
                     {o.createdByUsername} • {fmtAED(o.total || calcSubtotal(o.items || []))}
                     {o.promo && <span className="text-emerald-400 ml-2">Promo: {o.promo.code}</span>}
+                    {isHeld(o) && <span className="text-yellow-400 ml-2">Scheduled {scheduleText(o.scheduledFor)}</span>}
+                    {balanceDue(o) > 0 && o.paidTotal > 0 && <span className="text-yellow-400 ml-2">{fmtAED(balanceDue(o))} to pay</span>}
+                  </div>
+                  <div className="text-xs text-neutral-400 mt-1">
+                    {orderTypeLabel(o.type)} • {orderWhere(o)}
+                    {o.customerName && ` • Customer: ${o.customerName}`}
                   </div>
-                  {(o.customerName || o.tableNumber) && (
-                    <div className="text-xs text-neutral-400 mt-1">
-                      {o.customerName && `Customer: ${o.customerName}`}
-                      {o.customerName && o.tableNumber && " • "}
-                      {o.tableNumber && `Table: ${o.tableNumber}`}
-                    </div>
-                  )}
                 </div>
                 <div className="flex gap-2 flex-wrap">
                   <Button variant="subtle" onClick={() => viewReceipt(o)}>View Receipt</Button>
-                  {o.status !== "done" && (
+                  {refundableAmount(o) > 0 && (
+                    <Button variant="subtle" onClick={() => setRefundOrder(o)}>Refund</Button>
+                  )}
+                  {refundableAmount(o) === 0 && nextStatuses(settings, o).includes("cancelled") && (
+                    <Button variant="subtle" onClick={() => setCancelOrder(o)}>Cancel</Button>
+                  )}
+                  {!isClosed(o.status) && (
                     <Button variant="subtle" onClick={() => openEdit(o)}>Edit</Button>
                   )}
-                  {o.status !== "done" && (
+                  {!isClosed(o.status) && (
                     <Button variant="danger" onClick={() => deleteOrder(o.id)}>Delete</Button>
                   )}
                 </div>
@@ -228,7 +259,7 @@ function OrdersPanel({ orders, emit, settings }) {
       {editOrder && (
         <Modal
           open={!!editOrder}
-          title={`Edit Order #${editOrder?.id?.slice(0, 8)?.toUpperCase()}`}
+          title={`Edit Ticket ${ticketLabel(editOrder)}`}
           onClose={() => setEditOrder(null)}
           footer={
             <div className="flex justify-end gap-2">
@@ -244,7 +275,7 @@ function OrdersPanel({ orders, emit, settings }) {
               <Input value={editNote} onChange={(e) => setEditNote(e.target.value)} placeholder="Optional note" />
             </div>
             <div className="text-sm text-neutral-400">
-              Items: {editOrder.items.map(i => `${i.qty}× ${i.name}`).join(", ")}
+              Items: {editOrder.items.map(i => `${i.qty}× ${i.name}${i.options?.length ? ` (${optionsText(i)})` : ""}`).join(", ")}
             </div>
             <div className="text-sm text-neutral-400">
               Total: {fmtAED(editOrder.total || calcSubtotal(editOrder.items))}
@@ -253,10 +284,29 @@ function OrdersPanel({ orders, emit, settings }) {
         </Modal>
       )}
 
+      <RefundModal
+        order={refundOrder}
+        settings={settings}
+        elevated
+        emit={emit}
+        onClose={() => setRefundOrder(null)}
+        onDone={(resp) => {
+          setRefundOrder(null);
+          viewReceipt(resp.order, resp.receipt.id);
+        }}
+      />
+
+      <CancelOrderModal
+        order={cancelOrder}
+        emit={emit}
+        onClose={() => setCancelOrder(null)}
+        onDone={() => setCancelOrder(null)}
+      />
+
       {/* Receipt Modal */}
       <Modal
         open={!!receiptOrder}
-        title={`Receipt - Order #${receiptOrder?.id?.slice(0, 8)?.toUpperCase()}`}
+        title={`Receipt - Ticket ${ticketLabel(receiptOrder)}`}
         onClose={closeReceipt}
         footer={
           <div className="flex justify-end gap-2">
@@ -281,11 +331,21 @@ function OrdersPanel({ orders, emit, settings }) {
                 <div className="text-sm text-neutral-400">
                   {new Date(receiptOrder.createdAt).toLocaleString()}
                 </div>
-                {receiptData && (
-                  <div className="text-sm text-neutral-400">
-                    Payment: {receiptData.paymentMethod?.toUpperCase()}
+                {receiptData?.map(r => (
+                  <div key={r.id} className="text-sm text-neutral-400">
+                    {r.label ? `${r.label} · ` : ""}{tendersText(r)}{receiptData.length > 1 || r.label ? ` · ${fmtAED(r.amount)}` : ""}
+                  </div>
+                ))}
+                {receiptOrder.statusHistory?.length > 0 && (
+                  <div className="text-xs text-neutral-500 mt-1">
+                    {receiptOrder.statusHistory
+                      .map(h => `${statusLabel(h.status)} ${new Date(h.at).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}`)
+                      .join(" → ")}
                   </div>
                 )}
+                {receiptOrder.cancelReason && (
+                  <div className="text-xs text-red-400">Cancelled: {receiptOrder.cancelReason}</div>
+                )}
               </div>
               
               <div className="border-t border-neutral-800 pt-3 mb-3">
@@ -293,8 +353,22 @@ function OrdersPanel({ orders, emit, settings }) {
                 <div className="space-y-1">
                   {receiptOrder.items?.map((item, idx) => (
                     <div key={idx} className="flex justify-between text-sm">
-                      <span className="text-neutral-300">{item.qty} × {item.name}</span>
-                      <span className="text-neutral-200">{fmtAED(item.price * item.qty)}</span>
+                      <span className="text-neutral-300">
+                        {item.qty} × {item.name}
+                        {item.options?.length > 0 && (
+                          <span className="block text-xs text-neutral-500">{optionsText(item)}</span>
+                        )}
+                        {placementText(item) && (
+                          <span className="block text-xs text-neutral-500">{placementText(item)}</span>
+                        )}
+                        {item.note && (
+                          <span className="block text-xs text-neutral-500">Note: {item.note}</span>
+                        )}
+                        {item.voidedQty > 0 && (
+                          <span className="block text-xs text-red-400">Voided: {item.voidedQty}</span>
+                        )}
+                      </span>
+                      <span className="text-neutral-200">{fmtAED(lineTotal(item))}</span>
                     </div>
                   ))}
                 </div>
@@ -311,23 +385,34 @@ function OrdersPanel({ orders, emit, settings }) {
                     <span>-{fmtAED(receiptOrder.discount)}</span>
                   </div>
                 )}
+                {receiptOrder.serviceCharge > 0 && (
+                  <div className="flex justify-between text-neutral-400">
+                    <span>Service ({receiptOrder.serviceChargePercent}%)</span>
+                    <span>{fmtAED(receiptOrder.serviceCharge)}</span>
+                  </div>
+                )}
+                {orderTotals(receiptOrder).taxes.map(t => (
+                  <div key={`${t.classId}@${t.percent}`} className="flex justify-between text-neutral-400">
+                    <span>{taxLabel(t, receiptOrder.pricesIncludeTax)}</span>
+                    <span>{fmtAED(t.amount)}</span>
+                  </div>
+                ))}
                 <div className="flex justify-between font-semibold text-lg pt-2 border-t border-neutral-800">
                   <span>TOTAL</span>
                   <span className="text-emerald-400">{fmtAED(receiptOrder.total)}</span>
                 </div>
               </div>
               
-              {(receiptOrder.customerName || receiptOrder.tableNumber) && (
-                <div className="border-t border-neutral-800 pt-3 mt-3">
-                  <div className="text-sm font-medium text-neutral-300 mb-2">Customer Info</div>
-                  {receiptOrder.customerName && (
-                    <div className="text-sm text-neutral-400">{receiptOrder.customerName}</div>
-                  )}
-                  {receiptOrder.tableNumber && (
-                    <div className="text-sm text-neutral-400">Table {receiptOrder.tableNumber}</div>
-                  )}
-                </div>
-              )}
+              <div className="border-t border-neutral-800 pt-3 mt-3">
+                <div className="text-sm font-medium text-neutral-300 mb-2">Customer Info</div>
+                {receiptOrder.customerName && (
+                  <div className="text-sm text-neutral-400">{receiptOrder.customerName}</div>
+                )}
+                <div className="text-sm text-neutral-400">{orderTypeLabel(receiptOrder.type)} • {orderWhere(receiptOrder)}</div>
+                {receiptOrder.type === "delivery" && (
+                  <div className="text-sm text-neutral-400">{receiptOrder.deliveryAddress} • {receiptOrder.customerPhone}</div>
+                )}
+              </div>
               
               <div className="border-t border-neutral-800 pt-3 mt-3">
                 <div className="text-sm text-neutral-400">
@@ -342,7 +427,7 @@ function OrdersPanel({ orders, emit, settings }) {
   );
 }
 
-function MenuPanel({ menu, categories, emit }) {
+function MenuPanel({ menu, categories, taxClasses, emit }) {
   const [itemModal, setItemModal] = useState(false);
   const [catModal, setCatModal] = useState(false);
   const [editItem, setEditItem] = useState(null);
@@ -358,6 +443,9 @@ function MenuPanel({ menu, categories, emit }) {
   const [categoryId, setCategoryId] = useState(categories[0]?.id || "");
   const [imageUrl, setImageUrl] = useState("");
   const [description, setDescription] = useState("");
+  const [taxClassId, setTaxClassId] = useState("");
+  const [optionGroups, setOptionGroups] = useState([]);
+  const [itemErr, setItemErr] = useState("");
 
   function openCreateItem() {
     setEditItem(null);
@@ -366,6 +454,9 @@ function MenuPanel({ menu, categories, emit }) {
     setCategoryId(categories[0]?.id || "");
     setImageUrl("");
     setDescription("");
+    setTaxClassId("");
+    setOptionGroups([]);
+    setItemErr("");
     setItemModal(true);
   }
 
@@ -376,16 +467,61 @@ function MenuPanel({ menu, categories, emit }) {
     setCategoryId(it.categoryId || "");
     setImageUrl(it.imageUrl || "");
     setDescription(it.description || "");
+    setTaxClassId(it.taxClassId || "");
+    setOptionGroups((it.optionGroups || []).map(g => ({
+      ...g,
+      min: String(g.min),
+      max: String(g.max),
+      options: g.options.map(o => ({ ...o, priceDelta: String(o.priceDelta) })),
+    })));
+    setItemErr("");
     setItemModal(true);
   }
 
+  function updateGroup(groupId, patch) {
+    setOptionGroups(prev => prev.map(g => (g.id === groupId ? { ...g, ...patch } : g)));
+  }
+
+  function updateOption(groupId, optionId, patch) {
+    setOptionGroups(prev => prev.map(g => (g.id === groupId
+      ? { ...g, options: g.options.map(o => (o.id === optionId ? { ...o, ...patch } : o)) }
+      : g)));
+  }
+
+  function addGroup() {
+    setOptionGroups(prev => [...prev, { id: newId(), name: "", min: "0", max: "1", options: [{ id: newId(), name: "", priceDelta: "0" }] }]);
+  }
+
+  function addOption(groupId) {
+    setOptionGroups(prev => prev.map(g => (g.id === groupId
+      ? { ...g, options: [...g.options, { id: newId(), name: "", priceDelta: "0" }] }
+      : g)));
+  }
+
+  function removeOption(groupId, optionId) {
+    setOptionGroups(prev => prev.map(g => (g.id === groupId
+      ? { ...g, options: g.options.filter(o => o.id !== optionId) }
+      : g)));
+  }
+
   async function saveItem() {
+    setItemErr("");
     const p = Number(price);
     if (Number.isNaN(p)) return;
-    if (editItem) {
-      await emit("menu:update", { id: editItem.id, name, price: p, categoryId, imageUrl, description });
-    } else {
-      await emit("menu:create", { name, price: p, categoryId, imageUrl, description });
+    const groups = optionGroups.map(g => ({
+      id: g.id,
+      name: g.name.trim(),
+      min: Number(g.min),
+      max: Number(g.max),
+      options: g.options.map(o => ({ id: o.id, name: o.name.trim(), priceDelta: Number(o.priceDelta) })),
+    }));
+    const payload = { name, price: p, categoryId, imageUrl, description, taxClassId: taxClassId || null, optionGroups: groups };
+    const resp = editItem
+      ? await emit("menu:update", { id: editItem.id, ...payload })
+      : await emit("menu:create", payload);
+    if (!resp.ok) {
+      setItemErr(resp.error || "Failed to save item");
+      return;
     }
     setItemModal(false);
   }
@@ -399,6 +535,7 @@ function MenuPanel({ menu, categories, emit }) {
   }
 
   const [catName, setCatName] = useState("");
+  const [catTaxClassId, setCatTaxClassId] = useState("");
   const [editCat, setEditCat] = useState(null);
 
   async function createCategory() {
@@ -410,14 +547,15 @@ function MenuPanel({ menu, categories, emit }) {
   function editCategory(c) {
     setEditCat(c);
     setCatName(c.name);
+    setCatTaxClassId(c.taxClassId || "");
     setCatModal(true);
   }
 
   async function saveCategory() {
     if (editCat) {
-      await emit("category:update", { id: editCat.id, name: catName, sortOrder: editCat.sortOrder });
+      await emit("category:update", { id: editCat.id, name: catName, sortOrder: editCat.sortOrder, taxClassId: catTaxClassId || null });
     } else {
-      await emit("category:create", { name: catName });
+      await emit("category:create", { name: catName, taxClassId: catTaxClassId || null });
     }
     setCatName("");
     setEditCat(null);
@@ -521,6 +659,9 @@ function MenuPanel({ menu, categories, emit }) {
                       </div>
                     </div>
                     <div className="text-sm text-neutral-300">{fmtAED(it.price)}</div>
+                    {it.optionGroups?.length > 0 && (
+                      <div className="text-xs text-neutral-500">Options: {it.optionGroups.map(g => g.name).join(", ")}</div>
+                    )}
                     <div className="flex gap-2 flex-wrap">
                       <Button variant="subtle" onClick={() => openEditItem(it)} className="flex-1">Edit</Button>
                       <Button 
@@ -544,13 +685,14 @@ function MenuPanel({ menu, categories, emit }) {
           <CardHeader
             title="Categories"
             subtitle="Groups used in Cashier menu."
-            right={<Button variant="subtle" onClick={() => { setEditCat(null); setCatName(""); setCatModal(true); }}>Add</Button>}
+            right={<Button variant="subtle" onClick={() => { setEditCat(null); setCatName(""); setCatTaxClassId(""); setCatModal(true); }}>Add</Button>}
           />
           <CardBody className="space-y-3">
             {categories.map(c => (
               <div key={c.id} className="rounded-2xl border border-neutral-800 bg-neutral-900/20 p-3 flex items-center justify-between gap-2">
                 <div className="font-medium">{c.name}</div>
                 <div className="flex items-center gap-2">
+                  {c.taxClassId && <Badge variant="yellow">{taxClasses.find(t => t.id === c.taxClassId)?.name}</Badge>}
                   <Badge variant="neutral">#{c.sortOrder}</Badge>
                   <Button variant="subtle" onClick={() => editCategory(c)} className="text-xs">Edit</Button>
                   <Button variant="danger" onClick={() => deleteCategory(c.id)} className="text-xs">Delete</Button>
@@ -687,6 +829,13 @@ function MenuPanel({ menu, categories, emit }) {
               {categories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
             </Select>
           </div>
+          <div>
+            <div className="text-sm text-neutral-300 mb-1">Tax class</div>
+            <Select value={taxClassId} onChange={(e) => setTaxClassId(e.target.value)}>
+              <option value="">Same as category</option>
+              {taxClasses.map(t => <option key={t.id} value={t.id}>{t.name} ({t.percent}%)</option>)}
+            </Select>
+          </div>
           <div>
             <div className="text-sm text-neutral-300 mb-1">Image URL</div>
             <Input placeholder="https://…" value={imageUrl} onChange={(e) => setImageUrl(e.target.value)} />
@@ -694,6 +843,40 @@ function MenuPanel({ menu, categories, emit }) {
               Tip: host images on Imgur/GitHub/Replit or serve from your own server.
             </div>
           </div>
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <div className="text-sm text-neutral-300">Option groups</div>
+              <Button variant="ghost" onClick={addGroup} className="text-xs">Add group</Button>
+            </div>
+            <div className="space-y-3">
+              {optionGroups.map(g => (
+                <div key={g.id} className="rounded-xl border border-neutral-800 bg-neutral-900/30 p-3 space-y-2">
+                  <div className="flex items-center gap-2">
+                    <Input value={g.name} onChange={(e) => updateGroup(g.id, { name: e.target.value })} placeholder="e.g. Spice level" />
+                    <Button variant="danger" onClick={() => setOptionGroups(prev => prev.filter(x => x.id !== g.id))} className="text-xs">Remove</Button>
+                  </div>
+                  <div className="flex items-center gap-2 text-sm text-neutral-400">
+                    <span>Choose at least</span>
+                    <div className="w-16"><Input value={g.min} onChange={(e) => updateGroup(g.id, { min: e.target.value })} /></div>
+                    <span>and at most</span>
+                    <div className="w-16"><Input value={g.max} onChange={(e) => updateGroup(g.id, { max: e.target.value })} /></div>
+                  </div>
+                  {g.options.map(o => (
+                    <div key={o.id} className="flex items-center gap-2">
+                      <Input value={o.name} onChange={(e) => updateOption(g.id, o.id, { name: e.target.value })} placeholder="Option name" />
+                      <div className="w-24"><Input value={o.priceDelta} onChange={(e) => updateOption(g.id, o.id, { priceDelta: e.target.value })} /></div>
+                      <Button variant="ghost" onClick={() => removeOption(g.id, o.id)} disabled={g.options.length === 1} className="text-xs">✕</Button>
+                    </div>
+                  ))}
+                  <Button variant="ghost" onClick={() => addOption(g.id)} className="text-xs">Add option</Button>
+                </div>
+              ))}
+            </div>
+            <div className="text-xs text-neutral-500 mt-1">
+              Price changes are added to the item price (use a negative amount for a cheaper option). At least 1 makes the group required.
+            </div>
+          </div>
+          {itemErr && <div className="text-sm text-red-300">{itemErr}</div>}
         </div>
       </Modal>
 
@@ -713,6 +896,13 @@ function MenuPanel({ menu, categories, emit }) {
             <div className="text-sm text-neutral-300 mb-1">Category name</div>
             <Input value={catName} onChange={(e) => setCatName(e.target.value)} placeholder="e.g. Soft Drinks" />
           </div>
+          <div>
+            <div className="text-sm text-neutral-300 mb-1">Tax class</div>
+            <Select value={catTaxClassId} onChange={(e) => setCatTaxClassId(e.target.value)}>
+              <option value="">Default tax class</option>
+              {taxClasses.map(t => <option key={t.id} value={t.id}>{t.name} ({t.percent}%)</option>)}
+            </Select>
+          </div>
         </div>
       </Modal>
     </div>
@@ -828,6 +1018,258 @@ function StaffPanel({ staff, emit }) {
   );
 }
 
+function TablesPanel({ snapshot, emit }) {
+  const areas = floorPlan(snapshot?.areas, snapshot?.tables);
+  const orders = snapshot?.orders || [];
+  const [err, setErr] = useState("");
+
+  const [areaModal, setAreaModal] = useState(false);
+  const [editArea, setEditArea] = useState(null);
+  const [areaName, setAreaName] = useState("");
+  const [areaErr, setAreaErr] = useState("");
+
+  const [tableModal, setTableModal] = useState(false);
+  const [editTable, setEditTable] = useState(null);
+  const [tableName, setTableName] = useState("");
+  const [tableAreaId, setTableAreaId] = useState("");
+  const [seats, setSeats] = useState("4");
+  const [tableErr, setTableErr] = useState("");
+
+  function openArea(area = null) {
+    setEditArea(area);
+    setAreaName(area?.name || "");
+    setAreaErr("");
+    setAreaModal(true);
+  }
+
+  async function saveArea() {
+    setAreaErr("");
+    const resp = editArea
+      ? await emit("area:update", { id: editArea.id, name: areaName })
+      : await emit("area:create", { name: areaName });
+    if (!resp.ok) { setAreaErr(resp.error || "Failed to save area"); return; }
+    setAreaModal(false);
+  }
+
+  async function deleteArea(area) {
+    if (!confirm(`Delete the area "${area.name}"?`)) return;
+    setErr("");
+    const resp = await emit("area:delete", { id: area.id });
+    if (!resp.ok) setErr(resp.error || "Failed to delete area");
+  }
+
+  function openTable(table = null, areaId = "") {
+    setEditTable(table);
+    setTableName(table?.name || "");
+    setTableAreaId(table?.areaId || areaId || areas[0]?.id || "");
+    setSeats(String(table?.seats || 4));
+    setTableErr("");
+    setTableModal(true);
+  }
+
+  async function saveTable() {
+    setTableErr("");
+    const payload = { name: tableName, areaId: tableAreaId, seats: Number(seats) };
+    const resp = editTable
+      ? await emit("table:update", { id: editTable.id, ...payload })
+      : await emit("table:create", payload);
+    if (!resp.ok) { setTableErr(resp.error || "Failed to save table"); return; }
+    setTableModal(false);
+  }
+
+  async function deleteTable(table) {
+    if (!confirm(`Delete table ${table.name}?`)) return;
+    setErr("");
+    const resp = await emit("table:delete", { id: table.id });
+    if (!resp.ok) setErr(resp.error || "Failed to delete table");
+  }
+
+  return (
+    <div className="grid lg:grid-cols-[1fr_360px] gap-6">
+      <Card>
+        <CardHeader
+          title="Floor Plan"
+          subtitle="Tables the cashier seats dine-in orders at, grouped by area."
+          right={<Button onClick={() => openTable()} disabled={areas.length === 0}>Add Table</Button>}
+        />
+        <CardBody className="space-y-4">
+          {err && <div className="text-sm text-red-300">{err}</div>}
+          {areas.length === 0 ? (
+            <div className="text-neutral-400">No areas yet. Add one, then add its tables. Until then the cashier types in a table number.</div>
+          ) : (
+            areas.map(area => (
+              <div key={area.id} className="space-y-2">
+                <div className="flex items-center justify-between gap-2">
+                  <div className="font-semibold">{area.name}</div>
+                  <Button variant="ghost" onClick={() => openTable(null, area.id)}>+ Table</Button>
+                </div>
+                {area.tables.length === 0 ? (
+                  <div className="text-sm text-neutral-500">No tables in this area.</div>
+                ) : (
+                  area.tables.map(table => {
+                    const info = tableStatus(table, orders);
+                    return (
+                      <div key={table.id} className="rounded-2xl border border-neutral-800 bg-neutral-900/30 p-4 flex items-center justify-between gap-3 flex-wrap">
+                        <div>
+                          <div className="font-semibold">{table.name}</div>
+                          <div className="text-xs text-neutral-500">{table.seats} seats</div>
+                        </div>
+                        <div className="flex items-center gap-2 flex-wrap">
+                          <Badge variant={TABLE_STATUSES[info.status].variant}>{TABLE_STATUSES[info.status].label}</Badge>
+                          <Button variant="subtle" onClick={() => openTable(table)}>Edit</Button>
+                          <Button variant="danger" onClick={() => deleteTable(table)}>Delete</Button>
+                        </div>
+                      </div>
+                    );
+                  })
+                )}
+              </div>
+            ))
+          )}
+        </CardBody>
+      </Card>
+
+      <Card>
+        <CardHeader title="Areas" subtitle="e.g. Main Hall, Terrace" right={<Button onClick={() => openArea()}>Add Area</Button>} />
+        <CardBody className="space-y-2">
+          {areas.length === 0 && <div className="text-sm text-neutral-500">No areas yet.</div>}
+          {areas.map(area => (
+            <div key={area.id} className="flex items-center justify-between gap-2 rounded-xl border border-neutral-800 bg-neutral-900/30 p-3">
+              <div>
+                <div className="text-sm font-medium">{area.name}</div>
+                <div className="text-xs text-neutral-500">
+                  {area.tables.length} table{area.tables.length === 1 ? "" : "s"} · {area.tables.reduce((s, t) => s + t.seats, 0)} seats
+                </div>
+              </div>
+              <div className="flex gap-2">
+                <Button variant="ghost" onClick={() => openArea(area)}>Rename</Button>
+                <Button variant="danger" onClick={() => deleteArea(area)}>Delete</Button>
+              </div>
+            </div>
+          ))}
+        </CardBody>
+      </Card>
+
+      <Modal
+        open={areaModal}
+        title={editArea ? "Rename Area" : "Add Area"}
+        onClose={() => setAreaModal(false)}
+        footer={
+          <div className="flex justify-end gap-2">
+            <Button variant="ghost" onClick={() => setAreaModal(false)}>Cancel</Button>
+            <Button onClick={saveArea}>Save</Button>
+          </div>
+        }
+      >
+        <div className="space-y-3">
+          <div>
+            <div className="text-sm text-neutral-300 mb-1">Name</div>
+            <Input value={areaName} onChange={(e) => setAreaName(e.target.value)} placeholder="Terrace" />
+          </div>
+          {areaErr && <div className="text-sm text-red-300">{areaErr}</div>}
+        </div>
+      </Modal>
+
+      <Modal
+        open={tableModal}
+        title={editTable ? `Edit Table ${editTable.name}` : "Add Table"}
+        onClose={() => setTableModal(false)}
+        footer={
+          <div className="flex justify-end gap-2">
+            <Button variant="ghost" onClick={() => setTableModal(false)}>Cancel</Button>
+            <Button onClick={saveTable}>Save</Button>
+          </div>
+        }
+      >
+        <div className="space-y-3">
+          <div>
+            <div className="text-sm text-neutral-300 mb-1">Name</div>
+            <Input value={tableName} onChange={(e) => setTableName(e.target.value)} placeholder="T1" />
+          </div>
+          <div>
+            <div className="text-sm text-neutral-300 mb-1">Area</div>
+            <Select value={tableAreaId} onChange={(e) => setTableAreaId(e.target.value)}>
+              {areas.map(a => <option key={a.id} value={a.id}>{a.name}</option>)}
+            </Select>
+          </div>
+          <div>
+            <div className="text-sm text-neutral-300 mb-1">Seats</div>
+            <Input type="number" min="1" value={seats} onChange={(e) => setSeats(e.target.value)} />
+          </div>
+          {tableErr && <div className="text-sm text-red-300">{tableErr}</div>}
+        </div>
+      </Modal>
+    </div>
+  );
+}
+
+function DrawersPanel({ sessions, emit }) {
+  const [report, setReport] = useState(null);
+  const [err, setErr] = useState("");
+
+  async function showReport(session) {
+    setErr("");
+    if (session.report) { setReport(session.report); return; }
+    const resp = await emit("drawer:report", { sessionId: session.id });
+    if (!resp.ok) { setErr(resp.error || "Could not take the X-report"); return; }
+    setReport(resp.report);
+  }
+
+  return (
+    <Card>
+      <CardHeader title="Cash Drawers" subtitle="Drawer sessions opened by cashiers, with their X- and Z-reports" />
+      <CardBody className="space-y-3">
+        {err && <div className="text-sm text-red-300">{err}</div>}
+        {sessions.length === 0 && <div className="text-sm text-neutral-500">No drawer sessions yet.</div>}
+        {sessions.map(session => (
+          <div key={session.id} className="rounded-xl border border-neutral-800 bg-neutral-900/40 p-3 flex flex-wrap items-center justify-between gap-3">
+            <div className="space-y-1">
+              <div className="text-sm font-medium">
+                {session.openedBy} · {scheduleText(session.openedAt)}
+                {session.closedAt ? ` to ${scheduleText(session.closedAt)}` : ""}
+              </div>
+              <div className="text-xs text-neutral-400">
+                Float {fmtAED(session.openingFloat)}
+                {session.movements.map(m => ` · ${movementLabel(m.type)} ${fmtAED(m.amount)}`).join("")}
+                {session.closedBy && session.closedBy !== session.openedBy ? ` · closed by ${session.closedBy}` : ""}
+                {session.note ? ` · ${session.note}` : ""}
+              </div>
+            </div>
+            <div className="flex items-center gap-2">
+              {session.closedAt ? (
+                <>
+                  <Badge variant={varianceVariant(session.report?.cash.variance)}>Cash {varianceText(session.report?.cash.variance)}</Badge>
+                  <Badge variant={varianceVariant(session.report?.card.variance)}>Card {varianceText(session.report?.card.variance)}</Badge>
+                </>
+              ) : (
+                <Badge variant="green">Open</Badge>
+              )}
+              <Button variant="subtle" onClick={() => showReport(session)}>
+                {session.closedAt ? "Z-Report" : "X-Report"}
+              </Button>
+            </div>
+          </div>
+        ))}
+      </CardBody>
+
+      <Modal
+        open={!!report}
+        title={`${report?.type}-report`}
+        onClose={() => setReport(null)}
+        footer={
+          <div className="flex justify-end">
+            <Button variant="ghost" onClick={() => setReport(null)}>Close</Button>
+          </div>
+        }
+      >
+        <div className="max-h-[70vh] overflow-y-auto">
+          <DrawerReport report={report} />
+        </div>
+      </Modal>
+    </Card>
+  );
+}
+
 function InventoryPanel({ snapshot, emit }) {
   const inventory = snapshot?.inventory || [];
   const [modalOpen, setModalOpen] = useState(false);
@@ -1390,16 +1832,56 @@ function PromoRow({ promo, onToggle, onDelete }) {
 }
 
 function SettingsPanel({ settings, emit }) {
-  const [tax, setTax] = useState(String(settings.taxPercent || 0));
+  const [includeTax, setIncludeTax] = useState(!!settings.pricesIncludeTax);
   const [svc, setSvc] = useState(String(settings.serviceChargePercent || 0));
+  // Per order type service charge; blank uses the default above
+  const [typeSvc, setTypeSvc] = useState(Object.fromEntries(ORDER_TYPES.map(t => {
+    const percent = settings.orderTypes?.[t.value]?.serviceChargePercent;
+    return [t.value, percent === null || percent === undefined ? "" : String(percent)];
+  })));
   const [currency, setCurrency] = useState(settings.currency || "AED");
+  // Blank means refunds never need a manager's approval
+  const [approvalAbove, setApprovalAbove] = useState(
+    settings.refundApprovalAbove === null || settings.refundApprovalAbove === undefined ? "" : String(settings.refundApprovalAbove)
+  );
+  const [dayStart, setDayStart] = useState(settings.businessDayStartsAt || "00:00");
+  const [holdMinutes, setHoldMinutes] = useState(String(settings.heldCartMinutes || 120));
+  const [leadMinutes, setLeadMinutes] = useState(String(settings.scheduleLeadMinutes ?? 30));
+  const [roundStep, setRoundStep] = useState(String(settings.cashRounding?.step ?? 0));
+  const [roundMode, setRoundMode] = useState(settings.cashRounding?.mode || "nearest");
+  const [classes, setClasses] = useState((settings.taxClasses || []).map(t => ({ ...t, percent: String(t.percent) })));
+  const [defaultClassId, setDefaultClassId] = useState(settings.defaultTaxClassId || "");
   const [msg, setMsg] = useState("");
 
+  function updateClass(id, patch) {
+    setClasses(prev => prev.map(t => (t.id === id ? { ...t, ...patch } : t)));
+  }
+
+  function addClass() {
+    setClasses(prev => [...prev, { id: newId(), name: "", percent: "0" }]);
+  }
+
+  function removeClass(id) {
+    setClasses(prev => prev.filter(t => t.id !== id));
+  }
+
   async function save() {
     setMsg("");
-    const taxPercent = Number(tax);
     const serviceChargePercent = Number(svc);
-    const resp = await emit("settings:update", { taxPercent, serviceChargePercent, currency });
+    const taxClasses = classes.map(t => ({ id: t.id, name: t.name.trim(), percent: Number(t.percent) }));
+    const resp = await emit("settings:update", {
+      pricesIncludeTax: includeTax,
+      serviceChargePercent,
+      orderTypes: Object.fromEntries(ORDER_TYPES.map(t => [t.value, { serviceChargePercent: typeSvc[t.value] === "" ? null : Number(typeSvc[t.value]) }])),
+      refundApprovalAbove: approvalAbove === "" ? null : Number(approvalAbove),
+      businessDayStartsAt: dayStart,
+      heldCartMinutes: Number(holdMinutes),
+      scheduleLeadMinutes: Number(leadMinutes),
+      cashRounding: { step: Number(roundStep), mode: roundMode },
+      currency,
+      taxClasses,
+      defaultTaxClassId: defaultClassId,
+    });
     setMsg(resp.ok ? "Saved. All devices updated in real time." : (resp.error || "Failed"));
   }
 
@@ -1408,14 +1890,72 @@ function SettingsPanel({ settings, emit }) {
       <Card>
         <CardHeader title="Pricing Settings" subtitle="Applies instantly across all devices." right={<Badge variant="yellow">{currency || "AED"}</Badge>} />
         <CardBody className="space-y-3">
-          <div>
-            <div className="text-sm text-neutral-300 mb-1">Tax %</div>
-            <Input value={tax} onChange={(e) => setTax(e.target.value)} />
-          </div>
+          <label className="flex items-start gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={includeTax}
+              onChange={(e) => setIncludeTax(e.target.checked)}
+              className="mt-1 rounded border-neutral-600 bg-neutral-800 text-blue-500 focus:ring-blue-500"
+            />
+            <span className="text-sm text-neutral-300">
+              Menu prices include tax
+              <span className="block text-xs text-neutral-500">Tax is extracted from prices instead of added on top.</span>
+            </span>
+          </label>
           <div>
             <div className="text-sm text-neutral-300 mb-1">Service charge %</div>
             <Input value={svc} onChange={(e) => setSvc(e.target.value)} />
           </div>
+          <div>
+            <div className="text-sm text-neutral-300 mb-1">Service charge by order type</div>
+            <div className="grid grid-cols-3 gap-2">
+              {ORDER_TYPES.map(t => (
+                <div key={t.value}>
+                  <div className="text-xs text-neutral-500 mb-1">{t.label} %</div>
+                  <Input
+                    value={typeSvc[t.value]}
+                    placeholder="Default"
+                    onChange={(e) => setTypeSvc(prev => ({ ...prev, [t.value]: e.target.value }))}
+                  />
+                </div>
+              ))}
+            </div>
+            <div className="text-xs text-neutral-500 mt-1">Leave blank to use the service charge above; enter 0 for none.</div>
+          </div>
+          <div>
+            <div className="text-sm text-neutral-300 mb-1">Manager approval for refunds above</div>
+            <Input value={approvalAbove} placeholder="Never" onChange={(e) => setApprovalAbove(e.target.value)} />
+            <div className="text-xs text-neutral-500 mt-1">Cashiers need a manager's login for larger refunds; enter 0 for every refund.</div>
+          </div>
+          <div>
+            <div className="text-sm text-neutral-300 mb-1">Business day starts at</div>
+            <Input type="time" value={dayStart} onChange={(e) => setDayStart(e.target.value)} />
+            <div className="text-xs text-neutral-500 mt-1">Ticket numbers start again from 1 at this time each day.</div>
+          </div>
+          <div>
+            <div className="text-sm text-neutral-300 mb-1">Held carts expire after (minutes)</div>
+            <Input value={holdMinutes} onChange={(e) => setHoldMinutes(e.target.value)} />
+            <div className="text-xs text-neutral-500 mt-1">Carts parked at the till are dropped if nobody resumes them in time.</div>
+          </div>
+          <div>
+            <div className="text-sm text-neutral-300 mb-1">Send scheduled orders to the kitchen (minutes before due)</div>
+            <Input value={leadMinutes} onChange={(e) => setLeadMinutes(e.target.value)} />
+            <div className="text-xs text-neutral-500 mt-1">Orders placed for later wait in Upcoming until this long before their ready time.</div>
+          </div>
+          <div>
+            <div className="text-sm text-neutral-300 mb-1">Round cash payments</div>
+            <div className="grid grid-cols-2 gap-2">
+              <Select value={roundStep} onChange={(e) => setRoundStep(e.target.value)}>
+                {CASH_ROUNDING_STEPS.map(step => (
+                  <option key={step} value={String(step)}>{step === 0 ? "No rounding" : `To ${step.toFixed(2)}`}</option>
+                ))}
+              </Select>
+              <Select value={roundMode} onChange={(e) => setRoundMode(e.target.value)} disabled={Number(roundStep) === 0}>
+                {CASH_ROUNDING_MODES.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+              </Select>
+            </div>
+            <div className="text-xs text-neutral-500 mt-1">Cash totals are rounded to the smallest coin in use (0.25 for dirhams); card payments are never rounded. The difference is shown on the receipt.</div>
+          </div>
           <div>
             <div className="text-sm text-neutral-300 mb-1">Currency</div>
             <Select value={currency} onChange={(e) => setCurrency(e.target.value)}>
@@ -1427,6 +1967,31 @@ function SettingsPanel({ settings, emit }) {
               <option value="SGD">SGD - Singapore Dollar</option>
             </Select>
           </div>
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <div className="text-sm text-neutral-300">Tax classes</div>
+              <Button variant="ghost" onClick={addClass} className="text-xs">Add class</Button>
+            </div>
+            <div className="space-y-2">
+              {classes.map(t => (
+                <div key={t.id} className="flex items-center gap-2">
+                  <input
+                    type="radio"
+                    name="defaultTaxClass"
+                    checked={defaultClassId === t.id}
+                    onChange={() => setDefaultClassId(t.id)}
+                    title="Default class"
+                    className="border-neutral-600 bg-neutral-800"
+                  />
+                  <Input value={t.name} onChange={(e) => updateClass(t.id, { name: e.target.value })} placeholder="Name" />
+                  <div className="w-24"><Input value={t.percent} onChange={(e) => updateClass(t.id, { percent: e.target.value })} /></div>
+                  <span className="text-sm text-neutral-400">%</span>
+                  <Button variant="danger" onClick={() => removeClass(t.id)} disabled={classes.length === 1 || defaultClassId === t.id} className="text-xs">Remove</Button>
+                </div>
+              ))}
+            </div>
+            <div className="text-xs text-neutral-500 mt-1">The selected class is the default for categories and items without their own, and for the service charge.</div>
+          </div>
           <Button onClick={save}>Save</Button>
           {msg && <div className={`text-sm ${msg.startsWith("Saved") ? "text-emerald-300" : "text-red-300"}`}>{msg}</div>}
         </CardBody>
@@ -1435,18 +2000,250 @@ function SettingsPanel({ settings, emit }) {
       <Card>
         <CardHeader title="Notes" subtitle="How totals are calculated." />
         <CardBody className="text-sm text-neutral-300 space-y-2">
-          <div>• Subtotal = sum(item price × qty)</div>
-          <div>• Discount applied before tax</div>
-          <div>• Tax = (subtotal - discount) × tax%</div>
+          <div>• Subtotal = sum(item price × qty), each line rounded to 0.01</div>
+          <div>• Discount applied to the subtotal, before service and tax</div>
           <div>• Service charge = (subtotal - discount) × service%</div>
-          <div>• Total = subtotal - discount + tax + service</div>
-          <div className="text-xs text-neutral-500 mt-4">A single canonical calculation function is used across the app to avoid mismatches.</div>
+          <div>• Tax per class = that class's share of (subtotal - discount), plus service for the default class, × class%</div>
+          <div>• Prices include tax: the tax is already inside the total and only shown</div>
+          <div>• Otherwise: Total = subtotal - discount + service + tax</div>
+          <div className="text-xs text-neutral-500 mt-4">All totals are calculated by the server's pricing engine and stored on each order, so receipts always match what was charged.</div>
         </CardBody>
       </Card>
+
+      <div className="lg:col-span-2">
+        <OrderFlowCard settings={settings} emit={emit} />
+      </div>
+
+      <div className="lg:col-span-2">
+        <BackupsCard emit={emit} />
+      </div>
     </div>
   );
 }
 
+function OrderFlowCard({ settings, emit }) {
+  const openStatuses = ORDER_STATUSES.filter(s => !isClosed(s.value));
+  const [transitions, setTransitions] = useState(() => Object.fromEntries(
+    openStatuses.map(s => [s.value, settings.statusTransitions?.[s.value] || []])
+  ));
+  const [msg, setMsg] = useState("");
+
+  function toggle(from, to) {
+    setTransitions(prev => ({
+      ...prev,
+      [from]: prev[from].includes(to) ? prev[from].filter(s => s !== to) : [...prev[from], to],
+    }));
+  }
+
+  async function save() {
+    setMsg("");
+    const resp = await emit("settings:update", { statusTransitions: transitions });
+    setMsg(resp.ok ? "Saved. All devices updated in real time." : (resp.error || "Failed"));
+  }
+
+  return (
+    <Card>
+      <CardHeader title="Order Flow" subtitle="Which status an order can move to from each open status." />
+      <CardBody className="space-y-3">
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-neutral-400">
+                <th className="text-left font-normal py-1">From → To</th>
+                {ORDER_STATUSES.filter(s => s.value !== "new").map(s => (
+                  <th key={s.value} className="font-normal py-1 px-2">{s.label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {openStatuses.map(from => (
+                <tr key={from.value} className="border-t border-neutral-800">
+                  <td className="py-2"><Badge variant={from.variant}>{from.label}</Badge></td>
+                  {ORDER_STATUSES.filter(s => s.value !== "new").map(to => (
+                    <td key={to.value} className="text-center py-2">
+                      {to.value !== from.value && (
+                        <input
+                          type="checkbox"
+                          checked={transitions[from.value].includes(to.value)}
+                          onChange={() => toggle(from.value, to.value)}
+                          className="rounded border-neutral-600 bg-neutral-800 text-blue-500 focus:ring-blue-500"
+                        />
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="text-xs text-neutral-500">Dine-in orders are served and takeaway and delivery orders are picked up; every order must still be able to get there.</div>
+        <Button onClick={save}>Save</Button>
+        {msg && <div className={`text-sm ${msg.startsWith("Saved") ? "text-emerald-300" : "text-red-300"}`}>{msg}</div>}
+      </CardBody>
+    </Card>
+  );
+}
+
+function formatBytes(bytes) {
+  if (!bytes) return "0 B";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function BackupsCard({ emit }) {
+  const [backups, setBackups] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [msg, setMsg] = useState("");
+  const [restoreTarget, setRestoreTarget] = useState(null);
+  const [confirmText, setConfirmText] = useState("");
+  const [restoreError, setRestoreError] = useState("");
+  const [isRestoring, setIsRestoring] = useState(false);
+
+  const loadBackups = useCallback(async () => {
+    setLoading(true);
+    const resp = await emit("backup:list", {});
+    setLoading(false);
+    if (resp.ok) setBackups(resp.backups || []);
+    else setMsg(resp.error || "Failed to load backups");
+  }, [emit]);
+
+  useEffect(() => {
+    loadBackups();
+  }, [loadBackups]);
+
+  async function createBackup() {
+    setMsg("");
+    const resp = await emit("backup:create", {});
+    setMsg(resp.ok ? `Backup created: ${resp.name}` : (resp.error || "Backup failed"));
+    loadBackups();
+  }
+
+  async function downloadBackup(name) {
+    const resp = await emit("backup:download", { name });
+    if (!resp.ok) {
+      setMsg(resp.error || "Download failed");
+      return;
+    }
+    const blob = new Blob([resp.content], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = name;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  function openRestore(backup) {
+    setRestoreTarget(backup);
+    setConfirmText("");
+    setRestoreError("");
+  }
+
+  function closeRestore() {
+    setRestoreTarget(null);
+    setConfirmText("");
+    setRestoreError("");
+  }
+
+  async function restoreBackup() {
+    setIsRestoring(true);
+    setRestoreError("");
+    const resp = await emit("backup:restore", { name: restoreTarget.name, confirm: confirmText });
+    setIsRestoring(false);
+    if (!resp.ok) {
+      setRestoreError(resp.error || "Restore failed");
+      return;
+    }
+    setMsg(`Restored ${restoreTarget.name}. Previous data saved as ${resp.safetyBackup}.`);
+    closeRestore();
+    loadBackups();
+  }
+
+  return (
+    <Card>
+      <CardHeader
+        title="Backups"
+        subtitle="Hourly for 2 days, daily for 30 days, monthly forever."
+        right={
+          <div className="flex gap-2">
+            <Button variant="subtle" onClick={loadBackups} disabled={loading}>Refresh</Button>
+            <Button onClick={createBackup}>Back up now</Button>
+          </div>
+        }
+      />
+      <CardBody className="space-y-3">
+        {msg && <div className="text-sm text-neutral-300">{msg}</div>}
+        {backups.length === 0 ? (
+          <div className="text-neutral-400">{loading ? "Loading backups..." : "No backups yet."}</div>
+        ) : (
+          <div className="max-h-96 overflow-y-auto">
+            <table className="w-full text-sm">
+              <thead className="text-neutral-400 text-left">
+                <tr>
+                  <th className="py-2">Created</th>
+                  <th className="py-2">Type</th>
+                  <th className="py-2">Size</th>
+                  <th className="py-2">Orders</th>
+                  <th className="py-2 text-right">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {backups.map(b => (
+                  <tr key={b.name} className="border-t border-neutral-800">
+                    <td className="py-2">{new Date(b.createdAt).toLocaleString()}</td>
+                    <td className="py-2">
+                      <Badge variant={b.label === "auto" ? "neutral" : "blue"}>{b.label}</Badge>
+                      {b.corrupt && <span className="ml-2"><Badge variant="red">Unreadable</Badge></span>}
+                    </td>
+                    <td className="py-2 text-neutral-300">{formatBytes(b.size)}</td>
+                    <td className="py-2 text-neutral-300">{b.orderCount ?? "-"}</td>
+                    <td className="py-2">
+                      <div className="flex justify-end gap-2">
+                        <Button variant="ghost" onClick={() => downloadBackup(b.name)}>Download</Button>
+                        <Button variant="danger" onClick={() => openRestore(b)} disabled={b.corrupt}>Restore</Button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardBody>
+
+      <Modal
+        open={!!restoreTarget}
+        title="Restore Backup"
+        onClose={closeRestore}
+        footer={
+          <div className="flex justify-end gap-2">
+            <Button variant="ghost" onClick={closeRestore}>Cancel</Button>
+            <Button variant="danger" onClick={restoreBackup} disabled={isRestoring || confirmText !== "RESTORE"}>
+              {isRestoring ? "Restoring..." : "Restore"}
+            </Button>
+          </div>
+        }
+      >
+        {restoreTarget && (
+          <div className="space-y-4">
+            <p className="text-sm text-neutral-300">
+              All current data will be replaced with the backup from{" "}
+              <span className="font-medium">{new Date(restoreTarget.createdAt).toLocaleString()}</span>
+              {" "}({restoreTarget.orderCount ?? "?"} orders). The current data is backed up first.
+            </p>
+            <div>
+              <div className="text-sm text-neutral-400 mb-1">Type RESTORE to confirm</div>
+              <Input value={confirmText} onChange={(e) => setConfirmText(e.target.value)} autoFocus />
+            </div>
+            {restoreError && <div className="text-sm text-red-400">{restoreError}</div>}
+          </div>
+        )}
+      </Modal>
+    </Card>
+  );
+}
+
 function MetricsPanel({ snapshot, emit }) {
   const revenue = snapshot?.revenue?.total || 0;
   const adjustments = snapshot?.revenue?.adjustments || [];
@@ -1460,6 +2257,7 @@ function MetricsPanel({ snapshot, emit }) {
   const [amount, setAmount] = useState("0");
   const [reason, setReason] = useState("");
   const [csvMsg, setCsvMsg] = useState("");
+  const [csvOrderType, setCsvOrderType] = useState("");
 
   // Load detailed metrics
   React.useEffect(() => {
@@ -1481,7 +2279,7 @@ function MetricsPanel({ snapshot, emit }) {
 
   async function exportOrdersCSV() {
     setCsvMsg("");
-    const resp = await emit("report:exportCSV", dateRange);
+    const resp = await emit("report:exportCSV", { ...dateRange, type: csvOrderType || undefined });
     if (!resp.ok) { setCsvMsg(resp.error || "Export failed"); return; }
     downloadCSV(resp.csv, `orders-${new Date().toISOString().split('T')[0]}`);
     setCsvMsg("Orders CSV downloaded.");
@@ -1521,7 +2319,7 @@ function MetricsPanel({ snapshot, emit }) {
     URL.revokeObjectURL(url);
   }
 
-  const doneOrders = orders.filter(o => o.status === "done");
+  const fulfilledOrders = orders.filter(isFulfilled);
   const avgPrep = reportData?.avgPrepTime || 0;
 
   // Calculate derived metrics
@@ -1569,11 +2367,19 @@ function MetricsPanel({ snapshot, emit }) {
   const maxOrdersByHour = Math.max(...ordersByHour.map(o => o.count), 1);
 
   // Order status breakdown
-  const statusData = [
-    { label: "New", value: orders.filter(o => o.status === "new").length, color: "bg-yellow-500" },
-    { label: "Preparing", value: orders.filter(o => o.status === "preparing").length, color: "bg-blue-500" },
-    { label: "Done", value: doneOrders.length, color: "bg-green-500" }
-  ];
+  const statusColors = {
+    new: "bg-yellow-500",
+    preparing: "bg-blue-500",
+    ready: "bg-green-500",
+    served: "bg-emerald-700",
+    "picked-up": "bg-teal-600",
+    cancelled: "bg-red-500",
+  };
+  const statusData = ORDER_STATUSES.map(s => ({
+    label: s.label,
+    value: orders.filter(o => o.status === s.value).length,
+    color: statusColors[s.value],
+  }));
 
   // Customer data
   const customerPhones = orders.map(o => o.customerPhone).filter(Boolean);
@@ -1968,6 +2774,122 @@ function MetricsPanel({ snapshot, emit }) {
               </div>
             </CardBody>
           </Card>
+
+          {/* Revenue by Order Type */}
+          <Card>
+            <CardHeader title="Revenue by Order Type" subtitle="Dine-in, takeaway and delivery, including archived orders" />
+            <CardBody>
+              {reportData?.revenueByType?.length > 0 ? (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-neutral-400 border-b border-neutral-800">
+                      <th className="py-2 font-medium">Type</th>
+                      <th className="py-2 font-medium text-right">Orders</th>
+                      <th className="py-2 font-medium text-right">Avg Order</th>
+                      <th className="py-2 font-medium text-right">Service</th>
+                      <th className="py-2 font-medium text-right">Revenue</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {reportData.revenueByType.map(t => (
+                      <tr key={t.type} className="border-b border-neutral-800/50">
+                        <td className="py-2">{orderTypeLabel(t.type)}</td>
+                        <td className="py-2 text-right">{t.orderCount}</td>
+                        <td className="py-2 text-right">{fmtAED(t.avgOrderValue)}</td>
+                        <td className="py-2 text-right">{fmtAED(t.serviceCharge)}</td>
+                        <td className="py-2 text-right font-medium">{fmtAED(t.revenue)} <span className="text-xs text-neutral-500">({t.percentage}%)</span></td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <div className="text-neutral-400">No data available</div>
+              )}
+            </CardBody>
+          </Card>
+
+          {/* Refunds */}
+          <Card>
+            <CardHeader
+              title="Refunds"
+              subtitle="Every refund and void with its reason, including archived orders"
+              right={reportData?.refunds?.count > 0 ? <Badge variant="red">-{fmtAED(reportData.refunds.total)}</Badge> : null}
+            />
+            <CardBody>
+              {reportData?.refunds?.count > 0 ? (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-neutral-400 border-b border-neutral-800">
+                      <th className="py-2 font-medium">Date</th>
+                      <th className="py-2 font-medium">Order</th>
+                      <th className="py-2 font-medium">Reason</th>
+                      <th className="py-2 font-medium">By</th>
+                      <th className="py-2 font-medium text-right">Amount</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {reportData.refunds.refunds.slice(0, 50).map(r => (
+                      <tr key={r.id} className="border-b border-neutral-800/50">
+                        <td className="py-2">{new Date(r.createdAt).toLocaleString()}</td>
+                        <td className="py-2">{ticketLabel({ id: r.orderId, ticketNumber: r.ticketNumber })}</td>
+                        <td className="py-2">
+                          {r.reason}
+                          {r.voidedItems.length > 0 && (
+                            <span className="block text-xs text-neutral-500">Void {r.voidedItems.join(", ")}</span>
+                          )}
+                        </td>
+                        <td className="py-2">
+                          {r.createdBy}
+                          {r.approvedBy && r.approvedBy !== r.createdBy && (
+                            <span className="block text-xs text-neutral-500">Approved by {r.approvedBy}</span>
+                          )}
+                        </td>
+                        <td className="py-2 text-right font-medium">
+                          -{fmtAED(r.amount)}
+                          <span className="block text-xs text-neutral-500">{tendersText(r)}</span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <div className="text-neutral-400">No refunds</div>
+              )}
+            </CardBody>
+          </Card>
+
+          {/* Tax by Class */}
+          <Card>
+            <CardHeader title="Tax by Class" subtitle="Tax collected per tax class and rate, including archived orders" />
+            <CardBody>
+              {reportData?.taxByClass?.length > 0 ? (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-neutral-400 border-b border-neutral-800">
+                      <th className="py-2 font-medium">Class</th>
+                      <th className="py-2 font-medium text-right">Rate</th>
+                      <th className="py-2 font-medium text-right">Orders</th>
+                      <th className="py-2 font-medium text-right">Taxable</th>
+                      <th className="py-2 font-medium text-right">Tax</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {reportData.taxByClass.map(t => (
+                      <tr key={`${t.classId}@${t.percent}`} className="border-b border-neutral-800/50">
+                        <td className="py-2">{t.name}</td>
+                        <td className="py-2 text-right">{t.percent}%</td>
+                        <td className="py-2 text-right">{t.orderCount}</td>
+                        <td className="py-2 text-right">{fmtAED(t.taxable)}</td>
+                        <td className="py-2 text-right font-medium">{fmtAED(t.amount)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <div className="text-neutral-400">No data available</div>
+              )}
+            </CardBody>
+          </Card>
         </div>
       )}
 
@@ -2081,7 +3003,7 @@ function MetricsPanel({ snapshot, emit }) {
                 <div className="rounded-xl border border-neutral-800 bg-neutral-900/30 p-4 text-center">
                   <div className="text-xs text-neutral-400 mb-1">Completion Rate</div>
                   <div className="text-xl font-semibold text-purple-400">
-                    {orders.length > 0 ? Math.round((doneOrders.length / orders.length) * 100) : 0}%
+                    {orders.length > 0 ? Math.round((fulfilledOrders.length / orders.length) * 100) : 0}%
                   </div>
                 </div>
               </div>
@@ -2328,6 +3250,10 @@ function MetricsPanel({ snapshot, emit }) {
         <CardHeader title="Export Data" subtitle="Download reports as CSV" />
         <CardBody>
           <div className="flex flex-wrap gap-3">
+            <Select value={csvOrderType} onChange={(e) => setCsvOrderType(e.target.value)} className="w-40">
+              <option value="">All order types</option>
+              {ORDER_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+            </Select>
             <Button variant="subtle" onClick={exportOrdersCSV} className="flex items-center gap-2">
               📦 Export Orders CSV
             </Button>
@@ -1,4 +1,4 @@
-import React, { useMemo, useState, useCallback, useEffect } from "react";
+import React, { useMemo, useState, useCallback, useEffect, useRef } from "react";
 import Topbar from "../components/Topbar.jsx";
 import { Card, CardBody, CardHeader } from "../components/Card.jsx";
 import Button from "../components/Button.jsx";
@@ -7,17 +7,37 @@ import Select from "../components/Select.jsx";
 import Badge from "../components/Badge.jsx";
 import Modal from "../components/Modal.jsx";
 import { printReceipt } from "../components/Receipt.jsx";
+import PaymentPanel from "../components/PaymentPanel.jsx";
 
 import { useStore } from "../state/StoreContext.jsx";
 import { useAuth } from "../state/AuthContext.jsx";
+import { useOfflineQueue } from "../state/useOfflineQueue.js";
 import { fmtAED } from "../lib/money.js";
-import { calcSubtotal, calcTax, calcService, calcTotal } from "../lib/calc.js";
+import { calcSubtotal, lineTotal, orderTotals, taxLabel } from "../lib/calc.js";
+import { ORDER_TYPES, DEFAULT_ORDER_TYPE, orderTypeErrors, orderTypeLabel, orderWhere } from "../lib/orderTypes.js";
+import { balanceDue, tendersText, refundableAmount, roundMoney, settleTenders } from "../lib/payments.js";
+import RefundModal from "../components/RefundModal.jsx";
+import CancelOrderModal from "../components/CancelOrderModal.jsx";
+import DrawerModal from "../components/DrawerModal.jsx";
+import { statusLabel, statusVariant, nextStatuses, actionLabel, handoverStatus } from "../lib/orderStatus.js";
+import { ticketLabel } from "../lib/tickets.js";
+import { canAddRound } from "../lib/tabs.js";
+import { TABLE_STATUSES, floorPlan, tableStatus, elapsedText } from "../lib/tables.js";
+import { isHeld, fireTime, scheduleText, upcomingOrders } from "../lib/schedule.js";
+import { coursesOf, heldCourses, heldCoursesOf, fireLabel, coursePlural } from "../lib/courses.js";
+import { drawerOwner, openDrawerOf } from "../lib/drawers.js";
+import { newId } from "../lib/ids.js";
+import { lineKey, defaultOptions, toggleOption, optionsComplete, chosenOptions, priceDeltaLabel, optionsText, COURSES, DEFAULT_COURSE, placementText } from "../lib/options.js";
 
-const PAYMENT_METHODS = [
-  { value: "cash", label: "Cash", icon: "💵" },
-  { value: "card", label: "Card", icon: "💳" },
-  { value: "other", label: "Other", icon: "📝" },
-];
+// Cart line keys; lines with the same item can differ in note, seat or course
+let cartLineSeq = 0;
+
+// Floor plan tiles by table status (lib/tables.js)
+const TABLE_TILE_STYLES = {
+  free: "border-emerald-800 bg-emerald-950/30 hover:bg-emerald-950/50",
+  occupied: "border-amber-800 bg-amber-950/30 hover:bg-amber-950/50",
+  "awaiting-payment": "border-red-800 bg-red-950/30 hover:bg-red-950/50",
+};
 
 // Expand icon component
 function ExpandIcon({ className = "" }) {
@@ -30,23 +50,35 @@ function ExpandIcon({ className = "" }) {
 
 export default function Cashier() {
   const { snapshot, emit, connected } = useStore();
-  const { user } = useAuth();
+  const { user, isElevated } = useAuth();
+  const offlineQueue = useOfflineQueue();
   const [search, setSearch] = useState("");
   const [cat, setCat] = useState("all");
   const [note, setNote] = useState("");
-  const [cart, setCart] = useState([]); // {itemId, qty}
+  const [cart, setCart] = useState([]); // {key, itemKey, itemId, options, qty, note, seat, course}
   
   // Promo code
   const [promoCode, setPromoCode] = useState("");
   const [appliedPromo, setAppliedPromo] = useState(null);
   const [promoError, setPromoError] = useState("");
   
-  // Customer information
+  // Server price breakdown for the cart (order:quote), with the request it priced
+  const [quote, setQuote] = useState(null);
+  
+  // Order type and customer information
+  const [orderType, setOrderType] = useState(DEFAULT_ORDER_TYPE);
   const [customerName, setCustomerName] = useState("");
   const [tableNumber, setTableNumber] = useState("");
+  const [tableId, setTableId] = useState("");
+  const [pickupTime, setPickupTime] = useState("");
+  const [deliveryAddress, setDeliveryAddress] = useState("");
+  const [driver, setDriver] = useState("");
   const [customerPhone, setCustomerPhone] = useState("");
   const [customerEmail, setCustomerEmail] = useState("");
   const [marketingOptIn, setMarketingOptIn] = useState(false);
+  // Ready time for an order placed for later (datetime-local), sent as scheduledFor
+  const [scheduleLater, setScheduleLater] = useState(false);
+  const [scheduledFor, setScheduledFor] = useState("");
   const [validationErrors, setValidationErrors] = useState({});
   
   // Modals
@@ -55,15 +87,45 @@ export default function Cashier() {
   const [printPromptOpen, setPrintPromptOpen] = useState(false);
   const [itemDetailOpen, setItemDetailOpen] = useState(false);
   const [selectedItem, setSelectedItem] = useState(null);
+  const [selectedOptions, setSelectedOptions] = useState([]);
+  const [editingLine, setEditingLine] = useState(null); // {key, qty, note, seat, course, splitOne}
   const [submitErr, setSubmitErr] = useState("");
+  const [notice, setNotice] = useState("");
+  // Open tab the cart is a new round for (order:addItems) instead of a new order
+  const [tabOrderId, setTabOrderId] = useState(null);
+  const tabKeyRef = useRef(null);
+  const [queueOpen, setQueueOpen] = useState(false);
+  const [upcomingOpen, setUpcomingOpen] = useState(false);
+  const [upcomingErr, setUpcomingErr] = useState("");
+  const [drawerOpen, setDrawerOpen] = useState(false);
+  
+  // Held carts (cart:hold / cart:resume)
+  const [holdOpen, setHoldOpen] = useState(false);
+  const [holdLabel, setHoldLabel] = useState("");
+  const [heldOpen, setHeldOpen] = useState(false);
+  const [heldErr, setHeldErr] = useState("");
+  
+  // Floor plan
+  const [floorOpen, setFloorOpen] = useState(false);
+  const [floorTableId, setFloorTableId] = useState(null);
+  const [floorErr, setFloorErr] = useState("");
+  const [moveTargets, setMoveTargets] = useState({}); // orderId -> tableId
+  const [mergeTarget, setMergeTarget] = useState("");
+  const [now, setNow] = useState(Date.now());
   const [lastOrder, setLastOrder] = useState(null);
   const [lastReceipt, setLastReceipt] = useState(null);
+  // Idempotency keys, kept until the server answers so a retry after a timeout
+  // gets the first result back instead of a second order or payment
+  const orderKeyRef = useRef(null);
+  const paymentKeyRef = useRef({ target: null, key: null });
   
   // Past Orders
   const [showPastOrders, setShowPastOrders] = useState(false);
   const [orderSearch, setOrderSearch] = useState("");
   const [viewingReceipt, setViewingReceipt] = useState(null);
   const [viewingReceiptData, setViewingReceiptData] = useState(null);
+  const [refundOrder, setRefundOrder] = useState(null);
+  const [cancelOrder, setCancelOrder] = useState(null);
   
   // Password protection for Past Orders
   const [passwordPromptOpen, setPasswordPromptOpen] = useState(false);
@@ -90,59 +152,60 @@ export default function Cashier() {
     const menuMap = new Map((snapshot?.menu || []).map(m => [m.id, m]));
     return cart.map(line => {
       const m = menuMap.get(line.itemId);
+      const options = chosenOptions(m, line.options);
       return {
+        key: line.key,
         itemId: line.itemId,
         qty: line.qty,
         name: m?.name || "Unknown",
-        price: m?.price || 0,
+        options,
+        note: line.note,
+        seat: line.seat,
+        course: line.course,
+        price: (m?.price || 0) + options.reduce((s, o) => s + o.priceDelta, 0),
         unavailable: m?.unavailable || false,
       };
     });
   }, [cart, snapshot]);
 
-  const subtotal = calcSubtotal(cartLines);
-  const tax = calcTax(subtotal, snapshot?.settings?.taxPercent);
-  const service = calcService(subtotal, snapshot?.settings?.serviceChargePercent);
-  const discount = appliedPromo?.discount || 0;
-  const totalBeforeCharges = Math.max(0, subtotal - discount);
-  const total = totalBeforeCharges + tax + service;
+  const tabOrder = tabOrderId ? (snapshot?.orders || []).find(o => o.id === tabOrderId) || null : null;
+
+  const quoteRequest = useMemo(() => ({
+    items: cart.map(x => ({ itemId: x.itemId, qty: x.qty, options: x.options, note: x.note, seat: x.seat, course: x.course })),
+    promoCode: tabOrder ? undefined : appliedPromo?.code,
+    type: tabOrder ? tabOrder.type : orderType,
+  }), [cart, appliedPromo?.code, orderType, tabOrderId, tabOrder?.type]);
+  const quoteKey = JSON.stringify(quoteRequest);
+  // Offline, only a quote for exactly this cart says what the order will cost
+  const currentQuote = quote?.key === quoteKey ? quote.value : null;
+  const priceUnknown = !connected && cart.length > 0 && !currentQuote;
+  const shownQuote = connected ? quote?.value : currentQuote;
+
+  // Until the first quote arrives, show the plain subtotal
+  const subtotal = shownQuote?.subtotal ?? calcSubtotal(cartLines);
+  const discount = shownQuote?.discount ?? 0;
+  const service = shownQuote?.serviceCharge ?? 0;
+  const total = shownQuote?.total ?? subtotal;
+  const { taxes, pricesIncludeTax } = orderTotals(shownQuote);
+  const serviceChargePercent = shownQuote?.serviceChargePercent ?? snapshot?.settings?.serviceChargePercent ?? 0;
 
   // Check if cart contains unavailable items
   const unavailableInCart = cartLines.filter(line => line.unavailable);
 
-  // Dynamic promo recalculation when cart changes
+  // Re-price whenever the cart, promo, order type, menu or settings change
   useEffect(() => {
-    if (appliedPromo) {
-      recalculatePromo();
-    }
-  }, [cart, subtotal]);
-
-  function recalculatePromo() {
-    if (!appliedPromo) return;
-    
-    let newDiscount = 0;
-    
-    if (appliedPromo.type === "percentage") {
-      newDiscount = subtotal * (appliedPromo.value / 100);
-    } else {
-      newDiscount = appliedPromo.value;
-    }
-    
-    // Cap at maxDiscount if set
-    if (appliedPromo.maxDiscount && newDiscount > appliedPromo.maxDiscount) {
-      newDiscount = appliedPromo.maxDiscount;
+    if (cart.length === 0) {
+      setQuote(null);
+      return;
     }
-    
-    // Ensure discount doesn't exceed subtotal
-    newDiscount = Math.min(newDiscount, subtotal);
-    
-    setAppliedPromo({
-      ...appliedPromo,
-      discount: newDiscount
+    let cancelled = false;
+    emit("order:quote", quoteRequest).then(resp => {
+      if (!cancelled && resp.ok) setQuote({ key: quoteKey, value: resp.quote });
     });
-  }
+    return () => { cancelled = true; };
+  }, [quoteKey, connected, snapshot?.menu, snapshot?.settings]);
 
-  function addToCart(itemId) {
+  function addToCart(itemId, options = []) {
     const item = snapshot?.menu?.find(m => m.id === itemId);
     
     // Check if item is unavailable
@@ -151,27 +214,62 @@ export default function Cashier() {
       return;
     }
     
+    // Add to a line with the same options, unless that line has its own note, seat or course
+    const itemKey = lineKey(itemId, options);
     setCart(prev => {
-      const idx = prev.findIndex(x => x.itemId === itemId);
+      const idx = prev.findIndex(x => x.itemKey === itemKey && isPlainLine(x));
       if (idx >= 0) {
         const copy = prev.slice();
         copy[idx] = { ...copy[idx], qty: copy[idx].qty + 1 };
         return copy;
       }
-      return [...prev, { itemId, qty: 1 }];
+      return [...prev, newCartLine(itemId, options)];
     });
   }
 
-  function setQty(itemId, qty) {
+  function newCartLine(itemId, options) {
+    return { key: `line-${++cartLineSeq}`, itemKey: lineKey(itemId, options), itemId, options, qty: 1, note: "", seat: null, course: DEFAULT_COURSE };
+  }
+
+  function isPlainLine(line) {
+    return !line.note && !line.seat && line.course === DEFAULT_COURSE;
+  }
+
+  function openLineDetails(line) {
+    setEditingLine({ key: line.key, qty: line.qty, note: line.note, seat: line.seat ? String(line.seat) : "", course: line.course, splitOne: false });
+  }
+
+  // Save a line's note, seat and course; "only one of them" splits a single unit off into its own line
+  function saveLineDetails() {
+    const { key, note: lineNote, seat, course, splitOne } = editingLine;
+    const details = { note: lineNote.trim(), seat: seat ? Number(seat) : null, course };
+    setCart(prev => prev.flatMap(x => {
+      if (x.key !== key) return [x];
+      if (splitOne && x.qty > 1) {
+        return [{ ...x, qty: x.qty - 1 }, { ...newCartLine(x.itemId, x.options), ...details }];
+      }
+      return [{ ...x, ...details }];
+    }));
+    setEditingLine(null);
+  }
+
+  // Items with option groups open the picker instead of going straight into the cart
+  function tapMenuItem(item) {
+    if (item.unavailable) return;
+    if (item.optionGroups?.length > 0) openItemDetail(item);
+    else addToCart(item.id);
+  }
+
+  function setQty(key, qty) {
     if (qty < 1) {
-      removeLine(itemId);
+      removeLine(key);
       return;
     }
-    setCart(prev => prev.map(x => x.itemId === itemId ? { ...x, qty } : x));
+    setCart(prev => prev.map(x => x.key === key ? { ...x, qty } : x));
   }
 
-  function removeLine(itemId) {
-    setCart(prev => prev.filter(x => x.itemId !== itemId));
+  function removeLine(key) {
+    setCart(prev => prev.filter(x => x.key !== key));
   }
 
   function clearCart() {
@@ -180,23 +278,108 @@ export default function Cashier() {
     setPromoCode("");
     setAppliedPromo(null);
     setPromoError("");
+    setOrderType(DEFAULT_ORDER_TYPE);
     setCustomerName("");
     setTableNumber("");
+    setTableId("");
+    setPickupTime("");
+    setDeliveryAddress("");
+    setDriver("");
     setCustomerPhone("");
     setCustomerEmail("");
     setMarketingOptIn(false);
+    setScheduleLater(false);
+    setScheduledFor("");
     setValidationErrors({});
+    setTabOrderId(null);
+  }
+
+  function openHold() {
+    setHoldLabel(tableNumber ? `Table ${tableNumber}` : customerName);
+    setHeldErr("");
+    setHoldOpen(true);
+  }
+
+  async function holdCurrentCart() {
+    setHeldErr("");
+    const resp = await emit("cart:hold", {
+      label: holdLabel.trim(),
+      cart: {
+        items: quoteRequest.items,
+        note,
+        promoCode: appliedPromo?.code || promoCode.trim(),
+        type: orderType,
+        customerName,
+        tableNumber,
+        tableId,
+        pickupTime,
+        deliveryAddress,
+        driver,
+        customerPhone,
+        customerEmail,
+        marketingOptIn,
+      },
+    });
+    if (!resp.ok) {
+      setHeldErr(resp.error || "Could not hold the cart");
+      return;
+    }
+    clearCart();
+    setHoldOpen(false);
+  }
+
+  // Resuming takes the cart off the held list for every terminal
+  async function resumeHeld(held) {
+    if (cart.length > 0 && !confirm("Replace the current cart with the held one?")) return;
+    setHeldErr("");
+    const resp = await emit("cart:resume", { id: held.id });
+    if (!resp.ok) {
+      setHeldErr(resp.error || "Could not resume the cart");
+      return;
+    }
+    const c = resp.held.cart;
+    clearCart();
+    setCart(c.items.map(it => ({
+      ...newCartLine(it.itemId, it.options),
+      qty: it.qty,
+      note: it.note,
+      seat: it.seat,
+      course: it.course || DEFAULT_COURSE,
+    })));
+    setNote(c.note);
+    // The code is checked again when it is applied
+    setPromoCode(c.promoCode);
+    setOrderType(c.type || DEFAULT_ORDER_TYPE);
+    setCustomerName(c.customerName);
+    setTableNumber(c.tableNumber);
+    setTableId(c.tableId || "");
+    setPickupTime(c.pickupTime);
+    setDeliveryAddress(c.deliveryAddress);
+    setDriver(c.driver);
+    setCustomerPhone(c.customerPhone);
+    setCustomerEmail(c.customerEmail);
+    setMarketingOptIn(c.marketingOptIn);
+    setHeldOpen(false);
+  }
+
+  async function discardHeld(held) {
+    if (!confirm(`Discard the held cart "${held.label}"?`)) return;
+    setHeldErr("");
+    const resp = await emit("cart:discard", { id: held.id });
+    if (!resp.ok) setHeldErr(resp.error || "Could not discard the cart");
   }
 
   function openItemDetail(item, e) {
     e?.stopPropagation();
     setSelectedItem(item);
+    setSelectedOptions(defaultOptions(item));
     setItemDetailOpen(true);
   }
 
   function closeItemDetail() {
     setItemDetailOpen(false);
     setSelectedItem(null);
+    setSelectedOptions([]);
   }
 
   async function applyPromo() {
@@ -223,21 +406,31 @@ export default function Cashier() {
     }
   }
 
+  const orderFields = { customerName, tableNumber, pickupTime, customerPhone, deliveryAddress, driver };
+
+  // Once tables are set up a dine-in order goes to one of them
+  function customerInfoErrors() {
+    const errors = orderTypeErrors(orderType, orderFields);
+    if (orderType === "dine-in" && hasTables && !tableId) errors.tableNumber = "Choose a table";
+    if (scheduleLater && !scheduledFor) errors.scheduledFor = "Ready time is required";
+    return errors;
+  }
+
   function validateCustomerInfo() {
-    const errors = {};
-    
-    if (!customerName.trim()) {
-      errors.customerName = "Customer name is required";
-    }
-    
-    if (!tableNumber.trim()) {
-      errors.tableNumber = "Table number is required";
-    }
-    
+    const errors = customerInfoErrors();
     setValidationErrors(errors);
     return Object.keys(errors).length === 0;
   }
 
+  function setOrderField(setter, key) {
+    return (e) => {
+      setter(e.target.value);
+      if (validationErrors[key]) {
+        setValidationErrors(prev => ({ ...prev, [key]: "" }));
+      }
+    };
+  }
+
   function handleConfirmOrder() {
     if (validateCustomerInfo()) {
       createOrder();
@@ -246,6 +439,7 @@ export default function Cashier() {
 
   async function createOrder() {
     setSubmitErr("");
+    setNotice("");
     
     // Check for unavailable items
     const unavailableItems = cartLines.filter(line => line.unavailable);
@@ -259,52 +453,194 @@ export default function Cashier() {
       return;
     }
     
-    const items = cart.map(x => ({ itemId: x.itemId, qty: x.qty }));
-    const resp = await emit("order:create", { 
-      items, 
+    if (!orderKeyRef.current) orderKeyRef.current = newId();
+    const payload = {
+      items: quoteRequest.items,
       note,
       promoCode: appliedPromo?.code,
+      type: orderType,
       customerName,
-      tableNumber,
+      ...(orderType === "dine-in" ? { tableNumber, ...(tableId ? { tableId } : {}) } : {}),
+      ...(orderType === "takeaway" ? { pickupTime: pickupTime ? new Date(pickupTime).toISOString() : "" } : {}),
+      ...(orderType === "delivery" ? { deliveryAddress, driver } : {}),
+      ...(scheduleLater && scheduledFor ? { scheduledFor: new Date(scheduledFor).toISOString() } : {}),
       customerPhone: customerPhone || null,
       customerEmail: customerEmail || null,
       marketingOptIn
-    });
+    };
+    const resp = await emit("order:create", { idempotencyKey: orderKeyRef.current, ...payload });
     
+    if (resp.offline) {
+      queueOrder(orderKeyRef.current, payload);
+      return;
+    }
     if (!resp.ok) {
       setSubmitErr(resp.error || "Failed to create order");
       return;
     }
     
+    orderKeyRef.current = null;
     setLastOrder(resp.order);
-    setCart([]);
-    setNote("");
-    setPromoCode("");
-    setAppliedPromo(null);
-    setCustomerName("");
-    setTableNumber("");
-    setCustomerPhone("");
-    setCustomerEmail("");
-    setMarketingOptIn(false);
-    setValidationErrors({});
+    clearCart();
     setConfirmOpen(false);
     setReceiptOpen(true);
   }
 
-  async function createReceipt(paymentMethod) {
-    if (!lastOrder) return;
-    
-    const resp = await emit("receipt:create", {
-      orderId: lastOrder.id,
-      paymentMethod,
-      note: ""
+  // Keep the order for when the server is back. With a quote for this exact
+  // cart it can be paid straight away; otherwise payment waits until it syncs.
+  async function queueOrder(key, payload) {
+    const localId = `local-${key}`;
+    const count = payload.items.reduce((s, it) => s + it.qty, 0);
+    await offlineQueue.enqueue({
+      id: key,
+      event: "order:create",
+      payload,
+      localOrderId: localId,
+      label: `Order · ${count} item${count === 1 ? "" : "s"}${payload.customerName ? ` · ${payload.customerName}` : ""}`,
+      amount: currentQuote?.total ?? null,
+      createdBy: user?.username || "",
     });
     
+    orderKeyRef.current = null;
+    const local = currentQuote && {
+      ...payload,
+      ...currentQuote,
+      id: localId,
+      offline: true,
+      ticketNumber: null,
+      createdAt: new Date().toISOString(),
+      status: "new",
+      splits: [],
+      paidTotal: 0,
+      refundedTotal: 0,
+    };
+    clearCart();
+    setConfirmOpen(false);
+    if (local) {
+      setLastOrder(local);
+      setReceiptOpen(true);
+    } else {
+      setNotice("Order queued. It goes to the kitchen and gets its total once the till is back online; take payment from Past Orders then.");
+    }
+  }
+
+  function startTab(order) {
+    setTabOrderId(order.id);
+    tabKeyRef.current = null;
+    setNotice("");
+    setSubmitErr("");
+    setShowPastOrders(false);
+    setFloorOpen(false);
+  }
+
+  // Send the cart to the kitchen as the next round on the open tab
+  async function addToTab() {
+    setSubmitErr("");
+    setNotice("");
+    if (!tabOrder || !canAddRound(tabOrder)) {
+      setSubmitErr("This order can't take more items; start a new order");
+      return;
+    }
+    if (!tabKeyRef.current) tabKeyRef.current = newId();
+    const payload = { id: tabOrder.id, items: quoteRequest.items };
+    const resp = await emit("order:addItems", { idempotencyKey: tabKeyRef.current, ...payload });
+    
+    if (resp.offline) {
+      const count = payload.items.reduce((s, it) => s + it.qty, 0);
+      await offlineQueue.enqueue({
+        id: tabKeyRef.current,
+        event: "order:addItems",
+        payload,
+        localOrderId: null,
+        label: `Round for ticket ${ticketLabel(tabOrder)} · ${count} item${count === 1 ? "" : "s"}`,
+        amount: null,
+        createdBy: user?.username || "",
+      });
+      tabKeyRef.current = null;
+      clearCart();
+      setNotice(`Round for ticket ${ticketLabel(tabOrder)} queued; it goes to the kitchen once the till is back online.`);
+      return;
+    }
+    if (!resp.ok) {
+      setSubmitErr(resp.error || "Could not add the items");
+      return;
+    }
+    
+    tabKeyRef.current = null;
+    clearCart();
+    setNotice(`Round ${resp.round} sent to the kitchen. Ticket ${ticketLabel(resp.order)} now comes to ${fmtAED(resp.order.total)}.`);
+  }
+
+  async function splitOrder(plan) {
+    if (lastOrder.offline) return { ok: false, error: "The bill can be split once this order has synced" };
+    const resp = await emit("order:split", { orderId: lastOrder.id, ...plan });
+    if (resp.ok) setLastOrder({ ...lastOrder, splits: resp.splits });
+    return resp;
+  }
+
+  async function createReceipt({ splitId, tenders }) {
+    if (!lastOrder) return null;
+    
+    const target = `${lastOrder.id}:${splitId || ""}`;
+    if (paymentKeyRef.current.target !== target) paymentKeyRef.current = { target, key: newId() };
+    const payload = { orderId: lastOrder.id, splitId, tenders, note: "" };
+    const resp = lastOrder.offline
+      ? { ok: false, offline: true }
+      : await emit("receipt:create", { idempotencyKey: paymentKeyRef.current.key, ...payload });
+    
+    if (resp.offline) return queuePayment(paymentKeyRef.current.key, payload, splitId);
     if (resp.ok) {
+      paymentKeyRef.current = { target: null, key: null };
+      setLastOrder(resp.order);
       setLastReceipt(resp.receipt);
       setReceiptOpen(false);
       setPrintPromptOpen(true);
     }
+    return resp;
+  }
+
+  // Take the payment now and record it when the server is back. The server
+  // checks the amount due is still what the till showed (expectedDue).
+  async function queuePayment(key, payload, splitId) {
+    const split = (lastOrder.splits || []).find(s => s.id === splitId);
+    const expectedDue = split ? split.amount : balanceDue(lastOrder);
+    const amount = roundMoney(payload.tenders.reduce((sum, t) => sum + Number(t.amount), 0));
+    await offlineQueue.enqueue({
+      id: key,
+      event: "receipt:create",
+      payload: { ...payload, expectedDue },
+      localOrderId: lastOrder.offline ? lastOrder.id : null,
+      label: `Payment · ${lastOrder.offline ? "queued order" : `ticket ${ticketLabel(lastOrder)}`}`,
+      amount,
+      createdBy: user?.username || "",
+    });
+    
+    const methods = [...new Set(payload.tenders.map(t => t.method))];
+    const tenders = settleTenders(payload.tenders, snapshot?.settings?.cashRounding);
+    const receipt = {
+      id: key,
+      receiptNumber: null,
+      orderId: lastOrder.id,
+      kind: "payment",
+      splitId: splitId || null,
+      label: split?.label || "",
+      paymentMethod: methods.length === 1 ? methods[0] : "mixed",
+      tenders,
+      amount,
+      rounding: roundMoney(tenders.reduce((sum, t) => sum + (t.rounding || 0), 0)),
+      createdAt: new Date().toISOString(),
+      offline: true,
+    };
+    paymentKeyRef.current = { target: null, key: null };
+    setLastOrder({
+      ...lastOrder,
+      paidTotal: roundMoney(Number(lastOrder.paidTotal || 0) + amount),
+      splits: (lastOrder.splits || []).map(s => s.id === splitId ? { ...s, receiptId: key } : s),
+    });
+    setLastReceipt(receipt);
+    setReceiptOpen(false);
+    setPrintPromptOpen(true);
+    return { ok: true, receipt };
   }
 
   function handlePrint() {
@@ -316,8 +652,13 @@ export default function Cashier() {
 
   function handleSkipPrint() {
     setPrintPromptOpen(false);
-    setLastOrder(null);
     setLastReceipt(null);
+    // Back to the payment for the next split or the rest of the balance
+    if (lastOrder && balanceDue(lastOrder) > 0) {
+      setReceiptOpen(true);
+    } else {
+      setLastOrder(null);
+    }
   }
 
   // Past Orders functionality with password protection
@@ -373,18 +714,38 @@ export default function Cashier() {
       .filter(o => {
         if (!s) return true;
         const orderNum = o.id.slice(0, 8).toLowerCase();
+        const ticket = String(o.ticketNumber || "");
         const customer = (o.customerName || "").toLowerCase();
-        const table = (o.tableNumber || "").toLowerCase();
-        return orderNum.includes(s) || customer.includes(s) || table.includes(s);
+        const where = orderWhere(o).toLowerCase();
+        return ticket === s.replace(/^#/, "") || orderNum.includes(s) || customer.includes(s) || where.includes(s);
       })
       .slice(0, 50);
   }, [snapshot, orderSearch]);
 
-  async function viewReceipt(order) {
-    const resp = await emit("receipt:preview", { orderId: order.id });
+  async function handOver(order) {
+    const resp = await emit("order:setStatus", { id: order.id, status: handoverStatus(order.type) });
+    if (!resp.ok) alert(resp.error || "Could not update the order");
+  }
+
+  // Send the order's next held course to the kitchen
+  async function fireCourse(order, course) {
+    const resp = await emit("order:fireCourse", { id: order.id, course });
+    if (!resp.ok) alert(resp.error || "Could not fire the course");
+  }
+
+  function takePayment(order) {
+    setLastOrder(order);
+    setLastReceipt(null);
+    setShowPastOrders(false);
+    setFloorOpen(false);
+    setReceiptOpen(true);
+  }
+
+  async function viewReceipt(order, receiptId) {
+    const resp = await emit("receipt:preview", { orderId: order.id, receiptId });
     if (resp.ok) {
       setViewingReceipt(resp.order);
-      setViewingReceiptData(resp.receipt);
+      setViewingReceiptData(resp.receipts);
     }
   }
 
@@ -399,7 +760,118 @@ export default function Cashier() {
     }
   }
 
-  const isConfirmDisabled = !customerName.trim() || !tableNumber.trim() || unavailableInCart.length > 0;
+  // ===== Floor plan =====
+  const floor = useMemo(() => floorPlan(snapshot?.areas, snapshot?.tables), [snapshot]);
+  const hasTables = floor.some(area => area.tables.length > 0);
+  const floorTable = floorTableId ? (snapshot?.tables || []).find(t => t.id === floorTableId) || null : null;
+  const floorTableInfo = floorTable ? tableStatus(floorTable, snapshot?.orders) : null;
+
+  // Elapsed times on the tiles
+  useEffect(() => {
+    if (!floorOpen) return;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(timer);
+  }, [floorOpen]);
+
+  function openFloorPlan() {
+    setFloorErr("");
+    setFloorTableId(null);
+    setMergeTarget("");
+    setFloorOpen(true);
+  }
+
+  function selectFloorTable(id) {
+    setFloorErr("");
+    setMergeTarget("");
+    setFloorTableId(id === floorTableId ? null : id);
+  }
+
+  function chooseTable(id) {
+    const table = (snapshot?.tables || []).find(t => t.id === id);
+    setTableId(table ? table.id : "");
+    setTableNumber(table ? table.name : "");
+    if (validationErrors.tableNumber) {
+      setValidationErrors(prev => ({ ...prev, tableNumber: "" }));
+    }
+  }
+
+  // The cart becomes a new dine-in order for the table
+  function newOrderAt(table) {
+    setTabOrderId(null);
+    setOrderType("dine-in");
+    chooseTable(table.id);
+    setFloorOpen(false);
+  }
+
+  async function moveOrder(order) {
+    setFloorErr("");
+    const resp = await emit("table:transfer", { orderId: order.id, tableId: moveTargets[order.id] });
+    if (!resp.ok) {
+      setFloorErr(resp.error || "Could not move the order");
+      return;
+    }
+    setMoveTargets(prev => ({ ...prev, [order.id]: "" }));
+  }
+
+  async function mergeTable(table) {
+    const target = (snapshot?.tables || []).find(t => t.id === mergeTarget);
+    if (!target || !confirm(`Move every open order at ${table.name} to ${target.name}?`)) return;
+    setFloorErr("");
+    const resp = await emit("table:merge", { fromTableId: table.id, toTableId: target.id });
+    if (!resp.ok) {
+      setFloorErr(resp.error || "Could not merge the tables");
+      return;
+    }
+    setMergeTarget("");
+    setFloorTableId(target.id);
+  }
+
+  async function fireTableCourse(table, course) {
+    setFloorErr("");
+    const resp = await emit("table:fireCourse", { tableId: table.id, course });
+    if (!resp.ok) setFloorErr(resp.error || "Could not fire the course");
+  }
+
+  // Table choices grouped by area
+  function tableOptions(excludeId = null) {
+    return floor.filter(area => area.tables.length > 0).map(area => (
+      <optgroup key={area.id} label={area.name}>
+        {area.tables.filter(t => t.id !== excludeId).map(t => (
+          <option key={t.id} value={t.id}>{t.name} · {t.seats} seats</option>
+        ))}
+      </optgroup>
+    ));
+  }
+
+  // Scheduled orders the kitchen hasn't been sent yet
+  const upcoming = useMemo(() => upcomingOrders(snapshot?.orders), [snapshot]);
+
+  async function fireNow(order) {
+    setUpcomingErr("");
+    const resp = await emit("order:fire", { id: order.id });
+    if (!resp.ok) setUpcomingErr(resp.error || "Could not send the order to the kitchen");
+  }
+
+  const heldCarts = useMemo(() => (snapshot?.heldCarts || [])
+    .slice()
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt))), [snapshot]);
+
+  // This cashier's drawer session; payments taken without one aren't counted in any drawer
+  const myDrawer = openDrawerOf(snapshot?.drawerSessions, drawerOwner(user));
+
+  const conflicts = offlineQueue.entries.filter(e => e.status === "conflict");
+  const queueBadge = offlineQueue.entries.length > 0 ? (
+    <button onClick={() => setQueueOpen(true)} title="Orders and payments waiting to sync">
+      <Badge variant={conflicts.length > 0 ? "red" : "yellow"}>
+        {conflicts.length > 0
+          ? `${conflicts.length} conflict${conflicts.length === 1 ? "" : "s"}`
+          : `${offlineQueue.entries.length} pending${offlineQueue.syncing ? " · syncing" : ""}`}
+      </Badge>
+    </button>
+  ) : null;
+
+  const isConfirmDisabled = Object.keys(customerInfoErrors()).length > 0 || unavailableInCart.length > 0;
 
   return (
     <div className="min-h-screen">
@@ -413,7 +885,7 @@ export default function Cashier() {
         }
       `}</style>
       
-      <Topbar right={null} />
+      <Topbar right={queueBadge} />
       
       <div className="max-w-7xl mx-auto px-4 py-6 grid lg:grid-cols-[1fr_420px] gap-6">
         <Card>
@@ -422,7 +894,21 @@ export default function Cashier() {
             subtitle="Tap items to add to the order. Click expand icon for details."
             right={
               <div className="flex gap-2">
+                <Button variant="subtle" onClick={() => { setHeldErr(""); setHeldOpen(true); }}>
+                  Held{heldCarts.length > 0 ? ` (${heldCarts.length})` : ""}
+                </Button>
+                {hasTables && (
+                  <Button variant="subtle" onClick={openFloorPlan}>Tables</Button>
+                )}
+                {upcoming.length > 0 && (
+                  <Button variant="subtle" onClick={() => { setUpcomingErr(""); setUpcomingOpen(true); }}>
+                    Upcoming ({upcoming.length})
+                  </Button>
+                )}
                 <Button variant="subtle" onClick={handlePastOrdersClick}>Past Orders</Button>
+                <Button variant={myDrawer ? "subtle" : "ghost"} onClick={() => setDrawerOpen(true)}>
+                  {myDrawer ? "Drawer" : "Open Drawer"}
+                </Button>
                 <Badge variant="yellow">{snapshot?.settings?.currency || "AED"}</Badge>
               </div>
             }
@@ -460,7 +946,7 @@ export default function Cashier() {
                   
                   <div 
                     className="aspect-[4/3] bg-neutral-950/50 grid place-items-center overflow-hidden cursor-pointer"
-                    onClick={() => !item.unavailable && addToCart(item.id)}
+                    onClick={() => tapMenuItem(item)}
                   >
                     {item.imageUrl ? (
                       <img src={item.imageUrl} alt={item.name} className="w-full h-full object-cover group-hover:scale-[1.02] transition" />
@@ -470,7 +956,7 @@ export default function Cashier() {
                   </div>
                   <div 
                     className="p-3 flex-1 flex flex-col cursor-pointer"
-                    onClick={() => !item.unavailable && addToCart(item.id)}
+                    onClick={() => tapMenuItem(item)}
                   >
                     <div className="font-semibold">{item.name}</div>
                     {item.description && (
@@ -489,24 +975,63 @@ export default function Cashier() {
         <Card>
           <CardHeader title="Current Order" subtitle="Review before sending to kitchen." right={<Badge variant="blue">{cart.length} items</Badge>} />
           <CardBody className="space-y-3">
+            {tabOrderId ? (
+              <div className="flex items-center justify-between gap-2 rounded-xl border border-sky-800 bg-sky-950/40 p-3">
+                <div className="text-sm">
+                  <div className="text-sky-100 font-medium">
+                    Adding to ticket {tabOrder ? ticketLabel(tabOrder) : ""}
+                  </div>
+                  {tabOrder && (
+                    <div className="text-xs text-neutral-400">
+                      {orderWhere(tabOrder)} · {fmtAED(tabOrder.total)} so far
+                    </div>
+                  )}
+                </div>
+                <Button variant="ghost" onClick={() => setTabOrderId(null)}>New order instead</Button>
+              </div>
+            ) : (
+            /* Order type; each type has its own required details and service charge */
+            <div className="grid grid-cols-3 gap-2">
+              {ORDER_TYPES.map(t => (
+                <button
+                  key={t.value}
+                  onClick={() => { setOrderType(t.value); setValidationErrors({}); }}
+                  className={`px-3 py-2 rounded-xl border text-sm transition ${orderType === t.value ? "border-blue-500 bg-blue-500/20 text-blue-100" : "border-neutral-800 bg-neutral-900/50 hover:bg-neutral-800 text-neutral-300"}`}
+                >
+                  {t.icon} {t.label}
+                </button>
+              ))}
+            </div>
+            )}
+
             {cartLines.length === 0 ? (
               <div className="text-neutral-400">No items yet. Tap a menu item to add it.</div>
             ) : (
               <div className="space-y-2 max-h-64 overflow-y-auto">
                 {cartLines.map(line => (
-                  <div key={line.itemId} className={`flex items-center justify-between gap-2 rounded-xl border p-3 ${line.unavailable ? 'border-red-500/50 bg-red-500/10' : 'border-neutral-800 bg-neutral-900/40'}`}>
+                  <div key={line.key} className={`flex items-center justify-between gap-2 rounded-xl border p-3 ${line.unavailable ? 'border-red-500/50 bg-red-500/10' : 'border-neutral-800 bg-neutral-900/40'}`}>
                     <div className="min-w-0">
                       <div className="font-medium truncate flex items-center gap-2">
                         {line.name}
                         {line.unavailable && <Badge variant="red">Unavailable</Badge>}
                       </div>
+                      {line.options.length > 0 && (
+                        <div className="text-xs text-neutral-300 truncate">{optionsText(line)}</div>
+                      )}
+                      {placementText(line) && (
+                        <div className="text-xs text-sky-300">{placementText(line)}</div>
+                      )}
+                      {line.note && (
+                        <div className="text-xs text-amber-300 truncate">📝 {line.note}</div>
+                      )}
                       <div className="text-xs text-neutral-400">{fmtAED(line.price)} each</div>
                     </div>
                     <div className="flex items-center gap-2">
-                      <button className="px-3 py-2 rounded-xl bg-neutral-900 border border-neutral-800 hover:bg-neutral-800" onClick={() => setQty(line.itemId, line.qty - 1)}>-</button>
+                      <Button variant="ghost" onClick={() => openLineDetails(line)} title="Note, seat and course">📝</Button>
+                      <button className="px-3 py-2 rounded-xl bg-neutral-900 border border-neutral-800 hover:bg-neutral-800" onClick={() => setQty(line.key, line.qty - 1)}>-</button>
                       <div className="w-10 text-center">{line.qty}</div>
-                      <button className="px-3 py-2 rounded-xl bg-neutral-900 border border-neutral-800 hover:bg-neutral-800" onClick={() => setQty(line.itemId, line.qty + 1)}>+</button>
-                      <Button variant="ghost" onClick={() => removeLine(line.itemId)}>Remove</Button>
+                      <button className="px-3 py-2 rounded-xl bg-neutral-900 border border-neutral-800 hover:bg-neutral-800" onClick={() => setQty(line.key, line.qty + 1)}>+</button>
+                      <Button variant="ghost" onClick={() => removeLine(line.key)}>Remove</Button>
                     </div>
                   </div>
                 ))}
@@ -520,14 +1045,21 @@ export default function Cashier() {
                 <div>The following items are currently unavailable and cannot be ordered:</div>
                 <ul className="list-disc list-inside mt-1">
                   {unavailableInCart.map(item => (
-                    <li key={item.itemId}>{item.name}</li>
+                    <li key={item.key}>{item.name}</li>
                   ))}
                 </ul>
               </div>
             )}
 
-            {/* Kitchen Notes */}
-            {cartLines.length > 0 && (
+            {/* Dine-in courses after the first wait to be fired */}
+            {orderType === "dine-in" && !tabOrderId && coursesOf(cartLines).length > 1 && (
+              <div className="text-xs text-sky-300">
+                {coursePlural(coursesOf(cartLines)[0])} go to the kitchen first; {coursesOf(cartLines).slice(1).map(coursePlural).join(" and ")} wait until you fire them from Tables or Past Orders.
+              </div>
+            )}
+
+            {/* Kitchen Notes; a round's notes go on its lines */}
+            {cartLines.length > 0 && !tabOrderId && (
               <div className="rounded-xl border border-neutral-800 bg-neutral-900/30 p-3">
                 <div className="text-sm font-medium text-neutral-300 mb-2">Kitchen Notes</div>
                 <textarea
@@ -539,8 +1071,8 @@ export default function Cashier() {
               </div>
             )}
 
-            {/* Promo Code */}
-            {cartLines.length > 0 && (
+            {/* Promo Code; a round on a tab gets the order's own promo */}
+            {cartLines.length > 0 && !tabOrderId && (
               <div className="rounded-xl border border-neutral-800 bg-neutral-900/30 p-3 space-y-2">
                 <div className="text-sm font-medium text-neutral-300">Promo Code</div>
                 {appliedPromo ? (
@@ -578,18 +1110,34 @@ export default function Cashier() {
                 </div>
               )}
               
-              <div className="flex justify-between text-sm"><span className="text-neutral-400">Tax ({snapshot?.settings?.taxPercent || 0}%)</span><span>{fmtAED(tax)}</span></div>
-              <div className="flex justify-between text-sm"><span className="text-neutral-400">Service ({snapshot?.settings?.serviceChargePercent || 0}%)</span><span>{fmtAED(service)}</span></div>
-              <div className="flex justify-between font-semibold text-lg pt-2 border-t border-neutral-800"><span>Total</span><span>{fmtAED(total)}</span></div>
+              <div className="flex justify-between text-sm"><span className="text-neutral-400">Service ({serviceChargePercent}%)</span><span>{fmtAED(service)}</span></div>
+              {!pricesIncludeTax && taxes.map(t => (
+                <div key={`${t.classId}@${t.percent}`} className="flex justify-between text-sm"><span className="text-neutral-400">{taxLabel(t, false)}</span><span>{fmtAED(t.amount)}</span></div>
+              ))}
+              <div className="flex justify-between font-semibold text-lg pt-2 border-t border-neutral-800"><span>{tabOrderId ? "This round" : "Total"}</span><span>{fmtAED(total)}</span></div>
+              {pricesIncludeTax && taxes.map(t => (
+                <div key={`${t.classId}@${t.percent}`} className="flex justify-between text-xs text-neutral-500"><span>{taxLabel(t, true)}</span><span>{fmtAED(t.amount)}</span></div>
+              ))}
+              {priceUnknown && (
+                <div className="text-xs text-yellow-300">Offline: service and tax are added when the order syncs.</div>
+              )}
             </div>
 
             {submitErr && <div className="text-sm text-red-300">{submitErr}</div>}
+            {notice && cart.length === 0 && <div className="text-sm text-yellow-300">{notice}</div>}
 
-            <div className="grid grid-cols-2 gap-3">
+            <div className="grid grid-cols-3 gap-3">
               <Button variant="subtle" onClick={clearCart}>Clear</Button>
-              <Button onClick={() => setConfirmOpen(true)} disabled={!connected || cartLines.length === 0 || unavailableInCart.length > 0}>
-                Send to Kitchen
-              </Button>
+              <Button variant="subtle" onClick={openHold} disabled={!connected || !!tabOrderId || cartLines.length === 0}>Hold</Button>
+              {tabOrderId ? (
+                <Button onClick={addToTab} disabled={cartLines.length === 0 || unavailableInCart.length > 0}>
+                  Add to Tab
+                </Button>
+              ) : (
+                <Button onClick={() => setConfirmOpen(true)} disabled={cartLines.length === 0 || unavailableInCart.length > 0}>
+                  Send to Kitchen
+                </Button>
+              )}
             </div>
 
             {/* Order Summary Modal */}
@@ -612,53 +1160,143 @@ export default function Cashier() {
                   <h3 className="text-sm font-semibold text-neutral-200 uppercase tracking-wide">Customer Information</h3>
                   
                   <div className="space-y-3">
+                    <div className="text-sm text-neutral-400">
+                      {orderTypeLabel(orderType)} order
+                    </div>
+
                     <div>
                       <label className="block text-sm text-neutral-400 mb-1">
-                        Customer Name <span className="text-red-400">*</span>
+                        Customer Name {orderType !== "dine-in" && <span className="text-red-400">*</span>}
                       </label>
                       <Input
-                        placeholder="Enter customer name"
+                        placeholder={orderType === "dine-in" ? "Enter customer name (optional)" : "Enter customer name"}
                         value={customerName}
-                        onChange={(e) => {
-                          setCustomerName(e.target.value);
-                          if (validationErrors.customerName) {
-                            setValidationErrors(prev => ({ ...prev, customerName: "" }));
-                          }
-                        }}
+                        onChange={setOrderField(setCustomerName, "customerName")}
                       />
                       {validationErrors.customerName && (
                         <div className="text-xs text-red-400 mt-1">{validationErrors.customerName}</div>
                       )}
                     </div>
                     
-                    <div>
-                      <label className="block text-sm text-neutral-400 mb-1">
-                        Table Number <span className="text-red-400">*</span>
+                    {orderType === "dine-in" && (
+                      <div>
+                        <label className="block text-sm text-neutral-400 mb-1">
+                          {hasTables ? "Table" : "Table Number"} <span className="text-red-400">*</span>
+                        </label>
+                        {hasTables ? (
+                          <Select value={tableId} onChange={(e) => chooseTable(e.target.value)}>
+                            <option value="">Choose a table…</option>
+                            {tableOptions()}
+                          </Select>
+                        ) : (
+                          <Input
+                            placeholder="Enter table number"
+                            value={tableNumber}
+                            onChange={setOrderField(setTableNumber, "tableNumber")}
+                          />
+                        )}
+                        {validationErrors.tableNumber && (
+                          <div className="text-xs text-red-400 mt-1">{validationErrors.tableNumber}</div>
+                        )}
+                      </div>
+                    )}
+                    
+                    {orderType === "takeaway" && (
+                      <div>
+                        <label className="block text-sm text-neutral-400 mb-1">
+                          Pickup Time <span className="text-red-400">*</span>
+                        </label>
+                        <Input
+                          type="datetime-local"
+                          value={pickupTime}
+                          onChange={setOrderField(setPickupTime, "pickupTime")}
+                        />
+                        {validationErrors.pickupTime && (
+                          <div className="text-xs text-red-400 mt-1">{validationErrors.pickupTime}</div>
+                        )}
+                      </div>
+                    )}
+                    
+                    <div className="space-y-2">
+                      <label className="flex items-start gap-2 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={scheduleLater}
+                          onChange={(e) => {
+                            setScheduleLater(e.target.checked);
+                            // A takeaway is usually wanted ready for its pickup
+                            if (e.target.checked && !scheduledFor && orderType === "takeaway") setScheduledFor(pickupTime);
+                            setValidationErrors(prev => ({ ...prev, scheduledFor: "" }));
+                          }}
+                          className="mt-1 rounded border-neutral-600 bg-neutral-800 text-blue-500 focus:ring-blue-500"
+                        />
+                        <span className="text-sm text-neutral-400">
+                          Schedule for later (the kitchen gets it {snapshot?.settings?.scheduleLeadMinutes ?? 30} min before it is due)
+                        </span>
                       </label>
-                      <Input
-                        placeholder="Enter table number"
-                        value={tableNumber}
-                        onChange={(e) => {
-                          setTableNumber(e.target.value);
-                          if (validationErrors.tableNumber) {
-                            setValidationErrors(prev => ({ ...prev, tableNumber: "" }));
-                          }
-                        }}
-                      />
-                      {validationErrors.tableNumber && (
-                        <div className="text-xs text-red-400 mt-1">{validationErrors.tableNumber}</div>
+                      {scheduleLater && (
+                        <div>
+                          <label className="block text-sm text-neutral-400 mb-1">
+                            Ready At <span className="text-red-400">*</span>
+                          </label>
+                          <Input
+                            type="datetime-local"
+                            value={scheduledFor}
+                            onChange={setOrderField(setScheduledFor, "scheduledFor")}
+                          />
+                          {validationErrors.scheduledFor && (
+                            <div className="text-xs text-red-400 mt-1">{validationErrors.scheduledFor}</div>
+                          )}
+                        </div>
                       )}
                     </div>
-                    
+
                     <div>
-                      <label className="block text-sm text-neutral-400 mb-1">Phone Number</label>
+                      <label className="block text-sm text-neutral-400 mb-1">
+                        Phone Number {orderType === "delivery" && <span className="text-red-400">*</span>}
+                      </label>
                       <Input
-                        placeholder="Enter phone number (optional)"
+                        placeholder={orderType === "delivery" ? "Enter phone number" : "Enter phone number (optional)"}
                         value={customerPhone}
-                        onChange={(e) => setCustomerPhone(e.target.value)}
+                        onChange={setOrderField(setCustomerPhone, "customerPhone")}
                       />
+                      {validationErrors.customerPhone && (
+                        <div className="text-xs text-red-400 mt-1">{validationErrors.customerPhone}</div>
+                      )}
                     </div>
                     
+                    {orderType === "delivery" && (
+                      <>
+                        <div>
+                          <label className="block text-sm text-neutral-400 mb-1">
+                            Delivery Address <span className="text-red-400">*</span>
+                          </label>
+                          <textarea
+                            value={deliveryAddress}
+                            onChange={setOrderField(setDeliveryAddress, "deliveryAddress")}
+                            placeholder="Building, street, area"
+                            className="w-full bg-neutral-950 border border-neutral-800 rounded-lg px-3 py-2 text-sm min-h-[60px] resize-none"
+                          />
+                          {validationErrors.deliveryAddress && (
+                            <div className="text-xs text-red-400 mt-1">{validationErrors.deliveryAddress}</div>
+                          )}
+                        </div>
+                        <div>
+                          <label className="block text-sm text-neutral-400 mb-1">
+                            Driver <span className="text-red-400">*</span>
+                          </label>
+                          <Input
+                            placeholder="Driver name"
+                            value={driver}
+                            onChange={setOrderField(setDriver, "driver")}
+                          />
+                          {validationErrors.driver && (
+                            <div className="text-xs text-red-400 mt-1">{validationErrors.driver}</div>
+                          )}
+                        </div>
+                      </>
+                    )}
+                    
                     <div>
                       <label className="block text-sm text-neutral-400 mb-1">Email</label>
                       <Input
@@ -691,9 +1329,18 @@ export default function Cashier() {
                   
                   <div className="space-y-2">
                     {cartLines.map(line => (
-                      <div key={line.itemId} className="flex justify-between text-sm">
+                      <div key={line.key} className="flex justify-between text-sm">
                         <span className="text-neutral-300">
                           {line.qty} × {line.name}
+                          {line.options.length > 0 && (
+                            <span className="block text-xs text-neutral-500">{optionsText(line)}</span>
+                          )}
+                          {placementText(line) && (
+                            <span className="block text-xs text-sky-300">{placementText(line)}</span>
+                          )}
+                          {line.note && (
+                            <span className="block text-xs text-amber-300">📝 {line.note}</span>
+                          )}
                         </span>
                         <span className="text-neutral-200">{fmtAED(line.price * line.qty)}</span>
                       </div>
@@ -714,19 +1361,28 @@ export default function Cashier() {
                     )}
                     
                     <div className="flex justify-between text-sm">
-                      <span className="text-neutral-400">Tax ({snapshot?.settings?.taxPercent || 0}%)</span>
-                      <span className="text-neutral-200">{fmtAED(tax)}</span>
-                    </div>
-                    
-                    <div className="flex justify-between text-sm">
-                      <span className="text-neutral-400">Service ({snapshot?.settings?.serviceChargePercent || 0}%)</span>
+                      <span className="text-neutral-400">Service ({serviceChargePercent}%)</span>
                       <span className="text-neutral-200">{fmtAED(service)}</span>
                     </div>
                     
+                    {!pricesIncludeTax && taxes.map(t => (
+                      <div key={`${t.classId}@${t.percent}`} className="flex justify-between text-sm">
+                        <span className="text-neutral-400">{taxLabel(t, false)}</span>
+                        <span className="text-neutral-200">{fmtAED(t.amount)}</span>
+                      </div>
+                    ))}
+                    
                     <div className="flex justify-between font-semibold text-lg pt-2 border-t border-neutral-700">
                       <span className="text-neutral-100">Final Total</span>
                       <span className="text-emerald-400">{fmtAED(total)}</span>
                     </div>
+                    
+                    {pricesIncludeTax && taxes.map(t => (
+                      <div key={`${t.classId}@${t.percent}`} className="flex justify-between text-xs text-neutral-500">
+                        <span>{taxLabel(t, true)}</span>
+                        <span>{fmtAED(t.amount)}</span>
+                      </div>
+                    ))}
                   </div>
                 </div>
 
@@ -757,46 +1413,338 @@ export default function Cashier() {
                 <div className="space-y-4">
                   <div className="text-center">
                     <div className="text-3xl font-bold">{fmtAED(lastOrder.total)}</div>
-                    <div className="text-sm text-neutral-400">Order #{lastOrder.id.slice(0, 8).toUpperCase()}</div>
+                    <div className="text-sm text-neutral-400">
+                      {lastOrder.offline ? "Queued offline · ticket number on sync" : `Ticket ${ticketLabel(lastOrder)}`}
+                    </div>
+                    {lastOrder.paidTotal > 0 && (
+                      <div className="text-sm text-emerald-400">
+                        Paid {fmtAED(lastOrder.paidTotal)} · {fmtAED(balanceDue(lastOrder))} to pay
+                      </div>
+                    )}
                   </div>
                   
-                  {(lastOrder.customerName || lastOrder.tableNumber) && (
-                    <div className="border-t border-neutral-800 pt-4">
-                      <div className="text-sm font-medium text-neutral-300 mb-2">Customer Information</div>
-                      <div className="space-y-1 text-sm">
-                        {lastOrder.customerName && (
-                          <div className="flex justify-between">
-                            <span className="text-neutral-400">Customer</span>
-                            <span className="text-neutral-200">{lastOrder.customerName}</span>
+                  <div className="border-t border-neutral-800 pt-4">
+                    <div className="text-sm font-medium text-neutral-300 mb-2">Customer Information</div>
+                    <div className="space-y-1 text-sm">
+                      <div className="flex justify-between">
+                        <span className="text-neutral-400">Type</span>
+                        <span className="text-neutral-200">{orderTypeLabel(lastOrder.type)}</span>
+                      </div>
+                      {lastOrder.customerName && (
+                        <div className="flex justify-between">
+                          <span className="text-neutral-400">Customer</span>
+                          <span className="text-neutral-200">{lastOrder.customerName}</span>
+                        </div>
+                      )}
+                      {lastOrder.tableNumber && (
+                        <div className="flex justify-between">
+                          <span className="text-neutral-400">Table</span>
+                          <span className="text-neutral-200">{lastOrder.tableNumber}</span>
+                        </div>
+                      )}
+                      {lastOrder.scheduledFor && (
+                        <div className="flex justify-between">
+                          <span className="text-neutral-400">Ready by</span>
+                          <span className="text-neutral-200">{new Date(lastOrder.scheduledFor).toLocaleString()}</span>
+                        </div>
+                      )}
+                      {lastOrder.pickupTime && (
+                        <div className="flex justify-between">
+                          <span className="text-neutral-400">Pickup</span>
+                          <span className="text-neutral-200">{new Date(lastOrder.pickupTime).toLocaleString()}</span>
+                        </div>
+                      )}
+                      {lastOrder.type === "delivery" && (
+                        <>
+                          <div className="flex justify-between gap-4">
+                            <span className="text-neutral-400">Address</span>
+                            <span className="text-neutral-200 text-right">{lastOrder.deliveryAddress}</span>
                           </div>
-                        )}
-                        {lastOrder.tableNumber && (
                           <div className="flex justify-between">
-                            <span className="text-neutral-400">Table</span>
-                            <span className="text-neutral-200">{lastOrder.tableNumber}</span>
+                            <span className="text-neutral-400">Driver</span>
+                            <span className="text-neutral-200">{lastOrder.driver}</span>
                           </div>
-                        )}
-                      </div>
+                        </>
+                      )}
                     </div>
-                  )}
+                  </div>
                   
-                  <div className="border-t border-neutral-800 pt-4">
-                    <div className="text-sm font-medium text-neutral-300 mb-3">Select Payment Method</div>
+                  <PaymentPanel key={lastOrder.id} order={lastOrder} settings={snapshot?.settings} onSplit={splitOrder} onPay={createReceipt} />
+                </div>
+              )}
+            </Modal>
+
+            {/* Hold Cart Modal */}
+            <Modal
+              open={holdOpen}
+              title="Hold cart"
+              onClose={() => setHoldOpen(false)}
+              footer={
+                <div className="flex justify-end gap-2">
+                  <Button variant="ghost" onClick={() => setHoldOpen(false)}>Cancel</Button>
+                  <Button onClick={holdCurrentCart} disabled={!holdLabel.trim()}>Hold</Button>
+                </div>
+              }
+            >
+              <div className="space-y-3">
+                <div className="text-sm text-neutral-400">
+                  Park this cart to serve someone else. Any terminal can pick it up from Held
+                  {snapshot?.settings?.heldCartMinutes ? ` within ${snapshot.settings.heldCartMinutes} minutes` : ""}.
+                </div>
+                <Input
+                  placeholder="Label, e.g. man in the blue shirt"
+                  value={holdLabel}
+                  onChange={(e) => setHoldLabel(e.target.value)}
+                  autoFocus
+                />
+                {heldErr && <div className="text-sm text-red-300">{heldErr}</div>}
+              </div>
+            </Modal>
+
+            {/* Held Carts Modal */}
+            <Modal
+              open={heldOpen}
+              title="Held carts"
+              onClose={() => setHeldOpen(false)}
+              footer={
+                <div className="flex justify-end gap-2">
+                  <Button variant="ghost" onClick={() => setHeldOpen(false)}>Close</Button>
+                </div>
+              }
+            >
+              <div className="space-y-3">
+                {heldErr && <div className="text-sm text-red-300">{heldErr}</div>}
+                {heldCarts.length === 0 && (
+                  <div className="text-sm text-neutral-500">No carts are on hold.</div>
+                )}
+                {heldCarts.map(held => (
+                  <div key={held.id} className="rounded-xl border border-neutral-800 bg-neutral-900/40 p-3 space-y-2">
+                    <div className="flex items-start justify-between gap-3">
+                      <div>
+                        <div className="text-sm font-medium">{held.label}</div>
+                        <div className="text-xs text-neutral-400">{held.summary}</div>
+                        <div className="text-xs text-neutral-500">
+                          Held {new Date(held.createdAt).toLocaleTimeString()}{held.createdBy ? ` by ${held.createdBy}` : ""}
+                          {" · "}expires {new Date(held.expiresAt).toLocaleTimeString()}
+                        </div>
+                      </div>
+                      <Badge>{held.itemCount} item{held.itemCount === 1 ? "" : "s"}</Badge>
+                    </div>
+                    <div className="flex justify-end gap-2">
+                      <Button variant="ghost" onClick={() => discardHeld(held)} disabled={!connected}>Discard</Button>
+                      <Button variant="subtle" onClick={() => resumeHeld(held)} disabled={!connected}>Resume</Button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </Modal>
+
+            {/* Upcoming Orders Modal */}
+            <Modal
+              open={upcomingOpen}
+              title="Upcoming orders"
+              onClose={() => setUpcomingOpen(false)}
+              footer={
+                <div className="flex justify-end gap-2">
+                  <Button variant="ghost" onClick={() => setUpcomingOpen(false)}>Close</Button>
+                </div>
+              }
+            >
+              <div className="space-y-3 max-h-[70vh] overflow-y-auto">
+                {upcomingErr && <div className="text-sm text-red-300">{upcomingErr}</div>}
+                {upcoming.length === 0 && (
+                  <div className="text-sm text-neutral-500">No scheduled orders.</div>
+                )}
+                {upcoming.map(order => (
+                  <div key={order.id} className="rounded-xl border border-neutral-800 bg-neutral-900/40 p-3 space-y-2">
+                    <div className="flex items-start justify-between gap-3">
+                      <div>
+                        <div className="text-sm font-medium">
+                          Ticket {ticketLabel(order)} · {orderWhere(order)}{order.customerName ? ` · ${order.customerName}` : ""}
+                        </div>
+                        <div className="text-xs text-neutral-400">
+                          Ready by {scheduleText(order.scheduledFor)} · to the kitchen at {scheduleText(fireTime(order, snapshot?.settings))}
+                        </div>
+                      </div>
+                      <div className="text-sm">{fmtAED(order.total)}</div>
+                    </div>
+                    <div className="flex justify-end gap-2">
+                      {balanceDue(order) > 0 && (
+                        <Button variant="subtle" onClick={() => { setUpcomingOpen(false); takePayment(order); }}>Pay</Button>
+                      )}
+                      <Button variant="subtle" onClick={() => fireNow(order)} disabled={!connected}>Send Now</Button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </Modal>
+
+            {/* Floor Plan Modal */}
+            <Modal
+              open={floorOpen}
+              title="Tables"
+              onClose={() => setFloorOpen(false)}
+              footer={
+                <div className="flex justify-end gap-2">
+                  <Button variant="ghost" onClick={() => setFloorOpen(false)}>Close</Button>
+                </div>
+              }
+            >
+              <div className="space-y-4 max-h-[70vh] overflow-y-auto">
+                {floorErr && <div className="text-sm text-red-300">{floorErr}</div>}
+                {floor.filter(area => area.tables.length > 0).map(area => (
+                  <div key={area.id} className="space-y-2">
+                    <div className="text-sm font-semibold text-neutral-200 uppercase tracking-wide">{area.name}</div>
                     <div className="grid grid-cols-3 gap-2">
-                      {PAYMENT_METHODS.map(method => (
-                        <button
-                          key={method.value}
-                          onClick={() => createReceipt(method.value)}
-                          className="p-4 rounded-xl border border-neutral-800 bg-neutral-900/50 hover:bg-neutral-800 transition text-center"
-                        >
-                          <div className="text-2xl mb-1">{method.icon}</div>
-                          <div className="text-sm">{method.label}</div>
-                        </button>
+                      {area.tables.map(table => {
+                        const info = tableStatus(table, snapshot?.orders);
+                        return (
+                          <button
+                            key={table.id}
+                            onClick={() => selectFloorTable(table.id)}
+                            className={`rounded-xl border p-3 text-left transition ${TABLE_TILE_STYLES[info.status]} ${table.id === floorTableId ? "ring-2 ring-blue-500" : ""}`}
+                          >
+                            <div className="flex items-center justify-between gap-1">
+                              <span className="font-semibold">{table.name}</span>
+                              <span className="text-xs text-neutral-400">{table.seats} seats</span>
+                            </div>
+                            <div className="text-xs text-neutral-200 mt-1">{TABLE_STATUSES[info.status].label}</div>
+                            {info.since && (
+                              <div className="text-xs text-neutral-400">
+                                {elapsedText(info.since, now)}
+                                {info.orders.length > 1 ? ` · ${info.orders.length} orders` : ""}
+                              </div>
+                            )}
+                            {heldCoursesOf(info.orders).length > 0 && (
+                              <div className="text-xs text-sky-300">{heldCoursesOf(info.orders).map(coursePlural).join(", ")} held</div>
+                            )}
+                          </button>
+                        );
+                      })}
+                    </div>
+                  </div>
+                ))}
+
+                {floorTable && floorTableInfo && (
+                  <div className="rounded-xl border border-neutral-800 bg-neutral-900/40 p-3 space-y-3">
+                    <div className="flex items-center justify-between gap-2">
+                      <div>
+                        <div className="font-medium">{floorTable.name}</div>
+                        <div className="text-xs text-neutral-400">
+                          {floorTable.seats} seats
+                          {floorTableInfo.due > 0 ? ` · ${fmtAED(floorTableInfo.due)} due` : ""}
+                        </div>
+                      </div>
+                      <Badge variant={TABLE_STATUSES[floorTableInfo.status].variant}>{TABLE_STATUSES[floorTableInfo.status].label}</Badge>
+                    </div>
+
+                    {floorTableInfo.orders.map(order => (
+                      <div key={order.id} className="rounded-lg border border-neutral-800 p-2 space-y-2">
+                        <div className="flex items-center justify-between gap-2 text-sm">
+                          <div>
+                            Ticket {ticketLabel(order)}
+                            <span className="text-neutral-400">
+                              {" · "}{fmtAED(order.total)}
+                              {balanceDue(order) > 0 ? ` · ${fmtAED(balanceDue(order))} due` : ""}
+                            </span>
+                          </div>
+                          <Badge variant={statusVariant(order.status)}>{statusLabel(order.status)}</Badge>
+                        </div>
+                        <div className="flex gap-2">
+                          <Select
+                            value={moveTargets[order.id] || ""}
+                            onChange={(e) => setMoveTargets(prev => ({ ...prev, [order.id]: e.target.value }))}
+                          >
+                            <option value="">Move to table…</option>
+                            {tableOptions(floorTable.id)}
+                          </Select>
+                          <Button variant="subtle" onClick={() => moveOrder(order)} disabled={!connected || !moveTargets[order.id]}>Move</Button>
+                        </div>
+                        <div className="flex justify-end gap-2">
+                          {floorTableInfo.orders.length > 1 && heldCourses(order).slice(0, 1).map(course => (
+                            <Button key={course} variant="subtle" onClick={() => fireCourse(order, course)} disabled={!connected}>{fireLabel(course)}</Button>
+                          ))}
+                          {canAddRound(order) && (
+                            <Button variant="subtle" onClick={() => startTab(order)}>Add Items</Button>
+                          )}
+                          {balanceDue(order) > 0 && (
+                            <Button onClick={() => takePayment(order)}>Pay</Button>
+                          )}
+                        </div>
+                      </div>
+                    ))}
+
+                    {floorTableInfo.orders.length > 0 && (
+                      <div className="flex gap-2">
+                        <Select value={mergeTarget} onChange={(e) => setMergeTarget(e.target.value)}>
+                          <option value="">Merge into table…</option>
+                          {tableOptions(floorTable.id)}
+                        </Select>
+                        <Button variant="subtle" onClick={() => mergeTable(floorTable)} disabled={!connected || !mergeTarget}>Merge</Button>
+                      </div>
+                    )}
+
+                    <div className="flex justify-end gap-2">
+                      {heldCoursesOf(floorTableInfo.orders).map(course => (
+                        <Button key={course} variant="subtle" onClick={() => fireTableCourse(floorTable, course)} disabled={!connected}>
+                          {fireLabel(course)} for {floorTable.name}
+                        </Button>
                       ))}
+                      <Button onClick={() => newOrderAt(floorTable)}>New Order Here</Button>
                     </div>
                   </div>
+                )}
+              </div>
+            </Modal>
+
+            {/* Offline Queue Modal */}
+            <Modal
+              open={queueOpen}
+              title="Waiting to sync"
+              onClose={() => setQueueOpen(false)}
+              footer={
+                <div className="flex justify-end gap-2">
+                  <Button variant="ghost" onClick={() => setQueueOpen(false)}>Close</Button>
                 </div>
-              )}
+              }
+            >
+              <div className="space-y-3">
+                <div className="text-sm text-neutral-400">
+                  {connected
+                    ? "These are sent to the server in the order they were taken."
+                    : "The till is offline. These are sent to the server, in order, once it reconnects."}
+                </div>
+                {offlineQueue.entries.length === 0 && (
+                  <div className="text-sm text-neutral-500">Everything has synced.</div>
+                )}
+                {offlineQueue.entries.map(entry => (
+                  <div key={entry.seq} className="rounded-xl border border-neutral-800 bg-neutral-900/40 p-3 space-y-2">
+                    <div className="flex items-center justify-between gap-3">
+                      <div>
+                        <div className="text-sm font-medium">{entry.label}</div>
+                        <div className="text-xs text-neutral-500">
+                          {new Date(entry.createdAt).toLocaleTimeString()}{entry.createdBy ? ` · ${entry.createdBy}` : ""}
+                        </div>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        {entry.amount !== null && <span className="text-sm">{fmtAED(entry.amount)}</span>}
+                        <Badge variant={entry.status === "conflict" ? "red" : "yellow"}>
+                          {entry.status === "conflict" ? "Conflict" : "Pending"}
+                        </Badge>
+                      </div>
+                    </div>
+                    {entry.status === "conflict" && (
+                      <>
+                        <div className="text-sm text-red-300">{entry.error}</div>
+                        <div className="flex justify-end gap-2">
+                          <Button variant="ghost" onClick={() => offlineQueue.dismiss(entry)}>Dismiss</Button>
+                          <Button variant="subtle" onClick={() => offlineQueue.retry(entry)} disabled={!connected}>Retry</Button>
+                        </div>
+                      </>
+                    )}
+                  </div>
+                ))}
+              </div>
             </Modal>
 
             {/* Print Receipt Prompt Modal */}
@@ -827,11 +1775,11 @@ export default function Cashier() {
                   <Button 
                     onClick={() => {
                       if (selectedItem && !selectedItem.unavailable) {
-                        addToCart(selectedItem.id);
+                        addToCart(selectedItem.id, selectedOptions);
                         closeItemDetail();
                       }
                     }}
-                    disabled={selectedItem?.unavailable}
+                    disabled={selectedItem?.unavailable || !optionsComplete(selectedItem, selectedOptions)}
                   >
                     {selectedItem?.unavailable ? "Unavailable" : "Add to Order"}
                   </Button>
@@ -861,7 +1809,7 @@ export default function Cashier() {
                     </div>
                     
                     <div className="text-2xl font-bold text-emerald-400">
-                      {fmtAED(selectedItem.price)}
+                      {fmtAED(selectedItem.price + chosenOptions(selectedItem, selectedOptions).reduce((s, o) => s + o.priceDelta, 0))}
                     </div>
                     
                     {selectedItem.description ? (
@@ -872,6 +1820,97 @@ export default function Cashier() {
                       <p className="text-neutral-500 italic">No description available</p>
                     )}
                   </div>
+
+                  {/* Option groups */}
+                  {(selectedItem.optionGroups || []).map(group => {
+                    const picked = group.options.filter(o => selectedOptions.includes(o.id)).length;
+                    return (
+                      <div key={group.id} className="rounded-xl border border-neutral-800 bg-neutral-900/30 p-3">
+                        <div className="flex items-center justify-between mb-2">
+                          <div className="text-sm font-medium text-neutral-200">{group.name}</div>
+                          <Badge variant={picked < group.min ? "red" : "neutral"}>
+                            {group.min > 0 ? "Required" : "Optional"}{group.max > 1 ? ` · up to ${group.max}` : ""}
+                          </Badge>
+                        </div>
+                        <div className="space-y-1">
+                          {group.options.map(opt => (
+                            <label key={opt.id} className="flex items-center justify-between gap-2 rounded-lg px-2 py-1.5 hover:bg-neutral-800/50 cursor-pointer">
+                              <span className="flex items-center gap-2 text-sm text-neutral-300">
+                                <input
+                                  type={group.max === 1 ? "radio" : "checkbox"}
+                                  name={`group-${group.id}`}
+                                  checked={selectedOptions.includes(opt.id)}
+                                  onChange={() => setSelectedOptions(prev => toggleOption(selectedItem, prev, group.id, opt.id))}
+                                  className="border-neutral-600 bg-neutral-800 text-blue-500 focus:ring-blue-500"
+                                />
+                                {opt.name}
+                              </span>
+                              <span className="text-xs text-neutral-400">{priceDeltaLabel(opt.priceDelta)}</span>
+                            </label>
+                          ))}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </Modal>
+
+            {/* Line Details Modal */}
+            <Modal
+              open={!!editingLine}
+              title="Line Details"
+              onClose={() => setEditingLine(null)}
+              footer={
+                <div className="flex justify-end gap-2">
+                  <Button variant="ghost" onClick={() => setEditingLine(null)}>Cancel</Button>
+                  <Button onClick={saveLineDetails}>Save</Button>
+                </div>
+              }
+            >
+              {editingLine && (
+                <div className="space-y-3">
+                  <div>
+                    <div className="text-sm text-neutral-300 mb-1">Note for the kitchen</div>
+                    <Input
+                      value={editingLine.note}
+                      maxLength={200}
+                      onChange={(e) => setEditingLine(prev => ({ ...prev, note: e.target.value }))}
+                      placeholder="e.g. no peanuts"
+                    />
+                  </div>
+                  <div className="grid grid-cols-2 gap-3">
+                    <div>
+                      <div className="text-sm text-neutral-300 mb-1">Seat</div>
+                      <Input
+                        type="number"
+                        min="1"
+                        max="99"
+                        value={editingLine.seat}
+                        onChange={(e) => setEditingLine(prev => ({ ...prev, seat: e.target.value }))}
+                        placeholder="Optional"
+                      />
+                    </div>
+                    <div>
+                      <div className="text-sm text-neutral-300 mb-1">Course</div>
+                      <Select value={editingLine.course} onChange={(e) => setEditingLine(prev => ({ ...prev, course: e.target.value }))}>
+                        {COURSES.map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
+                      </Select>
+                    </div>
+                  </div>
+                  {editingLine.qty > 1 && (
+                    <label className="flex items-start gap-2 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={editingLine.splitOne}
+                        onChange={(e) => setEditingLine(prev => ({ ...prev, splitOne: e.target.checked }))}
+                        className="mt-1 rounded border-neutral-600 bg-neutral-800 text-blue-500 focus:ring-blue-500"
+                      />
+                      <span className="text-sm text-neutral-400">
+                        Only for one of the {editingLine.qty} (moves it to its own line)
+                      </span>
+                    </label>
+                  )}
                 </div>
               )}
             </Modal>
@@ -921,7 +1960,7 @@ export default function Cashier() {
             >
               <div className="space-y-4">
                 <Input 
-                  placeholder="Search by order #, customer name, or table..." 
+                  placeholder="Search by ticket, order #, customer name, or table..." 
                   value={orderSearch}
                   onChange={(e) => setOrderSearch(e.target.value)}
                 />
@@ -934,16 +1973,40 @@ export default function Cashier() {
                       <div key={order.id} className="rounded-xl border border-neutral-800 bg-neutral-900/30 p-3">
                         <div className="flex items-center justify-between">
                           <div>
-                            <div className="font-medium">#{order.id.slice(0, 8).toUpperCase()}</div>
+                            <div className="font-medium flex items-center gap-2">
+                              Ticket {ticketLabel(order)}
+                              <span className="text-xs text-neutral-500">#{order.id.slice(0, 8).toUpperCase()}</span>
+                              <Badge variant={statusVariant(order.status)}>{statusLabel(order.status)}</Badge>
+                              {isHeld(order) && <Badge variant="yellow">Scheduled {scheduleText(order.scheduledFor)}</Badge>}
+                            </div>
                             <div className="text-xs text-neutral-500">
-                              {order.customerName} • Table {order.tableNumber} • {fmtAED(order.total)}
+                              {order.customerName ? `${order.customerName} • ` : ""}{orderWhere(order)} • {fmtAED(order.total)}
+                              {order.status !== "cancelled" && balanceDue(order) > 0 && <span className="text-yellow-400"> • {fmtAED(balanceDue(order))} to pay</span>}
                             </div>
                             <div className="text-xs text-neutral-600">
                               {new Date(order.createdAt).toLocaleString()}
                             </div>
                           </div>
                           <div className="flex gap-2">
+                            {nextStatuses(snapshot?.settings, order).includes(handoverStatus(order.type)) && (
+                              <Button variant="subtle" onClick={() => handOver(order)}>{actionLabel(handoverStatus(order.type))}</Button>
+                            )}
+                            {order.status !== "cancelled" && !isHeld(order) && heldCourses(order).slice(0, 1).map(course => (
+                              <Button key={course} variant="subtle" onClick={() => fireCourse(order, course)}>{fireLabel(course)}</Button>
+                            ))}
+                            {canAddRound(order) && (
+                              <Button variant="subtle" onClick={() => startTab(order)}>Add Items</Button>
+                            )}
+                            {order.status !== "cancelled" && balanceDue(order) > 0 && (
+                              <Button onClick={() => takePayment(order)}>Pay</Button>
+                            )}
                             <Button variant="subtle" onClick={() => viewReceipt(order)}>View Receipt</Button>
+                            {refundableAmount(order) > 0 && (
+                              <Button variant="subtle" onClick={() => setRefundOrder(order)}>Refund</Button>
+                            )}
+                            {refundableAmount(order) === 0 && nextStatuses(snapshot?.settings, order).includes("cancelled") && (
+                              <Button variant="danger" onClick={() => setCancelOrder(order)}>Cancel</Button>
+                            )}
                           </div>
                         </div>
                       </div>
@@ -953,10 +2016,40 @@ export default function Cashier() {
               </div>
             </Modal>
 
+            <RefundModal
+              order={refundOrder}
+              settings={snapshot?.settings}
+              elevated={isElevated}
+              emit={emit}
+              onClose={() => setRefundOrder(null)}
+              onDone={(resp) => {
+                setRefundOrder(null);
+                viewReceipt(resp.order, resp.receipt.id);
+              }}
+            />
+
+            <DrawerModal
+              open={drawerOpen}
+              sessions={snapshot?.drawerSessions}
+              owner={drawerOwner(user)}
+              settings={snapshot?.settings}
+              elevated={isElevated}
+              emit={emit}
+              connected={connected}
+              onClose={() => setDrawerOpen(false)}
+            />
+
+            <CancelOrderModal
+              order={cancelOrder}
+              emit={emit}
+              onClose={() => setCancelOrder(null)}
+              onDone={() => setCancelOrder(null)}
+            />
+
             {/* View Receipt Modal */}
             <Modal
               open={!!viewingReceipt}
-              title={`Receipt - Order #${viewingReceipt?.id?.slice(0, 8)?.toUpperCase()}`}
+              title={`Receipt - Ticket ${ticketLabel(viewingReceipt)}`}
               onClose={closeReceiptView}
               footer={
                 <div className="flex justify-end gap-2">
@@ -972,11 +2065,11 @@ export default function Cashier() {
                     <div className="text-sm text-neutral-400">
                       {new Date(viewingReceipt.createdAt).toLocaleString()}
                     </div>
-                    {viewingReceiptData && (
-                      <div className="text-sm text-neutral-400">
-                        Payment: {viewingReceiptData.paymentMethod?.toUpperCase()}
+                    {viewingReceiptData?.map(r => (
+                      <div key={r.id} className="text-sm text-neutral-400">
+                        {r.label ? `${r.label} · ` : ""}{tendersText(r)}{viewingReceiptData.length > 1 || r.label ? ` · ${fmtAED(r.amount)}` : ""}
                       </div>
-                    )}
+                    ))}
                   </div>
                   
                   <div className="border-t border-neutral-800 pt-3">
@@ -984,8 +2077,22 @@ export default function Cashier() {
                     <div className="space-y-1">
                       {viewingReceipt.items?.map((item, idx) => (
                         <div key={idx} className="flex justify-between text-sm">
-                          <span>{item.qty} × {item.name}</span>
-                          <span>{fmtAED(item.price * item.qty)}</span>
+                          <span>
+                            {item.qty} × {item.name}
+                            {item.options?.length > 0 && (
+                              <span className="block text-xs text-neutral-500">{optionsText(item)}</span>
+                            )}
+                            {placementText(item) && (
+                              <span className="block text-xs text-neutral-500">{placementText(item)}</span>
+                            )}
+                            {item.note && (
+                              <span className="block text-xs text-neutral-500">Note: {item.note}</span>
+                            )}
+                            {item.voidedQty > 0 && (
+                              <span className="block text-xs text-red-400">Voided: {item.voidedQty}</span>
+                            )}
+                          </span>
+                          <span>{fmtAED(lineTotal(item))}</span>
                         </div>
                       ))}
                     </div>
@@ -1002,23 +2109,31 @@ export default function Cashier() {
                         <span>-{fmtAED(viewingReceipt.discount)}</span>
                       </div>
                     )}
+                    {viewingReceipt.serviceCharge > 0 && (
+                      <div className="flex justify-between text-neutral-400">
+                        <span>Service ({viewingReceipt.serviceChargePercent}%)</span>
+                        <span>{fmtAED(viewingReceipt.serviceCharge)}</span>
+                      </div>
+                    )}
+                    {orderTotals(viewingReceipt).taxes.map(t => (
+                      <div key={`${t.classId}@${t.percent}`} className="flex justify-between text-neutral-400">
+                        <span>{taxLabel(t, viewingReceipt.pricesIncludeTax)}</span>
+                        <span>{fmtAED(t.amount)}</span>
+                      </div>
+                    ))}
                     <div className="flex justify-between font-semibold text-lg pt-2 border-t border-neutral-800">
                       <span>TOTAL</span>
                       <span className="text-emerald-400">{fmtAED(viewingReceipt.total)}</span>
                     </div>
                   </div>
                   
-                  {(viewingReceipt.customerName || viewingReceipt.tableNumber) && (
-                    <div className="border-t border-neutral-800 pt-3">
-                      <div className="text-sm font-medium text-neutral-300 mb-2">Customer</div>
-                      {viewingReceipt.customerName && (
-                        <div className="text-sm text-neutral-400">{viewingReceipt.customerName}</div>
-                      )}
-                      {viewingReceipt.tableNumber && (
-                        <div className="text-sm text-neutral-400">Table {viewingReceipt.tableNumber}</div>
-                      )}
-                    </div>
-                  )}
+                  <div className="border-t border-neutral-800 pt-3">
+                    <div className="text-sm font-medium text-neutral-300 mb-2">Customer</div>
+                    {viewingReceipt.customerName && (
+                      <div className="text-sm text-neutral-400">{viewingReceipt.customerName}</div>
+                    )}
+                    <div className="text-sm text-neutral-400">{orderTypeLabel(viewingReceipt.type)} • {orderWhere(viewingReceipt)}</div>
+                  </div>
                 </div>
               )}
             </Modal>
@@ -6,7 +6,15 @@ import Badge from "../components/Badge.jsx";
 
 import { useStore } from "../state/StoreContext.jsx";
 import { fmtAED } from "../lib/money.js";
-import { calcSubtotal } from "../lib/calc.js";
+import { calcSubtotal, lineTotal } from "../lib/calc.js";
+import { optionsText, byCourse, courseLabel } from "../lib/options.js";
+import { ORDER_TYPES, DEFAULT_ORDER_TYPE, orderTypeLabel, orderTypeIcon } from "../lib/orderTypes.js";
+import { statusLabel, statusVariant, nextStatuses, actionLabel } from "../lib/orderStatus.js";
+import { ticketLabel } from "../lib/tickets.js";
+import { kitchenLines, lineRound } from "../lib/tabs.js";
+import { compareByTable } from "../lib/tables.js";
+import { isHeld, fireTime, scheduleText, upcomingOrders } from "../lib/schedule.js";
+import { heldCourses, courseFiredAt, coursePlural } from "../lib/courses.js";
 
 /**
  * Custom hook for continuous alert sound
@@ -127,8 +135,10 @@ function useKitchenAlert(active, onAudioEnabled) {
 export default function Kitchen() {
   const { snapshot, socket, emit } = useStore();
   const orders = snapshot?.orders || [];
+  const settings = snapshot?.settings || {};
   const [alertOrderId, setAlertOrderId] = useState(null);
   const [sortBy, setSortBy] = useState("time"); // "time" | "table"
+  const [typeFilter, setTypeFilter] = useState("all"); // "all" | order type
   const [audioAlertActive, setAudioAlertActive] = useState(false);
 
   // Start alert when server broadcasts new order
@@ -156,25 +166,34 @@ export default function Kitchen() {
       return [...orderList].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
     }
     if (sortBy === "table") {
-      // Sort by table number, orders without table number go last
-      return [...orderList].sort((a, b) => {
-        const tableA = a.tableNumber ? parseInt(a.tableNumber) : Infinity;
-        const tableB = b.tableNumber ? parseInt(b.tableNumber) : Infinity;
-        return tableA - tableB;
-      });
+      // Floor plan order, orders without a table go last
+      return [...orderList].sort(compareByTable(snapshot?.areas, snapshot?.tables));
     }
     return orderList;
   };
 
   const grouped = useMemo(() => {
-    const by = { new: [], preparing: [], done: [] };
-    for (const o of orders) by[o.status]?.push(o);
+    const by = { new: [], preparing: [], ready: [] };
+    for (const o of orders) {
+      if (typeFilter !== "all" && (o.type || DEFAULT_ORDER_TYPE) !== typeFilter) continue;
+      if (isHeld(o)) continue;
+      by[o.status]?.push(o);
+    }
     // Apply sorting to each group
     by.new = sortOrders(by.new);
     by.preparing = sortOrders(by.preparing);
-    by.done = sortOrders(by.done);
+    by.ready = sortOrders(by.ready);
     return by;
-  }, [orders, sortBy]);
+  }, [orders, sortBy, typeFilter, snapshot?.areas, snapshot?.tables]);
+
+  // Scheduled orders still waiting for their fire time
+  const upcoming = useMemo(() => upcomingOrders(orders)
+    .filter(o => typeFilter === "all" || (o.type || DEFAULT_ORDER_TYPE) === typeFilter), [orders, typeFilter]);
+
+  async function fireNow(orderId) {
+    const resp = await emit("order:fire", { id: orderId });
+    if (!resp.ok) alert(resp.error || "Could not send the order to the kitchen");
+  }
 
   async function acknowledge(orderId) {
     // Stop audio alert
@@ -183,36 +202,63 @@ export default function Kitchen() {
     await emit("order:setStatus", { id: orderId, status: "preparing" });
   }
 
-  async function markDone(orderId) {
-    await emit("order:setStatus", { id: orderId, status: "done" });
+  async function moveTo(orderId, status) {
+    await emit("order:setStatus", { id: orderId, status });
   }
 
   function OrderCard({ o }) {
-    const subtotal = calcSubtotal(o.items || []);
+    // A round added to a served tab is a follow-up ticket with just the new lines
+    const lines = kitchenLines(o);
+    const followUp = (o.kitchenRound || 1) > 1;
+    const multiRound = new Set(lines.map(lineRound)).size > 1;
+    const subtotal = calcSubtotal(lines);
+    const multiCourse = new Set(lines.map(it => it.course || "main")).size > 1;
+    // Later courses wait for the cashier to fire them
+    const held = heldCourses(o);
+    const firedText = course => {
+      const at = courseFiredAt(o, course);
+      return at ? `Fired ${new Date(at).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}` : "Held";
+    };
     return (
       <div className="rounded-2xl border border-neutral-700 bg-neutral-900/50 p-5 space-y-4 shadow-sm">
         {/* Header */}
         <div className="flex items-center justify-between gap-2">
-          <div className="font-semibold text-lg">Order #{o.id.slice(0, 6).toUpperCase()}</div>
-          <Badge variant={o.status === "new" ? "yellow" : o.status === "preparing" ? "blue" : "green"}>
-            {o.status.toUpperCase()}
+          <div>
+            <div className="font-semibold text-2xl">Ticket {ticketLabel(o)}</div>
+            <div className="text-xs text-neutral-500">Order #{o.id.slice(0, 6).toUpperCase()}</div>
+            {followUp && (
+              <div className="mt-1"><Badge variant="blue">Follow-up · Round {o.kitchenRound}</Badge></div>
+            )}
+          </div>
+          <Badge variant={statusVariant(o.status)}>
+            {statusLabel(o.status).toUpperCase()}
           </Badge>
         </div>
 
         {/* Customer Info */}
-        {(o.customerName || o.tableNumber) && (
-          <div className="rounded-xl border border-neutral-600 bg-neutral-800/70 p-3">
-            <div className="text-xs text-neutral-400 mb-1">Customer</div>
-            <div className="flex items-center gap-2 flex-wrap">
-              {o.customerName && (
-                <span className="font-medium text-neutral-200">{o.customerName}</span>
-              )}
-              {o.tableNumber && (
-                <Badge variant="blue">Table {o.tableNumber}</Badge>
-              )}
-            </div>
+        <div className="rounded-xl border border-neutral-600 bg-neutral-800/70 p-3">
+          <div className="text-xs text-neutral-400 mb-1">Customer</div>
+          <div className="flex items-center gap-2 flex-wrap">
+            <Badge variant={o.type === "delivery" ? "red" : o.type === "takeaway" ? "yellow" : "neutral"}>
+              {orderTypeIcon(o.type)} {orderTypeLabel(o.type)}
+            </Badge>
+            {o.customerName && (
+              <span className="font-medium text-neutral-200">{o.customerName}</span>
+            )}
+            {o.tableNumber && (
+              <Badge variant="blue">Table {o.tableNumber}</Badge>
+            )}
+            {o.pickupTime && (
+              <Badge variant="yellow">Pickup {new Date(o.pickupTime).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}</Badge>
+            )}
+            {o.scheduledFor && (
+              <Badge variant="yellow">Ready by {scheduleText(o.scheduledFor)}</Badge>
+            )}
+            {o.driver && (
+              <span className="text-sm text-neutral-400">Driver: {o.driver}</span>
+            )}
           </div>
-        )}
+        </div>
 
         {/* Timestamp */}
         <div className="text-xs text-neutral-400">
@@ -230,11 +276,31 @@ export default function Kitchen() {
         {/* Items */}
         <div className="space-y-2">
           <div className="text-xs text-neutral-500 uppercase tracking-wide">Items</div>
-          {(o.items || []).map((it, idx) => (
-            <div key={idx} className="flex justify-between text-sm py-1 border-b border-neutral-800/50 last:border-0">
-              <div className="text-neutral-200">{it.qty}× {it.name}</div>
-              <div className="text-neutral-400">{fmtAED(it.price * it.qty)}</div>
-            </div>
+          {byCourse(lines).map((it, idx, lines) => (
+            <React.Fragment key={idx}>
+              {/* Course heading when the order spans more than one course */}
+              {multiCourse && (idx === 0 || lines[idx - 1].course !== it.course) && (
+                <div className={`flex justify-between text-xs uppercase tracking-wide pt-1 ${courseFiredAt(o, it.course) ? "text-sky-300" : "text-neutral-500"}`}>
+                  <span>{courseLabel(it.course)}</span>
+                  <span>{firedText(it.course)}</span>
+                </div>
+              )}
+              <div className={`flex justify-between text-sm py-1 border-b border-neutral-800/50 last:border-0 ${courseFiredAt(o, it.course) ? "" : "opacity-40"}`}>
+                <div className="text-neutral-200">
+                  {it.qty}× {it.name}
+                  {it.seat ? <span className="ml-2"><Badge variant="blue">Seat {it.seat}</Badge></span> : null}
+                  {multiRound && lineRound(it) > 1 ? <span className="ml-2"><Badge variant="yellow">Round {lineRound(it)}</Badge></span> : null}
+                  {it.voidedQty > 0 ? <span className="ml-2"><Badge variant="red">Void {it.voidedQty}</Badge></span> : null}
+                  {it.options?.length > 0 && (
+                    <div className="text-xs text-amber-200/80">{optionsText(it)}</div>
+                  )}
+                  {it.note && (
+                    <div className="text-sm text-amber-300 font-medium">📝 {it.note}</div>
+                  )}
+                </div>
+                <div className="text-neutral-400">{fmtAED(lineTotal(it))}</div>
+              </div>
+            </React.Fragment>
           ))}
         </div>
 
@@ -244,23 +310,31 @@ export default function Kitchen() {
           <div className="font-semibold">{fmtAED(subtotal)}</div>
         </div>
 
-        {/* Action Buttons */}
+        {held.length > 0 && (
+          <div className="text-xs text-neutral-400">
+            {held.map(coursePlural).join(" and ")} held until the cashier fires {held.length === 1 ? "it" : "them"}
+          </div>
+        )}
+
+        {/* Action Buttons: the moves the order flow allows, except cancelling;
+            it can't be finished while a course is held */}
         <div className="flex gap-2">
-          {o.status === "new" && (
-            <Button onClick={() => acknowledge(o.id)} className="w-full py-3">
-              Start Prep (Stop Alert)
-            </Button>
-          )}
-          {o.status === "preparing" && (
-            <Button onClick={() => markDone(o.id)} className="w-full py-3">
-              Mark Done
-            </Button>
-          )}
-          {o.status === "done" && (
-            <div className="w-full text-center py-3 text-neutral-500 text-sm">
-              Order completed
-            </div>
-          )}
+          {nextStatuses(settings, o).filter(s => s !== "cancelled" && (s === "preparing" || held.length === 0)).map(status => (
+            status === "preparing" && o.status === "new" ? (
+              <Button key={status} onClick={() => acknowledge(o.id)} className="w-full py-3">
+                Start Prep (Stop Alert)
+              </Button>
+            ) : (
+              <Button
+                key={status}
+                variant={status === "preparing" ? "subtle" : "primary"}
+                onClick={() => moveTo(o.id, status)}
+                className="w-full py-3"
+              >
+                {status === "preparing" ? "Back to Prep" : actionLabel(status)}
+              </Button>
+            )
+          ))}
         </div>
       </div>
     );
@@ -271,6 +345,16 @@ export default function Kitchen() {
       <Topbar 
         right={
           <div className="flex items-center gap-4">
+            {/* Order Type Filter */}
+            <select
+              value={typeFilter}
+              onChange={(e) => setTypeFilter(e.target.value)}
+              className="rounded-lg border border-neutral-700 bg-neutral-800 px-3 py-1.5 text-sm text-neutral-200"
+            >
+              <option value="all">All types</option>
+              {ORDER_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+            </select>
+
             {/* Sort Controls */}
             <div className="flex items-center gap-2">
               <span className="text-sm text-neutral-400 hidden sm:inline">Sort by:</span>
@@ -352,9 +436,33 @@ export default function Kitchen() {
         </Card>
 
         <Card>
-          <CardHeader title="Done" subtitle="Completed" right={<Badge variant="green">{grouped.done.length}</Badge>} />
+          <CardHeader title="Ready" subtitle="Waiting to be served or picked up" right={<Badge variant="green">{grouped.ready.length}</Badge>} />
           <CardBody className="space-y-4">
-            {grouped.done.length === 0 ? <div className="text-neutral-400 text-center py-8">No completed orders.</div> : grouped.done.map(o => <OrderCard key={o.id} o={o} />)}
+            {grouped.ready.length === 0 ? <div className="text-neutral-400 text-center py-8">No orders ready.</div> : grouped.ready.map(o => <OrderCard key={o.id} o={o} />)}
+          </CardBody>
+        </Card>
+
+        <Card className="lg:col-span-3">
+          <CardHeader title="Upcoming" subtitle="Scheduled orders; each comes in as new ahead of its ready time" right={<Badge variant="neutral">{upcoming.length}</Badge>} />
+          <CardBody className="space-y-2">
+            {upcoming.length === 0 ? (
+              <div className="text-neutral-400 text-center py-4">No scheduled orders.</div>
+            ) : upcoming.map(o => (
+              <div key={o.id} className="rounded-xl border border-neutral-800 bg-neutral-900/40 p-3 flex items-center justify-between gap-3 flex-wrap">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2 flex-wrap">
+                    <span className="font-semibold">Ticket {ticketLabel(o)}</span>
+                    <Badge variant="yellow">Ready by {scheduleText(o.scheduledFor)}</Badge>
+                    <span className="text-sm text-neutral-400">{orderTypeIcon(o.type)} {o.tableNumber ? `Table ${o.tableNumber}` : o.customerName || orderTypeLabel(o.type)}</span>
+                  </div>
+                  <div className="text-sm text-neutral-300 truncate">
+                    {kitchenLines(o).map(it => `${it.qty}× ${it.name}`).join(", ")}
+                  </div>
+                  <div className="text-xs text-neutral-500">Comes in at {scheduleText(fireTime(o, settings))}</div>
+                </div>
+                <Button variant="subtle" onClick={() => fireNow(o.id)}>Start Now</Button>
+              </div>
+            ))}
           </CardBody>
         </Card>
       </div>
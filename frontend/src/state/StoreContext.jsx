@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useEffect, useMemo, useRef, useState, useCallback } from "react";
 import { io } from "socket.io-client";
 import { useAuth } from "./AuthContext.jsx";
+import { applyPatch } from "../lib/patch.js";
 
 const StoreCtx = createContext(null);
 
@@ -15,6 +16,9 @@ export function StoreProvider({ children }) {
   const [connError, setConnError] = useState(null);
   const [isConnecting, setIsConnecting] = useState(false);
   const socketRef = useRef(null);
+  // Latest snapshot (incl. its revision) for the patch handler, which runs outside render
+  const snapshotRef = useRef(null);
+  const syncingRef = useRef(false);
   const reconnectAttemptsRef = useRef(0);
   const maxReconnectAttempts = 5;
 
@@ -33,6 +37,7 @@ export function StoreProvider({ children }) {
         socketRef.current.disconnect();
         socketRef.current = null;
       }
+      snapshotRef.current = null;
       setSnapshot(null);
       setConnected(false);
       setConnError(null);
@@ -45,8 +50,9 @@ export function StoreProvider({ children }) {
     const socket = io(API_BASE, {
       auth: { token: user.token },
       transports: ["websocket", "polling"], // Fallback for compatibility
+      // Keep trying for as long as it takes; the cashier works offline meanwhile
       reconnection: true,
-      reconnectionAttempts: maxReconnectAttempts,
+      reconnectionAttempts: Infinity,
       reconnectionDelay: 1000,
       reconnectionDelayMax: 5000,
       timeout: 10000,
@@ -79,18 +85,41 @@ export function StoreProvider({ children }) {
       // Check for auth errors
       handleAuthError(err);
       
-      // Stop trying after max attempts
       if (reconnectAttemptsRef.current >= maxReconnectAttempts) {
-        socket.disconnect();
-        setConnError("Connection failed after multiple attempts. Please refresh the page.");
+        setConnError("Server unreachable. Still trying to reconnect…");
       }
     };
     
     const onSnapshot = (s) => {
+      snapshotRef.current = s;
+      syncingRef.current = false;
       setSnapshot(s);
       setIsConnecting(false);
     };
 
+    const requestSync = () => {
+      if (syncingRef.current) return;
+      syncingRef.current = true;
+      socket.emit("state:sync", {}, (resp) => {
+        if (resp?.ok) onSnapshot(resp.snapshot);
+        else syncingRef.current = false;
+      });
+    };
+
+    // Apply incremental changes; a missed revision means our copy is stale
+    const onPatch = ({ rev, ops }) => {
+      const current = snapshotRef.current;
+      if (!current || syncingRef.current) return;
+      if (rev <= current.rev) return;
+      if (rev !== current.rev + 1) {
+        requestSync();
+        return;
+      }
+      const next = { ...applyPatch(current, ops), rev };
+      snapshotRef.current = next;
+      setSnapshot(next);
+    };
+
     const onError = (err) => {
       console.error("[Socket] Error:", err);
       handleAuthError(err);
@@ -100,6 +129,7 @@ export function StoreProvider({ children }) {
     socket.on("disconnect", onDisconnect);
     socket.on("connect_error", onConnectError);
     socket.on("state:snapshot", onSnapshot);
+    socket.on("state:patch", onPatch);
     socket.on("error", onError);
 
     return () => {
@@ -107,6 +137,7 @@ export function StoreProvider({ children }) {
       socket.off("disconnect", onDisconnect);
       socket.off("connect_error", onConnectError);
       socket.off("state:snapshot", onSnapshot);
+      socket.off("state:patch", onPatch);
       socket.off("error", onError);
       socket.disconnect();
     };
@@ -121,12 +152,13 @@ export function StoreProvider({ children }) {
     emit(event, payload) {
       return new Promise((resolve) => {
         const s = socketRef.current;
-        if (!s) return resolve({ ok: false, error: "Not connected" });
-        if (!s.connected) return resolve({ ok: false, error: "Socket not connected" });
+        // offline: the server never saw (or never answered) the request, so it can be queued and retried
+        if (!s) return resolve({ ok: false, offline: true, error: "Not connected" });
+        if (!s.connected) return resolve({ ok: false, offline: true, error: "Socket not connected" });
         
         // Set a timeout for the response
         const timeout = setTimeout(() => {
-          resolve({ ok: false, error: "Request timeout" });
+          resolve({ ok: false, offline: true, error: "Request timeout" });
         }, 10000);
         
         s.emit(event, payload, (resp) => {
@@ -0,0 +1,112 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useStore } from "./StoreContext.jsx";
+import { MAX_QUEUED_HOURS, addQueued, isStale, listQueued, putQueued, removeQueued } from "../lib/offlineQueue.js";
+
+/**
+ * The cashier's offline queue (lib/offlineQueue.js), replayed in order
+ * whenever the socket connects.
+ *
+ * A request the server refuses becomes a conflict and stays in the queue with
+ * the server's reason until it is retried or dismissed; later payments for an
+ * order that hasn't gone through wait behind it. Payments for an order created
+ * offline point at its local id until the order is accepted. Entries older
+ * than MAX_QUEUED_HOURS become conflicts instead of being sent, since the
+ * server may no longer recognise them as retries; Retry sends them anyway.
+ */
+export function useOfflineQueue() {
+  const { emit, connected } = useStore();
+  const [entries, setEntries] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  const emitRef = useRef(emit);
+  const flushingRef = useRef(false);
+  const againRef = useRef(false);
+  emitRef.current = emit;
+
+  const refresh = useCallback(async () => {
+    setEntries(await listQueued());
+  }, []);
+
+  const flush = useCallback(async () => {
+    if (flushingRef.current) {
+      againRef.current = true;
+      return;
+    }
+    flushingRef.current = true;
+    setSyncing(true);
+    try {
+      do {
+        againRef.current = false;
+        const queued = await listQueued();
+        const waiting = new Set(); // local order ids that haven't gone through
+        for (const entry of queued) {
+          if (entry.localOrderId && waiting.has(entry.localOrderId)) continue;
+          if (entry.status === "conflict") {
+            if (entry.localOrderId) waiting.add(entry.localOrderId);
+            continue;
+          }
+          if (isStale(entry)) {
+            await putQueued({
+              ...entry,
+              status: "conflict",
+              error: `Queued more than ${MAX_QUEUED_HOURS} hours ago. Check Past Orders that it didn't go through, then retry to send it anyway.`,
+              conflict: { type: "stale" },
+            });
+            if (entry.localOrderId) waiting.add(entry.localOrderId);
+            continue;
+          }
+
+          const resp = await emitRef.current(entry.event, { ...entry.payload, idempotencyKey: entry.id });
+          if (resp.offline) return;
+          if (!resp.ok) {
+            await putQueued({ ...entry, status: "conflict", error: resp.error || "Rejected by the server", conflict: resp.conflict || null });
+            if (entry.localOrderId) waiting.add(entry.localOrderId);
+            continue;
+          }
+
+          // The order exists now: its queued payments go to the real id
+          if (entry.event === "order:create" && entry.localOrderId) {
+            for (const later of queued) {
+              if (later.seq === entry.seq || later.payload.orderId !== entry.localOrderId) continue;
+              later.payload = { ...later.payload, orderId: resp.order.id };
+              later.localOrderId = null;
+              await putQueued(later);
+            }
+          }
+          await removeQueued(entry.seq);
+        }
+      } while (againRef.current);
+    } finally {
+      flushingRef.current = false;
+      setSyncing(false);
+      await refresh();
+    }
+  }, [refresh]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  useEffect(() => {
+    if (connected) flush();
+  }, [connected, flush]);
+
+  const enqueue = useCallback(async (entry) => {
+    await addQueued({ createdAt: new Date().toISOString(), ...entry });
+    await refresh();
+    if (connected) flush();
+  }, [connected, flush, refresh]);
+
+  const retry = useCallback(async (entry) => {
+    const sendStale = entry.sendStale || entry.conflict?.type === "stale";
+    await putQueued({ ...entry, status: "pending", error: null, conflict: null, sendStale });
+    await refresh();
+    flush();
+  }, [flush, refresh]);
+
+  const dismiss = useCallback(async (entry) => {
+    await removeQueued(entry.seq);
+    await refresh();
+  }, [refresh]);
+
+  return { entries, syncing, enqueue, retry, dismiss };
+}